@@ -1,4 +1,4 @@
-import type { Metadata } from 'next';
+import type { Metadata, Viewport } from 'next';
 import './globals.css';
 
 export const metadata: Metadata = {
@@ -6,6 +6,14 @@ export const metadata: Metadata = {
   description: 'Deliver pizzas on your hoverboard through the city!',
 };
 
+// Touch controls need the page at its real size, without pinch zoom stealing gestures
+export const viewport: Viewport = {
+  width: 'device-width',
+  initialScale: 1,
+  maximumScale: 1,
+  userScalable: false,
+};
+
 export default function RootLayout({
   children,
 }: {
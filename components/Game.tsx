@@ -7,6 +7,7 @@ export default function Game() {
   const gameRef = useRef<any>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [loadError, setLoadError] = useState<string | null>(null);
+  const [loadProgress, setLoadProgress] = useState({ progress: 0, label: '' });
 
   useEffect(() => {
     // Only run on client side
@@ -18,13 +19,29 @@ export default function Game() {
       try {
         // Dynamically import the GameManager to avoid SSR issues
         const { GameManager } = await import('@/game/core/GameManager');
+        const { Events } = await import('@/game/core/EventBus');
         
         if (!mounted || !containerRef.current) return;
 
-        // Create and initialize the game
-        const game = new GameManager();
+        // Create and initialize the game (?seed=123 replays a specific run)
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        let seed: number | undefined;
+        if (seedParam !== null) {
+          // Only whole numbers the RNG can hold - anything else would quietly run some other seed
+          if (/^\d+$/.test(seedParam.trim()) && Number(seedParam) <= 0xffffffff) {
+            seed = Number(seedParam);
+          } else {
+            console.warn(`Ignoring ?seed=${seedParam}: seeds are whole numbers from 0 to 4294967295. Starting a random run.`);
+          }
+        }
+        const game = new GameManager({ seed });
         gameRef.current = game;
 
+        // Asset manager progress drives the loading bar
+        game.eventBus.on(Events.ASSET_PROGRESS, ({ progress, label }: { progress: number; label: string }) => {
+          if (mounted) setLoadProgress({ progress, label });
+        });
+
         await game.init(containerRef.current);
         
         if (!mounted) {
@@ -59,7 +76,12 @@ export default function Game() {
         <div id="loading-screen">
           <h1>🍕 PIZZA COURIER</h1>
           <div className="spinner" />
-          <p style={{ marginTop: '20px' }}>Loading...</p>
+          <div className="load-progress">
+            <div className="load-progress-fill" style={{ width: `${Math.round(loadProgress.progress * 100)}%` }} />
+          </div>
+          <p style={{ marginTop: '20px' }}>
+            Loading{loadProgress.label ? ` ${loadProgress.label}` : ''}... {Math.round(loadProgress.progress * 100)}%
+          </p>
         </div>
       )}
       
@@ -80,7 +102,7 @@ export default function Game() {
 
         {/* Controls Info */}
         <div id="controls-info">
-          WASD: Move | Arrows: Aim | Space: Jump | Shift: Boost/Fly | U: Upgrades | Tab: Stats | F1: Editor
+          WASD: Move | Arrows: Aim | Space: Jump | Shift: Boost/Fly | U: Upgrades | Tab: Stats | G: Ghost | P: Pause | F1: Editor
         </div>
 
         {/* Minimap */}
@@ -0,0 +1,254 @@
+// simulate - Headless delivery runs for balancing delivery type time limits and upgrade costs
+//
+// Usage: npm run simulate -- [--deliveries 200] [--seed 42] [--runs 1] [--no-npcs]
+//                            [--upgrades REPULSORS=2,CAPACITOR=1] [--max-minutes 600] [--json] [--verbose] [--help]
+//
+// The courier is driven by CourierAutopilot (straight street routes, no flight or boosts),
+// so numbers describe a competent but unspectacular player.
+//
+// Every delivery is ridden tick by tick (60Hz physics, NPC traffic, collisions), about 3,000 ticks
+// each. Headless NPCs have no meshes and presentation-only work never runs, but the tick itself is
+// the ceiling: ~100-130k ticks/s on one core, so 30-40 deliveries per second, not thousands.
+// A coarser step would no longer exercise the physics the player rides on.
+
+import { parseArgs } from 'node:util';
+import { GameManager } from '../src/core/GameManager.js';
+import { Events } from '../src/core/EventBus.js';
+import { CourierAutopilot } from '../src/systems/CourierAutopilot.js';
+import { SIMULATION } from '../src/constants.js';
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --deliveries N      Deliveries (completed or failed) per run (default 100)
+  --seed N            Seed of the first run, 0-4294967295; later runs use N+1, N+2... (default random)
+  --runs N            Number of runs to combine (default 1)
+  --no-npcs           No drones or pedestrians (traffic still runs)
+  --upgrades LIST     Upgrade tiers, e.g. REPULSORS=2,CAPACITOR=1
+  --max-minutes N     Give up a run after this much simulated time (default 600)
+  --json              Print the raw results as JSON
+  --verbose           Keep the game's own console output
+  -h, --help          Show this help
+
+Deliveries are ridden tick by tick at 60Hz, so expect 30-40 deliveries per second.`;
+
+let parsed;
+try {
+    parsed = parseArgs({
+        options: {
+            deliveries: { type: 'string', default: '100' },
+            seed: { type: 'string' },
+            runs: { type: 'string', default: '1' },
+            'no-npcs': { type: 'boolean', default: false },
+            upgrades: { type: 'string', default: '' },
+            'max-minutes': { type: 'string', default: '600' },
+            json: { type: 'boolean', default: false },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+} catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+const args = parsed.values;
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+// Same rule as ?seed= in the browser - anything else would quietly run some other seed
+if (args.seed !== undefined && !(/^\d+$/.test(args.seed.trim()) && Number(args.seed) <= 0xffffffff)) {
+    console.error(`Invalid --seed ${args.seed}: seeds are whole numbers from 0 to 4294967295\n\n${USAGE}`);
+    process.exit(1);
+}
+
+// Game code logs every pickup/delivery - keep the report readable
+const log = console.log;
+if (!args.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+}
+
+/**
+ * "REPULSORS=2,CAPACITOR=1" -> { REPULSORS: 2, CAPACITOR: 1 }
+ */
+function parseUpgrades(text) {
+    const levels = {};
+    for (const pair of text.split(',').filter(Boolean)) {
+        const [key, tier] = pair.split('=');
+        levels[key.trim().toUpperCase()] = parseInt(tier) || 0;
+    }
+    return levels;
+}
+
+/**
+ * Run one seeded game until it has finished the requested number of deliveries
+ */
+async function runSimulation(seed, deliveryCount, options) {
+    const game = new GameManager({
+        headless: true,
+        seed,
+        npcs: options.npcs,
+        upgrades: options.upgrades
+    });
+    await game.init();
+
+    const autopilot = new CourierAutopilot(game);
+    game.inputManager.setScript((input) => autopilot.update(input));
+
+    // Per-type results (orders are tracked by id - a Cargo Rack carries several at once)
+    const byType = {};
+    const started = new Map();
+
+    game.eventBus.on(Events.DELIVERY_STARTED, (data) => {
+        started.set(data.orderId, { timeLimit: data.timeLimit, startTick: game.simulationTick });
+        byType[data.type] = byType[data.type] || {
+            started: 0, completed: 0, failed: 0, credits: 0,
+            rideSeconds: 0, timeUsedRatio: 0, failReasons: {}
+        };
+        byType[data.type].started++;
+    });
+
+    game.eventBus.on(Events.DELIVERY_COMPLETED, (data) => {
+        const stats = byType[data.type];
+        const current = started.get(data.orderId);
+        started.delete(data.orderId);
+        stats.completed++;
+        stats.credits += data.creditsEarned;
+        stats.rideSeconds += (game.simulationTick - current.startTick) * SIMULATION.FIXED_TIMESTEP;
+        stats.timeUsedRatio += (current.timeLimit - data.timeRemaining) / current.timeLimit;
+    });
+
+    // Customer stars and tips (the tips are already in the credit total)
+    const customers = { ratingCount: 0, ratingStars: 0, tips: 0 };
+    game.eventBus.on(Events.CUSTOMER_RATED, (data) => {
+        customers.ratingCount++;
+        customers.ratingStars += data.stars;
+        customers.tips += data.tip;
+    });
+
+    game.eventBus.on(Events.DELIVERY_FAILED, (data) => {
+        const stats = byType[data.type];
+        started.delete(data.orderId);
+        stats.failed++;
+        stats.failReasons[data.reason] = (stats.failReasons[data.reason] || 0) + 1;
+    });
+
+    const delivery = game.deliveryManager;
+    const maxTicks = Math.round(options.maxMinutes * 60 / SIMULATION.FIXED_TIMESTEP);
+    const startTime = performance.now();
+    const ticks = game.runUntil(
+        () => delivery.deliveriesCompleted + delivery.deliveriesFailed >= deliveryCount,
+        maxTicks
+    );
+    const wallSeconds = (performance.now() - startTime) / 1000;
+
+    const result = {
+        seed: game.getSeed(),
+        ticks,
+        simulatedMinutes: ticks * SIMULATION.FIXED_TIMESTEP / 60,
+        wallSeconds,
+        completed: delivery.deliveriesCompleted,
+        failed: delivery.deliveriesFailed,
+        credits: game.economyManager.getCredits(),
+        ...customers,
+        byType,
+        upgradeCosts: game.upgradeManager.getUpgradeDefinitions()
+    };
+
+    game.dispose();
+    return result;
+}
+
+/**
+ * Fold several runs into one set of totals
+ */
+function combine(results) {
+    const total = {
+        ticks: 0, simulatedMinutes: 0, wallSeconds: 0,
+        completed: 0, failed: 0, credits: 0, ratingCount: 0, ratingStars: 0, tips: 0, byType: {},
+        upgradeCosts: results[0].upgradeCosts
+    };
+
+    for (const result of results) {
+        for (const key of ['ticks', 'simulatedMinutes', 'wallSeconds', 'completed', 'failed', 'credits', 'ratingCount', 'ratingStars', 'tips']) {
+            total[key] += result[key];
+        }
+        for (const [type, stats] of Object.entries(result.byType)) {
+            const sum = total.byType[type] = total.byType[type] || {
+                started: 0, completed: 0, failed: 0, credits: 0,
+                rideSeconds: 0, timeUsedRatio: 0, failReasons: {}
+            };
+            for (const key of ['started', 'completed', 'failed', 'credits', 'rideSeconds', 'timeUsedRatio']) {
+                sum[key] += stats[key];
+            }
+            for (const [reason, count] of Object.entries(stats.failReasons)) {
+                sum.failReasons[reason] = (sum.failReasons[reason] || 0) + count;
+            }
+        }
+    }
+
+    return total;
+}
+
+/**
+ * @param {Object} total - From combine()
+ * @param {number[]} seeds - Seed of each run, so a random run can be replayed with --seed
+ */
+function printReport(total, seeds) {
+    const finished = total.completed + total.failed;
+    const creditsPerMinute = total.credits / Math.max(total.simulatedMinutes, 1e-6);
+    const seedText = seeds.length > 1 ? `seeds ${seeds[0]}-${seeds[seeds.length - 1]}` : `seed ${seeds[0]}`;
+
+    log(`\n${seeds.length} run(s), ${seedText} - replay with --seed ${seeds[0]}`);
+    log(`${finished} deliveries in ${total.simulatedMinutes.toFixed(1)} simulated minutes`);
+    log(`Wall time ${total.wallSeconds.toFixed(2)}s - ${(finished / total.wallSeconds).toFixed(1)} deliveries/s, ` +
+        `${Math.round(total.ticks / total.wallSeconds)} ticks/s`);
+    log(`Credits ${total.credits} (${creditsPerMinute.toFixed(0)}/min), ${total.tips} of them tips`);
+    if (total.ratingCount > 0) {
+        log(`Customer rating ${(total.ratingStars / total.ratingCount).toFixed(2)} stars over ${total.ratingCount} deliveries`);
+    }
+    log('');
+
+    log('Type       Done/Total  Success  Avg ride  Limit used  Avg credits  Failures');
+    for (const [type, stats] of Object.entries(total.byType)) {
+        const success = stats.started ? stats.completed / stats.started : 0;
+        const avgRide = stats.completed ? stats.rideSeconds / stats.completed : 0;
+        const limitUsed = stats.completed ? stats.timeUsedRatio / stats.completed : 0;
+        const avgCredits = stats.completed ? stats.credits / stats.completed : 0;
+        const reasons = Object.entries(stats.failReasons).map(([reason, count]) => `${reason}:${count}`).join(' ');
+        
+        log(`${type.padEnd(10)} ${`${stats.completed}/${stats.started}`.padStart(10)}  ` +
+            `${(success * 100).toFixed(0).padStart(6)}%  ${avgRide.toFixed(1).padStart(7)}s  ` +
+            `${(limitUsed * 100).toFixed(0).padStart(9)}%  ${avgCredits.toFixed(0).padStart(11)}  ${reasons}`);
+    }
+
+    log('\nUpgrade      Tier  Cost  Minutes of play to afford (cumulative)');
+    for (const [key, upgrade] of Object.entries(total.upgradeCosts)) {
+        let cumulative = 0;
+        upgrade.costs.forEach((cost, index) => {
+            cumulative += cost;
+            log(`${key.padEnd(12)} ${String(index + 1).padStart(4)}  ${String(cost).padStart(4)}  ` +
+                `${(cumulative / creditsPerMinute).toFixed(1).padStart(6)}`);
+        });
+    }
+}
+
+const deliveryCount = parseInt(args.deliveries) || 100;
+const runCount = parseInt(args.runs) || 1;
+const firstSeed = args.seed !== undefined ? Number(args.seed.trim()) : Math.floor(Math.random() * 0x100000000);
+const options = {
+    npcs: !args['no-npcs'],
+    upgrades: parseUpgrades(args.upgrades),
+    maxMinutes: parseFloat(args['max-minutes']) || 600
+};
+
+const results = [];
+for (let run = 0; run < runCount; run++) {
+    results.push(await runSimulation(firstSeed + run, deliveryCount, options));
+}
+
+if (args.json) {
+    log(JSON.stringify({ runs: results, total: combine(results) }, null, 2));
+} else {
+    printReport(combine(results), results.map(result => result.seed));
+}
@@ -32,6 +32,12 @@ export const PLAYER = {
     TARGET_HEIGHT: 1.8
 };
 
+export const SIMULATION = {
+    FIXED_TIMESTEP: 1 / 60,     // Seconds per simulation tick (physics is tuned per 60Hz tick)
+    MAX_STEPS_PER_FRAME: 5,     // Drop simulation time beyond this to avoid a spiral of death
+    MAX_FRAME_TIME: 0.25        // Clamp long frames (tab switches, breakpoints)
+};
+
 export const CAMERA = {
     DISTANCE: 3,
     HEIGHT: 1.8,
@@ -137,26 +143,10 @@ export const ASSETS = {
     PIZZA_BOX: '/assets/objects/pizza-box.glb'
 };
 
-// Key bindings
-export const KEYS = {
-    FORWARD: 'w',
-    BACKWARD: 's',
-    STRAFE_LEFT: 'a',
-    STRAFE_RIGHT: 'd',
-    JUMP_FLY: ' ',
-    DESCEND: 'shift',
-    AIM_LEFT: 'ArrowLeft',
-    AIM_RIGHT: 'ArrowRight',
-    AIM_UP: 'ArrowUp',
-    AIM_DOWN: 'ArrowDown'
-};
-
-// Controller configuration
+// Controller configuration (key/button bindings live in core/ActionMap.js, pad layouts and glyphs in core/ControllerDatabase.js)
 export const CONTROLLER = {
     DEADZONE_LEFT: 0.15,
     DEADZONE_RIGHT: 0.15,
     TRIGGER_THRESHOLD: 0.3,
-    POLL_INTERVAL: 100, // ms between gamepad polls
-    XBOX_VENDOR_ID: 1118, // Microsoft vendor ID
-    XBOX_PRODUCT_ID: 654 // Xbox controller product ID (may vary)
+    POLL_INTERVAL: 100 // ms between gamepad polls
 };
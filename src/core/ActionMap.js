@@ -0,0 +1,410 @@
+// ActionMap - Named input actions, their key/mouse/gamepad bindings per context, and saved binding profiles
+
+import { Events } from './EventBus.js';
+import { InputContext } from './GameStateMachine.js';
+import { getControllerGlyphs } from './ControllerDatabase.js';
+
+const ACTION_MAP_CONFIG = {
+    STORAGE_KEY: 'neonSlice_bindings',
+    DEFAULT_PROFILE: 'Default'
+};
+
+export const Action = {
+    // Riding
+    MOVE_FORWARD: 'moveForward',
+    MOVE_BACK: 'moveBack',
+    STRAFE_LEFT: 'strafeLeft',
+    STRAFE_RIGHT: 'strafeRight',
+    AIM_LEFT: 'aimLeft',
+    AIM_RIGHT: 'aimRight',
+    AIM_UP: 'aimUp',
+    AIM_DOWN: 'aimDown',
+    JUMP: 'jump',
+    CHARGE_BOOST: 'chargeBoost',
+    SPEED_BOOST: 'speedBoost',
+    FLY: 'fly',
+    RESET_BOARD: 'resetBoard',
+    NEXT_ORDER: 'nextOrder',
+
+    // Tricks
+    TRICK_SPIN: 'trickSpin',
+    TRICK_FLIP: 'trickFlip',
+    SPIN_LEFT: 'spinLeft',
+    SPIN_RIGHT: 'spinRight',
+    FLIP_FORWARD: 'flipForward',
+    FLIP_BACK: 'flipBack',
+
+    // Screens
+    PAUSE: 'pause',
+    SHOP: 'shop',
+    SUMMARY: 'summary',
+    MENU_NAVIGATE: 'menuNavigate',
+    REPLAY: 'replay',
+    MENU_UP: 'menuUp',
+    MENU_DOWN: 'menuDown',
+    MENU_CONFIRM: 'menuConfirm',
+    MENU_BACK: 'menuBack',
+    DIALOGUE_ADVANCE: 'dialogueAdvance',
+
+    // Editor
+    EDITOR_TOGGLE: 'editorToggle',
+    EDITOR_SELECT_TOOL: 'editorSelectTool',
+    EDITOR_BUILDING_TOOL: 'editorBuildingTool',
+    EDITOR_ROAD_TOOL: 'editorRoadTool',
+    EDITOR_GRID: 'editorGrid',
+    EDITOR_DELETE: 'editorDelete',
+
+    // Debug overlays
+    INSPECTOR: 'inspector',
+    PROFILER: 'profiler'
+};
+
+const { GAMEPLAY, MENU, DIALOGUE, EDITOR } = InputContext;
+
+/**
+ * Every action
+ *   contexts - InputContext values it is live in (null = all of them)
+ *   bindings - Defaults: 'key:<key>', 'mouse:<button>', 'pad:<button>' or 'axis:<index>+/-'
+ *              (gamepad indices follow the standard mapping)
+ *   event    - Legacy bus event fired alongside Events.INPUT_ACTION
+ *   trigger  - 'press' or 'release' (when the events fire; held actions have none)
+ */
+export const ACTIONS = {
+    [Action.MOVE_FORWARD]: { label: 'Forward', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:w', 'axis:1-'] },
+    [Action.MOVE_BACK]: { label: 'Brake / back', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:s', 'axis:1+'] },
+    [Action.STRAFE_LEFT]: { label: 'Strafe left', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:a', 'axis:0-'] },
+    [Action.STRAFE_RIGHT]: { label: 'Strafe right', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:d', 'axis:0+'] },
+    [Action.AIM_LEFT]: { label: 'Aim left', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:ArrowLeft', 'axis:2-'] },
+    [Action.AIM_RIGHT]: { label: 'Aim right', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:ArrowRight', 'axis:2+'] },
+    [Action.AIM_UP]: { label: 'Aim up', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:ArrowUp', 'axis:3-'] },
+    [Action.AIM_DOWN]: { label: 'Aim down', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:ArrowDown', 'axis:3+'] },
+    [Action.JUMP]: {
+        label: 'Jump / fly', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:Space', 'pad:0'],
+        event: Events.INPUT_JUMP, trigger: 'release',
+        padDoubleTap: Events.INPUT_FLIGHT // Gamepad double-tap takes off instead of jumping
+    },
+    [Action.CHARGE_BOOST]: { label: 'Charge boost (hold)', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:Shift'] },
+    [Action.SPEED_BOOST]: {
+        label: 'Speed boost', group: 'Riding', contexts: [GAMEPLAY], bindings: ['pad:1'],
+        event: Events.INPUT_SPEED_BOOST, trigger: 'release'
+    },
+    // Unbound by default - keyboard flies with boost + jump, the pad with a double-tap, touch with its FLY button
+    [Action.FLY]: {
+        label: 'Take off (full charge)', group: 'Riding', contexts: [GAMEPLAY], bindings: [],
+        event: Events.INPUT_FLIGHT, trigger: 'press'
+    },
+    [Action.RESET_BOARD]: {
+        label: 'Reset board', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:Backspace', 'pad:9'],
+        event: Events.INPUT_RESET_BOARD, trigger: 'release'
+    },
+    [Action.NEXT_ORDER]: {
+        label: 'Next order', group: 'Riding', contexts: [GAMEPLAY], bindings: ['key:c', 'pad:15'],
+        event: Events.INPUT_NEXT_ORDER, trigger: 'press'
+    },
+
+    // Direction comes from movement (stick or WASD), same as the gamepad
+    [Action.TRICK_SPIN]: { label: 'Spin (movement sets direction)', group: 'Tricks', contexts: [GAMEPLAY], bindings: ['pad:2', 'mouse:0'] },
+    [Action.TRICK_FLIP]: { label: 'Flip (movement sets direction)', group: 'Tricks', contexts: [GAMEPLAY], bindings: ['pad:3', 'mouse:2'] },
+    [Action.SPIN_LEFT]: { label: 'Spin left', group: 'Tricks', contexts: [GAMEPLAY], bindings: ['key:q'] },
+    [Action.SPIN_RIGHT]: { label: 'Spin right', group: 'Tricks', contexts: [GAMEPLAY], bindings: ['key:e'] },
+    [Action.FLIP_FORWARD]: { label: 'Flip forward', group: 'Tricks', contexts: [GAMEPLAY], bindings: ['key:r'] },
+    [Action.FLIP_BACK]: { label: 'Flip back', group: 'Tricks', contexts: [GAMEPLAY], bindings: ['key:f'] },
+
+    [Action.PAUSE]: {
+        label: 'Pause', group: 'Screens', contexts: [GAMEPLAY, MENU], bindings: ['key:p'],
+        event: Events.INPUT_PAUSE, trigger: 'release'
+    },
+    [Action.SHOP]: {
+        label: 'Upgrade shop', group: 'Screens', contexts: [GAMEPLAY, MENU], bindings: ['key:u'],
+        event: Events.INPUT_SHOP_TOGGLE, trigger: 'release'
+    },
+    [Action.SUMMARY]: {
+        label: 'Shift summary', group: 'Screens', contexts: [GAMEPLAY], bindings: ['key:Tab'],
+        event: Events.INPUT_SUMMARY, trigger: 'release'
+    },
+    [Action.MENU_NAVIGATE]: {
+        label: 'Shop / summary', group: 'Screens', contexts: [GAMEPLAY, MENU], bindings: ['pad:8'],
+        event: Events.INPUT_MENU_NAVIGATE, trigger: 'press'
+    },
+    [Action.REPLAY]: {
+        label: 'Ghost replay', group: 'Screens', contexts: [GAMEPLAY], bindings: ['key:g'],
+        event: Events.INPUT_REPLAY_TOGGLE, trigger: 'release'
+    },
+    [Action.MENU_UP]: { label: 'Previous item', group: 'Screens', contexts: [MENU], bindings: ['key:ArrowUp', 'pad:12'], trigger: 'press' },
+    [Action.MENU_DOWN]: { label: 'Next item', group: 'Screens', contexts: [MENU], bindings: ['key:ArrowDown', 'pad:13'], trigger: 'press' },
+    [Action.MENU_CONFIRM]: {
+        label: 'Confirm', group: 'Screens', contexts: [MENU], bindings: ['key:Enter', 'pad:0'],
+        trigger: 'press'
+    },
+    [Action.MENU_BACK]: {
+        label: 'Back', group: 'Screens', contexts: [MENU], bindings: ['key:Escape', 'pad:1'],
+        event: Events.INPUT_MENU_EXIT, trigger: 'press'
+    },
+    [Action.DIALOGUE_ADVANCE]: {
+        label: 'Next line', group: 'Screens', contexts: [DIALOGUE], bindings: ['key:Space', 'key:Enter', 'key:Escape', 'pad:0'],
+        event: Events.INPUT_DIALOGUE_ADVANCE, trigger: 'press'
+    },
+
+    [Action.EDITOR_TOGGLE]: { label: 'Level editor', group: 'Editor', contexts: [GAMEPLAY, EDITOR], bindings: ['key:F1'], trigger: 'press' },
+    [Action.EDITOR_SELECT_TOOL]: { label: 'Select tool', group: 'Editor', contexts: [EDITOR], bindings: ['key:v'], trigger: 'press' },
+    [Action.EDITOR_BUILDING_TOOL]: { label: 'Building tool', group: 'Editor', contexts: [EDITOR], bindings: ['key:b'], trigger: 'press' },
+    [Action.EDITOR_ROAD_TOOL]: { label: 'Road tool', group: 'Editor', contexts: [EDITOR], bindings: ['key:r'], trigger: 'press' },
+    [Action.EDITOR_GRID]: { label: 'Toggle grid', group: 'Editor', contexts: [EDITOR], bindings: ['key:g'], trigger: 'press' },
+    [Action.EDITOR_DELETE]: { label: 'Delete selection', group: 'Editor', contexts: [EDITOR], bindings: ['key:Delete', 'key:Backspace'], trigger: 'press' },
+
+    [Action.INSPECTOR]: {
+        label: 'Event inspector', group: 'Debug', contexts: null, bindings: ['key:`'],
+        event: Events.INPUT_INSPECTOR_TOGGLE, trigger: 'release'
+    },
+    [Action.PROFILER]: {
+        label: 'Profiler', group: 'Debug', contexts: null, bindings: ['key:F3'],
+        event: Events.INPUT_PROFILER_TOGGLE, trigger: 'release'
+    }
+};
+
+const KEY_NAMES = {
+    Space: 'Space',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc'
+};
+
+/**
+ * Binding id for a keyboard event ('key:w', 'key:Space', 'key:F1')
+ * @param {KeyboardEvent} e
+ * @returns {string}
+ */
+export function keyBinding(e) {
+    if (e.key === ' ') return 'key:Space';
+    return `key:${e.key.length === 1 ? e.key.toLowerCase() : e.key}`;
+}
+
+/**
+ * Human-readable name of a binding id
+ * @param {string} binding
+ * @param {Object} [glyphs] - Controller glyph table (see ControllerDatabase), Xbox by default
+ * @returns {string}
+ */
+export function formatBinding(binding, glyphs = getControllerGlyphs()) {
+    const [device, code] = binding.split(':');
+    switch (device) {
+        case 'key':
+            return KEY_NAMES[code] || (code.length === 1 ? code.toUpperCase() : code);
+        case 'mouse':
+            return ['Mouse L', 'Mouse M', 'Mouse R'][code] || `Mouse ${code}`;
+        case 'pad':
+            return glyphs.buttons[code] || `${glyphs.name} ${code}`;
+        case 'axis': {
+            const index = parseInt(code);
+            const stick = index < 4 ? glyphs.sticks[index >> 1] : `Axis ${index}`;
+            const arrows = index % 2 === 0 ? ['←', '→'] : ['↑', '↓'];
+            return `${stick} ${code.endsWith('-') ? arrows[0] : arrows[1]}`;
+        }
+        default:
+            return binding;
+    }
+}
+
+/**
+ * Whether two actions can be live at the same time
+ */
+function shareContext(a, b) {
+    const contextsA = ACTIONS[a].contexts;
+    const contextsB = ACTIONS[b].contexts;
+    if (!contextsA || !contextsB) return true;
+    return contextsA.some(context => contextsB.includes(context));
+}
+
+export class ActionMap {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        
+        // Profile name -> { action: bindings } overriding ACTIONS defaults
+        this.profiles = { [ACTION_MAP_CONFIG.DEFAULT_PROFILE]: {} };
+        this.activeProfile = ACTION_MAP_CONFIG.DEFAULT_PROFILE;
+        
+        // Resolved for the active profile
+        this.bindings = {};              // action -> binding ids
+        this.bindingActions = new Map(); // binding id -> actions
+        
+        this._rebuild();
+    }
+
+    /**
+     * Load saved profiles (per device, so not part of the save slots)
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(ACTION_MAP_CONFIG.STORAGE_KEY) || 'null');
+            if (!saved || !saved.profiles) return;
+            
+            for (const [name, overrides] of Object.entries(saved.profiles)) {
+                this.profiles[name] = {};
+                for (const [action, bindings] of Object.entries(overrides || {})) {
+                    // Drop actions this build no longer has
+                    if (ACTIONS[action] && Array.isArray(bindings)) {
+                        this.profiles[name][action] = bindings.filter(binding => typeof binding === 'string');
+                    }
+                }
+            }
+            if (this.profiles[saved.active]) {
+                this.activeProfile = saved.active;
+            }
+        } catch (e) {
+            console.warn('Could not load key bindings:', e);
+        }
+        this._rebuild();
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(ACTION_MAP_CONFIG.STORAGE_KEY, JSON.stringify({
+                active: this.activeProfile,
+                profiles: this.profiles
+            }));
+        } catch (e) {
+            console.warn('Could not save key bindings:', e);
+        }
+    }
+
+    _rebuild() {
+        const overrides = this.profiles[this.activeProfile];
+        this.bindings = {};
+        this.bindingActions.clear();
+        
+        for (const [action, definition] of Object.entries(ACTIONS)) {
+            const bindings = overrides[action] || definition.bindings;
+            this.bindings[action] = [...bindings];
+            for (const binding of bindings) {
+                if (!this.bindingActions.has(binding)) {
+                    this.bindingActions.set(binding, []);
+                }
+                this.bindingActions.get(binding).push(action);
+            }
+        }
+    }
+
+    _changed() {
+        this._rebuild();
+        this._save();
+        this.eventBus.emit(Events.INPUT_BINDINGS_CHANGED, { profile: this.activeProfile });
+    }
+
+    /**
+     * @param {string} action - Action value
+     * @returns {string[]} Binding ids
+     */
+    getBindings(action) {
+        return this.bindings[action] || [];
+    }
+
+    /**
+     * Actions a binding drives (in any context)
+     * @param {string} binding
+     * @returns {string[]}
+     */
+    getActions(binding) {
+        return this.bindingActions.get(binding) || [];
+    }
+
+    /**
+     * Replace an action's bindings in the active profile
+     * @param {string} action - Action value
+     * @param {string[]} bindings
+     */
+    setBindings(action, bindings) {
+        if (!ACTIONS[action]) return;
+        this.profiles[this.activeProfile][action] = [...new Set(bindings)];
+        this._changed();
+    }
+
+    /**
+     * Add a binding to an action
+     * @param {string} action - Action value
+     * @param {string} binding
+     * @returns {string[]} Other actions it now conflicts with
+     */
+    addBinding(action, binding) {
+        this.setBindings(action, [...this.getBindings(action), binding]);
+        return this.getConflicts(action, binding);
+    }
+
+    /**
+     * @param {string} action - Action value
+     * @param {string} binding
+     */
+    removeBinding(action, binding) {
+        this.setBindings(action, this.getBindings(action).filter(existing => existing !== binding));
+    }
+
+    /**
+     * Other actions sharing a binding with this one in a context where both are live
+     * @param {string} action - Action value
+     * @param {string} binding
+     * @returns {string[]}
+     */
+    getConflicts(action, binding) {
+        return this.getActions(binding).filter(other => other !== action && shareContext(action, other));
+    }
+
+    /**
+     * Put every action in the active profile back to its default bindings
+     */
+    resetProfile() {
+        this.profiles[this.activeProfile] = {};
+        this._changed();
+    }
+
+    /**
+     * @returns {string[]} Profile names
+     */
+    getProfiles() {
+        return Object.keys(this.profiles);
+    }
+
+    /**
+     * Switch to a saved profile
+     * @param {string} name
+     */
+    setProfile(name) {
+        if (!this.profiles[name] || name === this.activeProfile) return;
+        this.activeProfile = name;
+        this._changed();
+    }
+
+    /**
+     * Start a new profile from the active one's bindings and switch to it
+     * @returns {string} The new profile's name
+     */
+    createProfile() {
+        let number = this.getProfiles().length + 1;
+        while (this.profiles[`Profile ${number}`]) number++;
+        
+        const name = `Profile ${number}`;
+        this.profiles[name] = JSON.parse(JSON.stringify(this.profiles[this.activeProfile]));
+        this.activeProfile = name;
+        this._changed();
+        return name;
+    }
+
+    /**
+     * Whether the active profile may be deleted (the default one always stays)
+     * @returns {boolean}
+     */
+    canDeleteProfile() {
+        return this.activeProfile !== ACTION_MAP_CONFIG.DEFAULT_PROFILE;
+    }
+
+    /**
+     * Delete the active profile and fall back to the default one
+     */
+    deleteProfile() {
+        if (!this.canDeleteProfile()) return;
+        
+        delete this.profiles[this.activeProfile];
+        this.activeProfile = ACTION_MAP_CONFIG.DEFAULT_PROFILE;
+        this._changed();
+    }
+}
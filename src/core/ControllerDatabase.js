@@ -0,0 +1,165 @@
+// ControllerDatabase - Recognizes gamepads (Xbox, PlayStation, Switch Pro, generic HID) and maps them onto the standard layout
+
+// Controller families, each with its own button glyphs
+export const ControllerFamily = {
+    XBOX: 'xbox',
+    PLAYSTATION: 'playstation',
+    SWITCH_PRO: 'switchPro',
+    GENERIC: 'generic'
+};
+
+/**
+ * Button glyphs per family, indexed like the standard mapping
+ * (0 bottom face, 1 right face, 2 left face, 3 top face, 4-7 shoulders/triggers,
+ * 8 select, 9 start, 10-11 stick clicks, 12-15 d-pad, 16 home)
+ */
+const GLYPHS = {
+    [ControllerFamily.XBOX]: {
+        name: 'Xbox',
+        buttons: [
+            'Ⓐ', 'Ⓑ', 'Ⓧ', 'Ⓨ', 'LB', 'RB', 'LT', 'RT', 'View', 'Menu', 'LS', 'RS',
+            'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Guide'
+        ],
+        sticks: ['LS', 'RS']
+    },
+    [ControllerFamily.PLAYSTATION]: {
+        name: 'PlayStation',
+        buttons: [
+            '✕', '○', '□', '△', 'L1', 'R1', 'L2', 'R2', 'Share', 'Options', 'L3', 'R3',
+            'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'PS'
+        ],
+        sticks: ['L stick', 'R stick']
+    },
+    // Nintendo swaps the face letters: the bottom button is B, the right one A
+    [ControllerFamily.SWITCH_PRO]: {
+        name: 'Switch Pro',
+        buttons: [
+            'Ⓑ', 'Ⓐ', 'Ⓨ', 'Ⓧ', 'Ⓛ', 'Ⓡ', 'ZL', 'ZR', '−', '+', 'LS', 'RS',
+            'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'
+        ],
+        sticks: ['LS', 'RS']
+    },
+    [ControllerFamily.GENERIC]: {
+        name: 'Gamepad',
+        buttons: [
+            '①', '②', '③', '④', 'L1', 'R1', 'L2', 'R2', 'Select', 'Start', 'L3', 'R3',
+            'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'
+        ],
+        sticks: ['L stick', 'R stick']
+    }
+};
+
+/**
+ * Raw layouts for pads the browser doesn't give the 'standard' mapping
+ *   buttons - Raw button index for each standard index (-1 = none)
+ *   axes    - Raw axis index for left X, left Y, right X, right Y
+ *   dpad    - Raw [x, y] axes of a hat switch that stands in for d-pad buttons 12-15
+ */
+const LAYOUTS = {
+    // Linux hid-sony/hid-playstation (Firefox): triangle and square swapped, PS before the stick clicks
+    dualShock: {
+        buttons: [0, 1, 3, 2, 4, 5, 6, 7, 8, 9, 11, 12, -1, -1, -1, -1, 10],
+        axes: [0, 1, 3, 4],
+        dpad: [6, 7]
+    },
+    // Linux hid-nintendo: same face order as the DualShock, sticks on the first four axes
+    switchPro: {
+        buttons: [0, 1, 3, 2, 4, 5, 6, 7, 8, 9, 11, 12, -1, -1, -1, -1, 10],
+        axes: [0, 1, 2, 3],
+        dpad: [4, 5]
+    },
+    // Unknown HID pads: trust the driver's order and hope it's close
+    generic: {
+        buttons: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
+        axes: [0, 1, 2, 3],
+        dpad: null
+    }
+};
+
+/**
+ * Known controllers, first match wins
+ *   vendor   - USB vendor id (hex, as browsers report it)
+ *   products - Product ids, or omitted for every product of the vendor
+ *   pattern  - Fallback match on the id string when the browser hides vendor/product
+ */
+const CONTROLLER_DATABASE = [
+    { family: ControllerFamily.XBOX, vendor: '045e', pattern: /xbox|xinput|microsoft/i, layout: 'generic' },
+    { family: ControllerFamily.PLAYSTATION, vendor: '054c', pattern: /playstation|dualshock|dualsense|wireless controller/i, layout: 'dualShock' },
+    { family: ControllerFamily.SWITCH_PRO, vendor: '057e', products: ['2009'], pattern: /pro controller|nintendo/i, layout: 'switchPro' },
+    // Logitech F310/F710 in XInput mode
+    { family: ControllerFamily.XBOX, vendor: '046d', products: ['c21d', 'c21e', 'c21f'], layout: 'generic' }
+];
+
+/**
+ * Pull vendor/product out of a Gamepad.id
+ * Chrome: "Wireless Controller (STANDARD GAMEPAD Vendor: 054c Product: 09cc)"
+ * Firefox: "054c-09cc-Wireless Controller"
+ */
+function parseIds(id) {
+    const chrome = id.match(/Vendor:\s*([0-9a-f]{1,4})\s+Product:\s*([0-9a-f]{1,4})/i);
+    const firefox = id.match(/^([0-9a-f]{1,4})-([0-9a-f]{1,4})-/i);
+    const match = chrome || firefox;
+    if (!match) return { vendor: null, product: null };
+    return {
+        vendor: match[1].toLowerCase().padStart(4, '0'),
+        product: match[2].toLowerCase().padStart(4, '0')
+    };
+}
+
+/**
+ * Work out what a connected gamepad is and how to read it
+ * @param {Gamepad} gamepad
+ * @returns {{ family: string, name: string, vendor: string|null, product: string|null, layout: Object|null }}
+ *   layout is null when the browser already maps the pad to the standard layout
+ */
+export function identifyController(gamepad) {
+    const { vendor, product } = parseIds(gamepad.id);
+    
+    const entry = CONTROLLER_DATABASE.find(candidate =>
+        (vendor && candidate.vendor === vendor && (!candidate.products || candidate.products.includes(product))) ||
+        (candidate.pattern && candidate.pattern.test(gamepad.id))
+    );
+    
+    const family = entry ? entry.family : ControllerFamily.GENERIC;
+    const layout = gamepad.mapping === 'standard' ? null : LAYOUTS[entry ? entry.layout : 'generic'];
+
+    return { family, name: GLYPHS[family].name, vendor, product, layout };
+}
+
+/**
+ * Glyph table for a family (Xbox when unknown - the layout the game was designed on)
+ * @param {string} [family] - ControllerFamily value
+ * @returns {{ name: string, buttons: string[], sticks: string[] }}
+ */
+export function getControllerGlyphs(family) {
+    return GLYPHS[family] || GLYPHS[ControllerFamily.XBOX];
+}
+
+/**
+ * Read a gamepad in standard-layout order
+ * @param {Gamepad} gamepad
+ * @param {Object|null} layout - From identifyController()
+ * @returns {{ buttons: boolean[], axes: number[] }}
+ */
+export function readGamepad(gamepad, layout) {
+    if (!layout) {
+        return {
+            buttons: Array.from(gamepad.buttons, button => button.pressed),
+            axes: Array.from(gamepad.axes)
+        };
+    }
+    
+    const buttons = layout.buttons.map(raw => raw >= 0 && !!gamepad.buttons[raw]?.pressed);
+    const axes = layout.axes.map(raw => gamepad.axes[raw] || 0);
+    
+    if (layout.dpad) {
+        const x = gamepad.axes[layout.dpad[0]] || 0;
+        const y = gamepad.axes[layout.dpad[1]] || 0;
+        buttons[12] = buttons[12] || y < -0.5;
+        buttons[13] = buttons[13] || y > 0.5;
+        buttons[14] = buttons[14] || x < -0.5;
+        buttons[15] = buttons[15] || x > 0.5;
+    }
+
+    return { buttons, axes };
+}
@@ -1,21 +1,53 @@
 // EventBus - Pub/sub system for decoupled communication between game systems
 
+// Listener priorities (higher runs first; equal priorities run in subscription order)
+export const EventPriority = {
+    HIGH: 100,
+    NORMAL: 0,
+    LOW: -100
+};
+
 export class EventBus {
     constructor() {
+        // Exact event name -> listener entries
         this.listeners = new Map();
+        
+        // Namespace prefix ('delivery:') -> listener entries for 'delivery:*' ('' for '*')
+        this.wildcardListeners = new Map();
+        
+        // Event name -> sorted entries (exact + matching wildcards), rebuilt after on/off
+        this.handlerCache = new Map();
+        
+        // Subscription counter (keeps equal-priority listeners in subscription order)
+        this.nextOrder = 0;
     }
 
     /**
      * Subscribe to an event
-     * @param {string} event - Event name
+     * Wildcards: 'delivery:*' matches every event in the delivery namespace (including
+     * 'delivery:warning:x'), '*' matches everything. Wildcard handlers receive the event
+     * name first: callback(event, ...args).
+     * @param {string} event - Event name or wildcard pattern
      * @param {Function} callback - Handler function
+     * @param {Object} [options]
+     * @param {number} [options.priority=0] - Higher runs first (see EventPriority)
      * @returns {Function} Unsubscribe function
      */
-    on(event, callback) {
-        if (!this.listeners.has(event)) {
-            this.listeners.set(event, []);
+    on(event, callback, { priority = EventPriority.NORMAL } = {}) {
+        const wildcardPrefix = this._getWildcardPrefix(event);
+        const map = wildcardPrefix !== null ? this.wildcardListeners : this.listeners;
+        const key = wildcardPrefix !== null ? wildcardPrefix : event;
+        
+        if (!map.has(key)) {
+            map.set(key, []);
         }
-        this.listeners.get(event).push(callback);
+        map.get(key).push({
+            callback,
+            priority,
+            order: this.nextOrder++,
+            wildcard: wildcardPrefix !== null
+        });
+        this.handlerCache.clear();
 
         // Return unsubscribe function
         return () => this.off(event, callback);
@@ -23,55 +55,119 @@ export class EventBus {
 
     /**
      * Subscribe to an event once
-     * @param {string} event - Event name
+     * @param {string} event - Event name or wildcard pattern
      * @param {Function} callback - Handler function
+     * @param {Object} [options] - Same as on()
+     * @returns {Function} Unsubscribe function
      */
-    once(event, callback) {
+    once(event, callback, options) {
         const wrapper = (...args) => {
             this.off(event, wrapper);
             callback(...args);
         };
-        this.on(event, wrapper);
+        return this.on(event, wrapper, options);
     }
 
     /**
      * Unsubscribe from an event
-     * @param {string} event - Event name
+     * @param {string} event - Event name or wildcard pattern
      * @param {Function} callback - Handler to remove
      */
     off(event, callback) {
-        if (!this.listeners.has(event)) return;
+        const wildcardPrefix = this._getWildcardPrefix(event);
+        const map = wildcardPrefix !== null ? this.wildcardListeners : this.listeners;
+        const key = wildcardPrefix !== null ? wildcardPrefix : event;
+        if (!map.has(key)) return;
         
-        const callbacks = this.listeners.get(event);
-        const index = callbacks.indexOf(callback);
+        const entries = map.get(key);
+        const index = entries.findIndex(entry => entry.callback === callback);
         if (index > -1) {
-            callbacks.splice(index, 1);
+            entries.splice(index, 1);
+            if (entries.length === 0) {
+                map.delete(key);
+            }
+            this.handlerCache.clear();
         }
     }
 
     /**
      * Emit an event to all subscribers
+     * A handler that throws is logged and skipped - the remaining handlers still run.
      * @param {string} event - Event name
      * @param {...any} args - Arguments to pass to handlers
      */
     emit(event, ...args) {
-        if (!this.listeners.has(event)) return;
+        const entries = this._getHandlers(event);
+        if (entries.length === 0) return;
         
-        for (const callback of this.listeners.get(event)) {
-            callback(...args);
+        // Entries is a snapshot - handlers may subscribe/unsubscribe while we iterate
+        for (const entry of entries) {
+            try {
+                if (entry.wildcard) {
+                    entry.callback(event, ...args);
+                } else {
+                    entry.callback(...args);
+                }
+            } catch (error) {
+                console.error(`EventBus: handler for "${event}" threw:`, error);
+            }
         }
     }
 
     /**
-     * Remove all listeners for an event (or all events)
-     * @param {string} [event] - Event name (optional)
+     * Check whether anything is listening for an event (wildcards included)
+     * @param {string} event - Event name
+     * @returns {boolean}
+     */
+    hasListeners(event) {
+        return this._getHandlers(event).length > 0;
+    }
+
+    /**
+     * Remove all listeners for an event or pattern (or all events)
+     * @param {string} [event] - Event name or wildcard pattern (optional)
      */
     clear(event) {
         if (event) {
-            this.listeners.delete(event);
+            const wildcardPrefix = this._getWildcardPrefix(event);
+            if (wildcardPrefix !== null) {
+                this.wildcardListeners.delete(wildcardPrefix);
+            } else {
+                this.listeners.delete(event);
+            }
         } else {
             this.listeners.clear();
+            this.wildcardListeners.clear();
         }
+        this.handlerCache.clear();
+    }
+
+    /**
+     * 'delivery:*' -> 'delivery:', '*' -> '', plain names -> null
+     */
+    _getWildcardPrefix(event) {
+        if (event === '*') return '';
+        if (event.endsWith(':*')) return event.slice(0, -1);
+        return null;
+    }
+
+    /**
+     * Handlers for an event in call order (cached until the next on/off)
+     */
+    _getHandlers(event) {
+        let entries = this.handlerCache.get(event);
+        if (entries) return entries;
+        
+        entries = [...(this.listeners.get(event) || [])];
+        for (const [prefix, wildcardEntries] of this.wildcardListeners) {
+            if (event.startsWith(prefix)) {
+                entries.push(...wildcardEntries);
+            }
+        }
+        entries.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+        
+        this.handlerCache.set(event, entries);
+        return entries;
     }
 }
 
@@ -88,6 +184,14 @@ export const Events = {
     INPUT_MENU_EXIT: 'input:menu:exit',
     INPUT_RESET_BOARD: 'input:reset:board',
     INPUT_MOVE: 'input:move',
+    INPUT_REPLAY_TOGGLE: 'input:replay:toggle',
+    INPUT_INSPECTOR_TOGGLE: 'input:inspector:toggle',
+    INPUT_PROFILER_TOGGLE: 'input:profiler:toggle',
+    INPUT_PAUSE: 'input:pause',
+    INPUT_NEXT_ORDER: 'input:order:next',
+    INPUT_ACTION: 'input:action', // { action, source } - any ActionMap action firing
+    INPUT_BINDINGS_CHANGED: 'input:bindings:changed',
+    INPUT_DEVICE_CHANGED: 'input:device:changed', // { device: 'keyboard'|'pad', controller, family } - prompts should redraw
     
     // Player events
     PLAYER_GROUNDED: 'player:grounded',
@@ -109,15 +213,41 @@ export const Events = {
     GAME_READY: 'game:ready',
     GAME_UPDATE: 'game:update',
     
+    // Game state machine events
+    STATE_ENTER: 'state:enter',
+    STATE_EXIT: 'state:exit',
+    STATE_CHANGED: 'state:changed',
+    STATE_DENIED: 'state:denied',
+    
+    // Save events
+    SAVE_LOADED: 'save:loaded',
+    SAVE_WRITTEN: 'save:written',
+    SAVE_CORRUPTED: 'save:corrupted',
+    
+    // Asset events
+    ASSET_PROGRESS: 'asset:progress',
+    ASSET_FAILED: 'asset:failed',
+    ASSETS_READY: 'asset:ready',
+    
+    // Quality events
+    QUALITY_CHANGED: 'quality:changed',
+    
+    // Settings events
+    SETTINGS_CHANGED: 'settings:changed',
+    
     // Delivery events
     DELIVERY_STARTED: 'delivery:started',
     DELIVERY_COMPLETED: 'delivery:completed',
     DELIVERY_FAILED: 'delivery:failed',
     DELIVERY_WARNING: 'delivery:warning',
-    PIZZA_PICKUP: 'pizza:pickup',
+    PIZZA_PICKUP: 'pizza:pickup', // { orders } - how many orders were loaded
+    INVENTORY_CHANGED: 'inventory:changed', // { count, capacity, activeOrderId }
+    DISPATCH_REACHED: 'dispatch:reached', // { offers } - courier rode up to Rico's dispatch board
+    CUSTOMER_RATED: 'customer:rated', // { orderId, stars, tip, reasons, courierRating }
+    NAVIGATION_REROUTED: 'navigation:rerouted', // { length } - courier left the GPS route, a new one was found
     
     // Collision events
-    PLAYER_COLLISION: 'player:collision',
+    PLAYER_COLLISION: 'player:collision', // { type: 'building'|'car'|'drone'|'pedestrian', intensity: 0-1 }
     
     // Upgrade events
     UPGRADE_PURCHASED: 'upgrade:purchased',
@@ -126,5 +256,11 @@ export const Events = {
     TRICK_STARTED: 'trick:started',
     TRICK_COMPLETED: 'trick:completed',
     TRICK_FAILED: 'trick:failed',
-    TRICK_COMBO: 'trick:combo'
+    TRICK_COMBO: 'trick:combo',
+    
+    // Replay events
+    GHOST_SAVED: 'ghost:saved',
+    REPLAY_STARTED: 'replay:started',
+    REPLAY_STOPPED: 'replay:stopped',
+    REPLAY_EVENT: 'replay:event'
 };
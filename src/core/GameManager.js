@@ -5,7 +5,11 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { AfterimagePass } from 'three/addons/postprocessing/AfterimagePass.js';
 import { EventBus, Events } from './EventBus.js';
+import { Random } from './Random.js';
+import { GameStateMachine, GameState, GameSystem, InputContext } from './GameStateMachine.js';
+import { SystemRegistry, SystemPhase } from './SystemRegistry.js';
 import { InputManager } from '../managers/InputManager.js';
+import { ScriptedInputManager } from '../managers/ScriptedInputManager.js';
 import { PhysicsManager } from '../managers/PhysicsManager.js';
 import { CameraController } from '../managers/CameraController.js';
 import { CityManager } from '../managers/CityManager.js';
@@ -22,12 +26,26 @@ import { DialogueManager } from '../managers/DialogueManager.js';
 import { EconomyManager } from '../managers/EconomyManager.js';
 import { SectorManager } from '../managers/SectorManager.js';
 import { UpgradeManager } from '../managers/UpgradeManager.js';
+import { DispatchManager } from '../managers/DispatchManager.js';
+import { CustomerManager } from '../managers/CustomerManager.js';
+import { NavigationManager } from '../managers/NavigationManager.js';
 import { TrickManager } from '../managers/TrickManager.js';
+import { ReplayManager } from '../managers/ReplayManager.js';
+import { EventInspectorManager } from '../managers/EventInspectorManager.js';
+import { ProfilerManager } from '../managers/ProfilerManager.js';
+import { MenuManager } from '../managers/MenuManager.js';
+import { SaveManager } from '../managers/SaveManager.js';
+import { QualityManager } from '../managers/QualityManager.js';
+import { SettingsManager } from '../managers/SettingsManager.js';
+import { RebindManager } from '../managers/RebindManager.js';
+import { TouchControlsManager } from '../managers/TouchControlsManager.js';
+import { HapticsManager } from '../managers/HapticsManager.js';
+import { AssetManager } from '../managers/AssetManager.js';
 import { Player } from '../entities/Player.js';
-import { WORLD, LIGHTING, PLAYER, SKY } from '../constants.js';
+import { WORLD, LIGHTING, PLAYER, SKY, SIMULATION } from '../constants.js';
 
 // Editor imports
-import { EditorManager, EditorMode, EditorTool } from '../editor/EditorManager.js';
+import { EditorManager, EditorMode, EditorTool, EditorEvents } from '../editor/EditorManager.js';
 import { EditorCamera } from '../editor/EditorCamera.js';
 import { EditorUI } from '../editor/EditorUI.js';
 import { SelectionManager } from '../editor/SelectionManager.js';
@@ -40,7 +58,21 @@ import { BuildingTool } from '../editor/tools/BuildingTool.js';
 import { RoadTool } from '../editor/tools/RoadTool.js';
 
 export class GameManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.seed] - Simulation seed (random if omitted)
+     * @param {boolean} [options.headless] - Simulation only: no renderer, DOM UI or asset loads
+     * @param {boolean} [options.npcs] - Headless only: include drones and pedestrians (default true)
+     * @param {Object} [options.upgrades] - Headless only: starting upgrade levels, e.g. { REPULSORS: 2 }
+     * @param {Function[]} [options.systems] - Extra systems: (gameManager) => descriptor, see SystemRegistry
+     */
+    constructor(options = {}) {
+        // Headless simulation (balancing, bots) - see _initHeadless()
+        this.headless = options.headless ?? false;
+        this.headlessNpcs = options.npcs ?? true;
+        this.headlessUpgrades = options.upgrades ?? {};
+        this.systemFactories = options.systems ?? [];
+        
         // Core Three.js objects
         this.scene = null;
         this.renderer = null;
@@ -54,7 +86,20 @@ export class GameManager {
         // Event system
         this.eventBus = new EventBus();
         
+        // Seeded RNG shared by every simulation system
+        this.random = new Random(options.seed ?? Random.createSeed());
+        
+        // Fixed-timestep simulation state
+        this.accumulator = 0;
+        this.simulationTick = 0;
+        this.interpolationAlpha = 1;
+        this.inputQueue = [];
+        this.previousPlayerPosition = new THREE.Vector3();
+        this.renderPlayerPosition = new THREE.Vector3();
+        this.simulatedPlayerPosition = new THREE.Vector3();
+        
         // Managers
+        this.assetManager = null;
         this.inputManager = null;
         this.physicsManager = null;
         this.cameraController = null;
@@ -63,6 +108,7 @@ export class GameManager {
         this.effectsManager = null;
         this.deliveryManager = null;
         this.minimapManager = null;
+        this.navigationManager = null;
         this.trafficManager = null;
         this.droneManager = null;
         this.pedestrianManager = null;
@@ -72,7 +118,19 @@ export class GameManager {
         this.economyManager = null;
         this.sectorManager = null;
         this.upgradeManager = null;
+        this.dispatchManager = null;
+        this.customerManager = null;
         this.trickManager = null;
+        this.replayManager = null;
+        this.eventInspector = null;
+        this.profiler = null;
+        this.menuManager = null;
+        this.saveManager = null;
+        this.qualityManager = null;
+        this.settingsManager = null;
+        this.rebindManager = null;
+        this.touchControlsManager = null;
+        this.hapticsManager = null;
         
         // Editor
         this.editorManager = null;
@@ -84,11 +142,13 @@ export class GameManager {
         // Momentum tracking
         this.momentumTimer = 0;
         
-        // Game state
-        this.isPaused = false;
+        // Game state (boot -> main menu -> playing <-> paused/dialogue/shop/summary/editor)
+        this.stateMachine = new GameStateMachine(this.eventBus);
         
-        // Update throttling (frame counters)
-        this.updateFrameCount = 0;
+        // Per-tick and per-frame systems (cadence, order and states declared per system)
+        this.systems = new SystemRegistry(this.stateMachine);
+        this.tickContext = { playerPosition: null, speed: 0, maxSpeed: PLAYER.MAX_SPEED };
+        this.frameContext = { playerPosition: null, speed: 0, maxSpeed: PLAYER.MAX_SPEED };
     }
 
     /**
@@ -96,6 +156,11 @@ export class GameManager {
      * @param {HTMLElement} container - Optional container element for the renderer
      */
     async init(container = null) {
+        if (this.headless) {
+            await this._initHeadless();
+            return;
+        }
+        
         // Store container reference
         this.container = container;
         
@@ -105,8 +170,8 @@ export class GameManager {
         // Create renderer
         this._setupRenderer();
         
-        // Setup post-processing (disabled by default for performance)
-        // this._setupPostProcessing();
+        // Post-processing (motion blur) is off by default for performance - QualityManager
+        // turns it on via setMotionBlurEnabled() on the presets that include it
         
         // Setup lighting
         this._setupLighting();
@@ -114,6 +179,10 @@ export class GameManager {
         // Create ground
         this._setupGround();
         
+        // Load every model and animation up front (progress goes to the loading screen)
+        this.assetManager = new AssetManager(this.eventBus);
+        await this.assetManager.preload();
+        
         // Initialize managers
         await this._initManagers();
         
@@ -126,7 +195,13 @@ export class GameManager {
         // Setup event listeners
         this._setupEventListeners();
         
-        // Try to load saved level
+        // Schedule manager updates
+        this._registerSystems();
+        
+        // Load the last used save slot into every registered section
+        this.saveManager.init();
+        
+        // Saved level
         if (this.editorManager.levelSerializer.hasSavedData()) {
             console.log('Found saved level data, will load on next edit mode entry');
         }
@@ -134,7 +209,87 @@ export class GameManager {
         // Emit ready event
         this.eventBus.emit(Events.GAME_READY);
         
-        console.log('Game initialized! Press F1 to enter level editor.');
+        console.log(`Game initialized with seed ${this.getSeed()}! Press F1 to enter level editor.`);
+    }
+
+    /**
+     * Initialize a simulation-only game (options.headless)
+     * Physics, delivery, economy, traffic and tricks run against a bare scene - no renderer,
+     * camera, DOM UI, audio, atmosphere, editor or model loads. Drive it through
+     * this.inputManager (a ScriptedInputManager) and step()/runUntil().
+     */
+    async _initHeadless() {
+        // Bare scene - entities still need a parent, but nothing is lit or drawn
+        this.scene = new THREE.Scene();
+        
+        // Scripted input instead of keyboard/gamepad
+        this.inputManager = new ScriptedInputManager(this.eventBus);
+        this.inputManager.init();
+        
+        // Physics
+        this.physicsManager = new PhysicsManager(this.eventBus);
+        
+        // City (buildings only - same layout as the full game for the same seed)
+        this.cityManager = new CityManager(this.scene, this.random);
+        
+        // NPCs (bodiless - positions and collisions only, the same seeded spawns as the full game)
+        this.trafficManager = new TrafficManager(this.scene, this.random);
+        this.trafficManager.setBodiless(true);
+        if (this.headlessNpcs) {
+            this.droneManager = new DroneManager(this.scene, this.random);
+            this.droneManager.setBodiless(true);
+            this.pedestrianManager = new PedestrianManager(this.scene, this.random);
+            this.pedestrianManager.setBodiless(true);
+        }
+        
+        // Economy (no summary UI, no save manager - never touches saved credits)
+        this.economyManager = new EconomyManager(this.eventBus);
+        
+        // Customers rate and tip (no save manager - the courier rating starts fresh)
+        this.customerManager = new CustomerManager(this.scene, this.eventBus);
+        this.customerManager.init();
+        
+        // Upgrades (no shop UI, requested levels instead of saved ones)
+        this.upgradeManager = new UpgradeManager(this.eventBus, this.economyManager);
+        this.upgradeManager.setUpgradeLevels(this.headlessUpgrades);
+        
+        // Trick system
+        this.trickManager = new TrickManager(this.eventBus);
+        this.trickManager.init();
+        
+        // Jump, boost, flight and board reset
+        this._setupGameplayInputListeners();
+        
+        // Buildings and collisions
+        this.cityManager.createCity();
+        this.physicsManager.setBuildings(this.cityManager.buildings);
+        
+        // Delivery system (no asset manager - the pizza has no model)
+        this.deliveryManager = new DeliveryManager(this.scene, this.eventBus, this.random);
+        this.deliveryManager.setPizzaShopPosition(this.cityManager.getPizzaShopPosition());
+        this.deliveryManager.setCustomerManager(this.customerManager);
+        this.deliveryManager.setDroneManager(this.droneManager);
+        this.deliveryManager.setCityLayout(this.cityManager.buildings);
+        await this.deliveryManager.init();
+        
+        // Dispatch board without its UI - the autopilot takes offers straight off it
+        this.dispatchManager = new DispatchManager(this.eventBus, this.random);
+        this.dispatchManager.setDeliveryManager(this.deliveryManager);
+        
+        // Upgrades touch physics, the order stack and offer clocks, so apply them once all exist
+        this.upgradeManager.setGameManager(this);
+        
+        // Player (no character or board models - Player.update works without them)
+        this.player = new Player(this.scene, this.eventBus);
+        this.player.setTrickManager(this.trickManager);
+        
+        // Simulation systems only - nothing registers for the frame phase without a renderer
+        this._registerSystems();
+        
+        // No menus headless - straight into play
+        this.stateMachine.transition(GameState.PLAYING);
+        
+        this.eventBus.emit(Events.GAME_READY);
     }
 
     _setupScene() {
@@ -262,6 +417,51 @@ export class GameManager {
         }
     }
 
+    /**
+     * Render resolution scale, capped at the display's own pixel ratio (quality settings)
+     * @param {number} ratio
+     */
+    setPixelRatio(ratio) {
+        const pixelRatio = Math.min(window.devicePixelRatio, ratio);
+        this.renderer.setPixelRatio(pixelRatio);
+        if (this.composer) {
+            this.composer.setPixelRatio(pixelRatio);
+        }
+    }
+
+    /**
+     * Resize the sun's shadow map; 0 turns sun shadows off (quality settings)
+     * @param {number} size - Power of two, or 0
+     */
+    setShadowMapSize(size) {
+        this.sunLight.castShadow = size > 0;
+        if (size > 0 && size !== this.sunLight.shadow.mapSize.width) {
+            this.sunLight.shadow.mapSize.set(size, size);
+            
+            // Three.js only allocates the map once - drop it so the next render makes a new one
+            if (this.sunLight.shadow.map) {
+                this.sunLight.shadow.map.dispose();
+                this.sunLight.shadow.map = null;
+            }
+        }
+    }
+
+    /**
+     * Build or tear down the motion blur composer (quality settings)
+     * @param {boolean} enabled
+     */
+    setMotionBlurEnabled(enabled) {
+        if (enabled && !this.composer) {
+            this._setupPostProcessing();
+            this.composer.setPixelRatio(this.renderer.getPixelRatio());
+            this.composer.setSize(window.innerWidth, window.innerHeight);
+        } else if (!enabled && this.composer) {
+            this.composer.dispose();
+            this.composer = null;
+            this.afterimagePass = null;
+        }
+    }
+
     _setupLighting() {
         // Ambient light - provides base illumination for all objects
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
@@ -364,8 +564,20 @@ export class GameManager {
     }
 
     async _initManagers() {
+        // Event inspector first, so it sees every event from startup (toggle with `)
+        this.eventInspector = new EventInspectorManager(this.eventBus);
+        this.eventInspector.init();
+        
+        // Profiler overlay (toggle with F3) - times every registered system
+        this.profiler = new ProfilerManager(this.eventBus);
+        this.profiler.init();
+        this.profiler.setGameManager(this);
+        this.systems.setProfiler(this.profiler);
+        
         // Input
         this.inputManager = new InputManager(this.eventBus);
+        this.inputManager.setStateMachine(this.stateMachine);
+        this.inputManager.setPointerLockElement(this.renderer.domElement);
         this.inputManager.init();
         
         // Physics
@@ -376,7 +588,7 @@ export class GameManager {
         this.cameraController.create(window.innerWidth / window.innerHeight);
         
         // City (init called after editor is set up)
-        this.cityManager = new CityManager(this.scene);
+        this.cityManager = new CityManager(this.scene, this.random);
         
         // UI
         this.uiManager = new UIManager();
@@ -386,13 +598,13 @@ export class GameManager {
         this.effectsManager = new EffectsManager(this.scene, this.eventBus);
         
         // Traffic system
-        this.trafficManager = new TrafficManager(this.scene);
+        this.trafficManager = new TrafficManager(this.scene, this.random);
         
         // Drone system
-        this.droneManager = new DroneManager(this.scene);
+        this.droneManager = new DroneManager(this.scene, this.random);
         
         // Pedestrian system
-        this.pedestrianManager = new PedestrianManager(this.scene);
+        this.pedestrianManager = new PedestrianManager(this.scene, this.random);
         
         // Audio system
         this.audioManager = new AudioManager(this.eventBus);
@@ -407,127 +619,156 @@ export class GameManager {
         this.sectorManager.setAtmosphereManager(this.atmosphereManager);
         this.sectorManager.init();
         
+        // Save slots (managers register their sections; loaded at the end of init)
+        this.saveManager = new SaveManager(this.eventBus);
+        
+        // Title screen, pause menu and save slot picker
+        this.menuManager = new MenuManager(this.eventBus);
+        this.menuManager.setStateMachine(this.stateMachine);
+        this.menuManager.setSaveManager(this.saveManager);
+        this.menuManager.init();
+        this.menuManager.setInputManager(this.inputManager);
+        
         // Dialogue system
         this.dialogueManager = new DialogueManager(this.eventBus);
+        this.dialogueManager.setStateMachine(this.stateMachine);
+        this.dialogueManager.setSaveManager(this.saveManager);
         this.dialogueManager.init();
+        this.dialogueManager.setInputManager(this.inputManager);
         
         // Economy system
         this.economyManager = new EconomyManager(this.eventBus);
+        this.economyManager.setStateMachine(this.stateMachine);
+        this.economyManager.setSaveManager(this.saveManager);
         this.economyManager.init();
         
         // Upgrade system
         this.upgradeManager = new UpgradeManager(this.eventBus, this.economyManager);
         this.upgradeManager.setGameManager(this);
+        this.upgradeManager.setStateMachine(this.stateMachine);
+        this.upgradeManager.setSaveManager(this.saveManager);
         this.upgradeManager.init();
         
+        // Customers at destinations: stars, tips and the courier rating
+        this.customerManager = new CustomerManager(this.scene, this.eventBus);
+        this.customerManager.setSaveManager(this.saveManager);
+        this.customerManager.init();
+        
+        // Rico's dispatch board (offers are drawn once the delivery manager's city exists)
+        this.dispatchManager = new DispatchManager(this.eventBus, this.random);
+        this.dispatchManager.setStateMachine(this.stateMachine);
+        this.dispatchManager.setInputManager(this.inputManager);
+        this.dispatchManager.init();
+        
         // Trick system
         this.trickManager = new TrickManager(this.eventBus);
         this.trickManager.init();
         
-        // Listen for dialogue events
-        this.eventBus.on('dialogue:start', () => this.pause());
-        this.eventBus.on('dialogue:end', () => this.resume());
-        
-        // Listen for summary events
-        this.eventBus.on('summary:shown', () => this.pause());
-        this.eventBus.on('summary:hidden', () => this.resume());
+        // Ghost replay system
+        this.replayManager = new ReplayManager(this.scene, this.eventBus);
+        this.replayManager.setSaveManager(this.saveManager);
+        this.replayManager.init();
+        
+        // Graphics presets and the adaptive quality governor (panel lives on the settings screen)
+        this.qualityManager = new QualityManager(this.eventBus);
+        this.qualityManager.setGameManager(this);
+        this.qualityManager.init();
+        this.menuManager.setQualityManager(this.qualityManager);
+        
+        // Gamepad rumble for bumps, landings, near misses and tricks
+        this.hapticsManager = new HapticsManager(this.eventBus);
+        this.hapticsManager.setInputManager(this.inputManager);
+        this.hapticsManager.setStateMachine(this.stateMachine);
+        this.hapticsManager.init();
+        
+        // Camera, audio mix and controller options
+        this.settingsManager = new SettingsManager(this.eventBus);
+        this.settingsManager.setGameManager(this);
+        this.settingsManager.init();
+        this.menuManager.setSettingsManager(this.settingsManager);
+        
+        // Key/button rebinding for the action map
+        this.rebindManager = new RebindManager(this.eventBus);
+        this.rebindManager.setInputManager(this.inputManager);
+        this.rebindManager.init();
+        this.menuManager.setRebindManager(this.rebindManager);
+        
+        // On-screen joystick and buttons (appear once the player touches the screen)
+        this.touchControlsManager = new TouchControlsManager(this.eventBus);
+        this.touchControlsManager.setInputManager(this.inputManager);
+        this.touchControlsManager.setStateMachine(this.stateMachine);
+        this.touchControlsManager.init();
+        
+        // Controls strip names the keys, or the connected pad's own buttons
+        const updateControls = () => this.uiManager.updateControls(this.inputManager);
+        this.eventBus.on(Events.INPUT_DEVICE_CHANGED, updateControls);
+        this.eventBus.on(Events.INPUT_BINDINGS_CHANGED, updateControls);
+        this.eventBus.on(Events.SETTINGS_CHANGED, updateControls);
+        updateControls();
+        
+        // Hide the HUD whenever something other than gameplay owns the screen
+        this.eventBus.on(Events.STATE_CHANGED, () => this._updateHudVisibility());
+        
+        // Rico's intro the first time the player leaves the title screen
+        this.stateMachine.onEnter(GameState.PLAYING, (data, from) => {
+            if (from === GameState.MAIN_MENU) {
+                setTimeout(() => this.dialogueManager?.showIntro(), 1500);
+            }
+        });
         
-        // Listen for shop events
-        this.eventBus.on('shop:opened', () => this.pause());
-        this.eventBus.on('shop:closed', () => this.resume());
+        // Pause toggle
+        this.eventBus.on(Events.INPUT_PAUSE, () => {
+            if (this.stateMachine.is(GameState.PAUSED)) {
+                this.resume();
+            } else if (this.stateMachine.isInputLive(InputContext.GAMEPLAY)) {
+                this.pause();
+            }
+        });
         
         // Shop toggle input (keyboard only - controller uses menu navigation)
         this.eventBus.on(Events.INPUT_SHOP_TOGGLE, () => {
-            if (this.upgradeManager && !this.inputManager.useController) {
-                if (this.upgradeManager.isOpen()) {
-                    this.upgradeManager.closeShop();
-                } else {
-                    this.upgradeManager.openShop();
-                }
+            if (!this.upgradeManager || this.inputManager.useController) return;
+            
+            if (this.upgradeManager.isOpen()) {
+                this.upgradeManager.closeShop();
+            } else if (this.stateMachine.isInputLive(InputContext.GAMEPLAY)) {
+                this.upgradeManager.openShop();
             }
         });
         
         // Summary toggle input (keyboard only - controller uses menu navigation)
         this.eventBus.on(Events.INPUT_SUMMARY, () => {
-            if (this.economyManager && !this.inputManager.useController) {
+            if (this.economyManager && !this.inputManager.useController &&
+                this.stateMachine.isInputLive(InputContext.GAMEPLAY)) {
                 this.economyManager.showSummary();
             }
         });
         
         // Menu navigation (Back button - swipe between shop and summary)
         this.eventBus.on(Events.INPUT_MENU_NAVIGATE, () => {
-            const shopOpen = this.upgradeManager?.isOpen() || false;
-            const summaryOpen = this.economyManager?.isSummaryOpen() || false;
-            
-            if (shopOpen) {
-                // Switch from shop to summary
-                this.upgradeManager.closeShop();
-                if (this.economyManager) {
-                    this.economyManager.showSummary();
-                }
-            } else if (summaryOpen) {
-                // Switch from summary to shop
-                this.economyManager.hideSummary();
-                if (this.upgradeManager) {
-                    this.upgradeManager.openShop();
-                }
-            } else {
+            if (this.upgradeManager?.isOpen()) {
+                // Shop -> summary (the machine closes the shop on the way)
+                this.economyManager?.showSummary();
+            } else if (this.economyManager?.isSummaryOpen()) {
+                // Summary -> shop
+                this.upgradeManager?.openShop();
+            } else if (this.stateMachine.isInputLive(InputContext.GAMEPLAY)) {
                 // No menu open - open shop first
-                if (this.upgradeManager) {
-                    this.upgradeManager.openShop();
-                }
+                this.upgradeManager?.openShop();
             }
         });
         
-        // Menu exit (B button - close any open menu)
+        // Menu exit (B button - close whichever menu is open)
         this.eventBus.on(Events.INPUT_MENU_EXIT, () => {
             if (this.upgradeManager?.isOpen()) {
                 this.upgradeManager.closeShop();
-            }
-            if (this.economyManager?.isSummaryOpen()) {
+            } else if (this.economyManager?.isSummaryOpen()) {
                 this.economyManager.hideSummary();
             }
         });
 
-        // Board reset input
-        this.eventBus.on(Events.INPUT_RESET_BOARD, () => {
-            if (!this.isPaused && this.trickManager) {
-                this.trickManager.resetBoardOrientation();
-            }
-        });
-        
-        // Speed boost input (B button release on controller)
-        this.eventBus.on(Events.INPUT_SPEED_BOOST, () => {
-            // Only trigger boost if no menu is open
-            const shopOpen = this.upgradeManager?.isOpen() || false;
-            const summaryOpen = this.economyManager?.isSummaryOpen() || false;
-            
-            if (!shopOpen && !summaryOpen) {
-                this.physicsManager.useSpeedBoost(this.player.aimYaw);
-            }
-        });
-        
-        // Flight input (double-tap A when charge is full)
-        this.eventBus.on(Events.INPUT_FLIGHT, () => {
-            // Only trigger flight if no menu is open and charge is full
-            const shopOpen = this.upgradeManager?.isOpen() || false;
-            const summaryOpen = this.economyManager?.isSummaryOpen() || false;
-            
-            if (!shopOpen && !summaryOpen) {
-                this.physicsManager.startFlight();
-            }
-        });
-        
-        // Listen for jump events (fires on spacebar release or single A tap)
-        this.eventBus.on(Events.INPUT_JUMP, () => {
-            if (!this.isPaused && this.physicsManager.isGrounded) {
-                this.physicsManager.jump();
-                // Trigger jump animation
-                if (this.player) {
-                    this.player.triggerJump();
-                }
-            }
-        });
+        // Jump, boost, flight and board reset
+        this._setupGameplayInputListeners();
         
         // Camera shake on flight start (takeoff)
         this.eventBus.on(Events.PLAYER_FLIGHT_START, () => {
@@ -589,6 +830,49 @@ export class GameManager {
         });
     }
 
+    /**
+     * Gameplay input events - queued and applied on the next simulation tick
+     */
+    _setupGameplayInputListeners() {
+        // Board reset input
+        this.eventBus.on(Events.INPUT_RESET_BOARD, () => {
+            if (this.stateMachine.isInputLive(InputContext.GAMEPLAY) && this.trickManager) {
+                this._queueInput(() => this.trickManager.resetBoardOrientation());
+            }
+        });
+        
+        // Speed boost input (B button release on controller)
+        this.eventBus.on(Events.INPUT_SPEED_BOOST, () => {
+            // B also closes menus - only boost while actually riding
+            if (this.stateMachine.isInputLive(InputContext.GAMEPLAY)) {
+                this._queueInput(() => this.physicsManager.useSpeedBoost(this.player.aimYaw));
+            }
+        });
+        
+        // Flight input (double-tap A when charge is full)
+        this.eventBus.on(Events.INPUT_FLIGHT, () => {
+            // Only trigger flight while riding (startFlight checks the charge)
+            if (this.stateMachine.isInputLive(InputContext.GAMEPLAY)) {
+                this._queueInput(() => this.physicsManager.startFlight());
+            }
+        });
+        
+        // Listen for jump events (fires on spacebar release or single A tap)
+        this.eventBus.on(Events.INPUT_JUMP, () => {
+            if (!this.stateMachine.isInputLive(InputContext.GAMEPLAY)) return;
+            
+            this._queueInput(() => {
+                if (this.physicsManager.isGrounded) {
+                    this.physicsManager.jump();
+                    // Trigger jump animation
+                    if (this.player) {
+                        this.player.triggerJump();
+                    }
+                }
+            });
+        });
+    }
+
     async _initEditor() {
         // Create editor manager
         this.editorManager = new EditorManager(this);
@@ -600,6 +884,7 @@ export class GameManager {
         const historyManager = new HistoryManager(this.editorManager);
         const gizmoManager = new GizmoManager(this.editorManager);
         const levelSerializer = new LevelSerializer(this.editorManager);
+        levelSerializer.setSaveManager(this.saveManager);
         
         // Set managers
         this.editorManager.setManagers({
@@ -627,6 +912,7 @@ export class GameManager {
         // Now that editor is ready, set it on city manager and create city
         this.cityManager.setEditorManager(this.editorManager);
         this.cityManager.setAtmosphereManager(this.atmosphereManager);
+        this.cityManager.setAssetManager(this.assetManager);
         this.cityManager.init();
         
         // Initialize delivery system after city is created
@@ -648,8 +934,25 @@ export class GameManager {
             } else {
                 this.editorGrid.hide();
                 selectionManager.disable();
+                // Back to riding - deliveries go to whatever was built
+                this._updateCityLayout();
             }
         });
+        this.editorManager.eventBus.on(EditorEvents.LEVEL_LOADED, () => this._updateCityLayout());
+    }
+
+    /**
+     * Re-address delivery destinations, redraw the dispatch board and rebuild the GPS road graph from the
+     * buildings and roads in the editor
+     */
+    _updateCityLayout() {
+        if (!this.deliveryManager) return;
+        
+        const objects = this.editorManager.objects;
+        const roads = objects.filter(object => object.type === 'road');
+        this.deliveryManager.setCityLayout(objects.filter(object => object.type !== 'road'), roads);
+        this.dispatchManager.redrawOffers();
+        this.navigationManager.setRoadGraph(this.deliveryManager.roadGraph);
     }
 
     async _initDeliverySystem() {
@@ -668,30 +971,34 @@ export class GameManager {
         this.physicsManager.setBuildings(this.cityManager.buildings);
         
         // Initialize delivery manager
-        this.deliveryManager = new DeliveryManager(this.scene, this.eventBus);
+        this.deliveryManager = new DeliveryManager(this.scene, this.eventBus, this.random);
         this.deliveryManager.setPizzaShopPosition(pizzaShopPos);
-        await this.deliveryManager.init();
-        
-        // Listen for delivery events
-        this.eventBus.on(Events.DELIVERY_STARTED, (data) => {
-            this.minimapManager.setDestination(data.destination);
-            this.minimapManager.setPizzaPosition(null);
-        });
-        
+        this.deliveryManager.setSectorManager(this.sectorManager);
+        this.deliveryManager.setCustomerManager(this.customerManager);
+        this.deliveryManager.setDroneManager(this.droneManager);
+        
+        // GPS route to the active order (street names come from the address book)
+        this.navigationManager = new NavigationManager(this.scene, this.eventBus);
+        this.navigationManager.setAddressBook(this.deliveryManager.addressBook);
+        this._updateCityLayout();
+        await this.deliveryManager.init({ assetManager: this.assetManager });
+        this.dispatchManager.setDeliveryManager(this.deliveryManager);
+        
+        // Listen for delivery events (minimap destinations follow the order stack in delivery-hud)
         this.eventBus.on(Events.DELIVERY_COMPLETED, (data) => {
-            this.minimapManager.setDestination(null);
             this.uiManager.showDeliveryResult(true, `DELIVERED! +${Math.ceil(data.timeRemaining)}s BONUS`);
         });
         
         this.eventBus.on(Events.DELIVERY_FAILED, () => {
-            this.minimapManager.setDestination(null);
             this.uiManager.showDeliveryResult(false, 'DELIVERY FAILED!');
         });
+        
+        this.eventBus.on(Events.CUSTOMER_RATED, (data) => this.uiManager.showCustomerRating(data));
     }
 
     async _createPlayer() {
         this.player = new Player(this.scene, this.eventBus);
-        await this.player.load();
+        await this.player.load(this.assetManager);
         
         // Set trick manager on player
         if (this.trickManager) {
@@ -700,6 +1007,15 @@ export class GameManager {
         
         // Create board glow effects attached to player
         this.effectsManager.createBoardGlow(this.player.getGroup());
+        
+        // Ghost copies the loaded player's look
+        if (this.replayManager) {
+            this.replayManager.setPlayer(this.player);
+        }
+        
+        // Start interpolation from the spawn point
+        this.previousPlayerPosition.copy(this.player.getPosition());
+        this.renderPlayerPosition.copy(this.player.getPosition());
     }
 
     _setupEventListeners() {
@@ -725,53 +1041,108 @@ export class GameManager {
     }
 
     /**
-     * Pause the game (called when entering edit mode)
+     * Open the pause menu
+     * @returns {boolean} False if the game can't pause right now (menu, dialogue or editor open)
      */
     pause() {
-        this.isPaused = true;
-        
-        // Hide game UI
-        const gameUI = document.getElementById('ui-overlay');
-        if (gameUI) gameUI.style.display = 'none';
-        
-        const controlsInfo = document.getElementById('controls-info');
-        if (controlsInfo) controlsInfo.style.display = 'none';
+        return this.stateMachine.transition(GameState.PAUSED);
     }
 
     /**
-     * Resume the game (called when exiting edit mode)
+     * Close the pause menu
      */
     resume() {
-        this.isPaused = false;
+        if (this.stateMachine.is(GameState.PAUSED)) {
+            this.stateMachine.transition(GameState.PLAYING);
+        }
+    }
+
+    /**
+     * Show or hide the game UI for the current state
+     */
+    _updateHudVisibility() {
+        const display = this.stateMachine.isHudVisible() ? 'block' : 'none';
         
-        // Show game UI
         const gameUI = document.getElementById('ui-overlay');
-        if (gameUI) gameUI.style.display = 'block';
+        if (gameUI) gameUI.style.display = display;
         
         const controlsInfo = document.getElementById('controls-info');
-        if (controlsInfo) controlsInfo.style.display = 'block';
+        if (controlsInfo) controlsInfo.style.display = display;
     }
 
     /**
-     * Main update loop
+     * Main update loop - advances the simulation in fixed ticks, then updates presentation
      */
     update() {
-        const rawDeltaTime = this.clock.getDelta();
+        const rawDeltaTime = Math.min(this.clock.getDelta(), SIMULATION.MAX_FRAME_TIME);
         
         // Update editor if in edit mode
-        if (this.editorManager?.mode === EditorMode.EDIT) {
+        if (this.stateMachine.isSystemActive(GameSystem.EDITOR)) {
+            const editorStart = performance.now();
             this.editorManager.update(rawDeltaTime);
+            this._recordProfile('editor', editorStart);
             return; // Skip game update in edit mode
         }
         
         if (!this.player || !this.player.isLoaded) return;
-        if (this.isPaused) return;
         
-        // Apply time dilation for juice effects
-        const deltaTime = this.physicsManager.updateTimeDilation(rawDeltaTime);
+        // Update input manager (polls gamepad state, emits button events) - also in menus
+        // and dialogue, where handlers check which InputContext is live
+        if (this.stateMachine.isSystemActive(GameSystem.INPUT)) {
+            const inputStart = performance.now();
+            this.inputManager.update();
+            this._recordProfile('input', inputStart);
+        }
         
-        // Update input manager (polls gamepad state)
-        this.inputManager.update();
+        // Menus, dialogue and the pause screen freeze the world
+        if (this.stateMachine.isSystemActive(GameSystem.SIMULATION)) {
+            this._advanceSimulation(rawDeltaTime);
+        }
+        
+        // Frame systems check their own states (PRESENTATION ones stop in menus)
+        this._updatePresentation(rawDeltaTime);
+    }
+
+    /**
+     * Run as many fixed ticks as real time allows
+     * @param {number} rawDeltaTime - Frame time in seconds
+     */
+    _advanceSimulation(rawDeltaTime) {
+        // Apply time dilation for juice effects (slows how fast simulation time accrues)
+        this.accumulator += this.physicsManager.updateTimeDilation(rawDeltaTime);
+        
+        // Step the simulation at a fixed rate so the same seed + inputs give the same run
+        let steps = 0;
+        while (this.accumulator >= SIMULATION.FIXED_TIMESTEP) {
+            // A tick can hand the screen to dialogue (failed delivery) - stop there
+            if (!this.stateMachine.isSystemActive(GameSystem.SIMULATION)) break;
+            
+            if (steps >= SIMULATION.MAX_STEPS_PER_FRAME) {
+                // Too far behind - drop the backlog rather than freeze
+                this.accumulator = 0;
+                break;
+            }
+            
+            this.previousPlayerPosition.copy(this.player.getPosition());
+            this.fixedUpdate(SIMULATION.FIXED_TIMESTEP);
+            this.accumulator -= SIMULATION.FIXED_TIMESTEP;
+            steps++;
+        }
+        
+        // How far we are between the last tick and the next one (for interpolated rendering)
+        this.interpolationAlpha = this.accumulator / SIMULATION.FIXED_TIMESTEP;
+    }
+
+    /**
+     * Advance the simulation by one fixed tick
+     * @param {number} deltaTime - Tick length in seconds (SIMULATION.FIXED_TIMESTEP)
+     */
+    fixedUpdate(deltaTime) {
+        this.simulationTick++;
+        const playerStart = performance.now();
+        
+        // Apply discrete inputs (jump, boost, flight...) at the tick boundary
+        this._flushInputQueue();
         
         // Get input
         const movementInput = this.inputManager.getMovementInput();
@@ -853,129 +1224,370 @@ export class GameManager {
             isFallingFromFlight
         );
         
-        // Update camera (with speed for shake effect)
-        this.cameraController.update(
-            this.player.getPosition(),
-            this.player.aimYaw,
-            this.player.aimPitch,
-            currentSpeed,
-            PLAYER.MAX_SPEED
-        );
+        this._recordProfile('player', playerStart);
+        
+        // Replay, NPCs, delivery and economy (see _registerSystems)
+        this.tickContext.playerPosition = this.player.getPosition();
+        this.tickContext.speed = currentSpeed;
+        this.systems.run(SystemPhase.TICK, deltaTime, this.tickContext);
+    }
+
+    /**
+     * Run the frame-phase systems (camera, effects, HUD, audio, atmosphere) once per rendered frame
+     * Each system decides which states it runs in - by default those with GameSystem.PRESENTATION.
+     * @param {number} deltaTime - Real frame time in seconds
+     */
+    _updatePresentation(deltaTime) {
+        this.frameContext.playerPosition = this._getInterpolatedPlayerPosition();
+        this.frameContext.speed = this.physicsManager.getSpeed();
+        this.systems.run(SystemPhase.FRAME, deltaTime, this.frameContext);
+    }
+
+    /**
+     * Add a per-tick or per-frame system (new managers plug in here instead of editing update())
+     * @param {Object} system - Descriptor, see SystemRegistry.register
+     * @returns {Function} Unregister function
+     */
+    registerSystem(system) {
+        return this.systems.register(system);
+    }
+
+    /**
+     * Register the built-in managers' updates, then any options.systems plugins
+     * Registration order is update order unless `after` says otherwise.
+     */
+    _registerSystems() {
+        // Simulation (every fixed tick, after the player has moved)
+        if (this.replayManager) {
+            this.registerSystem({
+                name: 'replay',
+                phase: SystemPhase.TICK,
+                update: (deltaTime, { playerPosition }) => {
+                    // Record the run and advance ghost playback
+                    this.replayManager.update(deltaTime, {
+                        position: playerPosition,
+                        aimYaw: this.player.aimYaw,
+                        aimPitch: this.player.aimPitch,
+                        boardRotation: this.trickManager.getBoardRotation()
+                    });
+                }
+            });
+        }
         
-        // Update motion blur based on speed and camera shake
-        const speedRatio = Math.min(1, currentSpeed / PLAYER.MAX_SPEED);
-        this._updateMotionBlur(speedRatio, this.cameraController.getShakeIntensity());
-        
-        // Update sun position for dynamic shadows
-        this._updateSunPosition(this.player.getPosition());
-        
-        // Update effects
-        this.effectsManager.update({
-            playerPosition: this.player.getPosition(),
-            aimYaw: this.player.aimYaw,
-            speed: this.physicsManager.getSpeed(),
-            maxSpeed: PLAYER.MAX_SPEED,
-            isGrounded: this.physicsManager.isGrounded,
-            chargeLevel: this.physicsManager.getChargeLevel(),
-            isCharged: this.physicsManager.isCharged()
+        // Traffic every tick - needed for collisions
+        this.registerSystem({
+            name: 'traffic',
+            phase: SystemPhase.TICK,
+            update: (deltaTime, { playerPosition }) => {
+                this.trafficManager.update(deltaTime, playerPosition);
+                this.physicsManager.setCarCollisions(this.trafficManager.getCarCollisions(playerPosition));
+            }
         });
         
-        // Update city LOD
-        this.cityManager.updateLOD(this.player.getPosition());
+        // Drones and pedestrians are slow movers - every 2nd tick is enough
+        if (this.droneManager) {
+            this.registerSystem({
+                name: 'drones',
+                phase: SystemPhase.TICK,
+                every: 2,
+                update: (deltaTime, { playerPosition }) => {
+                    this.droneManager.update(deltaTime, playerPosition);
+                    this.physicsManager.setDroneCollisions(this.droneManager.getDroneCollisions(playerPosition));
+                }
+            });
+        }
+        if (this.pedestrianManager) {
+            this.registerSystem({
+                name: 'pedestrians',
+                phase: SystemPhase.TICK,
+                every: 2,
+                update: (deltaTime, { playerPosition }) => {
+                    this.pedestrianManager.update(deltaTime, playerPosition);
+                    this.physicsManager.setPedestrianCollisions(
+                        this.pedestrianManager.getPedestrianCollisions(playerPosition)
+                    );
+                }
+            });
+        }
         
-        // Increment frame counter for throttling
-        this.updateFrameCount++;
+        // Customers see this tick's arrival speed before deliveries resolve
+        this.registerSystem({
+            name: 'customers',
+            phase: SystemPhase.TICK,
+            update: (deltaTime, { playerPosition, speed }) => {
+                this.customerManager.update(deltaTime, playerPosition, speed);
+            }
+        });
         
-        // Update traffic (every frame - needed for collisions)
-        if (this.trafficManager) {
-            this.trafficManager.update(deltaTime, this.player.getPosition());
-            
-            // Pass car collisions to physics
-            const carCollisions = this.trafficManager.getCarCollisions(this.player.getPosition());
-            this.physicsManager.setCarCollisions(carCollisions);
-        }
+        // Offers come and go and visits to the board begin and end before carried orders tick
+        this.registerSystem({
+            name: 'dispatch',
+            phase: SystemPhase.TICK,
+            after: ['customers'],
+            update: (deltaTime, { playerPosition }) => {
+                this.dispatchManager.update(deltaTime, playerPosition);
+            }
+        });
         
-        // Update drones (every 2nd frame)
-        if (this.droneManager && (this.updateFrameCount % 2 === 0)) {
-            this.droneManager.update(deltaTime * 2, this.player.getPosition());
-            
-            // Pass drone collisions to physics (always check collisions)
-            const droneCollisions = this.droneManager.getDroneCollisions(this.player.getPosition());
-            this.physicsManager.setDroneCollisions(droneCollisions);
+        this.registerSystem({
+            name: 'delivery',
+            phase: SystemPhase.TICK,
+            after: ['dispatch'],
+            update: (deltaTime, { playerPosition, speed, maxSpeed }) => {
+                this.deliveryManager.update(deltaTime, playerPosition, speed, maxSpeed);
+            }
+        });
+        
+        // Economy tracks the run once the tick's deliveries have resolved
+        this.registerSystem({
+            name: 'economy',
+            phase: SystemPhase.TICK,
+            after: ['delivery'],
+            update: (deltaTime, { playerPosition, speed }) => {
+                this.economyManager.update(deltaTime, {
+                    altitude: playerPosition.y,
+                    speed
+                });
+            }
+        });
+        
+        // Presentation (every rendered frame; none of this exists headless)
+        if (!this.headless) {
+            this._registerPresentationSystems();
         }
         
-        // Update pedestrians (every 2nd frame)
-        if (this.pedestrianManager && (this.updateFrameCount % 2 === 0)) {
-            this.pedestrianManager.update(deltaTime * 2, this.player.getPosition());
-            
-            // Pass pedestrian collisions to physics (always check collisions)
-            const pedCollisions = this.pedestrianManager.getPedestrianCollisions(this.player.getPosition());
-            this.physicsManager.setPedestrianCollisions(pedCollisions);
+        for (const createSystem of this.systemFactories) {
+            this.registerSystem(createSystem(this));
         }
+    }
+
+    _registerPresentationSystems() {
+        this.registerSystem({
+            name: 'camera',
+            phase: SystemPhase.FRAME,
+            update: (deltaTime, { playerPosition, speed, maxSpeed }) => {
+                this.cameraController.update(
+                    playerPosition,
+                    this.player.aimYaw,
+                    this.player.aimPitch,
+                    speed,
+                    maxSpeed
+                );
+            }
+        });
         
-        // Update UI
-        this.uiManager.update({
-            speed: this.physicsManager.getSpeed(),
-            altitude: this.player.getPosition().y,
-            flyEnergyRatio: this.physicsManager.getFlightEnergyRatio(),
-            isFlying: this.physicsManager.isFlying,
-            isGrounded: this.physicsManager.isGrounded,
-            chargeLevel: this.physicsManager.getChargeLevel(),
-            isCharged: this.physicsManager.isCharged()
+        // Motion blur follows speed and the camera's shake
+        this.registerSystem({
+            name: 'motion-blur',
+            phase: SystemPhase.FRAME,
+            after: ['camera'],
+            update: (deltaTime, { speed, maxSpeed }) => {
+                const speedRatio = Math.min(1, speed / maxSpeed);
+                this._updateMotionBlur(speedRatio, this.cameraController.getShakeIntensity());
+            }
         });
         
-        // Update delivery system
-        if (this.deliveryManager) {
-            this.deliveryManager.update(deltaTime, this.player.getPosition(), currentSpeed, PLAYER.MAX_SPEED);
-            
-            // Update delivery UI
-            const deliveryState = this.deliveryManager.getState();
-            this.uiManager.updateDelivery(deliveryState);
-            
-            // Update minimap with pizza position
-            this.minimapManager.setPizzaPosition(deliveryState.pizzaPosition);
-        }
+        // Sun follows the player for dynamic shadows
+        this.registerSystem({
+            name: 'sun',
+            phase: SystemPhase.FRAME,
+            update: (deltaTime, { playerPosition }) => this._updateSunPosition(playerPosition)
+        });
         
-        // Update minimap
-        if (this.minimapManager) {
-            this.minimapManager.updatePlayer(this.player.getPosition(), this.player.aimYaw);
-            this.minimapManager.render();
-        }
+        this.registerSystem({
+            name: 'effects',
+            phase: SystemPhase.FRAME,
+            update: (deltaTime, { playerPosition, speed, maxSpeed }) => {
+                this.effectsManager.update({
+                    playerPosition,
+                    aimYaw: this.player.aimYaw,
+                    speed,
+                    maxSpeed,
+                    isGrounded: this.physicsManager.isGrounded,
+                    chargeLevel: this.physicsManager.getChargeLevel(),
+                    isCharged: this.physicsManager.isCharged()
+                });
+            }
+        });
         
-        // Update audio
-        if (this.audioManager) {
-            this.audioManager.update(
-                currentSpeed,
-                PLAYER.MAX_SPEED,
-                this.physicsManager.isGrounded,
-                this.player.getPosition().y
-            );
-        }
+        this.registerSystem({
+            name: 'city-lod',
+            phase: SystemPhase.FRAME,
+            update: (deltaTime, { playerPosition }) => this.cityManager.updateLOD(playerPosition)
+        });
         
-        // Update atmosphere (every 3rd frame)
-        if (this.atmosphereManager && (this.updateFrameCount % 3 === 0)) {
-            this.atmosphereManager.update(deltaTime * 3, this.player.getPosition());
-        }
+        this.registerSystem({
+            name: 'hud',
+            phase: SystemPhase.FRAME,
+            update: (deltaTime, { playerPosition, speed }) => {
+                this.uiManager.update({
+                    speed,
+                    altitude: playerPosition.y,
+                    flyEnergyRatio: this.physicsManager.getFlightEnergyRatio(),
+                    isFlying: this.physicsManager.isFlying,
+                    isGrounded: this.physicsManager.isGrounded,
+                    chargeLevel: this.physicsManager.getChargeLevel(),
+                    isCharged: this.physicsManager.isCharged()
+                });
+            }
+        });
         
-        // Update economy tracking
-        if (this.economyManager) {
-            this.economyManager.update(deltaTime, {
-                altitude: this.player.getPosition().y,
-                speed: currentSpeed
-            });
+        // Delivery HUD, and the pizza's and orders' positions for the minimap
+        this.registerSystem({
+            name: 'delivery-hud',
+            phase: SystemPhase.FRAME,
+            after: ['hud'],
+            update: () => {
+                const deliveryState = this.deliveryManager.getState();
+                this.uiManager.updateDelivery(deliveryState);
+                this.minimapManager.setPizzaPosition(deliveryState.pizzaPosition);
+                this.minimapManager.setDestinations(deliveryState.orders);
+            }
+        });
+        
+        this.registerSystem({
+            name: 'delivery-markers',
+            phase: SystemPhase.FRAME,
+            update: (deltaTime) => this.deliveryManager.animateMarkers(deltaTime)
+        });
+        
+        // Distant NPCs are hidden, not despawned - what's drawn never feeds back into the seeded simulation
+        this.registerSystem({
+            name: 'npc-visibility',
+            phase: SystemPhase.FRAME,
+            update: (deltaTime, { playerPosition }) => {
+                this.trafficManager.updateVisibility(playerPosition);
+                if (this.droneManager) this.droneManager.updateVisibility(playerPosition);
+                if (this.pedestrianManager) this.pedestrianManager.updateVisibility(playerPosition);
+            }
+        });
+        
+        // GPS follows the player every frame; re-routes are rare, so the A* cost only lands now and then
+        this.registerSystem({
+            name: 'navigation',
+            phase: SystemPhase.FRAME,
+            after: ['delivery-hud'],
+            update: (deltaTime, { playerPosition }) => {
+                const activeOrder = this.deliveryManager.getActiveOrder();
+                this.navigationManager.update(deltaTime, playerPosition, activeOrder ? activeOrder.destination : null);
+                this.uiManager.updateNavigation(this.navigationManager.getNextTurn());
+                this.minimapManager.setRoute(this.navigationManager.getRoute());
+            }
+        });
+        
+        this.registerSystem({
+            name: 'minimap',
+            phase: SystemPhase.FRAME,
+            after: ['navigation'],
+            update: (deltaTime, { playerPosition }) => {
+                this.minimapManager.updatePlayer(playerPosition, this.player.aimYaw);
+                this.minimapManager.render();
+            }
+        });
+        
+        this.registerSystem({
+            name: 'audio',
+            phase: SystemPhase.FRAME,
+            update: (deltaTime, { playerPosition, speed, maxSpeed }) => {
+                this.audioManager.update(
+                    speed,
+                    maxSpeed,
+                    this.physicsManager.isGrounded,
+                    playerPosition.y
+                );
+            }
+        });
+        
+        // Atmosphere particles barely change frame to frame - every 3rd frame
+        this.registerSystem({
+            name: 'atmosphere',
+            phase: SystemPhase.FRAME,
+            every: 3,
+            update: (deltaTime, { playerPosition }) => this.atmosphereManager.update(deltaTime, playerPosition)
+        });
+    }
+
+    /**
+     * Player position blended between the previous and current simulation tick
+     * @returns {THREE.Vector3}
+     */
+    _getInterpolatedPlayerPosition() {
+        return this.renderPlayerPosition.lerpVectors(
+            this.previousPlayerPosition,
+            this.player.getPosition(),
+            this.interpolationAlpha
+        );
+    }
+
+    /**
+     * Defer a discrete input action to the start of the next simulation tick
+     * @param {Function} action
+     */
+    _queueInput(action) {
+        this.inputQueue.push(action);
+    }
+
+    /**
+     * Run queued input actions in the order they arrived
+     */
+    _flushInputQueue() {
+        if (this.inputQueue.length === 0) return;
+        
+        const actions = this.inputQueue;
+        this.inputQueue = [];
+        for (const action of actions) {
+            action();
+        }
+    }
+
+    /**
+     * Advance a headless simulation by whole ticks, as fast as possible (no presentation)
+     * Time dilation is skipped - it only changes how fast real time maps to ticks.
+     * @param {number} [ticks=1]
+     */
+    step(ticks = 1) {
+        for (let i = 0; i < ticks; i++) {
+            this.inputManager.update();
+            this.fixedUpdate(SIMULATION.FIXED_TIMESTEP);
         }
     }
 
+    /**
+     * Step a headless simulation until a condition holds or the tick budget runs out
+     * @param {Function} predicate - (gameManager) => boolean, checked after every tick
+     * @param {number} maxTicks - Give up after this many ticks
+     * @returns {number} Ticks simulated
+     */
+    runUntil(predicate, maxTicks) {
+        let ticks = 0;
+        while (ticks < maxTicks) {
+            this.step();
+            ticks++;
+            if (predicate(this)) break;
+        }
+        return ticks;
+    }
+
+    /**
+     * Get the seed this run's simulation RNG started from
+     * @returns {number}
+     */
+    getSeed() {
+        return this.random.getSeed();
+    }
+
     /**
      * Animation loop
      */
     animate() {
         this.animationFrameId = requestAnimationFrame(() => this.animate());
         
+        this.profiler.beginFrame();
         this.update();
         
         // Render with appropriate camera and effects
-        if (this.editorManager?.mode === EditorMode.EDIT) {
+        const renderStart = performance.now();
+        if (this.stateMachine.is(GameState.EDITOR)) {
             // Editor mode: simple render without post-processing
             const camera = this.editorManager.editorCamera.camera;
             this.renderer.render(this.scene, camera);
@@ -983,6 +1595,13 @@ export class GameManager {
             // Game mode: use composer with motion blur
             const camera = this.cameraController.getCamera();
             
+            // Draw the player at its interpolated position, then restore the simulated one
+            const playerPosition = this.player?.isLoaded ? this.player.getPosition() : null;
+            if (playerPosition) {
+                this.simulatedPlayerPosition.copy(playerPosition);
+                playerPosition.copy(this.renderPlayerPosition);
+            }
+            
             // Update composer's render pass camera
             if (this.composer && this.composer.passes[0]) {
                 this.composer.passes[0].camera = camera;
@@ -996,6 +1615,24 @@ export class GameManager {
                 // Skip post-processing if blur is minimal
                 this.renderer.render(this.scene, camera);
             }
+            
+            if (playerPosition) {
+                playerPosition.copy(this.simulatedPlayerPosition);
+            }
+        }
+        
+        this._recordProfile('render', renderStart);
+        this.profiler.endFrame();
+    }
+
+    /**
+     * Report the time since `start` to the profiler (ignored unless it is measuring)
+     * @param {string} name - Row in the profiler's system table
+     * @param {number} start - performance.now() when the work began
+     */
+    _recordProfile(name, start) {
+        if (this.profiler) {
+            this.profiler.record(name, performance.now() - start);
         }
     }
 
@@ -1005,12 +1642,8 @@ export class GameManager {
     start() {
         this.animate();
         
-        // Show intro dialogue after a short delay
-        setTimeout(() => {
-            if (this.dialogueManager) {
-                this.dialogueManager.showIntro();
-            }
-        }, 1500);
+        // Title screen (Rico's intro follows once the player rides)
+        this.stateMachine.transition(GameState.MAIN_MENU);
     }
 
     /**
@@ -1026,6 +1659,34 @@ export class GameManager {
         if (this.inputManager) {
             this.inputManager.destroy();
         }
+        if (this.replayManager) {
+            this.replayManager.dispose();
+        }
+        if (this.eventInspector) {
+            this.eventInspector.dispose();
+        }
+        if (this.profiler) {
+            this.profiler.dispose();
+        }
+        if (this.menuManager) {
+            this.menuManager.dispose();
+        }
+        if (this.touchControlsManager) {
+            this.touchControlsManager.dispose();
+        }
+        if (this.customerManager) {
+            this.customerManager.dispose();
+        }
+        if (this.navigationManager) {
+            this.navigationManager.dispose();
+        }
+        if (this.dispatchManager) {
+            this.dispatchManager.dispose();
+        }
+        if (this.saveManager) {
+            this.saveManager.dispose();
+        }
+        this.systems.dispose();
 
         // Dispose Three.js resources
         if (this.renderer) {
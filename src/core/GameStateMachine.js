@@ -0,0 +1,262 @@
+// GameStateMachine - Single source of truth for what the game is doing (menus, play, shop, dialogue, editor)
+
+import { Events } from './EventBus.js';
+
+export const GameState = {
+    BOOT: 'boot',
+    MAIN_MENU: 'main_menu',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    DIALOGUE: 'dialogue',
+    SHOP: 'shop',
+    DISPATCH: 'dispatch',
+    SUMMARY: 'summary',
+    EDITOR: 'editor'
+};
+
+// Groups of per-frame work GameManager runs (or skips) depending on state
+export const GameSystem = {
+    INPUT: 'input',               // Gamepad polling (handlers still check InputContext)
+    SIMULATION: 'simulation',     // Fixed-tick physics, NPCs, deliveries
+    PRESENTATION: 'presentation', // Camera, animation, HUD, atmosphere
+    EDITOR: 'editor'              // Editor camera and tools
+};
+
+// Which input handlers are allowed to act
+export const InputContext = {
+    GAMEPLAY: 'gameplay',
+    MENU: 'menu',
+    DIALOGUE: 'dialogue',
+    EDITOR: 'editor'
+};
+
+/**
+ * Per-state rules
+ *   systems - what GameManager updates each frame
+ *   inputs  - which input contexts are live
+ *   hud     - whether the gameplay HUD/controls bar is shown
+ *   next    - states this one may transition to (anything else is refused)
+ */
+const STATE_RULES = {
+    [GameState.BOOT]: {
+        systems: [],
+        inputs: [],
+        hud: false,
+        next: [GameState.MAIN_MENU, GameState.PLAYING]
+    },
+    [GameState.MAIN_MENU]: {
+        systems: [GameSystem.INPUT],
+        inputs: [InputContext.MENU],
+        hud: false,
+        next: [GameState.PLAYING]
+    },
+    [GameState.PLAYING]: {
+        systems: [GameSystem.INPUT, GameSystem.SIMULATION, GameSystem.PRESENTATION],
+        inputs: [InputContext.GAMEPLAY],
+        hud: true,
+        next: [GameState.PAUSED, GameState.DIALOGUE, GameState.SHOP, GameState.DISPATCH, GameState.SUMMARY, GameState.EDITOR]
+    },
+    [GameState.PAUSED]: {
+        systems: [GameSystem.INPUT],
+        inputs: [InputContext.MENU],
+        hud: false,
+        next: [GameState.PLAYING, GameState.MAIN_MENU]
+    },
+    [GameState.DIALOGUE]: {
+        systems: [GameSystem.INPUT],
+        inputs: [InputContext.DIALOGUE],
+        hud: false,
+        next: [GameState.PLAYING]
+    },
+    [GameState.SHOP]: {
+        systems: [GameSystem.INPUT],
+        inputs: [InputContext.MENU],
+        hud: false,
+        next: [GameState.PLAYING, GameState.SUMMARY]
+    },
+    // Rico's dispatch board - the world waits while the player picks orders
+    [GameState.DISPATCH]: {
+        systems: [GameSystem.INPUT],
+        inputs: [InputContext.MENU],
+        hud: false,
+        next: [GameState.PLAYING]
+    },
+    [GameState.SUMMARY]: {
+        systems: [GameSystem.INPUT],
+        inputs: [InputContext.MENU],
+        hud: false,
+        next: [GameState.PLAYING, GameState.SHOP]
+    },
+    [GameState.EDITOR]: {
+        systems: [GameSystem.EDITOR],
+        inputs: [InputContext.EDITOR],
+        hud: false,
+        next: [GameState.PLAYING]
+    }
+};
+
+/**
+ * Managers register enter/exit hooks for the states they own and request transitions;
+ * the machine refuses transitions the rules don't allow (e.g. opening the shop mid-dialogue).
+ *
+ *   stateMachine.onEnter(GameState.SHOP, () => showShop());
+ *   stateMachine.transition(GameState.SHOP); // false if not allowed right now
+ */
+export class GameStateMachine {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        
+        this.state = GameState.BOOT;
+        this.previousState = null;
+        
+        // state -> [callback(data, otherState)]
+        this.enterHooks = new Map();
+        this.exitHooks = new Map();
+        
+        // Transitions requested from inside hooks run once the current one finishes
+        this.isTransitioning = false;
+        this.pendingTransitions = [];
+    }
+
+    /**
+     * Run a callback whenever a state is entered
+     * @param {string} state - GameState value
+     * @param {Function} callback - (data, fromState) => void
+     * @returns {Function} Unregister function
+     */
+    onEnter(state, callback) {
+        return this._addHook(this.enterHooks, state, callback);
+    }
+
+    /**
+     * Run a callback whenever a state is left
+     * @param {string} state - GameState value
+     * @param {Function} callback - (data, toState) => void
+     * @returns {Function} Unregister function
+     */
+    onExit(state, callback) {
+        return this._addHook(this.exitHooks, state, callback);
+    }
+
+    _addHook(hooks, state, callback) {
+        if (!STATE_RULES[state]) {
+            throw new Error(`GameStateMachine: unknown state "${state}"`);
+        }
+        if (!hooks.has(state)) {
+            hooks.set(state, []);
+        }
+        hooks.get(state).push(callback);
+        
+        return () => {
+            const callbacks = hooks.get(state);
+            const index = callbacks.indexOf(callback);
+            if (index !== -1) callbacks.splice(index, 1);
+        };
+    }
+
+    /**
+     * Whether the current state may move to another
+     * @param {string} state - GameState value
+     * @returns {boolean}
+     */
+    canTransition(state) {
+        return STATE_RULES[this.state].next.includes(state);
+    }
+
+    /**
+     * Move to another state: exit hooks, enter hooks, then Events.STATE_CHANGED
+     * @param {string} state - GameState value
+     * @param {*} [data] - Passed to hooks and events
+     * @returns {boolean} False if the transition isn't allowed from the current state
+     */
+    transition(state, data = null) {
+        if (this.isTransitioning) {
+            // Requested by a hook - decide once the current transition has finished
+            this.pendingTransitions.push({ state, data });
+            return true;
+        }
+        
+        if (!this.canTransition(state)) {
+            this.eventBus.emit(Events.STATE_DENIED, { from: this.state, to: state });
+            return false;
+        }
+        
+        const from = this.state;
+        this.isTransitioning = true;
+        
+        this._runHooks(this.exitHooks, from, data, state);
+        this.eventBus.emit(Events.STATE_EXIT, from, state);
+        
+        this.previousState = from;
+        this.state = state;
+        
+        this._runHooks(this.enterHooks, state, data, from);
+        this.eventBus.emit(Events.STATE_ENTER, state, from);
+        this.eventBus.emit(Events.STATE_CHANGED, { from, to: state, data });
+        
+        this.isTransitioning = false;
+        
+        // Run anything hooks asked for (in order)
+        while (this.pendingTransitions.length > 0) {
+            const next = this.pendingTransitions.shift();
+            this.transition(next.state, next.data);
+        }
+        
+        return true;
+    }
+
+    _runHooks(hooks, state, data, otherState) {
+        const callbacks = hooks.get(state);
+        if (!callbacks) return;
+        
+        for (const callback of [...callbacks]) {
+            try {
+                callback(data, otherState);
+            } catch (error) {
+                console.error(`GameStateMachine: hook for "${state}" threw:`, error);
+            }
+        }
+    }
+
+    /**
+     * @returns {string} Current GameState value
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Whether the current state is one of the given states
+     * @param {...string} states - GameState values
+     * @returns {boolean}
+     */
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    /**
+     * Whether a system should update in the current state
+     * @param {string} system - GameSystem value
+     * @returns {boolean}
+     */
+    isSystemActive(system) {
+        return STATE_RULES[this.state].systems.includes(system);
+    }
+
+    /**
+     * Whether input handlers of a context should act in the current state
+     * @param {string} context - InputContext value
+     * @returns {boolean}
+     */
+    isInputLive(context) {
+        return STATE_RULES[this.state].inputs.includes(context);
+    }
+
+    /**
+     * Whether the gameplay HUD should be visible in the current state
+     * @returns {boolean}
+     */
+    isHudVisible() {
+        return STATE_RULES[this.state].hud;
+    }
+}
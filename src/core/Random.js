@@ -0,0 +1,104 @@
+// Random - Seeded pseudo-random number generator shared by all simulation systems
+// Same seed + same inputs = same run (used to reproduce bugs and balance deliveries)
+
+export class Random {
+    /**
+     * @param {number} [seed] - 32-bit seed (random if omitted)
+     */
+    constructor(seed = Random.createSeed()) {
+        this.seed = 0;
+        this.state = 0;
+        this.setSeed(seed);
+    }
+
+    /**
+     * Create a fresh seed for a new run
+     * @returns {number}
+     */
+    static createSeed() {
+        return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+    }
+
+    /**
+     * Reset the generator to a seed
+     * @param {number} seed - 32-bit seed
+     */
+    setSeed(seed) {
+        this.seed = Number(seed) >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the seed this run started from
+     * @returns {number}
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get the internal state (for snapshots)
+     * @returns {number}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore the internal state from a snapshot
+     * @param {number} state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     * Uses mulberry32 (fast, 32-bit state, good enough distribution for gameplay)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [0, count)
+     * @param {number} count
+     * @returns {number}
+     */
+    int(count) {
+        return Math.floor(this.next() * count);
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array
+     * @returns {*}
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - 0-1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
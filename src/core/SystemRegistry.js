@@ -0,0 +1,240 @@
+// SystemRegistry - Schedules per-tick and per-frame systems from their declared cadence, dependencies and states
+
+import { GameSystem } from './GameStateMachine.js';
+
+// When a system's update runs
+export const SystemPhase = {
+    TICK: 'tick',   // Inside each fixed simulation tick (after the player has moved)
+    FRAME: 'frame'  // Once per rendered frame (camera, HUD, audio, atmosphere)
+};
+
+// GameSystem group a phase follows when a system doesn't list its own states
+const PHASE_GROUPS = {
+    [SystemPhase.TICK]: GameSystem.SIMULATION,
+    [SystemPhase.FRAME]: GameSystem.PRESENTATION
+};
+
+/**
+ * Systems are plain descriptors, so new ones (weather, heat, quests) plug in without
+ * touching GameManager:
+ *
+ *   gameManager.registerSystem({
+ *       name: 'weather',
+ *       phase: SystemPhase.FRAME,
+ *       every: 4,                    // every 4th frame, deltaTime covers all 4
+ *       after: ['atmosphere'],       // runs after these (same phase, must be registered)
+ *       states: [GameState.PLAYING], // default: wherever the phase's GameSystem is active
+ *       update: (deltaTime, context) => weather.update(deltaTime, context.playerPosition),
+ *       dispose: () => weather.dispose()
+ *   });
+ */
+export class SystemRegistry {
+    constructor(stateMachine) {
+        this.stateMachine = stateMachine;
+        
+        // name -> entry (descriptor + scheduling state), in registration order
+        this.systems = new Map();
+        
+        // phase -> entries in dependency order (rebuilt after register/unregister)
+        this.orderCache = new Map();
+        
+        // phase -> number of times run() was called
+        this.runCounts = new Map();
+        
+        // Optional ProfilerManager - times each update while it is measuring
+        this.profiler = null;
+    }
+
+    /**
+     * Add a system
+     * @param {Object} system
+     * @param {string} system.name - Unique name (used by other systems' `after`)
+     * @param {string} system.phase - SystemPhase value
+     * @param {Function} system.update - (deltaTime, context) => void
+     * @param {number} [system.every=1] - Run on every Nth tick/frame of its phase
+     * @param {number} [system.offset=0] - Which of those N it runs on (spread heavy systems out)
+     * @param {string[]} [system.after] - Systems that must update first
+     * @param {string[]} [system.states] - GameState values it runs in
+     * @param {Function} [system.dispose] - Called when the registry is disposed
+     * @returns {Function} Unregister function
+     */
+    register(system) {
+        const { name, phase, update, every = 1, offset = 0, after = [], states = null } = system;
+        
+        if (!name || this.systems.has(name)) {
+            throw new Error(`SystemRegistry: system name "${name}" is missing or already registered`);
+        }
+        if (!PHASE_GROUPS[phase]) {
+            throw new Error(`SystemRegistry: "${name}" has unknown phase "${phase}"`);
+        }
+        if (typeof update !== 'function') {
+            throw new Error(`SystemRegistry: "${name}" has no update function`);
+        }
+        if (!Number.isInteger(every) || every < 1 || !Number.isInteger(offset) || offset < 0 || offset >= every) {
+            throw new Error(`SystemRegistry: "${name}" needs every >= 1 and 0 <= offset < every`);
+        }
+        
+        this.systems.set(name, {
+            system,
+            name,
+            phase,
+            every,
+            offset,
+            after,
+            states,
+            enabled: true,
+            elapsed: 0
+        });
+        this.orderCache.clear();
+        
+        return () => this.unregister(name);
+    }
+
+    /**
+     * Remove a system (its dispose is not called)
+     * @param {string} name
+     */
+    unregister(name) {
+        if (this.systems.delete(name)) {
+            this.orderCache.clear();
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.systems.has(name);
+    }
+
+    /**
+     * Switch a system off without unregistering it (keeps its place in the order)
+     * @param {string} name
+     * @param {boolean} enabled
+     */
+    setEnabled(name, enabled) {
+        const entry = this.systems.get(name);
+        if (entry) {
+            entry.enabled = enabled;
+            entry.elapsed = 0;
+        }
+    }
+
+    /**
+     * Report each system's update time to a profiler (record(name, ms), isActive)
+     * @param {Object} profiler
+     */
+    setProfiler(profiler) {
+        this.profiler = profiler;
+    }
+
+    /**
+     * Update every system of a phase that is due and allowed in the current state
+     * @param {string} phase - SystemPhase value
+     * @param {number} deltaTime - Seconds since the previous run of this phase
+     * @param {Object} context - Shared per-tick/frame data (player position, speed...)
+     */
+    run(phase, deltaTime, context) {
+        const count = (this.runCounts.get(phase) || 0) + 1;
+        this.runCounts.set(phase, count);
+        const profiler = this.profiler && this.profiler.isActive ? this.profiler : null;
+        
+        for (const entry of this._getOrder(phase)) {
+            if (!entry.enabled) continue;
+            
+            if (!this._isAllowed(entry)) {
+                // Don't hand a system the time it spent switched off
+                entry.elapsed = 0;
+                continue;
+            }
+            
+            entry.elapsed += deltaTime;
+            if (count % entry.every !== entry.offset) continue;
+            
+            const elapsed = entry.elapsed;
+            entry.elapsed = 0;
+            
+            if (profiler) {
+                const start = performance.now();
+                entry.system.update(elapsed, context);
+                profiler.record(entry.name, performance.now() - start);
+            } else {
+                entry.system.update(elapsed, context);
+            }
+        }
+    }
+
+    _isAllowed(entry) {
+        if (entry.states) {
+            return this.stateMachine.is(...entry.states);
+        }
+        return this.stateMachine.isSystemActive(PHASE_GROUPS[entry.phase]);
+    }
+
+    /**
+     * A phase's systems sorted so each runs after its dependencies (registration order otherwise)
+     */
+    _getOrder(phase) {
+        if (this.orderCache.has(phase)) {
+            return this.orderCache.get(phase);
+        }
+        
+        const entries = [...this.systems.values()].filter(entry => entry.phase === phase);
+        const byName = new Map(entries.map(entry => [entry.name, entry]));
+        const order = [];
+        const visiting = new Set();
+        const done = new Set();
+        
+        const visit = (entry) => {
+            if (done.has(entry.name)) return;
+            if (visiting.has(entry.name)) {
+                throw new Error(`SystemRegistry: dependency cycle through "${entry.name}"`);
+            }
+            
+            visiting.add(entry.name);
+            for (const dependency of entry.after) {
+                const dependencyEntry = byName.get(dependency);
+                if (!dependencyEntry) {
+                    throw new Error(`SystemRegistry: "${entry.name}" runs after "${dependency}", ` +
+                        `which is not a registered ${phase} system`);
+                }
+                visit(dependencyEntry);
+            }
+            visiting.delete(entry.name);
+            
+            done.add(entry.name);
+            order.push(entry);
+        };
+        entries.forEach(visit);
+        
+        this.orderCache.set(phase, order);
+        return order;
+    }
+
+    /**
+     * Names of a phase's systems in the order they update (debugging, profiling)
+     * @param {string} phase - SystemPhase value
+     * @returns {string[]}
+     */
+    getOrder(phase) {
+        return this._getOrder(phase).map(entry => entry.name);
+    }
+
+    /**
+     * Dispose every system that has a dispose hook
+     */
+    dispose() {
+        for (const entry of this.systems.values()) {
+            if (entry.system.dispose) {
+                try {
+                    entry.system.dispose();
+                } catch (error) {
+                    console.error(`SystemRegistry: dispose of "${entry.name}" threw:`, error);
+                }
+            }
+        }
+        this.systems.clear();
+        this.orderCache.clear();
+    }
+}
@@ -1,7 +1,9 @@
 // EditorManager - Toggle between edit and play modes, coordinate editor tools
 
 import * as THREE from 'three';
-import { EventBus } from '../core/EventBus.js';
+import { EventBus, Events } from '../core/EventBus.js';
+import { GameState } from '../core/GameStateMachine.js';
+import { Action } from '../core/ActionMap.js';
 
 export const EditorMode = {
     PLAY: 'play',
@@ -33,8 +35,7 @@ export class EditorManager {
         this.gameManager = gameManager;
         this.eventBus = new EventBus();
         
-        // State
-        this.mode = EditorMode.PLAY;
+        // State (edit mode is GameState.EDITOR - see the mode getter)
         this.currentTool = EditorTool.SELECT;
         this.isEnabled = false;
         
@@ -68,15 +69,30 @@ export class EditorManager {
         
         // Bind methods
         this._onKeyDown = this._onKeyDown.bind(this);
+        this._onAction = this._onAction.bind(this);
+        this._unsubscribeAction = null;
+    }
+
+    /**
+     * Current mode, derived from the game state machine
+     */
+    get mode() {
+        return this.gameManager?.stateMachine?.is(GameState.EDITOR) ? EditorMode.EDIT : EditorMode.PLAY;
     }
 
     /**
      * Initialize the editor
      */
     init() {
-        // Add keyboard listener for F1 toggle
+        // F1 and the tool shortcuts are rebindable actions; Ctrl/Cmd combos stay on raw keys
+        this._unsubscribeAction = this.gameManager.eventBus.on(Events.INPUT_ACTION, this._onAction);
         window.addEventListener('keydown', this._onKeyDown);
         
+        // Editor setup/teardown follows the game state
+        const stateMachine = this.gameManager.stateMachine;
+        stateMachine.onEnter(GameState.EDITOR, () => this._onEnterEditMode());
+        stateMachine.onExit(GameState.EDITOR, () => this._onExitEditMode());
+        
         console.log('EditorManager initialized. Press F1 to toggle edit mode.');
     }
 
@@ -101,12 +117,10 @@ export class EditorManager {
     }
 
     /**
-     * Handle keyboard input
+     * Handle editor actions (only fired while their InputContext is live)
      */
-    _onKeyDown(e) {
-        // F1 toggles edit mode
-        if (e.key === 'F1') {
-            e.preventDefault();
+    _onAction({ action }) {
+        if (action === Action.EDITOR_TOGGLE) {
             this.toggleMode();
             return;
         }
@@ -115,24 +129,31 @@ export class EditorManager {
         if (this.mode !== EditorMode.EDIT) return;
         
         // Tool shortcuts
-        switch (e.key.toLowerCase()) {
-            case 'v': // Select tool
+        switch (action) {
+            case Action.EDITOR_SELECT_TOOL:
                 this.setTool(EditorTool.SELECT);
                 break;
-            case 'g': // Toggle grid
+            case Action.EDITOR_GRID:
                 this.toggleGrid();
                 break;
-            case 'b': // Building tool
+            case Action.EDITOR_BUILDING_TOOL:
                 this.setTool(EditorTool.BUILDING);
                 break;
-            case 'r': // Road tool
+            case Action.EDITOR_ROAD_TOOL:
                 this.setTool(EditorTool.ROAD);
                 break;
-            case 'delete':
-            case 'backspace':
+            case Action.EDITOR_DELETE:
                 this.deleteSelected();
                 break;
         }
+    }
+
+    /**
+     * Handle keyboard shortcuts with modifiers
+     */
+    _onKeyDown(e) {
+        // Only handle editor shortcuts in edit mode
+        if (this.mode !== EditorMode.EDIT) return;
         
         // Undo/Redo
         if (e.ctrlKey || e.metaKey) {
@@ -161,16 +182,24 @@ export class EditorManager {
     }
 
     /**
-     * Enter edit mode
+     * Enter edit mode (only from gameplay - not during menus or dialogue)
+     * @returns {boolean} Whether edit mode was entered
      */
     enterEditMode() {
-        this.mode = EditorMode.EDIT;
-        this.isEnabled = true;
-        
-        // Pause the game
-        if (this.gameManager) {
-            this.gameManager.pause();
+        return this.gameManager.stateMachine.transition(GameState.EDITOR);
+    }
+
+    /**
+     * Enter play mode
+     */
+    enterPlayMode() {
+        if (this.mode === EditorMode.EDIT) {
+            this.gameManager.stateMachine.transition(GameState.PLAYING);
         }
+    }
+
+    _onEnterEditMode() {
+        this.isEnabled = true;
         
         // Switch to editor camera
         if (this.editorCamera) {
@@ -194,11 +223,7 @@ export class EditorManager {
         console.log('Entered EDIT mode');
     }
 
-    /**
-     * Enter play mode
-     */
-    enterPlayMode() {
-        this.mode = EditorMode.PLAY;
+    _onExitEditMode() {
         this.isEnabled = false;
         
         // Clear selection
@@ -222,11 +247,6 @@ export class EditorManager {
             this.editorCamera.disable();
         }
         
-        // Resume the game
-        if (this.gameManager) {
-            this.gameManager.resume();
-        }
-        
         this.eventBus.emit(EditorEvents.MODE_CHANGED, EditorMode.PLAY);
         console.log('Entered PLAY mode');
     }
@@ -540,6 +560,9 @@ export class EditorManager {
      */
     destroy() {
         window.removeEventListener('keydown', this._onKeyDown);
+        if (this._unsubscribeAction) {
+            this._unsubscribeAction();
+        }
         
         // Clean up tools
         for (const tool of Object.values(this.tools)) {
@@ -4,24 +4,44 @@ import { Building } from './objects/Building.js';
 import { Road } from './objects/Road.js';
 import { EditorEvents } from './EditorManager.js';
 
-const STORAGE_KEY = 'pizza_courier_level';
 const AUTO_SAVE_INTERVAL = 30000; // 30 seconds
 
 export class LevelSerializer {
     constructor(editorManager) {
         this.editorManager = editorManager;
         
+        // Last saved level (persisted as the "level" save section)
+        this.savedLevel = null;
+        this.saveManager = null;
+        
         // Auto-save timer
         this.autoSaveTimer = null;
     }
 
+    /**
+     * Register the "level" save section
+     */
+    setSaveManager(saveManager) {
+        this.saveManager = saveManager;
+        saveManager.registerSection('level', {
+            version: 1,
+            serialize: () => this.savedLevel,
+            deserialize: (data) => {
+                this.savedLevel = data;
+            },
+            reset: () => {
+                this.savedLevel = null;
+            }
+        });
+    }
+
     /**
      * Start auto-save
      */
     startAutoSave() {
         this.stopAutoSave();
         this.autoSaveTimer = setInterval(() => {
-            this.saveToLocalStorage();
+            this.saveToSlot();
         }, AUTO_SAVE_INTERVAL);
     }
 
@@ -63,13 +83,13 @@ export class LevelSerializer {
     }
 
     /**
-     * Save to localStorage and download as file
+     * Save to the active save slot and download as file
      */
     save() {
         const data = this.serialize();
         
-        // Save to localStorage
-        this.saveToLocalStorage();
+        // Save to the active save slot
+        this.saveToSlot();
         
         // Download as file
         const json = JSON.stringify(data, null, 2);
@@ -95,31 +115,21 @@ export class LevelSerializer {
     }
 
     /**
-     * Save to localStorage only
+     * Save to the active save slot only
      */
-    saveToLocalStorage() {
-        try {
-            const data = this.serialize();
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-            console.log('Auto-saved to localStorage');
-        } catch (e) {
-            console.error('Failed to auto-save:', e);
+    saveToSlot() {
+        this.savedLevel = this.serialize();
+        if (this.saveManager && this.saveManager.save()) {
+            console.log('Level saved to slot', this.saveManager.getActiveSlot());
         }
     }
 
     /**
-     * Load from localStorage
+     * Load the level saved in the active save slot
      */
-    loadFromLocalStorage() {
-        try {
-            const json = localStorage.getItem(STORAGE_KEY);
-            if (json) {
-                const data = JSON.parse(json);
-                this.loadFromData(data);
-                return true;
-            }
-        } catch (e) {
-            console.error('Failed to load from localStorage:', e);
+    load() {
+        if (this.savedLevel) {
+            return this.loadFromData(this.savedLevel);
         }
         return false;
     }
@@ -238,16 +248,19 @@ export class LevelSerializer {
     }
 
     /**
-     * Check if there's saved data in localStorage
+     * Check if the active save slot has a level
      */
     hasSavedData() {
-        return localStorage.getItem(STORAGE_KEY) !== null;
+        return this.savedLevel !== null;
     }
 
     /**
-     * Clear saved data from localStorage
+     * Clear the saved level from the active save slot
      */
     clearSavedData() {
-        localStorage.removeItem(STORAGE_KEY);
+        this.savedLevel = null;
+        if (this.saveManager) {
+            this.saveManager.requestSave();
+        }
     }
 }
@@ -0,0 +1,134 @@
+// Ghost - Translucent Jen + hoverboard used to play back recorded delivery runs
+
+import * as THREE from 'three';
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
+
+const GHOST_COLOR = 0x66ccff;
+const GHOST_OPACITY = 0.35;
+
+export class Ghost {
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Container group (mirrors Player.group: position + aim rotation)
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        
+        // Visual parts
+        this.model = null;
+        this.board = null;
+        this.mixer = null;
+        this.placeholderGeometries = []; // Only placeholders are ours to dispose (models share player geometry)
+        
+        // Board base orientation (same as Hoverboard)
+        this.boardBaseQuaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, Math.PI / 2, 0));
+        
+        // Shared translucent material
+        this.material = new THREE.MeshBasicMaterial({
+            color: GHOST_COLOR,
+            transparent: true,
+            opacity: GHOST_OPACITY,
+            depthWrite: false
+        });
+        
+        this.scene.add(this.group);
+    }
+
+    /**
+     * Build the ghost visuals from the loaded player
+     * Falls back to simple shapes if the player models aren't available
+     * @param {Player} player - Loaded player to copy the look from
+     */
+    build(player) {
+        if (player?.model) {
+            this.model = SkeletonUtils.clone(player.model);
+            this.model.position.copy(player.model.position);
+            this.model.rotation.copy(player.model.rotation);
+            this.model.scale.copy(player.model.scale);
+            this._applyGhostMaterial(this.model, true);
+            
+            // Ride in the crouched skate stance
+            const clip = player.animations['crouch'] || player.animations['idle'];
+            if (clip) {
+                this.mixer = new THREE.AnimationMixer(this.model);
+                this.mixer.clipAction(clip).play();
+            }
+        } else {
+            const geometry = new THREE.CapsuleGeometry(0.5, 1.5, 4, 8);
+            this.placeholderGeometries.push(geometry);
+            this.model = new THREE.Mesh(geometry, this.material);
+            this.model.position.set(0, 1.5, 0);
+        }
+        this.group.add(this.model);
+        
+        const boardModel = player?.hoverboard?.getModel();
+        if (boardModel) {
+            this.board = boardModel.clone();
+            this._applyGhostMaterial(this.board, false);
+        } else {
+            const geometry = new THREE.BoxGeometry(1.6, 0.1, 0.4);
+            this.placeholderGeometries.push(geometry);
+            this.board = new THREE.Mesh(geometry, this.material);
+            this.board.position.set(0, 1, 0);
+        }
+        this.board.quaternion.copy(this.boardBaseQuaternion);
+        this.group.add(this.board);
+    }
+
+    /**
+     * Swap every mesh material for the translucent ghost material
+     */
+    _applyGhostMaterial(object, skinned) {
+        const material = skinned ? this.material.clone() : this.material;
+        object.traverse((child) => {
+            if (child.isMesh) {
+                child.material = material;
+                child.castShadow = false;
+                child.receiveShadow = false;
+            }
+        });
+    }
+
+    /**
+     * Pose the ghost from a replay frame
+     * @param {THREE.Vector3} position
+     * @param {number} aimYaw
+     * @param {number} aimPitch
+     * @param {THREE.Quaternion} boardRotation - Trick rotation (identity when no trick)
+     */
+    setPose(position, aimYaw, aimPitch, boardRotation) {
+        this.group.position.copy(position);
+        this.group.rotation.set(aimPitch, aimYaw, 0, 'YXZ');
+        
+        if (this.board) {
+            this.board.quaternion.copy(this.boardBaseQuaternion).multiply(boardRotation);
+        }
+    }
+
+    /**
+     * Advance the ghost's animation
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        if (this.mixer && this.group.visible) {
+            this.mixer.update(deltaTime);
+        }
+    }
+
+    show() {
+        this.group.visible = true;
+    }
+
+    hide() {
+        this.group.visible = false;
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        for (const geometry of this.placeholderGeometries) {
+            geometry.dispose();
+        }
+        this.placeholderGeometries = [];
+        this.material.dispose();
+    }
+}
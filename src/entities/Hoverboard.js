@@ -1,8 +1,7 @@
 // Hoverboard - The player's vehicle
 
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { ASSETS, PLAYER } from '../constants.js';
+import { PLAYER } from '../constants.js';
 
 export class Hoverboard {
     constructor() {
@@ -19,47 +18,37 @@ export class Hoverboard {
     /**
      * Load the hoverboard model
      * @param {THREE.Group} parent - Parent group to attach to
+     * @param {AssetManager} assetManager
      * @returns {Promise<THREE.Group>}
      */
-    load(parent) {
-        return new Promise((resolve, reject) => {
-            const loader = new GLTFLoader();
-            
-            loader.load(
-                ASSETS.HOVERBOARD,
-                (gltf) => {
-                    this.model = gltf.scene;
-                    
-                    // Scale appropriately
-                    const boardScale = 1.2;
-                    this.model.scale.set(boardScale, boardScale, boardScale);
-                    
-                    // Position at the base of the group (Jen's feet will be on top)
-                    this.model.position.set(0, 1, 0);
-                    
-                    // Rotate to align with direction of movement
-                    this.model.rotation.y = Math.PI / 2;
-
-                    // Enable shadows
-                    this.model.traverse((child) => {
-                        if (child.isMesh) {
-                            child.castShadow = true;
-                            child.receiveShadow = true;
-                        }
-                    });
-
-                    parent.add(this.model);
-                    this.isLoaded = true;
-                    console.log('Hoverboard loaded!');
-                    resolve(this.model);
-                },
-                undefined,
-                (error) => {
-                    console.error('Error loading hoverboard:', error);
-                    reject(error);
-                }
-            );
+    async load(parent, assetManager) {
+        const { scene, isPlaceholder } = await assetManager.load('hoverboard');
+        this.model = scene;
+        
+        // Scale appropriately
+        const boardScale = 1.2;
+        this.model.scale.set(boardScale, boardScale, boardScale);
+        
+        // Position at the base of the group (Jen's feet will be on top)
+        this.model.position.set(0, 1, 0);
+        
+        // Rotate to align with direction of movement
+        this.model.rotation.y = Math.PI / 2;
+        
+        // Enable shadows
+        this.model.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
         });
+        
+        parent.add(this.model);
+        this.isLoaded = true;
+        if (!isPlaceholder) {
+            console.log('Hoverboard loaded!');
+        }
+        return this.model;
     }
 
     /**
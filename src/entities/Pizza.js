@@ -1,6 +1,4 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { ASSETS } from '../constants.js';
 
 /**
  * Pizza object that can be picked up and delivered
@@ -30,41 +28,33 @@ export class Pizza {
         this.pickupRange = 3;
     }
 
-    async load() {
-        const loader = new GLTFLoader();
+    /**
+     * Load the pizza box model (AssetManager falls back to a placeholder box)
+     * @param {AssetManager} assetManager
+     */
+    async load(assetManager) {
+        const { scene, isPlaceholder } = await assetManager.load('pizzaBox');
+        this.model = scene;
+        
+        // Scale appropriately
+        this.model.scale.setScalar(0.8);
+        
+        // Enable shadows
+        this.model.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+        
+        this.group.add(this.model);
+        
+        // Add glow effect
+        this._createGlow();
         
-        try {
-            const gltf = await loader.loadAsync('assets/objects/pizza-box.glb');
-            this.model = gltf.scene;
-            
-            // Scale appropriately
-            this.model.scale.setScalar(0.8);
-            
-            // Enable shadows
-            this.model.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
-            
-            this.group.add(this.model);
-            
-            // Add glow effect
-            this._createGlow();
-            
-            this.isLoaded = true;
+        this.isLoaded = true;
+        if (!isPlaceholder) {
             console.log('Pizza box loaded!');
-        } catch (error) {
-            console.error('Failed to load pizza box:', error);
-            // Create fallback box
-            const geometry = new THREE.BoxGeometry(0.4, 0.1, 0.4);
-            const material = new THREE.MeshStandardMaterial({ color: 0xff6600 });
-            this.model = new THREE.Mesh(geometry, material);
-            this.model.castShadow = true;
-            this.group.add(this.model);
-            this._createGlow();
-            this.isLoaded = true;
         }
     }
 
@@ -1,11 +1,17 @@
 // Player - Jen character with animations and state machine
 
 import * as THREE from 'three';
-import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
-import { PLAYER, ANIMATION_FILES } from '../constants.js';
+import { PLAYER } from '../constants.js';
 import { Events } from '../core/EventBus.js';
 import { Hoverboard } from './Hoverboard.js';
 
+// Scratch for _updateGroupRotation (runs every tick - no per-call allocations)
+const AXIS_X = new THREE.Vector3(1, 0, 0);
+const AXIS_Y = new THREE.Vector3(0, 1, 0);
+const AXIS_Z = new THREE.Vector3(0, 0, 1);
+const pitchQuat = new THREE.Quaternion();
+const rollQuat = new THREE.Quaternion();
+
 // Player states
 export const PlayerState = {
     IDLE: 'idle',
@@ -71,6 +77,9 @@ export class Player {
         this.isJumping = false;
         this.jumpTimer = 0;
         
+        // Simulation time (drives hover wobble deterministically)
+        this.hoverTime = 0;
+        
         // Hoverboard
         this.hoverboard = new Hoverboard();
         
@@ -91,32 +100,31 @@ export class Player {
 
     /**
      * Load the player character and animations
+     * @param {AssetManager} assetManager
      * @returns {Promise<void>}
      */
-    async load() {
-        const fbxLoader = new FBXLoader();
-        
+    async load(assetManager) {
         // Create placeholder while loading
         const placeholder = this._createPlaceholder();
         this.scene.add(placeholder);
         
         try {
             // Load base model (idle animation has full character)
-            await this._loadBaseModel(fbxLoader);
+            await this._loadBaseModel(assetManager);
             
             // Load other animations in parallel
             await Promise.all([
-                this._loadAnimation(fbxLoader, 'crouch', ANIMATION_FILES.crouch),
-                this._loadAnimation(fbxLoader, 'skateboard', ANIMATION_FILES.skateboard),
-                this._loadAnimation(fbxLoader, 'crouchToStand', ANIMATION_FILES.crouchToStand),
-                this._loadAnimation(fbxLoader, 'standUp', ANIMATION_FILES.standUp),
-                this._loadAnimation(fbxLoader, 'falling', ANIMATION_FILES.falling),
-                this._loadAnimation(fbxLoader, 'fallingToLand', ANIMATION_FILES.fallingToLand),
-                this._loadAnimation(fbxLoader, 'jumping', ANIMATION_FILES.jumping)
+                this._loadAnimation(assetManager, 'crouch'),
+                this._loadAnimation(assetManager, 'skateboard'),
+                this._loadAnimation(assetManager, 'crouchToStand'),
+                this._loadAnimation(assetManager, 'standUp'),
+                this._loadAnimation(assetManager, 'falling'),
+                this._loadAnimation(assetManager, 'fallingToLand'),
+                this._loadAnimation(assetManager, 'jumping')
             ]);
             
             // Load hoverboard
-            await this.hoverboard.load(this.group);
+            await this.hoverboard.load(this.group, assetManager);
             
             // Remove placeholder
             this.scene.remove(placeholder);
@@ -147,77 +155,59 @@ export class Player {
         return mesh;
     }
 
-    _loadBaseModel(loader) {
-        return new Promise((resolve, reject) => {
-            loader.load(
-                ANIMATION_FILES.idle,
-                (fbx) => {
-                    this.model = fbx;
-                    
-                    // Normalize size
-                    const box = new THREE.Box3().setFromObject(fbx);
-                    const size = box.getSize(new THREE.Vector3());
-                    const scale = PLAYER.TARGET_HEIGHT / size.y;
-                    fbx.scale.set(scale, scale, scale);
-                    
-                    // Center the model horizontally
-                    const newBox = new THREE.Box3().setFromObject(fbx);
-                    const center = newBox.getCenter(new THREE.Vector3());
-                    fbx.position.x = -center.x;
-                    fbx.position.z = -center.z;
-                    
-                    // Position Jen's feet directly on the hoverboard surface
-                    // The hoverboard is at y=0.15 in local space, so we place feet there
-                    fbx.position.y = -newBox.min.y + 0.15;
-                    this.modelBaseY = fbx.position.y;
-                    
-                    // Rotate to face sideways (skateboard stance)
-                    fbx.rotation.y = Math.PI / 2;
-                    this.modelBaseRotationY = fbx.rotation.y;
-
-                    // Enable shadows
-                    fbx.traverse((child) => {
-                        if (child.isMesh) {
-                            child.castShadow = true;
-                            child.receiveShadow = true;
-                        }
-                    });
-
-                    // Create animation mixer
-                    this.mixer = new THREE.AnimationMixer(fbx);
-                    
-                    // Store idle animation
-                    if (fbx.animations.length > 0) {
-                        this.animations['idle'] = fbx.animations[0];
-                    }
-                    
-                    this.group.add(fbx);
-                    resolve(fbx);
-                },
-                undefined,
-                reject
-            );
+    async _loadBaseModel(assetManager) {
+        // Idle carries the character mesh (a capsule stands in if it's missing)
+        const { scene: fbx, animations } = await assetManager.load('animation:idle');
+        this.model = fbx;
+        
+        // Normalize size
+        const box = new THREE.Box3().setFromObject(fbx);
+        const size = box.getSize(new THREE.Vector3());
+        const scale = PLAYER.TARGET_HEIGHT / size.y;
+        fbx.scale.set(scale, scale, scale);
+        
+        // Center the model horizontally
+        const newBox = new THREE.Box3().setFromObject(fbx);
+        const center = newBox.getCenter(new THREE.Vector3());
+        fbx.position.x = -center.x;
+        fbx.position.z = -center.z;
+        
+        // Position Jen's feet directly on the hoverboard surface
+        // The hoverboard is at y=0.15 in local space, so we place feet there
+        fbx.position.y = -newBox.min.y + 0.15;
+        this.modelBaseY = fbx.position.y;
+        
+        // Rotate to face sideways (skateboard stance)
+        fbx.rotation.y = Math.PI / 2;
+        this.modelBaseRotationY = fbx.rotation.y;
+        
+        // Enable shadows
+        fbx.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
         });
+        
+        // Create animation mixer
+        this.mixer = new THREE.AnimationMixer(fbx);
+        
+        // Store idle animation
+        if (animations.length > 0) {
+            this.animations['idle'] = animations[0];
+        }
+        
+        this.group.add(fbx);
+        return fbx;
     }
 
-    _loadAnimation(loader, name, path) {
-        return new Promise((resolve, reject) => {
-            loader.load(
-                path,
-                (fbx) => {
-                    if (fbx.animations.length > 0) {
-                        this.animations[name] = fbx.animations[0];
-                        console.log(`Animation '${name}' loaded`);
-                    }
-                    resolve();
-                },
-                undefined,
-                (error) => {
-                    console.error(`Error loading animation '${name}':`, error);
-                    resolve(); // Don't fail the whole load for one animation
-                }
-            );
-        });
+    async _loadAnimation(assetManager, name) {
+        // A missing file has no clips - that animation just never blends in
+        const { animations } = await assetManager.load(`animation:${name}`);
+        if (animations.length > 0) {
+            this.animations[name] = animations[0];
+            console.log(`Animation '${name}' loaded`);
+        }
     }
 
     /**
@@ -578,8 +568,9 @@ export class Player {
         this._updateGroupRotation();
         
         // Hover wobble applied to whole group when grounded
+        this.hoverTime += deltaTime;
         if (isGrounded) {
-            this.group.position.y = PLAYER.GROUND_LEVEL + Math.sin(Date.now() * 0.003) * 0.05 + 0.05;
+            this.group.position.y = PLAYER.GROUND_LEVEL + Math.sin(this.hoverTime * 3) * 0.05 + 0.05;
         }
     }
     
@@ -588,21 +579,11 @@ export class Player {
      */
     _updateGroupRotation() {
         // Build rotation: yaw (turn) -> pitch (aim up/down) -> roll (lean into turn)
-        const yawQuat = new THREE.Quaternion().setFromAxisAngle(
-            new THREE.Vector3(0, 1, 0), 
-            this.aimYaw
-        );
-        const pitchQuat = new THREE.Quaternion().setFromAxisAngle(
-            new THREE.Vector3(1, 0, 0), 
-            this.aimPitch
-        );
-        const rollQuat = new THREE.Quaternion().setFromAxisAngle(
-            new THREE.Vector3(0, 0, 1), 
-            -this.leanAngle  // Lean into the turn
-        );
+        pitchQuat.setFromAxisAngle(AXIS_X, this.aimPitch);
+        rollQuat.setFromAxisAngle(AXIS_Z, -this.leanAngle); // Lean into the turn
         
         // Combine: yaw first, then pitch, then roll
-        this.group.quaternion.copy(yawQuat).multiply(pitchQuat).multiply(rollQuat);
+        this.group.quaternion.setFromAxisAngle(AXIS_Y, this.aimYaw).multiply(pitchQuat).multiply(rollQuat);
     }
 
     /**
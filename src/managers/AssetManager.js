@@ -0,0 +1,235 @@
+// AssetManager - Loads every model/animation from one manifest with progress, caching, retries and placeholders
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { Events } from '../core/EventBus.js';
+import { ASSETS, ANIMATION_FILES, SKYSCRAPER_MODELS } from '../constants.js';
+
+const ASSET_CONFIG = {
+    MAX_RETRIES: 2,          // Extra attempts after the first failure
+    RETRY_DELAY: 500,        // ms before the first retry (grows with each attempt)
+    PLACEHOLDER_COLOR: 0xff00ff // Loud magenta so a missing asset is obvious in-game
+};
+
+/**
+ * Everything the game loads from disk
+ *   type        - 'gltf' or 'fbx'
+ *   label       - Shown on the loading screen
+ *   preload     - Loaded before the game starts (false = on first request)
+ *   placeholder - Stand-in if the file can't be loaded, in the model's own units
+ *                 (before the scale its owner applies)
+ */
+const ASSET_MANIFEST = [
+    {
+        id: 'hoverboard',
+        url: ASSETS.HOVERBOARD,
+        type: 'gltf',
+        label: 'Hoverboard',
+        placeholder: { shape: 'box', size: [0.8, 0.06, 0.25] }
+    },
+    {
+        id: 'pizzaShop',
+        url: ASSETS.PIZZA_SHOP,
+        type: 'gltf',
+        label: "Rico's Neon Slice",
+        placeholder: { shape: 'box', size: [0.6, 0.4, 0.6] }
+    },
+    {
+        id: 'pizzaBox',
+        url: ASSETS.PIZZA_BOX,
+        type: 'gltf',
+        label: 'Pizza box',
+        placeholder: { shape: 'box', size: [0.5, 0.125, 0.5] }
+    },
+    // The idle file carries Jen's mesh; the others only contribute their clip
+    ...Object.entries(ANIMATION_FILES).map(([name, url]) => ({
+        id: `animation:${name}`,
+        url,
+        type: 'fbx',
+        label: 'Jen',
+        placeholder: name === 'idle' ? { shape: 'capsule', size: [0.5, 1.5] } : { shape: 'none' }
+    })),
+    ...SKYSCRAPER_MODELS.map((url, index) => ({
+        id: `skyscraper:${index}`,
+        url,
+        type: 'gltf',
+        label: 'Skyline',
+        preload: false,
+        placeholder: { shape: 'box', size: [1, 4, 1] }
+    }))
+];
+
+export class AssetManager {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        
+        this.manifest = new Map(ASSET_MANIFEST.map(entry => [entry.id, entry]));
+        
+        // Loaders are shared by every request of their type
+        this.loaders = {
+            gltf: new GLTFLoader(),
+            fbx: new FBXLoader()
+        };
+        
+        // id -> Promise<asset> (in flight or settled - a second request reuses it)
+        this.requests = new Map();
+        
+        // id -> asset once settled
+        this.cache = new Map();
+        
+        // id -> error message for assets that fell back to a placeholder
+        this.failed = new Map();
+        
+        // id -> 0..1 during preload
+        this.progress = new Map();
+    }
+
+    /**
+     * Load every preload entry in the manifest, reporting combined progress
+     * (Events.ASSET_PROGRESS) and finishing with Events.ASSETS_READY. Never rejects -
+     * anything missing is replaced by its placeholder.
+     * @returns {Promise<void>}
+     */
+    async preload() {
+        const entries = [...this.manifest.values()].filter(entry => entry.preload !== false);
+        entries.forEach(entry => this.progress.set(entry.id, 0));
+        this._emitProgress(entries[0] ? entries[0].label : '');
+        
+        await Promise.all(entries.map(entry => this.load(entry.id)));
+        
+        this.eventBus.emit(Events.ASSETS_READY, {
+            loaded: entries.length - this.failed.size,
+            failed: [...this.failed.keys()]
+        });
+    }
+
+    /**
+     * Get an asset, loading it on first request
+     * The result is shared: { scene, animations, isPlaceholder }. Its owner may move/scale
+     * scene directly - clone it (SkeletonUtils.clone for skinned meshes) for extra copies.
+     * @param {string} id - Manifest id, e.g. 'pizzaBox' or 'animation:idle'
+     * @returns {Promise<Object>}
+     */
+    load(id) {
+        if (this.requests.has(id)) {
+            return this.requests.get(id);
+        }
+        
+        const entry = this.manifest.get(id);
+        if (!entry) {
+            return Promise.reject(new Error(`AssetManager: "${id}" is not in the manifest`));
+        }
+        
+        const request = this._loadWithRetries(entry).then((asset) => {
+            this.cache.set(id, asset);
+            return asset;
+        });
+        this.requests.set(id, request);
+        return request;
+    }
+
+    /**
+     * Get an asset that has already loaded
+     * @param {string} id - Manifest id
+     * @returns {Object|null} Same shape as load(), or null if it isn't ready
+     */
+    get(id) {
+        return this.cache.get(id) || null;
+    }
+
+    /**
+     * Ids of manifest entries of a kind, e.g. getIds('skyscraper:')
+     * @param {string} prefix
+     * @returns {string[]}
+     */
+    getIds(prefix) {
+        return [...this.manifest.keys()].filter(id => id.startsWith(prefix));
+    }
+
+    /**
+     * Assets that are running on placeholders
+     * @returns {Object} id -> error message
+     */
+    getFailures() {
+        return Object.fromEntries(this.failed);
+    }
+
+    async _loadWithRetries(entry) {
+        const loader = this.loaders[entry.type];
+        let lastError = null;
+        
+        for (let attempt = 0; attempt <= ASSET_CONFIG.MAX_RETRIES; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, ASSET_CONFIG.RETRY_DELAY * attempt));
+            }
+            
+            try {
+                const result = await loader.loadAsync(entry.url, (event) => {
+                    if (event.lengthComputable && event.total > 0) {
+                        this._setProgress(entry, event.loaded / event.total);
+                    }
+                });
+                this._setProgress(entry, 1);
+                
+                // GLTFLoader gives { scene, animations }, FBXLoader the group itself
+                const scene = entry.type === 'gltf' ? result.scene : result;
+                return { scene, animations: result.animations || [], isPlaceholder: false };
+            } catch (error) {
+                lastError = error;
+                console.warn(`AssetManager: ${entry.url} failed (attempt ${attempt + 1}):`, error);
+            }
+        }
+        
+        // Out of retries - carry on with the stand-in
+        const message = lastError && lastError.message ? lastError.message : String(lastError);
+        this.failed.set(entry.id, message);
+        this._setProgress(entry, 1);
+        console.error(`AssetManager: using a placeholder for "${entry.id}" (${entry.url})`);
+        this.eventBus.emit(Events.ASSET_FAILED, { id: entry.id, url: entry.url, error: message });
+        
+        return { scene: this._createPlaceholder(entry.placeholder), animations: [], isPlaceholder: true };
+    }
+
+    _setProgress(entry, fraction) {
+        if (!this.progress.has(entry.id)) return; // Not part of the preload
+        this.progress.set(entry.id, fraction);
+        this._emitProgress(entry.label);
+    }
+
+    _emitProgress(label) {
+        const fractions = [...this.progress.values()];
+        const done = fractions.filter(fraction => fraction >= 1).length;
+        const progress = fractions.length > 0
+            ? fractions.reduce((sum, fraction) => sum + fraction, 0) / fractions.length
+            : 1;
+        
+        this.eventBus.emit(Events.ASSET_PROGRESS, { progress, loaded: done, total: fractions.length, label });
+    }
+
+    /**
+     * Same stand-in for every missing asset of a shape: magenta, slightly glowing
+     */
+    _createPlaceholder({ shape = 'box', size = [1, 1, 1] } = {}) {
+        if (shape === 'none') {
+            return new THREE.Group();
+        }
+        
+        const geometry = shape === 'capsule'
+            ? new THREE.CapsuleGeometry(size[0], size[1], 4, 8)
+            : new THREE.BoxGeometry(size[0], size[1], size[2]);
+        const material = new THREE.MeshStandardMaterial({
+            color: ASSET_CONFIG.PLACEHOLDER_COLOR,
+            emissive: ASSET_CONFIG.PLACEHOLDER_COLOR,
+            emissiveIntensity: 0.3
+        });
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = 'placeholder';
+        
+        // Group like the real models, so owners can scale/offset it the same way
+        const group = new THREE.Group();
+        group.add(mesh);
+        return group;
+    }
+}
@@ -35,6 +35,7 @@ export class AtmosphereManager {
         this.windowLights = [];
         this.fogEnabled = true;
         this.playerPosition = new THREE.Vector3();
+        this.cullScale = 1; // Multiplies CULL_DISTANCES (quality settings)
         
         // Neon glow materials (reusable)
         this.neonMaterials = new Map();
@@ -50,6 +51,14 @@ export class AtmosphereManager {
         this.playerPosition.copy(position);
     }
 
+    /**
+     * Scale the neon sign and window light cull distances (quality settings)
+     * @param {number} scale - 1 = CULL_DISTANCES
+     */
+    setCullScale(scale) {
+        this.cullScale = scale;
+    }
+
     /**
      * Initialize atmosphere effects
      */
@@ -383,7 +392,8 @@ export class AtmosphereManager {
         
         // Animate neon signs (only within cull distance)
         const time = performance.now() * 0.001;
-        const neonCullDistSq = CULL_DISTANCES.NEON_SIGNS * CULL_DISTANCES.NEON_SIGNS;
+        const neonCullDist = CULL_DISTANCES.NEON_SIGNS * this.cullScale;
+        const neonCullDistSq = neonCullDist * neonCullDist;
         
         for (const sign of this.neonSigns) {
             // Calculate distance to player
@@ -419,7 +429,8 @@ export class AtmosphereManager {
         }
         
         // Animate window lights (only within cull distance)
-        const windowCullDistSq = CULL_DISTANCES.WINDOW_LIGHTS * CULL_DISTANCES.WINDOW_LIGHTS;
+        const windowCullDist = CULL_DISTANCES.WINDOW_LIGHTS * this.cullScale;
+        const windowCullDistSq = windowCullDist * windowCullDist;
         
         for (const windowGroup of this.windowLights) {
             // Calculate distance to player
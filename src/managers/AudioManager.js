@@ -21,6 +21,14 @@ const AUDIO_CONFIG = {
     WIND_SPEED_THRESHOLD: 0.1,
 };
 
+// Mixer buses the player can turn down: gain node and the level it is mixed at
+const AUDIO_BUSES = {
+    master: { node: 'masterGain', volume: AUDIO_CONFIG.MASTER_VOLUME },
+    sfx: { node: 'sfxGain', volume: AUDIO_CONFIG.SFX_VOLUME },
+    music: { node: 'musicGain', volume: AUDIO_CONFIG.MUSIC_VOLUME },
+    ambiance: { node: 'ambianceGain', volume: AUDIO_CONFIG.AMBIANCE_VOLUME }
+};
+
 export class AudioManager {
     constructor(eventBus) {
         this.eventBus = eventBus;
@@ -30,6 +38,9 @@ export class AudioManager {
         this.musicGain = null;
         this.ambianceGain = null;
         
+        // Player volume per bus (0-1, scales the mixed level)
+        this.busLevels = { master: 1, sfx: 1, music: 1, ambiance: 1 };
+        
         // Continuous sounds
         this.engineOscillator = null;
         this.engineGain = null;
@@ -62,19 +73,19 @@ export class AudioManager {
             
             // Create gain nodes for mixing
             this.masterGain = this.audioContext.createGain();
-            this.masterGain.gain.value = AUDIO_CONFIG.MASTER_VOLUME;
+            this.masterGain.gain.value = this._getBusGain('master');
             this.masterGain.connect(this.audioContext.destination);
             
             this.sfxGain = this.audioContext.createGain();
-            this.sfxGain.gain.value = AUDIO_CONFIG.SFX_VOLUME;
+            this.sfxGain.gain.value = this._getBusGain('sfx');
             this.sfxGain.connect(this.masterGain);
             
             this.musicGain = this.audioContext.createGain();
-            this.musicGain.gain.value = AUDIO_CONFIG.MUSIC_VOLUME;
+            this.musicGain.gain.value = this._getBusGain('music');
             this.musicGain.connect(this.masterGain);
             
             this.ambianceGain = this.audioContext.createGain();
-            this.ambianceGain.gain.value = AUDIO_CONFIG.AMBIANCE_VOLUME;
+            this.ambianceGain.gain.value = this._getBusGain('ambiance');
             this.ambianceGain.connect(this.masterGain);
             
             // Create continuous sounds
@@ -578,12 +589,32 @@ export class AudioManager {
         }
     }
 
+    /**
+     * Set a mixer bus's volume (kept while muted, applied again on unmute)
+     * @param {string} bus - 'master', 'sfx', 'music' or 'ambiance'
+     * @param {number} level - 0-1, where 1 is the bus's mixed level
+     */
+    setBusVolume(bus, level) {
+        if (!AUDIO_BUSES[bus]) return;
+        this.busLevels[bus] = Math.max(0, Math.min(1, level));
+        
+        const node = this[AUDIO_BUSES[bus].node];
+        if (node) {
+            node.gain.setTargetAtTime(this._getBusGain(bus), this.audioContext.currentTime, 0.1);
+        }
+    }
+
+    _getBusGain(bus) {
+        if (bus === 'master' && this.isMuted) return 0;
+        return AUDIO_BUSES[bus].volume * this.busLevels[bus];
+    }
+
     /**
      * Toggle mute
      */
     toggleMute() {
         this.isMuted = !this.isMuted;
-        this.setMasterVolume(this.isMuted ? 0 : AUDIO_CONFIG.MASTER_VOLUME);
+        this.setMasterVolume(this._getBusGain('master'));
     }
 
     /**
@@ -7,6 +7,10 @@ export class CameraController {
     constructor() {
         this.camera = null;
         
+        // Player settings (defaults from CAMERA)
+        this.fov = CAMERA.FOV;
+        this.distance = CAMERA.DISTANCE;
+        
         // Camera shake
         this.shakeIntensity = 0;
         this.shakeDecay = 0.92;
@@ -23,7 +27,7 @@ export class CameraController {
      */
     create(aspectRatio) {
         this.camera = new THREE.PerspectiveCamera(
-            CAMERA.FOV,
+            this.fov,
             aspectRatio,
             CAMERA.NEAR,
             CAMERA.FAR
@@ -52,9 +56,9 @@ export class CameraController {
 
         // Position camera behind and to the right of player
         const cameraBehind = new THREE.Vector3(
-            -Math.sin(aimYaw) * CAMERA.DISTANCE + rightDir.x * CAMERA.OFFSET_X,
+            -Math.sin(aimYaw) * this.distance + rightDir.x * CAMERA.OFFSET_X,
             CAMERA.HEIGHT,
-            -Math.cos(aimYaw) * CAMERA.DISTANCE + rightDir.z * CAMERA.OFFSET_X
+            -Math.cos(aimYaw) * this.distance + rightDir.z * CAMERA.OFFSET_X
         );
 
         const targetCameraPosition = targetPosition.clone().add(cameraBehind);
@@ -122,6 +126,26 @@ export class CameraController {
         return this.shakeIntensity + this.speedShakeIntensity;
     }
 
+    /**
+     * Set the vertical field of view
+     * @param {number} fov - Degrees
+     */
+    setFov(fov) {
+        this.fov = fov;
+        if (this.camera) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
+    /**
+     * Set how far behind the player the camera follows (the lerp eases it there)
+     * @param {number} distance - World units
+     */
+    setDistance(distance) {
+        this.distance = distance;
+    }
+
     /**
      * Handle window resize
      * @param {number} width - Window width
@@ -1,18 +1,18 @@
 // CityManager - Handles city generation with editable building objects
 
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { CITY, BUILDING_COLORS, ASSETS } from '../constants.js';
+import { CITY, BUILDING_COLORS } from '../constants.js';
 import { Building } from '../editor/objects/Building.js';
 
 export class CityManager {
-    constructor(scene) {
+    constructor(scene, random) {
         this.scene = scene;
+        this.random = random; // Shared seeded RNG (core/Random.js)
         this.buildings = [];
         this.roads = [];
         this.sidewalks = [];
         this.bushes = [];
-        this.gltfLoader = new GLTFLoader();
+        this.assetManager = null; // Set by GameManager (none headless - no models)
         this.editorManager = null; // Set by GameManager
         this.pizzaShopPosition = new THREE.Vector3(0, 0, 0);
         
@@ -81,26 +81,26 @@ export class CityManager {
 
                 // Random buildings per block
                 const buildingCount = CITY.BUILDINGS_PER_BLOCK_MIN + 
-                    Math.floor(Math.random() * (CITY.BUILDINGS_PER_BLOCK_MAX - CITY.BUILDINGS_PER_BLOCK_MIN + 1));
+                    this.random.int(CITY.BUILDINGS_PER_BLOCK_MAX - CITY.BUILDINGS_PER_BLOCK_MIN + 1);
                 
                 for (let b = 0; b < buildingCount; b++) {
-                    const offsetX = (Math.random() - 0.5) * (CITY.BLOCK_SIZE * 0.6);
-                    const offsetZ = (Math.random() - 0.5) * (CITY.BLOCK_SIZE * 0.6);
+                    const offsetX = (this.random.next() - 0.5) * (CITY.BLOCK_SIZE * 0.6);
+                    const offsetZ = (this.random.next() - 0.5) * (CITY.BLOCK_SIZE * 0.6);
                     const x = blockCenterX + offsetX;
                     const z = blockCenterZ + offsetZ;
 
                     const scale = CITY.BUILDING_SCALE_MIN + 
-                        Math.random() * (CITY.BUILDING_SCALE_MAX - CITY.BUILDING_SCALE_MIN);
-                    const width = (3 + Math.random() * 4) * scale * 0.1;
-                    const height = (8 + Math.random() * 12) * scale * 0.1;
-                    const depth = (3 + Math.random() * 4) * scale * 0.1;
-                    const rotation = Math.floor(Math.random() * 4) * (Math.PI / 2);
+                        this.random.next() * (CITY.BUILDING_SCALE_MAX - CITY.BUILDING_SCALE_MIN);
+                    const width = (3 + this.random.next() * 4) * scale * 0.1;
+                    const height = (8 + this.random.next() * 12) * scale * 0.1;
+                    const depth = (3 + this.random.next() * 4) * scale * 0.1;
+                    const rotation = this.random.int(4) * (Math.PI / 2);
                     
                     // Random shape
-                    const shape = shapes[Math.floor(Math.random() * shapes.length)];
+                    const shape = this.random.pick(shapes);
                     
                     // Random color from palette
-                    const colorIndex = Math.floor(Math.random() * BUILDING_COLORS.length);
+                    const colorIndex = this.random.int(BUILDING_COLORS.length);
                     const color = '#' + BUILDING_COLORS[colorIndex].toString(16).padStart(6, '0');
 
                     // Create Building editor object
@@ -289,14 +289,14 @@ export class CityManager {
                 const blockCenterZ = gridZ * cellSize;
                 
                 // Random number of bushes per block
-                const bushCount = 3 + Math.floor(Math.random() * 5);
+                const bushCount = 3 + this.random.int(5);
                 
                 for (let i = 0; i < bushCount; i++) {
                     // Position bushes near edges of blocks (near sidewalks)
-                    const edge = Math.floor(Math.random() * 4);
+                    const edge = this.random.int(4);
                     let x, z;
-                    const offset = CITY.BLOCK_SIZE / 2 - 3 - Math.random() * 5;
-                    const along = (Math.random() - 0.5) * (CITY.BLOCK_SIZE - 6);
+                    const offset = CITY.BLOCK_SIZE / 2 - 3 - this.random.next() * 5;
+                    const along = (this.random.next() - 0.5) * (CITY.BLOCK_SIZE - 6);
                     
                     switch (edge) {
                         case 0: x = blockCenterX + along; z = blockCenterZ - offset; break;
@@ -320,22 +320,22 @@ export class CityManager {
         const bushGroup = new THREE.Group();
         
         // Random bush size
-        const baseSize = 0.4 + Math.random() * 0.4;
+        const baseSize = 0.4 + this.random.next() * 0.4;
         
         // Create 2-4 overlapping spheres for organic look
-        const sphereCount = 2 + Math.floor(Math.random() * 3);
+        const sphereCount = 2 + this.random.int(3);
         
         for (let i = 0; i < sphereCount; i++) {
-            const size = baseSize * (0.7 + Math.random() * 0.6);
+            const size = baseSize * (0.7 + this.random.next() * 0.6);
             const geometry = new THREE.SphereGeometry(size, 8, 6);
-            const material = Math.random() > 0.5 ? this.bushMaterial : this.bushDarkMaterial;
+            const material = this.random.next() > 0.5 ? this.bushMaterial : this.bushDarkMaterial;
             const sphere = new THREE.Mesh(geometry, material);
             
             // Offset each sphere slightly
             sphere.position.set(
-                (Math.random() - 0.5) * baseSize,
-                size * 0.7 + Math.random() * 0.2,
-                (Math.random() - 0.5) * baseSize
+                (this.random.next() - 0.5) * baseSize,
+                size * 0.7 + this.random.next() * 0.2,
+                (this.random.next() - 0.5) * baseSize
             );
             
             sphere.castShadow = true;
@@ -349,33 +349,34 @@ export class CityManager {
     }
 
     /**
-     * Load the pizza shop at spawn point
+     * Set the asset manager the pizza shop model comes from
      */
-    loadPizzaShop() {
-        this.gltfLoader.load(
-            ASSETS.PIZZA_SHOP,
-            (gltf) => {
-                const pizzaShop = gltf.scene;
-                const scale = 25;
-                pizzaShop.scale.set(scale, scale, scale);
-                
-                const box = new THREE.Box3().setFromObject(pizzaShop);
-                const yOffset = -box.min.y;
-                pizzaShop.position.set(0, yOffset, 0);
+    setAssetManager(assetManager) {
+        this.assetManager = assetManager;
+    }
 
-                pizzaShop.traverse((child) => {
-                    if (child.isMesh) {
-                        child.castShadow = true;
-                        child.receiveShadow = true;
-                    }
-                });
-                
-                this.scene.add(pizzaShop);
-                console.log('Pizza shop loaded!');
-            },
-            undefined,
-            (error) => console.error('Error loading pizza shop:', error)
-        );
+    /**
+     * Load the pizza shop at spawn point
+     */
+    async loadPizzaShop() {
+        if (!this.assetManager) return;
+        
+        const { scene: pizzaShop } = await this.assetManager.load('pizzaShop');
+        const scale = 25;
+        pizzaShop.scale.set(scale, scale, scale);
+        
+        const box = new THREE.Box3().setFromObject(pizzaShop);
+        const yOffset = -box.min.y;
+        pizzaShop.position.set(0, yOffset, 0);
+        
+        pizzaShop.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+        
+        this.scene.add(pizzaShop);
     }
 
     /**
@@ -0,0 +1,289 @@
+// CustomerManager - Customers waiting at each destination: they watch the courier arrive, rate the delivery
+// 1-5 stars and tip, and their ratings roll up into a persistent courier rating
+
+import * as THREE from 'three';
+import { Events } from '../core/EventBus.js';
+import { PLAYER } from '../constants.js';
+
+const CUSTOMER_CONFIG = {
+    APPROACH_RADIUS: 30,    // Tricks landed this close to a customer count as part of the arrival
+    TRICK_WINDOW: 8,        // ...if landed within this many seconds of handing over the pizza
+    RECKLESS_SPEED: 1.5,    // Arriving faster than this (x normal top speed) scares the customer
+    LEAVE_TIME: 2.5,        // Seconds a customer hangs around reacting before going inside
+    TIP_RATES: [0, 0, 0.05, 0.15, 0.3], // Share of the delivery pay tipped, by stars (1-5)
+    RATING_WINDOW: 50,      // The courier rating averages this many recent ratings
+    STARTING_RATING: 3.5,   // New couriers get the benefit of the doubt...
+    PRIOR_WEIGHT: 3         // ...worth this many ratings
+};
+
+const CUSTOMER_SHIRTS = [0x3366cc, 0xcc3366, 0x33aa66, 0xddaa33, 0x8844cc, 0x22aaaa];
+
+export class CustomerManager {
+    constructor(scene, eventBus) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        
+        // Waiting (and reacting) customers
+        this.customers = new Map(); // order id -> customer
+        
+        // Courier rating history, newest last (persisted through the save system)
+        this.ratings = [];
+        this.saveManager = null;
+        
+        // What the courier is doing this tick (update), for judging the arrival
+        this.time = 0;
+        this.playerPosition = new THREE.Vector3();
+        this.playerSpeed = 0;
+    }
+
+    /**
+     * Register the "courier" save section (rating history)
+     */
+    setSaveManager(saveManager) {
+        this.saveManager = saveManager;
+        saveManager.registerSection('courier', {
+            version: 1,
+            serialize: () => ({ ratings: this.ratings }),
+            deserialize: (data) => {
+                this.ratings = Array.isArray(data.ratings) ? data.ratings.slice(-CUSTOMER_CONFIG.RATING_WINDOW) : [];
+            },
+            reset: () => {
+                this.ratings = [];
+            },
+            describe: (data) => `${this._averageRating(data.ratings || []).toFixed(1)}★ courier`
+        });
+    }
+
+    init() {
+        this.eventBus.on(Events.DELIVERY_STARTED, (data) => this._spawnCustomer(data));
+        this.eventBus.on(Events.DELIVERY_COMPLETED, (data) => this._rateDelivery(data));
+        this.eventBus.on(Events.DELIVERY_FAILED, ({ orderId }) => this._removeCustomer(orderId));
+        
+        // Tricks landed near a customer are remembered for when the pizza arrives
+        this.eventBus.on(Events.TRICK_COMPLETED, (data) => {
+            for (const customer of this.customers.values()) {
+                if (customer.position.distanceTo(this.playerPosition) < CUSTOMER_CONFIG.APPROACH_RADIUS) {
+                    customer.lastTrick = { time: this.time, score: data.score };
+                }
+            }
+        });
+    }
+
+    /**
+     * Watch the courier and animate customers (runs before the tick's deliveries resolve)
+     * @param {number} deltaTime
+     * @param {THREE.Vector3} playerPosition
+     * @param {number} speed - Units per tick
+     */
+    update(deltaTime, playerPosition, speed) {
+        this.time += deltaTime;
+        this.playerPosition.copy(playerPosition);
+        this.playerSpeed = speed;
+        
+        for (const [orderId, customer] of this.customers) {
+            this._animateCustomer(customer, deltaTime);
+            
+            if (customer.stars !== null) {
+                customer.leaveTimer -= deltaTime;
+                if (customer.leaveTimer <= 0) {
+                    this._removeCustomer(orderId);
+                }
+            }
+        }
+    }
+
+    /**
+     * The courier rating: recent customer stars, pulled toward the starting rating while there are few
+     * @returns {number} 1-5
+     */
+    getCourierRating() {
+        return this._averageRating(this.ratings);
+    }
+
+    _averageRating(ratings) {
+        const { STARTING_RATING, PRIOR_WEIGHT } = CUSTOMER_CONFIG;
+        const sum = ratings.reduce((total, stars) => total + stars, 0);
+        return (sum + STARTING_RATING * PRIOR_WEIGHT) / (ratings.length + PRIOR_WEIGHT);
+    }
+
+    /**
+     * Put a customer outside the door, or on the roof/balcony for drops above the street
+     */
+    _spawnCustomer({ orderId, destination, door }) {
+        const group = this._createCustomerMesh(CUSTOMER_SHIRTS[orderId % CUSTOMER_SHIRTS.length], !door && destination.y > 1);
+        if (door) {
+            group.position.set(door.x, 0, door.z);
+        } else {
+            group.position.set(destination.x, Math.max(0, destination.y - 1), destination.z);
+        }
+        this.scene.add(group);
+        
+        this.customers.set(orderId, {
+            group,
+            position: destination.clone(),
+            lastTrick: null,
+            stars: null,     // Set once the pizza arrives
+            leaveTimer: 0,
+            animTime: orderId // Out of step with each other
+        });
+    }
+
+    /**
+     * Judge the arrival: time left, the pizza's condition, how fast the courier came in and any style
+     */
+    _rateDelivery(data) {
+        const customer = this.customers.get(data.orderId);
+        const reasons = [];
+        let score = 3;
+        
+        const timeLeft = data.timeLimit > 0 ? data.timeRemaining / data.timeLimit : 0;
+        if (timeLeft > 0.5) {
+            score += 1;
+            reasons.push('Speedy!');
+        } else if (timeLeft < 0.15) {
+            score -= 1;
+            reasons.push('Cutting it close');
+        }
+        
+        const collisions = data.collisionCount || 0;
+        if (collisions === 0) {
+            score += 0.5;
+        } else {
+            score -= Math.min(2, collisions * 0.5);
+            reasons.push('Box is dented');
+        }
+        // Whatever the order's rules found wrong with it (a cold pizza, ...)
+        for (const complaint of data.complaints || []) {
+            score -= 1;
+            reasons.push(complaint);
+        }
+        
+        if (this.playerSpeed / PLAYER.MAX_SPEED > CUSTOMER_CONFIG.RECKLESS_SPEED) {
+            score -= 1;
+            reasons.push('Nearly ran me over!');
+        }
+        if (customer?.lastTrick && this.time - customer.lastTrick.time <= CUSTOMER_CONFIG.TRICK_WINDOW) {
+            score += 1;
+            reasons.push('What an entrance!');
+        }
+        
+        const stars = Math.max(1, Math.min(5, Math.round(score)));
+        const tip = Math.floor((data.creditsEarned || 0) * CUSTOMER_CONFIG.TIP_RATES[stars - 1]);
+        
+        this.ratings.push(stars);
+        if (this.ratings.length > CUSTOMER_CONFIG.RATING_WINDOW) {
+            this.ratings.shift();
+        }
+        this.saveManager?.requestSave();
+        
+        if (customer) {
+            customer.stars = stars;
+            customer.leaveTimer = CUSTOMER_CONFIG.LEAVE_TIME;
+        }
+        
+        this.eventBus.emit(Events.CUSTOMER_RATED, {
+            orderId: data.orderId,
+            stars,
+            tip,
+            reasons,
+            courierRating: this.getCourierRating()
+        });
+    }
+
+    /**
+     * Wave while waiting; hop for a good delivery, shake their head at a bad one
+     */
+    _animateCustomer(customer, deltaTime) {
+        customer.animTime += deltaTime;
+        const { group } = customer;
+        const { body, rightArm } = group.userData;
+        
+        // Face the courier
+        group.rotation.y = Math.atan2(this.playerPosition.x - group.position.x, this.playerPosition.z - group.position.z);
+        
+        if (customer.stars === null) {
+            rightArm.rotation.z = 2.4 + Math.sin(customer.animTime * 8) * 0.4;
+        } else if (customer.stars >= 4) {
+            rightArm.rotation.z = 2.8;
+            body.position.y = Math.abs(Math.sin(customer.animTime * 10)) * 0.4;
+        } else if (customer.stars <= 2) {
+            rightArm.rotation.z = 0;
+            body.rotation.y = Math.sin(customer.animTime * 12) * 0.4;
+        } else {
+            rightArm.rotation.z = 0;
+        }
+    }
+
+    /**
+     * Simple figure (head, torso, legs, waving arm); drops above the street get a ledge to stand on
+     */
+    _createCustomerMesh(shirtColor, withLedge) {
+        const group = new THREE.Group();
+        const body = new THREE.Group();
+        group.add(body);
+        
+        const skinMaterial = new THREE.MeshStandardMaterial({ color: 0xd8a070, roughness: 0.8 });
+        const shirtMaterial = new THREE.MeshStandardMaterial({ color: shirtColor, roughness: 0.7 });
+        const pantsMaterial = new THREE.MeshStandardMaterial({ color: 0x333344, roughness: 0.8 });
+        
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.22, 8, 6), skinMaterial);
+        head.position.y = 1.65;
+        body.add(head);
+        
+        const torso = new THREE.Mesh(new THREE.CylinderGeometry(0.22, 0.27, 0.65, 8), shirtMaterial);
+        torso.position.y = 1.2;
+        body.add(torso);
+        
+        const legs = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.16, 0.85, 8), pantsMaterial);
+        legs.position.y = 0.45;
+        body.add(legs);
+        
+        // Arms pivot at the shoulder
+        const leftArm = new THREE.Group();
+        const leftArmMesh = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.06, 0.45, 6), shirtMaterial);
+        leftArmMesh.position.y = -0.22;
+        leftArm.add(leftArmMesh);
+        leftArm.position.set(-0.3, 1.45, 0);
+        body.add(leftArm);
+        
+        const rightArm = new THREE.Group();
+        const rightArmMesh = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.06, 0.45, 6), shirtMaterial);
+        rightArmMesh.position.y = -0.22;
+        rightArm.add(rightArmMesh);
+        rightArm.position.set(0.3, 1.45, 0);
+        body.add(rightArm);
+        
+        if (withLedge) {
+            const ledge = new THREE.Mesh(
+                new THREE.BoxGeometry(3, 0.2, 2),
+                new THREE.MeshStandardMaterial({ color: 0x555566, roughness: 0.9 })
+            );
+            ledge.position.y = -0.1;
+            group.add(ledge);
+        }
+        
+        group.userData = { body, rightArm };
+        return group;
+    }
+
+    _removeCustomer(orderId) {
+        const customer = this.customers.get(orderId);
+        if (!customer) return;
+        
+        this.scene.remove(customer.group);
+        customer.group.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.customers.delete(orderId);
+    }
+
+    /**
+     * Dispose
+     */
+    dispose() {
+        for (const orderId of [...this.customers.keys()]) {
+            this._removeCustomer(orderId);
+        }
+    }
+}
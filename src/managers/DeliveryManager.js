@@ -1,84 +1,52 @@
 import * as THREE from 'three';
 import { Pizza } from '../entities/Pizza.js';
-import { CITY, WORLD } from '../constants.js';
+import { WORLD } from '../constants.js';
 import { Events } from '../core/EventBus.js';
+import { InventorySystem } from '../systems/InventorySystem.js';
+import { AddressBook } from '../systems/AddressBook.js';
+import { deliveryTypes } from '../systems/DeliveryTypeRegistry.js';
+import { DELIVERY_RULES } from '../systems/DeliveryRules.js';
+import { ShadeMap } from '../systems/ShadeMap.js';
+import { RoadGraph } from '../systems/RoadGraph.js';
 
-// Delivery type configurations
-const DELIVERY_TYPES = {
-    STANDARD: {
-        name: 'Standard',
-        description: 'Regular delivery',
-        timeLimit: 120,
-        rewardMultiplier: 1.0,
-        color: 0x00ff00, // Green
-        requirements: null
-    },
-    RUSH: {
-        name: 'Rush',
-        description: 'Tight deadline!',
-        timeLimit: 45,
-        rewardMultiplier: 1.5,
-        color: 0xffaa00, // Orange
-        requirements: null
-    },
-    FRAGILE: {
-        name: 'Fragile',
-        description: 'No collisions allowed!',
-        timeLimit: 90,
-        rewardMultiplier: 2.0,
-        color: 0xff00ff, // Magenta
-        requirements: {
-            noCollisions: true
-        }
-    },
-    HOT: {
-        name: 'Hot',
-        description: 'Keep moving or it cools!',
-        timeLimit: 90,
-        rewardMultiplier: 1.5,
-        color: 0xff4444, // Red
-        requirements: {
-            minSpeed: 0.1,    // Must maintain this speed ratio
-            coolingRate: 5,   // Seconds lost per second when too slow
-        }
-    },
-    VIP: {
-        name: 'VIP',
-        description: 'High-profile customer',
-        timeLimit: 60,
-        rewardMultiplier: 2.5,
-        color: 0xffdd00, // Gold
-        requirements: null
-    }
+// Pay for a finished order (the clock and base pay come with the offer - DispatchManager)
+const PAY_CONFIG = {
+    TIME_BONUS: 0.5 // Arriving with the whole clock left adds this share of the base pay
 };
 
 /**
- * Manages pizza pickup and delivery gameplay
+ * Manages pizza pickup and delivery gameplay: the pickup spot at Rico's, and the stack of orders
+ * taken from the dispatch board (InventorySystem), each with its own destination, timer and type
  */
 export class DeliveryManager {
-    constructor(scene, eventBus) {
+    constructor(scene, eventBus, random) {
         this.scene = scene;
         this.eventBus = eventBus;
+        this.random = random; // Shared seeded RNG (core/Random.js)
         
         this.pizza = null;
         this.pizzaShopPosition = new THREE.Vector3(0, 0, 0);
         
-        // Delivery state
-        this.hasActivePizza = false;
-        this.deliveryDestination = null;
-        this.deliveryTimer = 0;
-        this.deliveryTimeLimit = 120; // seconds
+        // Orders being carried
+        this.inventory = new InventorySystem(eventBus);
+        this.playerPosition = new THREE.Vector3(); // Last known, for order distances
+        
+        this.sectorManager = null;    // Sector heat and surveillance (none in headless simulation)
+        this.customerManager = null;  // Courier rating, which gates the better-paying types
+        this.droneManager = null;     // Camera drones watching CONTRABAND runs
+        
+        // Addresses of the buildings in the current level, the shade they cast and the streets
+        // between them (setCityLayout) - the dispatch board draws its offers from these too
+        this.addressBook = new AddressBook();
+        this.shadeMap = new ShadeMap();
+        this.roadGraph = new RoadGraph();
         
-        // Delivery type system
-        this.currentDeliveryType = null;
-        this.deliveryTypes = DELIVERY_TYPES;
-        this.collisionCount = 0;  // Track for FRAGILE type
-        this.currentSpeed = 0;    // Track for HOT type
-        this.pizzaTemperature = 100; // 0-100, for HOT type display
+        // Delivery type system (types and the rules they combine live in the registry)
+        this.deliveryTypes = deliveryTypes;
+        this.currentSpeed = 0;    // Speed ratio, for speed rules
         
-        // Destination marker
-        this.destinationMarker = null;
-        this.destinationBeam = null;
+        // Destination markers (pillars of light), one per order
+        this.destinationMarkers = new Map(); // order id -> THREE.Group
         
         // Stats
         this.deliveriesCompleted = 0;
@@ -86,13 +54,7 @@ export class DeliveryManager {
         this.totalCreditsEarned = 0;
         
         // Per-type stats
-        this.deliveryStats = {
-            STANDARD: { completed: 0, failed: 0 },
-            RUSH: { completed: 0, failed: 0 },
-            FRAGILE: { completed: 0, failed: 0 },
-            HOT: { completed: 0, failed: 0 },
-            VIP: { completed: 0, failed: 0 }
-        };
+        this.deliveryStats = this.deliveryTypes.createStats(() => ({ completed: 0, failed: 0 }));
         
         // Delivery range
         this.deliveryRange = 5;
@@ -102,22 +64,33 @@ export class DeliveryManager {
         this.respawnTimer = 0;
         this.waitingForRespawn = false;
         
-        // Listen for collision events (for FRAGILE)
+        // Listen for collision events (every order on the stack takes the hit, for the customer's rating)
         this.eventBus.on(Events.PLAYER_COLLISION, () => {
-            if (this.hasActivePizza && this.currentDeliveryType?.requirements?.noCollisions) {
-                this.collisionCount++;
-                this._onFragileCollision();
+            for (const order of this.inventory.getOrders()) {
+                order.collisionCount++;
             }
         });
+        
+        // Route the events any rule listens for to the orders carrying that rule
+        const ruleEvents = new Set(Object.values(DELIVERY_RULES).flatMap((rule) => Object.keys(rule.events || {})));
+        for (const event of ruleEvents) {
+            this.eventBus.on(event, (data) => this._onRuleEvent(event, data));
+        }
+        
+        // Pick which carried order to head for
+        this.eventBus.on(Events.INPUT_NEXT_ORDER, () => this.inventory.cycleActiveOrder());
     }
 
-    async init() {
+    /**
+     * @param {Object} [options]
+     * @param {AssetManager} [options.assetManager] - Pizza box model source (omit for headless simulation)
+     */
+    async init({ assetManager = null } = {}) {
         // Create pizza entity
         this.pizza = new Pizza(this.scene, this.eventBus);
-        await this.pizza.load();
-        
-        // Create destination marker
-        this._createDestinationMarker();
+        if (assetManager) {
+            await this.pizza.load(assetManager);
+        }
         
         // Spawn initial pizza at shop
         this.spawnPizzaAtShop();
@@ -130,6 +103,51 @@ export class DeliveryManager {
         this.pizzaShopPosition.copy(position);
     }
 
+    /**
+     * Set the sector manager whose heat and surveillance rules can ask about
+     */
+    setSectorManager(sectorManager) {
+        this.sectorManager = sectorManager;
+    }
+
+    /**
+     * Set the customer manager whose courier rating unlocks better orders
+     */
+    setCustomerManager(customerManager) {
+        this.customerManager = customerManager;
+    }
+
+    /**
+     * Set the drone manager whose camera drones rules can ask about
+     */
+    setDroneManager(droneManager) {
+        this.droneManager = droneManager;
+    }
+
+    /**
+     * Address the buildings and roads of the current level (the dispatch board redraws its offers after)
+     * @param {Object[]} buildings - Building editor objects
+     * @param {Object[]} [roads=[]] - Road editor objects
+     */
+    setCityLayout(buildings, roads = []) {
+        this.addressBook.build(buildings, roads, this.sectorManager);
+        this.shadeMap.build(buildings);
+        this.roadGraph.build(roads);
+    }
+
+    /**
+     * Set how many orders fit on the board (Cargo Rack upgrade)
+     * @param {number} capacity
+     */
+    setCarryingCapacity(capacity) {
+        this.inventory.setCapacity(capacity);
+        
+        // A bigger rack means more orders to collect
+        if (this.inventory.getFreeSlots() > 0) {
+            this._scheduleRespawn();
+        }
+    }
+
     /**
      * Spawn a pizza at the shop
      */
@@ -145,16 +163,29 @@ export class DeliveryManager {
     }
 
     /**
-     * Create the destination marker (pillar of light)
+     * Schedule the next pizza at the shop, unless one is already waiting there
+     */
+    _scheduleRespawn() {
+        if (this.pizza?.isActive || this.waitingForRespawn) return;
+        
+        this.waitingForRespawn = true;
+        this.respawnTimer = this.respawnDelay;
+    }
+
+    /**
+     * Create a destination marker (pillar of light) in an order's type color
+     * Children: ring, beam, arrow, then extras (door panel, altitude pole) that dim with the rest
+     * @param {string} color - CSS color
+     * @returns {THREE.Group}
      */
-    _createDestinationMarker() {
+    _createDestinationMarker(color) {
         // Create a group for the marker
-        this.destinationMarker = new THREE.Group();
+        const marker = new THREE.Group();
         
         // Ground ring
         const ringGeometry = new THREE.RingGeometry(2, 3, 32);
         const ringMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
+            color,
             transparent: true,
             opacity: 0.6,
             side: THREE.DoubleSide
@@ -162,350 +193,352 @@ export class DeliveryManager {
         const ring = new THREE.Mesh(ringGeometry, ringMaterial);
         ring.rotation.x = -Math.PI / 2;
         ring.position.y = 0.1;
-        this.destinationMarker.add(ring);
+        marker.add(ring);
         
         // Beam of light
         const beamGeometry = new THREE.CylinderGeometry(0.5, 2, 50, 16, 1, true);
         const beamMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
+            color,
             transparent: true,
             opacity: 0.2,
             side: THREE.DoubleSide
         });
-        this.destinationBeam = new THREE.Mesh(beamGeometry, beamMaterial);
-        this.destinationBeam.position.y = 25;
-        this.destinationMarker.add(this.destinationBeam);
+        const beam = new THREE.Mesh(beamGeometry, beamMaterial);
+        beam.position.y = 25;
+        marker.add(beam);
         
         // Arrow pointing down
         const arrowGeometry = new THREE.ConeGeometry(1, 2, 8);
         const arrowMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
+            color,
             transparent: true,
             opacity: 0.8
         });
-        this.destinationArrow = new THREE.Mesh(arrowGeometry, arrowMaterial);
-        this.destinationArrow.rotation.x = Math.PI;
-        this.destinationArrow.position.y = 5;
-        this.destinationMarker.add(this.destinationArrow);
+        const arrow = new THREE.Mesh(arrowGeometry, arrowMaterial);
+        arrow.rotation.x = Math.PI;
+        arrow.position.y = 5;
+        marker.add(arrow);
         
-        this.destinationMarker.visible = false;
-        this.scene.add(this.destinationMarker);
+        return marker;
     }
 
     /**
-     * Generate a random delivery destination on building edge
+     * Glowing door panel on the building being delivered to
+     * @param {string} color - CSS color
+     * @param {THREE.Vector3} offset - Door position relative to the drop-off marker
+     * @param {{x: number, z: number}} normal - Direction the door faces
+     * @returns {THREE.Mesh}
      */
-    _generateDestination() {
-        const cellSize = CITY.BLOCK_SIZE + CITY.STREET_WIDTH;
-        
-        // Pick a random block (not center)
-        let gridX, gridZ;
-        do {
-            gridX = Math.floor(Math.random() * (CITY.GRID_EXTENT * 2 + 1)) - CITY.GRID_EXTENT;
-            gridZ = Math.floor(Math.random() * (CITY.GRID_EXTENT * 2 + 1)) - CITY.GRID_EXTENT;
-        } while (gridX === 0 && gridZ === 0);
-        
-        // Position at block edge (on the street)
-        const blockCenterX = gridX * cellSize;
-        const blockCenterZ = gridZ * cellSize;
-        
-        // Random edge of block
-        const edge = Math.floor(Math.random() * 4);
-        let x, z;
-        
-        switch (edge) {
-            case 0: // North
-                x = blockCenterX + (Math.random() - 0.5) * CITY.BLOCK_SIZE * 0.5;
-                z = blockCenterZ - CITY.BLOCK_SIZE / 2 - 2;
-                break;
-            case 1: // South
-                x = blockCenterX + (Math.random() - 0.5) * CITY.BLOCK_SIZE * 0.5;
-                z = blockCenterZ + CITY.BLOCK_SIZE / 2 + 2;
-                break;
-            case 2: // East
-                x = blockCenterX + CITY.BLOCK_SIZE / 2 + 2;
-                z = blockCenterZ + (Math.random() - 0.5) * CITY.BLOCK_SIZE * 0.5;
-                break;
-            case 3: // West
-                x = blockCenterX - CITY.BLOCK_SIZE / 2 - 2;
-                z = blockCenterZ + (Math.random() - 0.5) * CITY.BLOCK_SIZE * 0.5;
-                break;
-        }
-        
-        return new THREE.Vector3(x, 0, z);
+    _createDoorMarker(color, offset, normal) {
+        const door = new THREE.Mesh(
+            new THREE.PlaneGeometry(2.5, 4),
+            new THREE.MeshBasicMaterial({
+                color,
+                transparent: true,
+                opacity: 0.7,
+                side: THREE.DoubleSide
+            })
+        );
+        // Just off the wall so it doesn't flicker into it
+        door.position.set(offset.x + normal.x * 0.1, 2, offset.z + normal.z * 0.1);
+        door.rotation.y = Math.atan2(normal.x, normal.z);
+        door.userData.baseOpacity = 0.7;
+        return door;
     }
 
     /**
-     * Select a random delivery type based on progression
+     * Pole down to the street and a ring where it lands, so a raised drop can be found from the ground
+     * @param {string} color - CSS color
+     * @param {number} height - Drop altitude
+     * @returns {THREE.Mesh[]}
      */
-    _selectDeliveryType() {
-        const completedTotal = this.deliveriesCompleted;
-        
-        // Early game: mostly standard
-        if (completedTotal < 3) {
-            return { ...DELIVERY_TYPES.STANDARD, key: 'STANDARD' };
-        }
-        
-        // Build weighted pool based on progression
-        const pool = [];
-        
-        // Standard always available
-        pool.push({ type: 'STANDARD', weight: 30 });
-        
-        // Rush available after 2 deliveries
-        if (completedTotal >= 2) {
-            pool.push({ type: 'RUSH', weight: 25 });
-        }
-        
-        // Fragile available after 5 deliveries
-        if (completedTotal >= 5) {
-            pool.push({ type: 'FRAGILE', weight: 15 });
-        }
-        
-        // Hot available after 3 deliveries
-        if (completedTotal >= 3) {
-            pool.push({ type: 'HOT', weight: 20 });
-        }
-        
-        // VIP rare, available after 8 deliveries
-        if (completedTotal >= 8) {
-            pool.push({ type: 'VIP', weight: 10 });
-        }
-        
-        // Weighted random selection
-        const totalWeight = pool.reduce((sum, item) => sum + item.weight, 0);
-        let random = Math.random() * totalWeight;
+    _createAltitudeMarker(color, height) {
+        const pole = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.15, 0.15, height, 6),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.5 })
+        );
+        pole.position.y = -height / 2;
+        pole.userData.baseOpacity = 0.5;
         
-        for (const item of pool) {
-            random -= item.weight;
-            if (random <= 0) {
-                return { ...DELIVERY_TYPES[item.type], key: item.type };
-            }
-        }
+        const groundRing = new THREE.Mesh(
+            new THREE.RingGeometry(1.5, 2, 24),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.4, side: THREE.DoubleSide })
+        );
+        groundRing.rotation.x = -Math.PI / 2;
+        groundRing.position.y = 0.1 - height;
+        groundRing.userData.baseOpacity = 0.4;
         
-        return { ...DELIVERY_TYPES.STANDARD, key: 'STANDARD' };
+        return [pole, groundRing];
     }
 
     /**
-     * Start a delivery
+     * Remove an order's marker and free its GPU resources
+     * @param {number} orderId
      */
-    startDelivery() {
-        // Select delivery type
-        this.currentDeliveryType = this._selectDeliveryType();
-        
-        this.hasActivePizza = true;
-        this.deliveryDestination = this._generateDestination();
-        this.deliveryTimer = this.currentDeliveryType.timeLimit;
-        this.deliveryTimeLimit = this.currentDeliveryType.timeLimit;
-        this.collisionCount = 0;
-        this.pizzaTemperature = 100;
+    _removeDestinationMarker(orderId) {
+        const marker = this.destinationMarkers.get(orderId);
+        if (!marker) return;
+        
+        this.scene.remove(marker);
+        marker.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.destinationMarkers.delete(orderId);
+    }
+
+    /**
+     * Whether there's room on the stack for another order
+     * @returns {boolean}
+     */
+    canCarryMore() {
+        return this.inventory.getFreeSlots() > 0;
+    }
+
+    /**
+     * Start a delivery: put an accepted offer on the stack as an order
+     * @param {Object} offer - From the dispatch board
+     * @returns {Object|null} The order, or null when the stack is full
+     */
+    startDelivery(offer) {
+        if (!this.canCarryMore()) return null;
+        
+        const { type, destination } = offer;
+        const order = {
+            id: offer.id,
+            type,
+            destination,
+            destinationKey: offer.destinationKey,
+            address: offer.address,
+            door: offer.door,
+            sectorName: offer.sectorName,
+            timer: offer.timeLimit,
+            timeLimit: offer.timeLimit,
+            basePay: offer.basePay,
+            payMultiplier: offer.payMultiplier,
+            distance: offer.distance,
+            collisionCount: 0,  // Bumps on the way (customers notice dents)
+            // The type's rules, each with its own state for this order
+            rules: type.rules.map(({ rule, params }) => {
+                const definition = DELIVERY_RULES[rule];
+                return { definition, params, state: definition.start ? definition.start(params) : {} };
+            }),
+            blockedWarned: false // Told why an order in range can't be handed over yet
+        };
+        this.inventory.addOrder(order);
         
-        // Update marker color based on delivery type
-        this._updateMarkerColor(this.currentDeliveryType.color);
+        // Marker in the delivery type's color
+        const marker = this._createDestinationMarker(type.color);
+        marker.position.copy(destination);
+        if (offer.door) {
+            marker.add(this._createDoorMarker(type.color, offer.door.clone().sub(destination), offer.doorNormal));
+        }
+        if (destination.y > 1) {
+            marker.add(...this._createAltitudeMarker(type.color, destination.y));
+        }
+        this.scene.add(marker);
+        this.destinationMarkers.set(order.id, marker);
         
-        // Show destination marker
-        this.destinationMarker.position.copy(this.deliveryDestination);
-        this.destinationMarker.visible = true;
+        // Rack full - the pickup spot closes until an order is done
+        if (!this.canCarryMore() && this.pizza) {
+            this.pizza.pickup();
+        }
         
         // Emit event
         this.eventBus.emit(Events.DELIVERY_STARTED, {
-            destination: this.deliveryDestination,
-            timeLimit: this.deliveryTimeLimit,
-            type: this.currentDeliveryType.key,
-            typeName: this.currentDeliveryType.name,
-            description: this.currentDeliveryType.description,
-            rewardMultiplier: this.currentDeliveryType.rewardMultiplier
+            orderId: order.id,
+            destination,
+            destinationKey: order.destinationKey,
+            address: order.address,
+            door: order.door,
+            timeLimit: order.timeLimit,
+            distance: order.distance,
+            type: type.key,
+            typeName: type.name,
+            description: type.description,
+            rewardMultiplier: type.rewardMultiplier
         });
         
-        console.log(`${this.currentDeliveryType.name} delivery started! Destination:`, this.deliveryDestination);
+        console.log(`${type.name} delivery started! Destination:`, order.address || destination);
+        return order;
     }
 
     /**
-     * Update destination marker color
+     * Pass an event to every carried order whose rules listen for it
      */
-    _updateMarkerColor(color) {
-        if (this.destinationMarker) {
-            this.destinationMarker.traverse((child) => {
-                if (child.material) {
-                    child.material.color.setHex(color);
+    _onRuleEvent(event, data) {
+        for (const order of [...this.inventory.getOrders()]) {
+            for (const { definition, params, state } of order.rules) {
+                const handler = definition.events?.[event];
+                if (handler && this._applyVerdict(order, handler(state, params, data))) {
+                    break;
                 }
-            });
+            }
         }
     }
 
     /**
-     * Handle collision during FRAGILE delivery
+     * Act on a rule verdict: warn, and fail the order if the rule says so
+     * @returns {boolean} Whether the order failed
      */
-    _onFragileCollision() {
-        // First collision gives a warning
-        if (this.collisionCount === 1) {
-            this.eventBus.emit(Events.DELIVERY_WARNING, {
-                message: 'Careful! Package is fragile!'
-            });
+    _applyVerdict(order, verdict) {
+        if (!verdict) return false;
+        
+        if (verdict.warning) {
+            this.eventBus.emit(Events.DELIVERY_WARNING, { message: verdict.warning });
         }
-        // Second collision fails the delivery
-        else if (this.collisionCount >= 2) {
-            this.eventBus.emit(Events.DELIVERY_WARNING, {
-                message: 'Package damaged!'
-            });
-            this.failDelivery('damaged');
+        if (verdict.fail) {
+            this.failDelivery(verdict.fail, order);
+            return true;
         }
+        return false;
     }
 
     /**
-     * Calculate credits earned for a delivery
+     * Calculate credits earned for a delivery (also the dispatch board's pay estimate)
+     * @param {number} timeRemaining
+     * @param {number} timeLimit
+     * @param {number} basePay - From the route length (DispatchManager pacing)
+     * @param {number} multiplier - Type, sector and rule multipliers
      */
-    _calculateCredits(timeRemaining, timeLimit, rewardMultiplier) {
-        const baseCredits = 100;
-        const timeBonus = Math.floor((timeRemaining / timeLimit) * 50);
-        return Math.floor((baseCredits + timeBonus) * rewardMultiplier);
+    calculateCredits(timeRemaining, timeLimit, basePay, multiplier) {
+        const timeBonus = Math.floor((timeRemaining / timeLimit) * basePay * PAY_CONFIG.TIME_BONUS);
+        return Math.floor((basePay + timeBonus) * multiplier);
     }
 
     /**
      * Complete a delivery successfully
+     * @param {Object} [order] - Defaults to the active order
      */
-    completeDelivery() {
+    completeDelivery(order = this.inventory.getActiveOrder()) {
+        if (!order) return;
+        
         this.deliveriesCompleted++;
-        this.hasActivePizza = false;
-        this.destinationMarker.visible = false;
+        this._removeOrder(order);
         
         // Calculate credits
-        const creditsEarned = this._calculateCredits(
-            this.deliveryTimer,
-            this.deliveryTimeLimit,
-            this.currentDeliveryType.rewardMultiplier
+        // Rules can scale the pay (melted gelato pays less, an unseen contraband run more)
+        const rulePay = order.rules.reduce((multiplier, { definition, params, state }) =>
+            multiplier * (definition.pay ? definition.pay(state, params) : 1), 1);
+        const creditsEarned = this.calculateCredits(
+            order.timer,
+            order.timeLimit,
+            order.basePay,
+            order.payMultiplier * rulePay
         );
         this.totalCreditsEarned += creditsEarned;
         
         // Update per-type stats
-        if (this.currentDeliveryType?.key) {
-            this.deliveryStats[this.currentDeliveryType.key].completed++;
-        }
+        this._getTypeStats(order.type.key).completed++;
         
         // Emit event
         this.eventBus.emit(Events.DELIVERY_COMPLETED, {
+            orderId: order.id,
             total: this.deliveriesCompleted,
-            timeRemaining: this.deliveryTimer,
+            timeRemaining: order.timer,
+            timeLimit: order.timeLimit,
+            collisionCount: order.collisionCount,
+            complaints: order.rules
+                .map(({ definition, params, state }) => definition.complaint?.(state, params))
+                .filter(Boolean),
             creditsEarned: creditsEarned,
             totalCredits: this.totalCreditsEarned,
-            type: this.currentDeliveryType?.key,
-            typeName: this.currentDeliveryType?.name
+            type: order.type.key,
+            typeName: order.type.name
         });
         
-        console.log(`${this.currentDeliveryType?.name} delivery complete! Credits: ${creditsEarned}`);
+        console.log(`${order.type.name} delivery complete! Credits: ${creditsEarned}`);
         
         // Schedule respawn
-        this.waitingForRespawn = true;
-        this.respawnTimer = this.respawnDelay;
-        this.currentDeliveryType = null;
+        this._scheduleRespawn();
     }
 
     /**
      * Fail a delivery
-     * @param {string} reason - 'timeout', 'damaged', 'cold'
+     * @param {string} reason - 'timeout', or the fail reason of a broken rule ('damaged', 'cold', ...)
+     * @param {Object} [order] - Defaults to the active order
      */
-    failDelivery(reason = 'timeout') {
+    failDelivery(reason = 'timeout', order = this.inventory.getActiveOrder()) {
+        if (!order) return;
+        
         this.deliveriesFailed++;
-        this.hasActivePizza = false;
-        this.destinationMarker.visible = false;
+        this._removeOrder(order);
         
         // Update per-type stats
-        if (this.currentDeliveryType?.key) {
-            this.deliveryStats[this.currentDeliveryType.key].failed++;
-        }
+        this._getTypeStats(order.type.key).failed++;
         
         // Emit event
         this.eventBus.emit(Events.DELIVERY_FAILED, {
+            orderId: order.id,
             failed: this.deliveriesFailed,
             reason: reason,
-            type: this.currentDeliveryType?.key,
-            typeName: this.currentDeliveryType?.name
+            type: order.type.key,
+            typeName: order.type.name
         });
         
-        console.log(`${this.currentDeliveryType?.name} delivery failed! Reason: ${reason}`);
+        console.log(`${order.type.name} delivery failed! Reason: ${reason}`);
         
         // Schedule respawn
-        this.waitingForRespawn = true;
-        this.respawnTimer = this.respawnDelay;
-        this.currentDeliveryType = null;
+        this._scheduleRespawn();
     }
 
     /**
-     * Check if player can deliver
+     * Per-type counters (types registered after start-up get theirs on first use)
+     */
+    _getTypeStats(key) {
+        if (!this.deliveryStats[key]) {
+            this.deliveryStats[key] = { completed: 0, failed: 0 };
+        }
+        return this.deliveryStats[key];
+    }
+
+    /**
+     * Take an order off the stack along with its marker
+     */
+    _removeOrder(order) {
+        this.inventory.removeOrder(order.id);
+        this._removeDestinationMarker(order.id);
+    }
+
+    /**
+     * Check if player can deliver any carried order
      */
     canDeliver(playerPosition) {
-        if (!this.hasActivePizza || !this.deliveryDestination) return false;
-        
-        const distance = playerPosition.distanceTo(this.deliveryDestination);
-        return distance < this.deliveryRange;
+        return this.inventory.getOrders().some(order => this._isInRange(order, playerPosition) && this._rulesAllowDrop(order));
+    }
+
+    _rulesAllowDrop(order) {
+        return order.rules.every(({ definition, params, state }) => !definition.canDeliver || definition.canDeliver(state, params));
+    }
+
+    _isInRange(order, playerPosition) {
+        return playerPosition.distanceTo(order.destination) < this.deliveryRange;
+    }
+
+    /**
+     * The order the courier is heading for
+     * @returns {Object|null}
+     */
+    getActiveOrder() {
+        return this.inventory.getActiveOrder();
     }
 
     /**
      * Update delivery state
      */
     update(deltaTime, playerPosition, playerSpeed = 0, maxSpeed = 1) {
-        // Store current speed for HOT delivery type
+        // Store current speed for speed rules
         this.currentSpeed = playerSpeed / maxSpeed;
+        this.playerPosition.copy(playerPosition);
         
         // Update pizza animation
         if (this.pizza) {
             this.pizza.update(deltaTime);
         }
         
-        // Check for pizza pickup
-        if (this.pizza && this.pizza.canPickup(playerPosition)) {
-            this.pizza.pickup();
-            this.startDelivery();
-        }
-        
-        // Update delivery timer
-        if (this.hasActivePizza) {
-            let timeDeduction = deltaTime;
-            
-            // HOT delivery: extra time penalty when moving slowly
-            if (this.currentDeliveryType?.requirements?.minSpeed) {
-                const minSpeedRequired = this.currentDeliveryType.requirements.minSpeed;
-                const coolingRate = this.currentDeliveryType.requirements.coolingRate;
-                
-                if (this.currentSpeed < minSpeedRequired) {
-                    // Faster cooling when slower
-                    const coolingMultiplier = 1 - (this.currentSpeed / minSpeedRequired);
-                    timeDeduction += coolingRate * coolingMultiplier * deltaTime;
-                    
-                    // Update pizza temperature for UI
-                    this.pizzaTemperature = Math.max(0, this.pizzaTemperature - coolingMultiplier * 20 * deltaTime);
-                    
-                    // Warning when getting cold
-                    if (this.pizzaTemperature < 30 && this.pizzaTemperature > 0) {
-                        // Emit warning periodically
-                        if (Math.random() < deltaTime * 0.5) {
-                            this.eventBus.emit(Events.DELIVERY_WARNING, {
-                                message: 'Pizza is getting cold! Speed up!'
-                            });
-                        }
-                    }
-                } else {
-                    // Reheat slightly when moving fast
-                    this.pizzaTemperature = Math.min(100, this.pizzaTemperature + 10 * deltaTime);
-                }
-                
-                // Fail if pizza gets too cold
-                if (this.pizzaTemperature <= 0) {
-                    this.failDelivery('cold');
-                    return;
-                }
-            }
-            
-            this.deliveryTimer -= timeDeduction;
-            
-            // Check for delivery completion
-            if (this.canDeliver(playerPosition)) {
-                this.completeDelivery();
-            }
-            // Check for time out
-            else if (this.deliveryTimer <= 0) {
-                this.failDelivery('timeout');
-            }
+        // Every carried order's timer runs at once (copy - orders resolve mid-loop)
+        for (const order of [...this.inventory.getOrders()]) {
+            this._updateOrder(order, deltaTime, playerPosition);
         }
         
         // Update respawn timer
@@ -515,40 +548,133 @@ export class DeliveryManager {
                 this.spawnPizzaAtShop();
             }
         }
+    }
+
+    /**
+     * Tick one order: its rules, timer, arrival and time out
+     */
+    _updateOrder(order, deltaTime, playerPosition) {
+        let timeDeduction = deltaTime;
+        
+        const context = {
+            deltaTime,
+            speedRatio: this.currentSpeed,
+            altitude: playerPosition.y,
+            random: this.random,
+            isShaded: () => this.shadeMap.isShaded(playerPosition),
+            heat: () => this.sectorManager ? this.sectorManager.getHeatAt(playerPosition) : 1,
+            camerasWatching: () => this.droneManager ? this.droneManager.getCamerasWatching(playerPosition) : 0,
+            surveillance: () => this.sectorManager ? this.sectorManager.getDensityMultiplier(playerPosition, 'drone') : 1
+        };
+        for (const { definition, params, state } of order.rules) {
+            if (!definition.update) continue;
+            
+            const verdict = definition.update(state, params, context);
+            if (this._applyVerdict(order, verdict)) return;
+            timeDeduction += verdict?.timePenalty || 0;
+        }
+        
+        order.timer -= timeDeduction;
+        
+        // Check for delivery completion
+        const inRange = this._isInRange(order, playerPosition);
+        if (inRange && this._rulesAllowDrop(order)) {
+            this.completeDelivery(order);
+            return;
+        }
+        
+        // At the door but a rule is holding the order back - say why, once per arrival
+        if (inRange && !order.blockedWarned) {
+            order.blockedWarned = true;
+            const blocking = order.rules.find(({ definition, params, state }) =>
+                definition.canDeliver && !definition.canDeliver(state, params));
+            this.eventBus.emit(Events.DELIVERY_WARNING, {
+                message: blocking.definition.blocked || 'Not yet!'
+            });
+        } else if (!inRange) {
+            order.blockedWarned = false;
+        }
+        
+        // Check for time out
+        if (order.timer <= 0) {
+            this.failDelivery('timeout', order);
+        }
+    }
+
+    /**
+     * Bob, spin and pulse the markers; the active target's burns brightest
+     * (presentation only - run per rendered frame, never in headless simulation)
+     * @param {number} deltaTime
+     */
+    animateMarkers(deltaTime) {
+        const activeId = this.inventory.activeOrderId;
         
-        // Animate destination marker
-        if (this.destinationMarker.visible) {
-            this.destinationArrow.position.y = 5 + Math.sin(Date.now() * 0.003) * 1;
-            this.destinationBeam.rotation.y += 0.01;
+        for (const [orderId, marker] of this.destinationMarkers) {
+            const order = this.inventory.getOrder(orderId);
+            const [ring, beam, arrow, ...extras] = marker.children;
+            const brightness = orderId === activeId ? 1 : 0.35;
             
-            // Pulse the ring - faster pulse for Rush delivery
-            const pulseSpeed = this.currentDeliveryType?.key === 'RUSH' ? 0.01 : 0.005;
-            const ring = this.destinationMarker.children[0];
-            if (ring) {
-                ring.material.opacity = 0.4 + Math.sin(Date.now() * pulseSpeed) * 0.2;
+            arrow.position.y = 5 + Math.sin(Date.now() * 0.003) * 1;
+            arrow.material.opacity = 0.8 * brightness;
+            beam.rotation.y += 0.6 * deltaTime;
+            beam.material.opacity = 0.2 * brightness;
+            
+            // Pulse the ring - some types (Rush) pulse faster
+            const pulseSpeed = order ? order.type.pulseSpeed : 0.005;
+            ring.material.opacity = (0.4 + Math.sin(Date.now() * pulseSpeed) * 0.2) * brightness;
+            for (const extra of extras) {
+                extra.material.opacity = extra.userData.baseOpacity * brightness;
             }
         }
     }
 
+    /**
+     * HUD gauges for an order's rules
+     * @returns {Object[]} { label, value 0-100, unit }
+     */
+    _getMeters(order) {
+        return order.rules
+            .filter(({ definition }) => definition.meter)
+            .map(({ definition, params, state }) => definition.meter(state, params));
+    }
+
     /**
      * Get delivery state for UI
+     * Single-order fields describe the active order; orders lists the whole stack.
      */
     getState() {
+        const active = this.inventory.getActiveOrder();
+        
         return {
-            hasActivePizza: this.hasActivePizza,
-            timeRemaining: Math.max(0, this.deliveryTimer),
-            destination: this.deliveryDestination,
+            hasActivePizza: this.inventory.hasOrders(),
+            timeRemaining: active ? Math.max(0, active.timer) : 0,
+            destination: active ? active.destination : null,
             deliveriesCompleted: this.deliveriesCompleted,
             deliveriesFailed: this.deliveriesFailed,
             pizzaPosition: this.pizza?.isActive ? this.pizza.getPosition() : null,
             // Delivery type info
-            deliveryType: this.currentDeliveryType?.key,
-            deliveryTypeName: this.currentDeliveryType?.name,
-            deliveryDescription: this.currentDeliveryType?.description,
-            rewardMultiplier: this.currentDeliveryType?.rewardMultiplier,
-            // HOT delivery specific
-            pizzaTemperature: this.pizzaTemperature,
-            isHotDelivery: this.currentDeliveryType?.requirements?.minSpeed !== undefined,
+            deliveryType: active?.type.key,
+            deliveryTypeName: active?.type.name,
+            deliveryDescription: active?.type.description,
+            deliveryAddress: active?.address,
+            deliveryColor: active?.type.color,
+            rewardMultiplier: active?.type.rewardMultiplier,
+            // Gauges from the active order's rules (HOT temperature, trick count...)
+            meters: active ? this._getMeters(active) : [],
+            // Order stack
+            orders: this.inventory.getOrders().map(order => ({
+                id: order.id,
+                type: order.type.key,
+                typeName: order.type.name,
+                color: order.type.color,
+                address: order.address,
+                destination: order.destination,
+                timeRemaining: Math.max(0, order.timer),
+                distance: Math.hypot(order.destination.x - this.playerPosition.x, order.destination.z - this.playerPosition.z),
+                isActive: order === active
+            })),
+            capacity: this.inventory.capacity,
+            courierRating: this.customerManager ? this.customerManager.getCourierRating() : null,
             // Stats
             totalCredits: this.totalCreditsEarned,
             deliveryStats: this.deliveryStats
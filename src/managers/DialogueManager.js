@@ -1,6 +1,8 @@
 // DialogueManager - Handles character dialogue and tutorial messages
 
 import { Events } from '../core/EventBus.js';
+import { GameState } from '../core/GameStateMachine.js';
+import { Action } from '../core/ActionMap.js';
 
 // Dialogue data
 const CHARACTERS = {
@@ -15,7 +17,7 @@ const CHARACTERS = {
 const TUTORIAL_DIALOGUE = {
     intro: [
         { character: 'RICO', text: "Hey kid! Welcome to Rico's Real Slice. You ready to make some deliveries?" },
-        { character: 'RICO', text: "Use WASD to move around. Your hoverboard charges up as you ride - keep moving!" },
+        { character: 'RICO', text: "Use {move} to move around. Your hoverboard charges up as you ride - keep moving!" },
     ],
     firstDelivery: [
         { character: 'RICO', text: "Your first order's up! Grab that pizza and get it to the customer before it gets cold." },
@@ -23,7 +25,7 @@ const TUTORIAL_DIALOGUE = {
     ],
     chargeExplain: [
         { character: 'RICO', text: "See that charge bar? It fills up while you move. Get close to cars without hitting them for bonus charge!" },
-        { character: 'RICO', text: "When it's full, press SHIFT to boost. If you jump at the same time, you'll FLY! But watch your flight meter." },
+        { character: 'RICO', text: "When it's full, press {boost} to boost. If you jump at the same time, you'll FLY! But watch your flight meter." },
     ],
     deliveryComplete: [
         { character: 'RICO', text: "Nice work! Keep it up and you'll be the best courier in Neo Angeles." },
@@ -33,6 +35,13 @@ const TUTORIAL_DIALOGUE = {
     ]
 };
 
+// {token}s in dialogue text, filled with the player's own buttons when shown
+const PROMPT_TOKENS = {
+    move: { actions: [Action.MOVE_FORWARD, Action.STRAFE_LEFT, Action.MOVE_BACK, Action.STRAFE_RIGHT], fallback: 'WASD' },
+    boost: { actions: [Action.CHARGE_BOOST, Action.SPEED_BOOST], fallback: 'SHIFT' },
+    advance: { actions: [Action.DIALOGUE_ADVANCE], fallback: 'SPACE' }
+};
+
 // Random flavor dialogue
 const FLAVOR_DIALOGUE = {
     pickup: [
@@ -62,9 +71,11 @@ export class DialogueManager {
         this.textElement = null;
         this.continueIndicator = null;
         
-        // State
-        this.isActive = false;
+        // State (dialogue is showing while in GameState.DIALOGUE)
+        this.stateMachine = null;
+        this.inputManager = null; // Set by GameManager (names buttons in prompts)
         this.currentQueue = [];
+        this.pendingSequences = []; // Requested while a menu/editor owned the screen
         this.currentIndex = 0;
         this.isTyping = false;
         this.typingSpeed = 30; // ms per character
@@ -72,20 +83,82 @@ export class DialogueManager {
         this.displayedText = '';
         this.typingTimeout = null;
         
-        // Tutorial progress
+        // Tutorial progress (persisted as the "tutorial" save section)
         this.tutorialState = {
             introShown: false,
             chargeExplained: false,
             firstDeliveryStarted: false,
         };
-        
-        // Controller input tracking
-        this.lastAButtonState = false;
+        this.saveManager = null;
         
         // Bind methods
         this._handleClick = this._handleClick.bind(this);
-        this._handleKeyPress = this._handleKeyPress.bind(this);
-        this._checkControllerInput = this._checkControllerInput.bind(this);
+    }
+
+    /**
+     * Set the game state machine and show/hide dialogue with GameState.DIALOGUE
+     */
+    setStateMachine(stateMachine) {
+        this.stateMachine = stateMachine;
+        
+        stateMachine.onEnter(GameState.DIALOGUE, () => {
+            this.container.style.display = 'block';
+            this.eventBus.emit('dialogue:start');
+            this._showCurrentDialogue();
+        });
+        
+        stateMachine.onExit(GameState.DIALOGUE, () => {
+            this.container.style.display = 'none';
+            this.currentQueue = [];
+            this.currentIndex = 0;
+            this.eventBus.emit('dialogue:end');
+        });
+        
+        // Play anything that was held back once the player is back in control
+        stateMachine.onEnter(GameState.PLAYING, () => {
+            if (this.pendingSequences.length > 0) {
+                this.showDialogue(this.pendingSequences.shift());
+            }
+        });
+    }
+
+    /**
+     * Set the input manager whose bindings and controller glyphs fill the {token}s
+     */
+    setInputManager(inputManager) {
+        this.inputManager = inputManager;
+        this._updateContinuePrompt();
+    }
+
+    /**
+     * Register the "tutorial" save section
+     */
+    setSaveManager(saveManager) {
+        this.saveManager = saveManager;
+        saveManager.registerSection('tutorial', {
+            version: 1,
+            serialize: () => ({ ...this.tutorialState }),
+            deserialize: (data) => {
+                for (const key of Object.keys(this.tutorialState)) {
+                    this.tutorialState[key] = !!data[key];
+                }
+            },
+            reset: () => {
+                for (const key of Object.keys(this.tutorialState)) {
+                    this.tutorialState[key] = false;
+                }
+            }
+        });
+    }
+
+    /**
+     * Mark a tutorial step as done
+     */
+    _completeTutorialStep(step) {
+        this.tutorialState[step] = true;
+        if (this.saveManager) {
+            this.saveManager.requestSave();
+        }
     }
 
     /**
@@ -173,7 +246,7 @@ export class DialogueManager {
             margin-top: 10px;
             animation: blink 1s infinite;
         `;
-        this.continueIndicator.textContent = 'Click or press SPACE to continue...';
+        this._updateContinuePrompt();
         
         // Add blink animation
         const style = document.createElement('style');
@@ -200,22 +273,22 @@ export class DialogueManager {
      */
     _setupEventListeners() {
         document.addEventListener('click', this._handleClick);
-        document.addEventListener('keydown', this._handleKeyPress);
         
-        // Listen for controller input to advance dialogue
+        // Space / Enter / Esc / A advance the dialogue (Action.DIALOGUE_ADVANCE, live only in GameState.DIALOGUE)
         this.eventBus.on(Events.INPUT_DIALOGUE_ADVANCE, () => {
-            if (this.isActive) {
+            if (this.isDialogueActive()) {
                 this._advanceDialogue();
             }
         });
         
-        // Also check for A button held state during dialogue (in case we missed the press event)
-        this.controllerCheckInterval = setInterval(this._checkControllerInput, 50); // Check every 50ms
+        // Keep the continue prompt on the player's current device and bindings
+        this.eventBus.on(Events.INPUT_DEVICE_CHANGED, () => this._updateContinuePrompt());
+        this.eventBus.on(Events.INPUT_BINDINGS_CHANGED, () => this._updateContinuePrompt());
         
         // Game events for tutorial triggers
         this.eventBus.on(Events.PIZZA_PICKUP, () => {
             if (!this.tutorialState.firstDeliveryStarted) {
-                this.tutorialState.firstDeliveryStarted = true;
+                this._completeTutorialStep('firstDeliveryStarted');
                 // Small delay before showing dialogue
                 setTimeout(() => this.showFlavor('pickup'), 500);
             } else {
@@ -226,7 +299,7 @@ export class DialogueManager {
         
         this.eventBus.on(Events.DELIVERY_COMPLETED, () => {
             if (!this.tutorialState.chargeExplained) {
-                this.tutorialState.chargeExplained = true;
+                this._completeTutorialStep('chargeExplained');
                 setTimeout(() => this.showDialogue('chargeExplain'), 1500);
             } else {
                 this.showQuickMessage(this._getRandomFlavor('return'));
@@ -242,7 +315,7 @@ export class DialogueManager {
      * Handle click to advance dialogue
      */
     _handleClick(e) {
-        if (!this.isActive) return;
+        if (!this.isDialogueActive()) return;
         
         // Don't advance if clicking UI buttons
         if (e.target.closest('.editor-btn, #hud, #delivery-ui')) return;
@@ -250,18 +323,6 @@ export class DialogueManager {
         this._advanceDialogue();
     }
 
-    /**
-     * Handle key press to advance dialogue
-     */
-    _handleKeyPress(e) {
-        if (!this.isActive) return;
-        
-        if (e.key === ' ' || e.key === 'Enter' || e.key === 'Escape') {
-            e.preventDefault();
-            this._advanceDialogue();
-        }
-    }
-
     /**
      * Advance to next dialogue or close
      */
@@ -282,7 +343,8 @@ export class DialogueManager {
     }
 
     /**
-     * Show a dialogue sequence
+     * Show a dialogue sequence (held until play resumes if a menu, the editor
+     * or another dialogue is on screen)
      */
     showDialogue(sequenceKey) {
         const sequence = TUTORIAL_DIALOGUE[sequenceKey];
@@ -291,15 +353,16 @@ export class DialogueManager {
             return;
         }
         
+        if (!this.stateMachine.canTransition(GameState.DIALOGUE)) {
+            if (!this.pendingSequences.includes(sequenceKey)) {
+                this.pendingSequences.push(sequenceKey);
+            }
+            return;
+        }
+        
         this.currentQueue = sequence;
         this.currentIndex = 0;
-        this.isActive = true;
-        this.container.style.display = 'block';
-        
-        // Pause game
-        this.eventBus.emit('dialogue:start');
-        
-        this._showCurrentDialogue();
+        this.stateMachine.transition(GameState.DIALOGUE);
     }
 
     /**
@@ -371,7 +434,7 @@ export class DialogueManager {
         this.nameElement.style.color = character.color;
         
         // Start typing effect
-        this.currentText = dialogue.text;
+        this.currentText = this._fillPrompts(dialogue.text);
         this.displayedText = '';
         this.isTyping = true;
         this.continueIndicator.style.opacity = '0';
@@ -379,6 +442,29 @@ export class DialogueManager {
         this._typeNextCharacter();
     }
 
+    /**
+     * Replace {token}s with the buttons for the device the player is using
+     */
+    _fillPrompts(text) {
+        return text.replace(/\{(\w+)\}/g, (match, token) => {
+            const prompt = PROMPT_TOKENS[token];
+            if (!prompt) return match;
+            return this.inputManager ? this.inputManager.getPrompt(...prompt.actions) : prompt.fallback;
+        });
+    }
+
+    _updateContinuePrompt() {
+        if (!this.continueIndicator) return;
+        
+        // Clicking only makes sense to mention on keyboard and mouse
+        const prompts = {
+            keyboard: 'Click or press {advance} to continue...',
+            pad: 'Press {advance} to continue...',
+            touch: 'Tap to continue...'
+        };
+        this.continueIndicator.textContent = this._fillPrompts(prompts[this.inputManager?.activeDevice] || prompts.keyboard);
+    }
+
     /**
      * Type next character
      */
@@ -412,7 +498,7 @@ export class DialogueManager {
      */
     showIntro() {
         if (!this.tutorialState.introShown) {
-            this.tutorialState.introShown = true;
+            this._completeTutorialStep('introShown');
             this.showDialogue('intro');
         }
     }
@@ -421,51 +507,16 @@ export class DialogueManager {
      * Hide dialogue
      */
     hide() {
-        this.container.style.display = 'none';
-        this.isActive = false;
-        this.currentQueue = [];
-        this.currentIndex = 0;
-        
-        // Resume game
-        this.eventBus.emit('dialogue:end');
+        if (this.isDialogueActive()) {
+            this.stateMachine.transition(GameState.PLAYING);
+        }
     }
 
     /**
      * Check if dialogue is active
      */
     isDialogueActive() {
-        return this.isActive;
-    }
-
-    /**
-     * Check controller input for dialogue advancement
-     */
-    _checkControllerInput() {
-        if (!this.isActive) {
-            this.lastAButtonState = false;
-            return;
-        }
-
-        // Check if A button is pressed on any connected gamepad
-        const gamepads = navigator.getGamepads();
-        let aButtonPressed = false;
-        
-        for (let i = 0; i < gamepads.length; i++) {
-            const gamepad = gamepads[i];
-            if (gamepad && gamepad.buttons && gamepad.buttons[0]) {
-                if (gamepad.buttons[0].pressed) {
-                    aButtonPressed = true;
-                    break;
-                }
-            }
-        }
-
-        // If A button was just pressed (transition from not pressed to pressed)
-        if (aButtonPressed && !this.lastAButtonState) {
-            this._advanceDialogue();
-        }
-        
-        this.lastAButtonState = aButtonPressed;
+        return this.stateMachine?.is(GameState.DIALOGUE) || false;
     }
 
     /**
@@ -473,11 +524,6 @@ export class DialogueManager {
      */
     dispose() {
         document.removeEventListener('click', this._handleClick);
-        document.removeEventListener('keydown', this._handleKeyPress);
-        
-        if (this.controllerCheckInterval) {
-            clearInterval(this.controllerCheckInterval);
-        }
         
         if (this.container && this.container.parentNode) {
             this.container.parentNode.removeChild(this.container);
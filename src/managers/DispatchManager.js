@@ -0,0 +1,617 @@
+// DispatchManager - Rico's dispatch board: offered orders to accept before riding out
+
+import * as THREE from 'three';
+import { CITY } from '../constants.js';
+import { Events } from '../core/EventBus.js';
+import { GameState } from '../core/GameStateMachine.js';
+import { Action } from '../core/ActionMap.js';
+
+// Rico's dispatch board
+const DISPATCH_CONFIG = {
+    MIN_OFFERS: 3,       // Topped up straight away below this
+    MAX_OFFERS: 5,
+    OFFER_INTERVAL: 20,  // Seconds between extra offers while below the maximum
+    EXPIRY_MIN: 45,      // Seconds an offer stays on the board
+    EXPIRY_MAX: 90,
+    LEAVE_DISTANCE: 8,   // Ride this far from the pickup spot to end a visit to the board
+    MIN_SHOP_DISTANCE: 40, // Addresses closer to Rico's than this aren't worth a trip
+    STARTER_DELIVERIES: 3  // Only the starter type is offered until this many are done
+};
+
+// Time limits and pay from the street route between Rico's and the destination
+const PACING_CONFIG = {
+    COURIER_SPEED: 14,      // Units per second an unupgraded courier averages along the streets
+    CLIMB_SPEED: 4,         // Units per second up to rooftop and balcony drops
+    BASE_TIME: 25,          // Seconds on every clock before the ride itself
+    FAIR_SLACK: 1.25,       // However tight the type, the clock allows this times the expected ride...
+    FAIR_EXTRA: 8,          // ...plus this many seconds
+    ROUND_TO: 5,            // Time limits are whole multiples of this
+    MOBILITY_SPEEDUP: 0.03, // Expected ride gets this much shorter per movement upgrade tier...
+    MAX_SPEEDUP: 0.25,      // ...up to this much
+    BASE_PAY: 40,
+    PAY_PER_UNIT: 0.2       // Credits per unit of route
+};
+
+/**
+ * Rico's dispatch board: the pool of offers (posted, expiring, accepted), visits to the pickup
+ * spot, and the board UI. Accepted offers become orders on the DeliveryManager's stack.
+ */
+export class DispatchManager {
+    constructor(eventBus, random) {
+        this.eventBus = eventBus;
+        this.random = random; // Shared seeded RNG (core/Random.js)
+        this.deliveryManager = null; // Set by GameManager - addresses, roads and the order stack
+        this.stateMachine = null; // Set by GameManager - the board is open while in GameState.DISPATCH
+        this.inputManager = null; // Set by GameManager
+        
+        // Offers on the board (an accepted offer's id becomes its order id)
+        this.offers = [];
+        this.offerTimer = DISPATCH_CONFIG.OFFER_INTERVAL;
+        this.nextOfferId = 1;
+        this.atDispatch = false;      // Courier is at the board (one DISPATCH_REACHED per visit)
+        this.ordersTakenThisVisit = 0;
+        this.mobilityLevel = 0; // Movement upgrade tiers - upgraded couriers get tighter clocks
+        
+        // Highlighted row for keyboard/gamepad (offers first, then the ride-out button)
+        this.selectedIndex = 0;
+        
+        // UI
+        this.boardElement = null;
+    }
+
+    /**
+     * Set the delivery manager whose city and order stack the board works from, and fill the board
+     */
+    setDeliveryManager(deliveryManager) {
+        this.deliveryManager = deliveryManager;
+        this._refillOffers();
+    }
+
+    /**
+     * Set the game state machine and show/hide the board with GameState.DISPATCH
+     */
+    setStateMachine(stateMachine) {
+        this.stateMachine = stateMachine;
+        stateMachine.onEnter(GameState.DISPATCH, () => this._showBoard());
+        stateMachine.onExit(GameState.DISPATCH, () => this._hideBoard());
+    }
+
+    /**
+     * Set the input manager (button prompts on the board)
+     */
+    setInputManager(inputManager) {
+        this.inputManager = inputManager;
+    }
+
+    /**
+     * Set how many movement upgrade tiers the courier has (tightens the clocks of new offers)
+     * @param {number} level
+     */
+    setMobilityLevel(level) {
+        this.mobilityLevel = level;
+    }
+
+    /**
+     * Replace the offers not yet taken, e.g. once a new level's addresses are in
+     */
+    redrawOffers() {
+        if (!this.deliveryManager) return;
+        
+        this.offers = [];
+        this._refillOffers();
+    }
+
+    init() {
+        this._createBoardUI();
+        
+        // Riding up to the pizza at Rico's
+        this.eventBus.on(Events.DISPATCH_REACHED, () => this.open());
+        
+        // Up/down pick a row, confirm accepts it, back rides out
+        this.eventBus.on(Events.INPUT_ACTION, ({ action }) => {
+            if (!this.isOpen()) return;
+            
+            const rows = this.offers.length + 1;
+            if (action === Action.MENU_UP) {
+                this.selectedIndex = (this.selectedIndex - 1 + rows) % rows;
+                this._renderBoard();
+            } else if (action === Action.MENU_DOWN) {
+                this.selectedIndex = (this.selectedIndex + 1) % rows;
+                this._renderBoard();
+            } else if (action === Action.MENU_CONFIRM) {
+                const offer = this.offers[this.selectedIndex];
+                if (offer) {
+                    this.accept(offer.id);
+                } else {
+                    this.close();
+                }
+            }
+        });
+        this.eventBus.on(Events.INPUT_MENU_EXIT, () => this.close());
+    }
+
+    /**
+     * Open the board (refused mid-dialogue, in menus or the editor)
+     * @returns {boolean} Whether the board opened
+     */
+    open() {
+        if (!this.deliveryManager || !this.stateMachine) return false;
+        return this.stateMachine.transition(GameState.DISPATCH);
+    }
+
+    /**
+     * Close the board and ride out
+     */
+    close() {
+        if (this.isOpen()) {
+            this.stateMachine.transition(GameState.PLAYING);
+        }
+    }
+
+    /**
+     * Update the board: offers come and go, and riding up to the pizza opens it once per visit
+     * @param {number} deltaTime
+     * @param {THREE.Vector3} playerPosition
+     */
+    update(deltaTime, playerPosition) {
+        if (!this.deliveryManager) return;
+        
+        this._updateOffers(deltaTime);
+        
+        const pizza = this.deliveryManager.pizza;
+        if (!this.atDispatch && pizza && this.canAcceptOffer() && pizza.canPickup(playerPosition)) {
+            this.atDispatch = true;
+            this.ordersTakenThisVisit = 0;
+            this.eventBus.emit(Events.DISPATCH_REACHED, { offers: this.offers });
+        } else if (this.atDispatch && pizza &&
+                   pizza.getPosition().distanceTo(playerPosition) > DISPATCH_CONFIG.LEAVE_DISTANCE) {
+            // Riding off with new orders counts as the pickup
+            this.atDispatch = false;
+            if (this.ordersTakenThisVisit > 0) {
+                this.eventBus.emit(Events.PIZZA_PICKUP, { orders: this.ordersTakenThisVisit });
+            }
+        }
+    }
+
+    /**
+     * Pick a random address away from the shop
+     * @returns {Object|null} From the address book, or null when the level has no reachable buildings
+     */
+    _pickAddress() {
+        const addresses = this.deliveryManager.addressBook.getAddresses();
+        if (addresses.length === 0) return null;
+        
+        const awayFromShop = addresses.filter(address =>
+            address.destination.distanceTo(this.deliveryManager.pizzaShopPosition) >= DISPATCH_CONFIG.MIN_SHOP_DISTANCE);
+        return this.random.pick(awayFromShop.length > 0 ? awayFromShop : addresses);
+    }
+
+    /**
+     * Every rooftop and balcony drop in the level
+     * @returns {{address: Object, kind: string, position: THREE.Vector3}[]}
+     */
+    _getVerticalDrops() {
+        const drops = [];
+        for (const address of this.deliveryManager.addressBook.getAddresses()) {
+            if (address.rooftop) drops.push({ address, kind: 'Roof', position: address.rooftop });
+            if (address.balcony) drops.push({ address, kind: 'Balcony', position: address.balcony });
+        }
+        return drops;
+    }
+
+    /**
+     * Pick a random rooftop or balcony away from the shop
+     * @returns {Object|null}
+     */
+    _pickVerticalDrop() {
+        const drops = this._getVerticalDrops();
+        if (drops.length === 0) return null;
+        
+        const awayFromShop = drops.filter(drop =>
+            drop.address.destination.distanceTo(this.deliveryManager.pizzaShopPosition) >= DISPATCH_CONFIG.MIN_SHOP_DISTANCE);
+        return this.random.pick(awayFromShop.length > 0 ? awayFromShop : drops);
+    }
+
+    /**
+     * Generate a random delivery destination on building edge
+     * Only used when no building in the level has an address.
+     */
+    _generateDestination() {
+        const cellSize = CITY.BLOCK_SIZE + CITY.STREET_WIDTH;
+        
+        // Pick a random block (not center)
+        let gridX, gridZ;
+        do {
+            gridX = this.random.int(CITY.GRID_EXTENT * 2 + 1) - CITY.GRID_EXTENT;
+            gridZ = this.random.int(CITY.GRID_EXTENT * 2 + 1) - CITY.GRID_EXTENT;
+        } while (gridX === 0 && gridZ === 0);
+        
+        // Position at block edge (on the street)
+        const blockCenterX = gridX * cellSize;
+        const blockCenterZ = gridZ * cellSize;
+        
+        // Random edge of block
+        const edge = this.random.int(4);
+        let x, z;
+        
+        switch (edge) {
+            case 0: // North
+                x = blockCenterX + (this.random.next() - 0.5) * CITY.BLOCK_SIZE * 0.5;
+                z = blockCenterZ - CITY.BLOCK_SIZE / 2 - 2;
+                break;
+            case 1: // South
+                x = blockCenterX + (this.random.next() - 0.5) * CITY.BLOCK_SIZE * 0.5;
+                z = blockCenterZ + CITY.BLOCK_SIZE / 2 + 2;
+                break;
+            case 2: // East
+                x = blockCenterX + CITY.BLOCK_SIZE / 2 + 2;
+                z = blockCenterZ + (this.random.next() - 0.5) * CITY.BLOCK_SIZE * 0.5;
+                break;
+            case 3: // West
+                x = blockCenterX - CITY.BLOCK_SIZE / 2 - 2;
+                z = blockCenterZ + (this.random.next() - 0.5) * CITY.BLOCK_SIZE * 0.5;
+                break;
+        }
+        
+        return new THREE.Vector3(x, 0, z);
+    }
+
+    /**
+     * Stable key for a destination (block + side of block), used to match ghost runs
+     * @param {THREE.Vector3} destination
+     * @returns {string}
+     */
+    _getDestinationKey(destination) {
+        const cellSize = CITY.BLOCK_SIZE + CITY.STREET_WIDTH;
+        const gridX = Math.round(destination.x / cellSize);
+        const gridZ = Math.round(destination.z / cellSize);
+        const offsetX = destination.x - gridX * cellSize;
+        const offsetZ = destination.z - gridZ * cellSize;
+        
+        let edge;
+        if (Math.abs(offsetX) > Math.abs(offsetZ)) {
+            edge = offsetX > 0 ? 'E' : 'W';
+        } else {
+            edge = offsetZ > 0 ? 'S' : 'N';
+        }
+        
+        return `${gridX},${gridZ}:${edge}`;
+    }
+
+    /**
+     * Select a random delivery type based on progression
+     * @returns {Object} A registered type (DeliveryTypeRegistry)
+     */
+    _selectDeliveryType() {
+        // Early game: starter type only
+        if (this.deliveryManager.deliveriesCompleted < DISPATCH_CONFIG.STARTER_DELIVERIES) {
+            return this.deliveryManager.deliveryTypes.getStarter();
+        }
+        
+        // Weighted pool of everything unlocked so far
+        const pool = this.deliveryManager.deliveryTypes.getAll().filter(type => this._isUnlocked(type));
+        const totalWeight = pool.reduce((sum, type) => sum + type.unlock.weight, 0);
+        let random = this.random.next() * totalWeight;
+        
+        for (const type of pool) {
+            random -= type.unlock.weight;
+            if (random <= 0) {
+                return type;
+            }
+        }
+        
+        return this.deliveryManager.deliveryTypes.getStarter();
+    }
+
+    /**
+     * Whether a type can be offered yet: enough deliveries done, a good enough courier rating
+     * (customers have to trust the courier with it) and, for vertical drops, something to fly up to
+     * @param {Object} type
+     */
+    _isUnlocked(type) {
+        const { deliveries, minRating } = type.unlock;
+        if (this.deliveryManager.deliveriesCompleted < deliveries) return false;
+        if (minRating && this.deliveryManager.customerManager && this.deliveryManager.customerManager.getCourierRating() < minRating) return false;
+        return type.drop !== 'vertical' || this._getVerticalDrops().length > 0;
+    }
+
+    /**
+     * Create a dispatch board offer: a random job with what the player needs to judge it
+     * @returns {Object}
+     */
+    _createOffer() {
+        // Select delivery type
+        const type = this._selectDeliveryType();
+        
+        // Vertical deliveries go to a roof or balcony instead of the door
+        const drop = type.drop === 'vertical' ? this._pickVerticalDrop() : null;
+        const address = drop ? drop.address : this._pickAddress();
+        const destination = drop ? drop.position.clone() : (address ? address.destination.clone() : this._generateDestination());
+        const sector = address ? null : this.deliveryManager.sectorManager?.getSectorAt(destination);
+        const pacing = this._getPacing(type, destination);
+        
+        return {
+            id: this.nextOfferId++,
+            type,
+            destination,
+            destinationKey: this._getDestinationKey(destination) + (drop ? `:${drop.kind}` : ''),
+            address: drop ? `${drop.kind}, ${address.name}` : (address ? address.name : null),
+            door: address && !drop ? address.door.clone() : null,
+            doorNormal: address ? address.doorNormal : null,
+            sectorName: address ? address.sectorName : (sector ? sector.name : 'Outskirts'),
+            distance: pacing.routeLength,
+            timeLimit: pacing.timeLimit,
+            basePay: pacing.basePay,
+            payMultiplier: type.rewardMultiplier * pacing.sectorPay,
+            // Pay for arriving with half the time left
+            estimatedPay: this.deliveryManager.calculateCredits(pacing.timeLimit / 2, pacing.timeLimit, pacing.basePay,
+                type.rewardMultiplier * pacing.sectorPay),
+            expiresIn: this.random.range(DISPATCH_CONFIG.EXPIRY_MIN, DISPATCH_CONFIG.EXPIRY_MAX)
+        };
+    }
+
+    /**
+     * Clock and pay for a destination: the street route from Rico's (plus any climb) at the courier's
+     * expected speed, scaled by the type and the destination sector - never tighter than a fair ride allows
+     * @returns {{routeLength: number, timeLimit: number, basePay: number, sectorPay: number}}
+     */
+    _getPacing(type, destination) {
+        const {
+            COURIER_SPEED, CLIMB_SPEED, BASE_TIME, FAIR_SLACK, FAIR_EXTRA, ROUND_TO,
+            MOBILITY_SPEEDUP, MAX_SPEEDUP, BASE_PAY, PAY_PER_UNIT
+        } = PACING_CONFIG;
+        
+        // Along the streets, then straight to the door/drop from the nearest one
+        const route = this.deliveryManager.roadGraph.findRoute(this.deliveryManager.pizzaShopPosition, destination);
+        const routeLength = route
+            ? this.deliveryManager.roadGraph.getLength(route) + Math.hypot(
+                destination.x - route[route.length - 1].x, destination.z - route[route.length - 1].z)
+            : Math.hypot(destination.x - this.deliveryManager.pizzaShopPosition.x, destination.z - this.deliveryManager.pizzaShopPosition.z);
+        
+        const ride = routeLength / COURIER_SPEED + Math.max(0, destination.y) / CLIMB_SPEED;
+        const speedup = Math.min(MAX_SPEEDUP, this.mobilityLevel * MOBILITY_SPEEDUP);
+        const sector = this.deliveryManager.sectorManager ? this.deliveryManager.sectorManager.getDeliveryModifiers(destination) : { time: 1, pay: 1 };
+        
+        // Upgrades tighten the type's clock, but the fair floor is always an unupgraded ride
+        const timeLimit = Math.max(
+            (BASE_TIME + ride * (1 - speedup)) * type.timeScale * sector.time,
+            ride * FAIR_SLACK + FAIR_EXTRA
+        );
+        
+        return {
+            routeLength,
+            timeLimit: Math.ceil(timeLimit / ROUND_TO) * ROUND_TO,
+            basePay: BASE_PAY + routeLength * PAY_PER_UNIT,
+            sectorPay: sector.pay
+        };
+    }
+
+    /**
+     * Keep at least the minimum number of offers on the board
+     */
+    _refillOffers() {
+        while (this.offers.length < DISPATCH_CONFIG.MIN_OFFERS) {
+            this.offers.push(this._createOffer());
+        }
+    }
+
+    /**
+     * Expire old offers and post new ones now and then
+     */
+    _updateOffers(deltaTime) {
+        for (const offer of this.offers) {
+            offer.expiresIn -= deltaTime;
+        }
+        this.offers = this.offers.filter(offer => offer.expiresIn > 0);
+        
+        this.offerTimer -= deltaTime;
+        if (this.offerTimer <= 0) {
+            this.offerTimer = DISPATCH_CONFIG.OFFER_INTERVAL;
+            if (this.offers.length < DISPATCH_CONFIG.MAX_OFFERS) {
+                this.offers.push(this._createOffer());
+            }
+        }
+        this._refillOffers();
+    }
+
+    /**
+     * Offers currently on the dispatch board
+     * @returns {Object[]}
+     */
+    getOffers() {
+        return this.offers;
+    }
+
+    /**
+     * Whether the rack has room for another order
+     * @returns {boolean}
+     */
+    canAcceptOffer() {
+        return this.deliveryManager ? this.deliveryManager.canCarryMore() : false;
+    }
+
+    /**
+     * Take an offer from the board: it becomes an order on the stack and its clock starts
+     * @param {number} offerId
+     * @returns {Object|null} The order, or null if the offer is gone or the stack is full
+     */
+    acceptOffer(offerId) {
+        const index = this.offers.findIndex(offer => offer.id === offerId);
+        if (index === -1 || !this.canAcceptOffer()) return null;
+        
+        const [offer] = this.offers.splice(index, 1);
+        const order = this.deliveryManager.startDelivery(offer);
+        this.ordersTakenThisVisit++;
+        this._refillOffers();
+        return order;
+    }
+
+    /**
+     * Accept an offer; the board closes by itself once the rack is full
+     * @param {number} offerId
+     */
+    accept(offerId) {
+        if (!this.acceptOffer(offerId)) return;
+        
+        if (!this.canAcceptOffer()) {
+            this.close();
+            return;
+        }
+        this.selectedIndex = Math.min(this.selectedIndex, this.offers.length);
+        this._renderBoard();
+    }
+
+    /**
+     * Check if the board is open
+     */
+    isOpen() {
+        return this.stateMachine?.is(GameState.DISPATCH) || false;
+    }
+
+    _showBoard() {
+        this.selectedIndex = 0;
+        this._renderBoard();
+        this.boardElement.style.display = 'block';
+    }
+
+    _hideBoard() {
+        this.boardElement.style.display = 'none';
+    }
+
+    /**
+     * Create the board panel (rows are clickable through data-dispatch)
+     */
+    _createBoardUI() {
+        this.boardElement = document.createElement('div');
+        this.boardElement.id = 'dispatch-board';
+        this.boardElement.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: 680px;
+            max-width: 95vw;
+            max-height: 85vh;
+            overflow-y: auto;
+            background: linear-gradient(180deg, rgba(20,20,30,0.98) 0%, rgba(10,10,15,0.98) 100%);
+            border: 3px solid #ff6b35;
+            border-radius: 15px;
+            display: none;
+            z-index: 1000;
+            font-family: 'Courier New', monospace;
+            color: white;
+            box-shadow: 0 0 50px rgba(255, 107, 53, 0.4);
+        `;
+        
+        this.boardElement.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-dispatch]');
+            if (!button) return;
+            
+            if (button.dataset.dispatch === 'accept') {
+                this.accept(parseInt(button.dataset.offer));
+            } else if (button.dataset.dispatch === 'close') {
+                this.close();
+            }
+        });
+        
+        document.body.appendChild(this.boardElement);
+    }
+
+    _renderBoard() {
+        if (!this.boardElement || !this.deliveryManager) return;
+        
+        const offers = this.offers;
+        const inventory = this.deliveryManager.inventory;
+        const carried = inventory.getOrders().length;
+        const hasRoom = this.canAcceptOffer();
+        const rating = this.deliveryManager.customerManager ? this.deliveryManager.customerManager.getCourierRating() : null;
+        const prompt = (action) => this.inputManager ? this.inputManager.getPrompt(action) : '';
+        
+        const rows = offers.map((offer, index) => {
+            const color = offer.type.color;
+            const selected = index === this.selectedIndex;
+            return `
+                <div style="
+                    display: grid;
+                    grid-template-columns: 90px 1fr 70px 60px 80px 60px 90px;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 10px 12px;
+                    border: 1px solid ${selected ? '#ff6b35' : '#333'};
+                    border-radius: 8px;
+                    background: ${selected ? 'rgba(255, 107, 53, 0.12)' : 'rgba(255,255,255,0.03)'};
+                    font-size: 13px;
+                ">
+                    <span style="color: ${color}; font-weight: bold;">${offer.type.name.toUpperCase()}${offer.type.ruleLabels.length > 0
+                        ? `<br><span style="color: #888; font-size: 10px; font-weight: normal;">${offer.type.ruleLabels.join(', ')}</span>`
+                        : ''}</span>
+                    <span>${offer.address || 'Street drop'}<br><span style="color: #888; font-size: 11px;">${offer.sectorName}</span></span>
+                    <span>${Math.round(offer.distance)}m</span>
+                    <span>${Math.round(offer.timeLimit)}s</span>
+                    <span style="color: #ffdd00;">~${offer.estimatedPay} cr</span>
+                    <span style="color: ${offer.expiresIn < 15 ? '#ff4444' : '#888'};">${Math.ceil(offer.expiresIn)}s</span>
+                    <button data-dispatch="accept" data-offer="${offer.id}" ${hasRoom ? '' : 'disabled'} style="
+                        padding: 6px 10px;
+                        font-family: 'Courier New', monospace;
+                        font-size: 12px;
+                        background: ${hasRoom ? 'linear-gradient(135deg, #ff6b35, #ff4500)' : 'rgba(255,255,255,0.05)'};
+                        border: 2px solid ${hasRoom ? '#ff6b35' : '#333'};
+                        border-radius: 6px;
+                        color: ${hasRoom ? 'white' : '#666'};
+                        cursor: ${hasRoom ? 'pointer' : 'not-allowed'};
+                    ">${hasRoom ? 'ACCEPT' : 'RACK FULL'}</button>
+                </div>
+            `;
+        }).join('');
+        
+        const closeSelected = this.selectedIndex === offers.length;
+        
+        this.boardElement.innerHTML = `
+            <div style="background: linear-gradient(90deg, #ff6b35, #ff4500); padding: 16px; text-align: center;">
+                <h2 style="margin: 0; font-size: 22px; text-transform: uppercase; letter-spacing: 4px;">Dispatch Board</h2>
+            </div>
+            <div style="padding: 16px; display: flex; flex-direction: column; gap: 8px;">
+                <div style="display: flex; justify-content: space-between; color: #888; font-size: 12px;">
+                    <span>Rico: "Pick your jobs, kid. Clock starts when you take one."</span>
+                    <span style="color: #0ff;">${rating !== null ? `<span style="color: #ffdd00;">${rating.toFixed(1)}★</span> ` : ''}RACK ${carried}/${inventory.capacity}</span>
+                </div>
+                <div style="
+                    display: grid;
+                    grid-template-columns: 90px 1fr 70px 60px 80px 60px 90px;
+                    gap: 8px;
+                    padding: 0 12px;
+                    color: #666;
+                    font-size: 11px;
+                ">
+                    <span>TYPE</span><span>ADDRESS</span><span>DIST</span><span>TIME</span><span>PAY</span><span>EXPIRES</span><span></span>
+                </div>
+                ${rows}
+            </div>
+            <div style="padding: 16px; border-top: 1px solid #333;">
+                <button data-dispatch="close" style="
+                    width: 100%;
+                    padding: 12px;
+                    font-family: 'Courier New', monospace;
+                    font-size: 16px;
+                    background: ${closeSelected ? 'rgba(255, 107, 53, 0.35)' : 'transparent'};
+                    border: 2px solid ${closeSelected ? '#ff6b35' : '#666'};
+                    border-radius: 8px;
+                    color: white;
+                    cursor: pointer;
+                ">${carried > 0 ? 'RIDE OUT' : 'NOT NOW'}</button>
+                <div style="margin-top: 8px; text-align: center; color: #666; font-size: 11px;">
+                    ${prompt(Action.MENU_UP)}/${prompt(Action.MENU_DOWN)}: Choose | ${prompt(Action.MENU_CONFIRM)}: Accept | ${prompt(Action.MENU_BACK)}: Ride out
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Dispose
+     */
+    dispose() {
+        if (this.boardElement && this.boardElement.parentNode) {
+            this.boardElement.parentNode.removeChild(this.boardElement);
+        }
+    }
+}
@@ -31,11 +31,15 @@ const DRONE_CONFIG = {
     ALTITUDE_DRIFT_SPEED: 2,
     SUDDEN_STOP_CHANCE: 0.005,      // Chance to briefly hover
     SUDDEN_BOOST_CHANCE: 0.01,      // Chance to speed up suddenly
+    // Camera drones
+    CAMERA_RANGE: 30,               // How far a camera drone can see
+    CAMERA_MIN_DROP: -5,            // Cameras look down - they miss anything this far above them
 };
 
 class Drone {
-    constructor(type, position, velocity, targetAltitude) {
+    constructor(type, position, velocity, targetAltitude, random, bodiless = false) {
         this.type = type;
+        this.random = random; // Shared seeded RNG (core/Random.js)
         this.velocity = velocity.clone();
         this.baseSpeed = velocity.length();
         this.targetAltitude = targetAltitude;
@@ -43,12 +47,12 @@ class Drone {
         // Store propeller references for animation (must be before _createMesh)
         this.propellers = [];
         
-        this.mesh = this._createMesh(type);
+        this.mesh = bodiless ? new THREE.Group() : this._createMesh(type);
         this.mesh.position.copy(position);
         
         // Erratic behavior state
-        this.wobblePhase = Math.random() * Math.PI * 2;
-        this.wobblePhaseY = Math.random() * Math.PI * 2;
+        this.wobblePhase = this.random.next() * Math.PI * 2;
+        this.wobblePhaseY = this.random.next() * Math.PI * 2;
         this.isHovering = false;
         this.hoverTimer = 0;
         this.propellerAngle = 0;
@@ -174,9 +178,9 @@ class Drone {
         }
         
         // Random behavior changes
-        if (Math.random() < DRONE_CONFIG.DIRECTION_CHANGE_CHANCE) {
+        if (this.random.chance(DRONE_CONFIG.DIRECTION_CHANGE_CHANCE)) {
             // Sudden direction shift
-            const turnAngle = (Math.random() - 0.5) * Math.PI * 0.5;
+            const turnAngle = (this.random.next() - 0.5) * Math.PI * 0.5;
             const cos = Math.cos(turnAngle);
             const sin = Math.sin(turnAngle);
             const newVx = this.velocity.x * cos - this.velocity.z * sin;
@@ -185,15 +189,15 @@ class Drone {
             this.velocity.z = newVz;
         }
         
-        if (Math.random() < DRONE_CONFIG.SUDDEN_STOP_CHANCE) {
+        if (this.random.chance(DRONE_CONFIG.SUDDEN_STOP_CHANCE)) {
             // Brief hover
             this.isHovering = true;
-            this.hoverTimer = 0.5 + Math.random() * 1.5;
+            this.hoverTimer = 0.5 + this.random.next() * 1.5;
         }
         
-        if (Math.random() < DRONE_CONFIG.SUDDEN_BOOST_CHANCE) {
+        if (this.random.chance(DRONE_CONFIG.SUDDEN_BOOST_CHANCE)) {
             // Speed boost
-            const boostFactor = 1.5 + Math.random() * 0.5;
+            const boostFactor = 1.5 + this.random.next() * 0.5;
             this.velocity.multiplyScalar(boostFactor);
             // Clamp to reasonable speed
             const speed = this.velocity.length();
@@ -219,7 +223,7 @@ class Drone {
         this.mesh.position.y += altDiff * DRONE_CONFIG.ALTITUDE_DRIFT_SPEED * deltaTime;
         
         // Random altitude wandering
-        this.targetAltitude += (Math.random() - 0.5) * 0.5;
+        this.targetAltitude += (this.random.next() - 0.5) * 0.5;
         this.targetAltitude = Math.max(DRONE_CONFIG.MIN_ALTITUDE, 
             Math.min(DRONE_CONFIG.MAX_ALTITUDE, this.targetAltitude));
         
@@ -282,9 +286,13 @@ class Drone {
 }
 
 export class DroneManager {
-    constructor(scene) {
+    constructor(scene, random) {
         this.scene = scene;
+        this.random = random;
         this.drones = [];
+        this.maxDrones = DRONE_CONFIG.MAX_DRONES; // Scaled by quality settings
+        this.drawScale = 1; // Share of DESPAWN_RADIUS drones are drawn within (quality settings)
+        this.bodiless = false; // Skip drone models (headless simulation)
         this.spawnTimer = 0;
         
         console.log('DroneManager initialized');
@@ -295,20 +303,20 @@ export class DroneManager {
     }
 
     _getRandomDroneType() {
-        return DRONE_TYPES[Math.floor(Math.random() * DRONE_TYPES.length)];
+        return this.random.pick(DRONE_TYPES);
     }
 
     _trySpawnDrone(playerPosition) {
-        if (this.drones.length >= DRONE_CONFIG.MAX_DRONES) return;
+        if (this.drones.length >= this.maxDrones) return;
         
         // Random altitude
         const altitude = DRONE_CONFIG.MIN_ALTITUDE + 
-            Math.random() * (DRONE_CONFIG.MAX_ALTITUDE - DRONE_CONFIG.MIN_ALTITUDE);
+            this.random.next() * (DRONE_CONFIG.MAX_ALTITUDE - DRONE_CONFIG.MIN_ALTITUDE);
         
         // Random spawn angle around player
-        const spawnAngle = Math.random() * Math.PI * 2;
+        const spawnAngle = this.random.next() * Math.PI * 2;
         const spawnDist = DRONE_CONFIG.MIN_SPAWN_DISTANCE + 
-            Math.random() * (DRONE_CONFIG.SPAWN_RADIUS - DRONE_CONFIG.MIN_SPAWN_DISTANCE);
+            this.random.next() * (DRONE_CONFIG.SPAWN_RADIUS - DRONE_CONFIG.MIN_SPAWN_DISTANCE);
         
         const spawnPos = new THREE.Vector3(
             playerPosition.x + Math.cos(spawnAngle) * spawnDist,
@@ -317,9 +325,9 @@ export class DroneManager {
         );
         
         // Random velocity direction (somewhat toward player area for visibility)
-        const velAngle = spawnAngle + Math.PI + (Math.random() - 0.5) * Math.PI;
+        const velAngle = spawnAngle + Math.PI + (this.random.next() - 0.5) * Math.PI;
         const speed = DRONE_CONFIG.SPEED_MIN + 
-            Math.random() * (DRONE_CONFIG.SPEED_MAX - DRONE_CONFIG.SPEED_MIN);
+            this.random.next() * (DRONE_CONFIG.SPEED_MAX - DRONE_CONFIG.SPEED_MIN);
         
         const velocity = new THREE.Vector3(
             Math.cos(velAngle) * speed,
@@ -336,7 +344,7 @@ export class DroneManager {
         
         // Create the drone
         const droneType = this._getRandomDroneType();
-        const drone = new Drone(droneType, spawnPos, velocity, altitude);
+        const drone = new Drone(droneType, spawnPos, velocity, altitude, this.random, this.bodiless);
         this.scene.add(drone.mesh);
         this.drones.push(drone);
         
@@ -399,10 +407,66 @@ export class DroneManager {
         return collisions;
     }
 
+    /**
+     * How many camera drones can see a position right now
+     * @param {THREE.Vector3} position
+     * @returns {number}
+     */
+    getCamerasWatching(position) {
+        let watching = 0;
+        for (const drone of this.drones) {
+            if (drone.type.name !== 'camera') continue;
+            
+            const pos = drone.getPosition();
+            if (pos.y - position.y >= DRONE_CONFIG.CAMERA_MIN_DROP &&
+                pos.distanceTo(position) <= DRONE_CONFIG.CAMERA_RANGE) {
+                watching++;
+            }
+        }
+        return watching;
+    }
+
     getDroneCount() {
         return this.drones.length;
     }
 
+    /**
+     * New drones get no model - they still fly, watch and collide
+     * @param {boolean} bodiless
+     */
+    setBodiless(bodiless) {
+        this.bodiless = bodiless;
+    }
+
+    /**
+     * Scale the drone cap (quality settings); drones over a lowered cap fly off as they despawn
+     * @param {number} density - 1 = DRONE_CONFIG.MAX_DRONES
+     */
+    setDensity(density) {
+        this.maxDrones = Math.max(1, Math.round(DRONE_CONFIG.MAX_DRONES * density));
+    }
+
+    /**
+     * Scale how far away drones are drawn (quality settings) - render-only, cameras still watch from out of sight
+     * @param {number} scale - 1 = every drone
+     */
+    setDrawScale(scale) {
+        this.drawScale = scale;
+    }
+
+    /**
+     * Hide drones beyond the draw distance (every frame - hidden drones still fly and collide)
+     */
+    updateVisibility(playerPosition) {
+        const drawDistanceSq = Math.pow(DRONE_CONFIG.DESPAWN_RADIUS * this.drawScale, 2);
+        for (const drone of this.drones) {
+            const pos = drone.getPosition();
+            const dx = pos.x - playerPosition.x;
+            const dz = pos.z - playerPosition.z;
+            drone.mesh.visible = dx * dx + dz * dz <= drawDistanceSq;
+        }
+    }
+
     dispose() {
         for (const drone of this.drones) {
             this.scene.remove(drone.mesh);
@@ -1,6 +1,8 @@
 // EconomyManager - Handles credits, progression, and end-of-run summary
 
 import { Events } from '../core/EventBus.js';
+import { GameState } from '../core/GameStateMachine.js';
+import { deliveryTypes } from '../systems/DeliveryTypeRegistry.js';
 
 export class EconomyManager {
     constructor(eventBus) {
@@ -25,19 +27,23 @@ export class EconomyManager {
             tricksFailed: 0,
             trickScore: 0,
             bestCombo: 0,
+            tips: 0,
+            ratingTotal: 0,
+            ratingCount: 0,
             
             // Per delivery type
-            byType: {
-                STANDARD: { completed: 0, failed: 0, credits: 0 },
-                RUSH: { completed: 0, failed: 0, credits: 0 },
-                FRAGILE: { completed: 0, failed: 0, credits: 0 },
-                HOT: { completed: 0, failed: 0, credits: 0 },
-                VIP: { completed: 0, failed: 0, credits: 0 }
-            }
+            byType: deliveryTypes.createStats(() => ({ completed: 0, failed: 0, credits: 0 }))
         };
         
-        // Summary UI
+        // Summary UI (open while in GameState.SUMMARY)
         this.summaryElement = null;
+        this.stateMachine = null;
+        
+        // Flight timing (simulation ms when the current flight started)
+        this._flightStartTime = null;
+        
+        // Credits are persisted through the save system (none in headless simulation)
+        this.saveManager = null;
         
         // Setup event listeners
         this._setupEventListeners();
@@ -48,31 +54,44 @@ export class EconomyManager {
      */
     init() {
         this._createSummaryUI();
-        this._loadSavedData();
     }
 
     /**
-     * Load saved credits from localStorage
+     * Register the "economy" save section
      */
-    _loadSavedData() {
-        try {
-            const saved = localStorage.getItem('neonSlice_credits');
-            if (saved) {
-                this.totalCredits = parseInt(saved) || 0;
-            }
-        } catch (e) {
-            console.warn('Could not load saved credits:', e);
-        }
+    setSaveManager(saveManager) {
+        this.saveManager = saveManager;
+        saveManager.registerSection('economy', {
+            version: 1,
+            serialize: () => ({ totalCredits: this.totalCredits }),
+            deserialize: (data) => {
+                this.totalCredits = parseInt(data.totalCredits) || 0;
+            },
+            reset: () => {
+                this.totalCredits = 0;
+            },
+            describe: (data) => `${data.totalCredits} credits`
+        });
+    }
+
+    /**
+     * Set the game state machine and show/hide the summary with GameState.SUMMARY
+     */
+    setStateMachine(stateMachine) {
+        this.stateMachine = stateMachine;
+        stateMachine.onEnter(GameState.SUMMARY, () => this._renderSummary());
+        stateMachine.onExit(GameState.SUMMARY, () => {
+            this.summaryElement.style.display = 'none';
+            this.eventBus.emit('summary:hidden');
+        });
     }
 
     /**
-     * Save credits to localStorage
+     * Persist credits
      */
     _saveData() {
-        try {
-            localStorage.setItem('neonSlice_credits', this.totalCredits.toString());
-        } catch (e) {
-            console.warn('Could not save credits:', e);
+        if (this.saveManager) {
+            this.saveManager.requestSave();
         }
     }
 
@@ -88,9 +107,10 @@ export class EconomyManager {
             this.sessionStats.deliveriesCompleted++;
             
             // Track by type
-            if (data.type && this.sessionStats.byType[data.type]) {
-                this.sessionStats.byType[data.type].completed++;
-                this.sessionStats.byType[data.type].credits += credits;
+            if (data.type) {
+                const typeStats = this._getTypeStats(data.type);
+                typeStats.completed++;
+                typeStats.credits += credits;
             }
             
             // Track fastest delivery
@@ -102,12 +122,22 @@ export class EconomyManager {
             this._saveData();
         });
         
+        // Customer tip on top of the delivery pay
+        this.eventBus.on(Events.CUSTOMER_RATED, ({ stars, tip }) => {
+            this.totalCredits += tip;
+            this.sessionCredits += tip;
+            this.sessionStats.tips += tip;
+            this.sessionStats.ratingTotal += stars;
+            this.sessionStats.ratingCount++;
+            this._saveData();
+        });
+        
         // Delivery failed
         this.eventBus.on(Events.DELIVERY_FAILED, (data) => {
             this.sessionStats.deliveriesFailed++;
             
-            if (data.type && this.sessionStats.byType[data.type]) {
-                this.sessionStats.byType[data.type].failed++;
+            if (data.type) {
+                this._getTypeStats(data.type).failed++;
             }
         });
         
@@ -140,12 +170,13 @@ export class EconomyManager {
         
         // Flight tracking
         this.eventBus.on(Events.PLAYER_FLIGHT_START, () => {
-            this._flightStartTime = performance.now();
+            // Simulation time, so fast-forwarded runs measure the same flight time
+            this._flightStartTime = this.sessionStats.totalTimePlayedMs;
         });
         
         this.eventBus.on(Events.PLAYER_FLIGHT_END, () => {
-            if (this._flightStartTime) {
-                this.sessionStats.flightTimeTotal += (performance.now() - this._flightStartTime) / 1000;
+            if (this._flightStartTime !== null) {
+                this.sessionStats.flightTimeTotal += (this.sessionStats.totalTimePlayedMs - this._flightStartTime) / 1000;
                 this._flightStartTime = null;
             }
         });
@@ -197,9 +228,17 @@ export class EconomyManager {
     }
 
     /**
-     * Show end-of-session summary
+     * Show end-of-session summary (only from play or the shop)
+     * @returns {boolean} Whether the summary opened
      */
     showSummary() {
+        return this.stateMachine.transition(GameState.SUMMARY);
+    }
+
+    /**
+     * Build and display the summary panel
+     */
+    _renderSummary() {
         const stats = this.sessionStats;
         const timeMinutes = Math.floor(stats.totalTimePlayedMs / 60000);
         const timeSeconds = Math.floor((stats.totalTimePlayedMs % 60000) / 1000);
@@ -279,6 +318,14 @@ export class EconomyManager {
                     <span style="color: #888;">Distance:</span>
                     <span style="float: right;">${(stats.distanceTraveled).toFixed(0)}m</span>
                 </div>
+                <div style="background: rgba(255,255,255,0.05); padding: 10px; border-radius: 5px;">
+                    <span style="color: #888;">Tips:</span>
+                    <span style="float: right; color: #ffdd00;">${stats.tips}</span>
+                </div>
+                <div style="background: rgba(255,255,255,0.05); padding: 10px; border-radius: 5px;">
+                    <span style="color: #888;">Avg Rating:</span>
+                    <span style="float: right;">${stats.ratingCount > 0 ? `${(stats.ratingTotal / stats.ratingCount).toFixed(1)}★` : '-'}</span>
+                </div>
             </div>
             
             <div style="
@@ -327,21 +374,24 @@ export class EconomyManager {
         this.eventBus.emit('summary:shown');
     }
 
+    /**
+     * Session counters for a delivery type (created for types registered after the session began)
+     */
+    _getTypeStats(type) {
+        if (!this.sessionStats.byType[type]) {
+            this.sessionStats.byType[type] = { completed: 0, failed: 0, credits: 0 };
+        }
+        return this.sessionStats.byType[type];
+    }
+
     /**
      * Generate delivery type breakdown HTML
      */
     _generateTypeBreakdown(byType) {
-        const typeColors = {
-            STANDARD: '#00ff00',
-            RUSH: '#ffaa00',
-            FRAGILE: '#ff00ff',
-            HOT: '#ff4444',
-            VIP: '#ffdd00'
-        };
-        
         let html = '';
         for (const [type, data] of Object.entries(byType)) {
             if (data.completed > 0 || data.failed > 0) {
+                const color = deliveryTypes.getColor(type);
                 html += `
                     <div style="
                         display: flex;
@@ -349,10 +399,10 @@ export class EconomyManager {
                         align-items: center;
                         padding: 5px 10px;
                         margin-bottom: 5px;
-                        background: ${typeColors[type]}15;
-                        border-left: 3px solid ${typeColors[type]};
+                        background: ${color}15;
+                        border-left: 3px solid ${color};
                     ">
-                        <span style="color: ${typeColors[type]}; font-weight: bold;">${type}</span>
+                        <span style="color: ${color}; font-weight: bold;">${type}</span>
                         <span>${data.completed}/${data.completed + data.failed} (+${data.credits})</span>
                     </div>
                 `;
@@ -366,15 +416,16 @@ export class EconomyManager {
      * Hide summary
      */
     hideSummary() {
-        this.summaryElement.style.display = 'none';
-        this.eventBus.emit('summary:hidden');
+        if (this.isSummaryOpen()) {
+            this.stateMachine.transition(GameState.PLAYING);
+        }
     }
 
     /**
      * Check if summary is currently open
      */
     isSummaryOpen() {
-        return this.summaryElement && this.summaryElement.style.display === 'block';
+        return this.stateMachine?.is(GameState.SUMMARY) || false;
     }
 
     /**
@@ -392,13 +443,10 @@ export class EconomyManager {
             distanceTraveled: 0,
             maxAltitude: 0,
             flightTimeTotal: 0,
-            byType: {
-                STANDARD: { completed: 0, failed: 0, credits: 0 },
-                RUSH: { completed: 0, failed: 0, credits: 0 },
-                FRAGILE: { completed: 0, failed: 0, credits: 0 },
-                HOT: { completed: 0, failed: 0, credits: 0 },
-                VIP: { completed: 0, failed: 0, credits: 0 }
-            }
+            tips: 0,
+            ratingTotal: 0,
+            ratingCount: 0,
+            byType: deliveryTypes.createStats(() => ({ completed: 0, failed: 0, credits: 0 }))
         };
     }
 
@@ -23,6 +23,7 @@ export class EffectsManager {
         // Particles
         this.trailParticles = [];
         this.particlePool = []; // Pool of reusable particles
+        this.particlePoolCapacity = 0; // Pre-allocated size (the pool grows past it when exhausted)
         this.glowTexture = null;
         
         // Initialize particle pool
@@ -58,6 +59,7 @@ export class EffectsManager {
      */
     _initParticlePool() {
         const poolSize = EFFECTS.MAX_TRAIL_PARTICLES + 20; // Extra for bursts
+        this.particlePoolCapacity = poolSize;
         const glowTexture = this.createGlowTexture();
         
         for (let i = 0; i < poolSize; i++) {
@@ -105,6 +107,18 @@ export class EffectsManager {
         return particle;
     }
 
+    /**
+     * Particle pool usage (profiler)
+     * @returns {{active: number, size: number, capacity: number}} size > capacity means the pool overflowed
+     */
+    getParticlePoolStats() {
+        let active = 0;
+        for (const particle of this.particlePool) {
+            if (particle.userData.isActive) active++;
+        }
+        return { active, size: this.particlePool.length, capacity: this.particlePoolCapacity };
+    }
+
     /**
      * Return a particle to the pool
      */
@@ -0,0 +1,423 @@
+// EventInspectorManager - Debug overlay showing the live EventBus stream, payloads and per-event counts
+
+import { Events, EventPriority } from '../core/EventBus.js';
+
+const INSPECTOR_CONFIG = {
+    MAX_ENTRIES: 200,          // Stream history kept in memory
+    MAX_PAYLOAD_LENGTH: 160,   // Characters shown per payload
+    RENDER_INTERVAL: 150       // ms between overlay refreshes while events arrive
+};
+
+// Namespace colours (anything else is grey)
+const NAMESPACE_COLORS = {
+    input: '#888888',
+    player: '#00ffff',
+    charge: '#ffaa00',
+    delivery: '#00ff00',
+    pizza: '#00ff00',
+    trick: '#ff00ff',
+    replay: '#66ccff',
+    ghost: '#66ccff',
+    upgrade: '#ffdd00',
+    state: '#ff6b35',
+    game: '#ffffff'
+};
+
+export class EventInspectorManager {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        
+        // Recorded stream (oldest first) and totals since start
+        this.entries = [];
+        this.counts = new Map();
+        this.startTime = performance.now();
+        
+        // View state
+        this.isVisible = false;
+        this.isPaused = false;
+        this.filterTerms = [];
+        this.mutedEvents = new Set();
+        
+        // UI
+        this.element = null;
+        this.filterInput = null;
+        this.pauseButton = null;
+        this.countsElement = null;
+        this.streamElement = null;
+        this.renderTimer = null;
+        
+        this._onEvent = this._onEvent.bind(this);
+        this._unsubscribe = null;
+    }
+
+    /**
+     * Initialize the inspector (starts recording immediately, overlay hidden)
+     */
+    init() {
+        this._createUI();
+        
+        // High priority so the stream shows each event before the handlers it triggers
+        this._unsubscribe = this.eventBus.on('*', this._onEvent, { priority: EventPriority.HIGH });
+        this.eventBus.on(Events.INPUT_INSPECTOR_TOGGLE, () => this.toggle());
+    }
+
+    /**
+     * Record one event
+     */
+    _onEvent(event, ...args) {
+        this.counts.set(event, (this.counts.get(event) || 0) + 1);
+        
+        if (!this.isPaused) {
+            this.entries.push({
+                time: (performance.now() - this.startTime) / 1000,
+                event,
+                payload: this._formatPayload(args)
+            });
+            if (this.entries.length > INSPECTOR_CONFIG.MAX_ENTRIES) {
+                this.entries.shift();
+            }
+        }
+        
+        this._scheduleRender();
+    }
+
+    /**
+     * Compact, size-limited text for an event's arguments
+     */
+    _formatPayload(args) {
+        if (args.length === 0) return '';
+        
+        const seen = new WeakSet();
+        const replacer = (key, value) => {
+            if (typeof value === 'number') {
+                return Math.round(value * 100) / 100;
+            }
+            if (value && typeof value === 'object') {
+                if (value.isVector3) {
+                    return { x: value.x, y: value.y, z: value.z };
+                }
+                if (value.isObject3D) {
+                    return `[${value.type}]`;
+                }
+                if (seen.has(value)) {
+                    return '[circular]';
+                }
+                seen.add(value);
+            }
+            return value;
+        };
+        
+        const text = args.map((arg) => {
+            try {
+                return JSON.stringify(arg, replacer) ?? String(arg);
+            } catch (e) {
+                return String(arg);
+            }
+        }).join(', ');
+        
+        return text.length > INSPECTOR_CONFIG.MAX_PAYLOAD_LENGTH
+            ? text.slice(0, INSPECTOR_CONFIG.MAX_PAYLOAD_LENGTH) + '…'
+            : text;
+    }
+
+    /**
+     * Parse the filter box: space/comma separated terms
+     *   delivery:*  - namespace wildcard
+     *   trick       - substring match
+     *   -charge     - exclude matches
+     */
+    _setFilter(text) {
+        this.filterTerms = text.split(/[\s,]+/).filter(Boolean).map((term) => {
+            const exclude = term.startsWith('-');
+            const pattern = exclude ? term.slice(1) : term;
+            return { exclude, pattern };
+        });
+        this._render();
+    }
+
+    _matchesTerm(event, pattern) {
+        if (pattern === '*') return true;
+        if (pattern.endsWith('*')) return event.startsWith(pattern.slice(0, -1));
+        return event.includes(pattern);
+    }
+
+    /**
+     * Whether an event passes the filter box and mute list
+     */
+    _isShown(event) {
+        if (this.mutedEvents.has(event)) return false;
+        
+        const includes = this.filterTerms.filter(term => !term.exclude);
+        const excludes = this.filterTerms.filter(term => term.exclude);
+        
+        if (excludes.some(term => this._matchesTerm(event, term.pattern))) return false;
+        if (includes.length === 0) return true;
+        return includes.some(term => this._matchesTerm(event, term.pattern));
+    }
+
+    /**
+     * Create the overlay
+     */
+    _createUI() {
+        this.element = document.createElement('div');
+        this.element.id = 'event-inspector';
+        this.element.style.cssText = `
+            position: fixed;
+            top: 10px;
+            right: 10px;
+            width: 440px;
+            max-height: 70vh;
+            display: none;
+            flex-direction: column;
+            gap: 6px;
+            padding: 10px;
+            background: rgba(0, 0, 0, 0.85);
+            border: 1px solid #00ffff;
+            border-radius: 8px;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            color: #ccc;
+            z-index: 1200;
+        `;
+        
+        const buttonStyle = `
+            background: transparent;
+            border: 1px solid #00ffff;
+            border-radius: 4px;
+            color: #00ffff;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            padding: 2px 6px;
+            cursor: pointer;
+        `;
+        
+        // Header: title + controls
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+        
+        const title = document.createElement('span');
+        title.textContent = 'EVENT INSPECTOR';
+        title.style.cssText = 'flex: 1; color: #00ffff; font-weight: bold;';
+        header.appendChild(title);
+        
+        this.pauseButton = document.createElement('button');
+        this.pauseButton.style.cssText = buttonStyle;
+        this.pauseButton.textContent = 'Pause';
+        this.pauseButton.addEventListener('click', () => this.togglePause());
+        header.appendChild(this.pauseButton);
+        
+        const clearButton = document.createElement('button');
+        clearButton.style.cssText = buttonStyle;
+        clearButton.textContent = 'Clear';
+        clearButton.addEventListener('click', () => this.clear());
+        header.appendChild(clearButton);
+        
+        const closeButton = document.createElement('button');
+        closeButton.style.cssText = buttonStyle;
+        closeButton.textContent = '✕';
+        closeButton.addEventListener('click', () => this.hide());
+        header.appendChild(closeButton);
+        
+        this.element.appendChild(header);
+        
+        // Filter box
+        this.filterInput = document.createElement('input');
+        this.filterInput.type = 'text';
+        this.filterInput.placeholder = 'filter: delivery:*  trick  -charge';
+        this.filterInput.style.cssText = `
+            background: #111;
+            border: 1px solid #444;
+            border-radius: 4px;
+            color: #fff;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            padding: 4px;
+        `;
+        this.filterInput.addEventListener('input', () => this._setFilter(this.filterInput.value));
+        // Keep typing out of the game's keyboard handlers
+        this.filterInput.addEventListener('keydown', (e) => e.stopPropagation());
+        this.filterInput.addEventListener('keyup', (e) => e.stopPropagation());
+        this.element.appendChild(this.filterInput);
+        
+        // Per-event counts (click to mute/unmute)
+        this.countsElement = document.createElement('div');
+        this.countsElement.style.cssText = `
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+            max-height: 90px;
+            overflow-y: auto;
+        `;
+        this.countsElement.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-event]');
+            if (chip) {
+                this.toggleMute(chip.dataset.event);
+            }
+        });
+        this.element.appendChild(this.countsElement);
+        
+        // Live stream (newest first)
+        this.streamElement = document.createElement('div');
+        this.streamElement.style.cssText = `
+            flex: 1;
+            overflow-y: auto;
+            border-top: 1px solid #333;
+            padding-top: 4px;
+            line-height: 1.4;
+        `;
+        this.element.appendChild(this.streamElement);
+        
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Refresh soon (coalesces bursts of events into one redraw)
+     */
+    _scheduleRender() {
+        if (!this.isVisible || this.renderTimer) return;
+        
+        this.renderTimer = setTimeout(() => {
+            this.renderTimer = null;
+            this._render();
+        }, INSPECTOR_CONFIG.RENDER_INTERVAL);
+    }
+
+    /**
+     * Redraw counts and stream
+     */
+    _render() {
+        if (!this.element || !this.isVisible) return;
+        
+        // Counts, busiest first
+        const counts = [...this.counts.entries()].sort((a, b) => b[1] - a[1]);
+        this.countsElement.innerHTML = counts.map(([event, count]) => {
+            const muted = this.mutedEvents.has(event);
+            return `
+                <span data-event="${this._escapeHtml(event)}" title="Click to ${muted ? 'unmute' : 'mute'}" style="
+                    padding: 1px 5px;
+                    border: 1px solid ${this._getColor(event)};
+                    border-radius: 3px;
+                    color: ${this._getColor(event)};
+                    cursor: pointer;
+                    opacity: ${muted ? 0.35 : 1};
+                    text-decoration: ${muted ? 'line-through' : 'none'};
+                ">${this._escapeHtml(event)} ×${count}</span>
+            `;
+        }).join('');
+        
+        // Stream
+        let html = '';
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            if (!this._isShown(entry.event)) continue;
+            
+            html += `
+                <div>
+                    <span style="color: #666;">${entry.time.toFixed(2).padStart(7)}</span>
+                    <span style="color: ${this._getColor(entry.event)};">${this._escapeHtml(entry.event)}</span>
+                    <span style="color: #aaa;">${this._escapeHtml(entry.payload)}</span>
+                </div>
+            `;
+        }
+        this.streamElement.innerHTML = html || '<div style="color: #666;">No matching events</div>';
+    }
+
+    _getColor(event) {
+        const namespace = event.split(':')[0];
+        return NAMESPACE_COLORS[namespace] || '#aaaaaa';
+    }
+
+    _escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show the overlay
+     */
+    show() {
+        if (!this.element) return;
+        this.isVisible = true;
+        this.element.style.display = 'flex';
+        this._render();
+    }
+
+    /**
+     * Hide the overlay (recording continues)
+     */
+    hide() {
+        if (!this.element) return;
+        this.isVisible = false;
+        this.element.style.display = 'none';
+        this.filterInput.blur();
+    }
+
+    /**
+     * Toggle the overlay
+     */
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * Freeze/unfreeze the stream (counts keep updating)
+     */
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        if (this.pauseButton) {
+            this.pauseButton.textContent = this.isPaused ? 'Resume' : 'Pause';
+        }
+    }
+
+    /**
+     * Mute/unmute an event in the stream
+     * @param {string} event - Event name
+     */
+    toggleMute(event) {
+        if (this.mutedEvents.has(event)) {
+            this.mutedEvents.delete(event);
+        } else {
+            this.mutedEvents.add(event);
+        }
+        this._render();
+    }
+
+    /**
+     * Forget the stream and counts
+     */
+    clear() {
+        this.entries = [];
+        this.counts.clear();
+        this._render();
+    }
+
+    /**
+     * Get per-event counts since start (or the last clear)
+     * @returns {Object} event -> count
+     */
+    getCounts() {
+        return Object.fromEntries(this.counts);
+    }
+
+    /**
+     * Dispose
+     */
+    dispose() {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+        }
+        if (this.renderTimer) {
+            clearTimeout(this.renderTimer);
+        }
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
@@ -0,0 +1,143 @@
+// HapticsManager - Gamepad rumble for collisions, landings, near misses, full charge and tricks
+
+import { Events } from '../core/EventBus.js';
+import { InputContext } from '../core/GameStateMachine.js';
+
+/**
+ * Rumble profiles at full intensity
+ *   duration - ms
+ *   strong   - Low-frequency (heavy) motor, 0-1
+ *   weak     - High-frequency (buzzy) motor, 0-1
+ */
+const RUMBLE_PROFILES = {
+    collision: { duration: 220, strong: 1.0, weak: 0.6 },
+    heavyLanding: { duration: 180, strong: 0.9, weak: 0.3 },
+    nearMiss: { duration: 90, strong: 0.1, weak: 0.6 },
+    chargeFull: { duration: 140, strong: 0.3, weak: 0.8 },
+    trickLanded: { duration: 110, strong: 0.35, weak: 0.7 },
+    trickBail: { duration: 260, strong: 0.8, weak: 0.4 }
+};
+
+// Game event -> profile, and how hard that particular event was (0-1)
+const EVENT_RUMBLE = [
+    { event: Events.PLAYER_COLLISION, profile: 'collision', intensity: (data) => data?.intensity ?? 1 },
+    { event: Events.PLAYER_LAND_IMPACT, profile: 'heavyLanding', intensity: (strength) => strength ?? 1 },
+    { event: Events.NEAR_MISS, profile: 'nearMiss', intensity: () => 1 },
+    { event: Events.CHARGE_FULL, profile: 'chargeFull', intensity: () => 1 },
+    // Bigger combos land harder
+    { event: Events.TRICK_COMPLETED, profile: 'trickLanded', intensity: (data) => Math.min(1, 0.5 + 0.25 * ((data?.tricks?.length || 1) - 1)) },
+    { event: Events.TRICK_FAILED, profile: 'trickBail', intensity: () => 1 }
+];
+
+export class HapticsManager {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.inputManager = null; // Set by GameManager
+        this.stateMachine = null; // Set by GameManager
+        
+        // Player settings (SettingsManager)
+        this.enabled = true;
+        this.strength = 1;
+        
+        // The effect playing now, so a light buzz doesn't cut off a heavy hit
+        this.playingUntil = 0;
+        this.playingMagnitude = 0;
+    }
+
+    /**
+     * Set the input manager whose gamepad rumbles
+     */
+    setInputManager(inputManager) {
+        this.inputManager = inputManager;
+    }
+
+    /**
+     * Set the game state machine (rumble stops when gameplay does)
+     */
+    setStateMachine(stateMachine) {
+        this.stateMachine = stateMachine;
+    }
+
+    init() {
+        for (const { event, profile, intensity } of EVENT_RUMBLE) {
+            this.eventBus.on(event, (data) => this.rumble(profile, intensity(data)));
+        }
+        
+        this.eventBus.on(Events.STATE_CHANGED, () => {
+            if (this.stateMachine && !this.stateMachine.isInputLive(InputContext.GAMEPLAY)) {
+                this.stop();
+            }
+        });
+    }
+
+    /**
+     * Turn rumble on or off
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.stop();
+    }
+
+    /**
+     * Scale every rumble
+     * @param {number} strength - 0-1
+     */
+    setStrength(strength) {
+        this.strength = strength;
+    }
+
+    /**
+     * Play a profile on the gamepad the player is using
+     * @param {string} profile - RUMBLE_PROFILES key
+     * @param {number} [intensity=1] - 0-1, scales both motors
+     */
+    rumble(profile, intensity = 1) {
+        const settings = RUMBLE_PROFILES[profile];
+        const gamepad = this._getRumblePad();
+        if (!settings || !gamepad) return;
+        
+        const scale = Math.max(0, Math.min(1, intensity)) * this.strength;
+        const strong = settings.strong * scale;
+        const weak = settings.weak * scale;
+        if (strong <= 0 && weak <= 0) return;
+        
+        const now = performance.now();
+        const magnitude = Math.max(strong, weak);
+        if (now < this.playingUntil && magnitude < this.playingMagnitude) return;
+        this.playingUntil = now + settings.duration;
+        this.playingMagnitude = magnitude;
+        
+        if (gamepad.vibrationActuator?.playEffect) {
+            gamepad.vibrationActuator.playEffect('dual-rumble', {
+                startDelay: 0,
+                duration: settings.duration,
+                strongMagnitude: strong,
+                weakMagnitude: weak
+            }).catch(() => {}); // Rejected when a newer effect preempts it
+        } else if (gamepad.hapticActuators?.[0]?.pulse) {
+            // Older Firefox: a single motor
+            gamepad.hapticActuators[0].pulse(magnitude, settings.duration);
+        }
+    }
+
+    /**
+     * Stop any rumble in progress
+     */
+    stop() {
+        this.playingUntil = 0;
+        this.playingMagnitude = 0;
+        
+        const gamepad = this.inputManager?.getGamepad();
+        gamepad?.vibrationActuator?.reset?.().catch(() => {});
+    }
+
+    /**
+     * The pad to rumble: only while rumble is on and the player is actually holding the pad
+     */
+    _getRumblePad() {
+        if (!this.enabled || this.strength <= 0 || !this.inputManager) return null;
+        if (this.inputManager.activeDevice !== 'pad') return null;
+        return this.inputManager.getGamepad();
+    }
+}
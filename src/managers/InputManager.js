@@ -1,39 +1,108 @@
-// InputManager - Handles keyboard and gamepad input state and emits events
+// InputManager - Turns keyboard, mouse and gamepad input into named actions (see ActionMap) and emits their events
 
-import { KEYS, CONTROLLER } from '../constants.js';
+import { CONTROLLER, PLAYER } from '../constants.js';
 import { Events } from '../core/EventBus.js';
+import { InputContext } from '../core/GameStateMachine.js';
+import { ActionMap, Action, ACTIONS, keyBinding, formatBinding } from '../core/ActionMap.js';
+import { identifyController, getControllerGlyphs, readGamepad } from '../core/ControllerDatabase.js';
+
+// How far a stick has to travel along an axis before an 'axis:' binding counts as pressed
+const AXIS_PRESS_THRESHOLD = 0.5;
+
+// Mouse-look turn per pixel of mouse travel at sensitivity 1 (radians)
+const MOUSE_RADIANS_PER_PIXEL = 0.0025;
+
+// Touch aim turn per pixel dragged (radians) - fingers cover less ground than a mouse
+const TOUCH_RADIANS_PER_PIXEL = 0.005;
 
 export class InputManager {
     constructor(eventBus) {
         this.eventBus = eventBus;
-        this.keys = {};
+        this.stateMachine = null; // Set by GameManager (decides which contexts are live)
+        
+        // Named actions and what they're bound to
+        this.actionMap = new ActionMap(eventBus);
+        
+        // Binding ids that are down right now ('key:w', 'mouse:0', 'pad:0', 'axis:1-')
+        this.inputs = new Set();
+        
+        // Action -> { source, live } while any of its bindings is down
+        // (live = its context was live when pressed; release events need that)
+        this.heldActions = new Map();
+        
+        // Set while the rebinding UI waits for the next input
+        this.captureCallback = null;
+        
+        // Touch source (see TouchControlsManager): held on-screen buttons, joystick and aim drag
+        this.touchActions = new Set();
+        this.touchStick = { x: 0, y: 0 }; // Screen directions, -1..1 (y down)
+        this.touchAimDelta = { x: 0, y: 0 }; // Pixels dragged since the last getAimInput()
         
         // Gamepad state
         this.gamepadIndex = null;
         this.useController = false;
-        this.lastGamepadState = {
-            buttons: [],
-            axes: []
-        };
-        this.currentGamepadState = {
-            buttons: [],
-            axes: []
-        };
+        this.controller = null; // identifyController() result for the connected pad
+        this.padAxes = [];
+        
+        // 'keyboard' (keys and mouse), 'pad' or 'touch' - whichever was used last picks the prompts
+        this.activeDevice = 'keyboard';
         
-        // Double-tap detection for A button
-        this.lastATapTime = 0;
+        // Double-tap detection for the jump button on a gamepad
+        this.lastPadTapTime = 0;
         this.doubleTapWindow = 300; // ms window for double-tap
         this.wasDoubleTap = false; // Flag to track if current press was a double-tap
         
+        // Player settings (defaults from CONTROLLER)
+        this.deadzones = { left: CONTROLLER.DEADZONE_LEFT, right: CONTROLLER.DEADZONE_RIGHT };
+        this.invertAim = { yaw: false, pitch: false };
+        
+        // Mouse-look: the game canvas captures the pointer while riding and mouse travel aims
+        this.mouseLook = true;
+        this.mouseSensitivity = 1;
+        this.mouseDelta = { x: 0, y: 0 }; // Pixels moved since the last getAimInput()
+        this.pointerLockElement = null; // Set by GameManager (the renderer's canvas)
+        
         this._onKeyDown = this._onKeyDown.bind(this);
         this._onKeyUp = this._onKeyUp.bind(this);
+        this._onMouseDown = this._onMouseDown.bind(this);
+        this._onMouseUp = this._onMouseUp.bind(this);
+        this._onContextMenu = this._onContextMenu.bind(this);
+        this._onMouseMove = this._onMouseMove.bind(this);
+        this._onPointerLockChange = this._onPointerLockChange.bind(this);
         this._onGamepadConnected = this._onGamepadConnected.bind(this);
         this._onGamepadDisconnected = this._onGamepadDisconnected.bind(this);
     }
 
+    /**
+     * Set the game state machine whose InputContext rules gate action events
+     */
+    setStateMachine(stateMachine) {
+        this.stateMachine = stateMachine;
+    }
+
+    /**
+     * Set the element that captures the pointer for mouse-look (the game canvas)
+     */
+    setPointerLockElement(element) {
+        this.pointerLockElement = element;
+    }
+
     init() {
+        this.actionMap.load();
+        this.eventBus.on(Events.INPUT_BINDINGS_CHANGED, () => this._resyncActions());
+        
+        // Give the pointer back whenever a menu, dialogue or the editor takes over
+        this.eventBus.on(Events.STATE_CHANGED, () => {
+            if (!this._canMouseLook()) this._exitPointerLock();
+        });
+        
         window.addEventListener('keydown', this._onKeyDown);
         window.addEventListener('keyup', this._onKeyUp);
+        window.addEventListener('mousedown', this._onMouseDown);
+        window.addEventListener('mouseup', this._onMouseUp);
+        window.addEventListener('mousemove', this._onMouseMove);
+        window.addEventListener('contextmenu', this._onContextMenu);
+        document.addEventListener('pointerlockchange', this._onPointerLockChange);
         
         // Gamepad event listeners
         window.addEventListener('gamepadconnected', this._onGamepadConnected);
@@ -46,78 +115,431 @@ export class InputManager {
     destroy() {
         window.removeEventListener('keydown', this._onKeyDown);
         window.removeEventListener('keyup', this._onKeyUp);
+        window.removeEventListener('mousedown', this._onMouseDown);
+        window.removeEventListener('mouseup', this._onMouseUp);
+        window.removeEventListener('mousemove', this._onMouseMove);
+        window.removeEventListener('contextmenu', this._onContextMenu);
+        document.removeEventListener('pointerlockchange', this._onPointerLockChange);
+        this._exitPointerLock();
         window.removeEventListener('gamepadconnected', this._onGamepadConnected);
         window.removeEventListener('gamepaddisconnected', this._onGamepadDisconnected);
     }
 
     _onKeyDown(e) {
-        const key = e.key.toLowerCase();
-        this.keys[key] = true;
-        this.keys[e.key] = true; // For arrow keys (keep original case)
+        // Typing in a text field (editor properties, inspector filter) isn't game input
+        if (this._isEditable(e.target)) return;
+        
+        const binding = keyBinding(e);
+        if (this.captureCallback) {
+            e.preventDefault();
+            this._finishCapture(binding === 'key:Escape' ? null : binding);
+            return;
+        }
+        
+        // Keep the browser's own shortcuts (F1 help, F3 find, Tab focus, Space scroll) off bound keys
+        if (this._isBindingLive(binding)) {
+            e.preventDefault();
+        }
+        this._setInput(binding, true, 'key');
     }
 
     _onKeyUp(e) {
-        const key = e.key.toLowerCase();
+        const binding = keyBinding(e);
+        if (this._isBindingLive(binding)) {
+            e.preventDefault();
+        }
+        this._setInput(binding, false, 'key');
+    }
+
+    _onMouseDown(e) {
+        const binding = `mouse:${e.button}`;
+        if (this.captureCallback) {
+            e.preventDefault();
+            this._finishCapture(binding);
+            return;
+        }
         
-        // Emit jump event on space RELEASE (not press)
-        if (e.key === ' ') {
-            this.eventBus.emit(Events.INPUT_JUMP);
+        // Clicking menu buttons shouldn't also trigger whatever the mouse button is bound to
+        if (e.target.closest && e.target.closest('button, input, select, textarea, a')) return;
+        
+        // Clicking into the game starts mouse-look
+        if (e.target === this.pointerLockElement && !this.isPointerLocked() && this._canMouseLook()) {
+            this.pointerLockElement.requestPointerLock?.();
+        }
+        this._setInput(binding, true, 'mouse');
+    }
+
+    _onMouseUp(e) {
+        this._setInput(`mouse:${e.button}`, false, 'mouse');
+    }
+
+    _onMouseMove(e) {
+        if (!this.isPointerLocked()) return;
+        this.mouseDelta.x += e.movementX || 0;
+        this.mouseDelta.y += e.movementY || 0;
+        this._setActiveDevice('keyboard');
+    }
+
+    _onPointerLockChange() {
+        this.mouseDelta = { x: 0, y: 0 };
+        
+        // Losing the pointer mid-ride (Esc, alt-tab) pauses, like most mouse-look games
+        if (!this.isPointerLocked() && this._canMouseLook()) {
+            this.eventBus.emit(Events.INPUT_PAUSE);
+        }
+    }
+
+    /**
+     * Whether mouse-look currently owns the pointer
+     * @returns {boolean}
+     */
+    isPointerLocked() {
+        return !!this.pointerLockElement && document.pointerLockElement === this.pointerLockElement;
+    }
+
+    _canMouseLook() {
+        if (!this.mouseLook || !this.pointerLockElement) return false;
+        return !this.stateMachine || this.stateMachine.isInputLive(InputContext.GAMEPLAY);
+    }
+
+    _exitPointerLock() {
+        if (this.isPointerLocked()) {
+            document.exitPointerLock();
+        }
+    }
+
+    _onContextMenu(e) {
+        if (this.actionMap.getActions('mouse:2').length > 0) {
+            e.preventDefault();
         }
+    }
+
+    _isEditable(target) {
+        if (!target) return false;
+        return target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+            target.tagName === 'SELECT' || target.isContentEditable === true;
+    }
+
+    /**
+     * Record a binding going down/up and update the actions it drives
+     */
+    _setInput(binding, down, source) {
+        if (down === this.inputs.has(binding)) return;
         
-        // Emit shop toggle on 'U' key
-        if (key === 'u') {
-            this.eventBus.emit(Events.INPUT_SHOP_TOGGLE);
+        if (down) {
+            this.inputs.add(binding);
+            this._setActiveDevice(source === 'pad' ? 'pad' : 'keyboard');
+        } else {
+            this.inputs.delete(binding);
         }
         
-        // Emit board reset on 'R' key
-        if (key === 'r') {
-            this.eventBus.emit(Events.INPUT_RESET_BOARD);
+        if (this.captureCallback) {
+            if (down) this._finishCapture(binding);
+            return;
         }
         
-        // Emit summary on 'Tab' key
-        if (e.key === 'Tab') {
-            e.preventDefault();
-            this.eventBus.emit(Events.INPUT_SUMMARY);
+        for (const action of this.actionMap.getActions(binding)) {
+            this._updateAction(action, source);
+        }
+    }
+
+    _updateAction(action, source) {
+        const held = this._isHeldNow(action);
+        const state = this.heldActions.get(action);
+        
+        if (held && !state) {
+            const live = this._isActionLive(action);
+            this.heldActions.set(action, { source, live });
+            if (live) {
+                this._onActionPressed(action, source);
+            }
+        } else if (!held && state) {
+            this.heldActions.delete(action);
+            // Only release what was pressed in a live context - resuming from a menu
+            // with A must not also jump when A comes back up
+            if (state.live && this._isActionLive(action)) {
+                this._onActionReleased(action, state.source);
+            }
+        }
+    }
+
+    _onActionPressed(action, source) {
+        const definition = ACTIONS[action];
+        
+        if (definition.padDoubleTap && source === 'pad') {
+            const currentTime = Date.now();
+            const timeSinceLastTap = currentTime - this.lastPadTapTime;
+            
+            if (this.lastPadTapTime > 0 && timeSinceLastTap < this.doubleTapWindow) {
+                // Double-tap detected - emit its event instead of this action's
+                this.eventBus.emit(definition.padDoubleTap);
+                this.wasDoubleTap = true; // Mark as double-tap so we don't emit on release
+                this.lastPadTapTime = 0; // Reset to prevent triple-tap
+                return;
+            }
+            this.wasDoubleTap = false;
+            this.lastPadTapTime = currentTime;
+        }
+        
+        if (definition.trigger === 'press') {
+            this._emitAction(action, source);
+        }
+    }
+
+    _onActionReleased(action, source) {
+        const definition = ACTIONS[action];
+        
+        if (definition.padDoubleTap && source === 'pad' && this.wasDoubleTap) {
+            this.wasDoubleTap = false;
+            return;
         }
         
-        this.keys[key] = false;
-        this.keys[e.key] = false;
+        if (definition.trigger === 'release') {
+            this._emitAction(action, source);
+        }
+    }
+
+    _emitAction(action, source) {
+        const definition = ACTIONS[action];
+        if (definition.event) {
+            this.eventBus.emit(definition.event);
+        }
+        this.eventBus.emit(Events.INPUT_ACTION, { action, source });
+    }
+
+    _isHeldNow(action) {
+        return this.touchActions.has(action) ||
+            this.actionMap.getBindings(action).some(binding => this.inputs.has(binding));
     }
 
     /**
-     * Check if a key is currently pressed
-     * @param {string} key - Key to check
-     * @returns {boolean}
+     * Whether an action's InputContext is live in the current game state
      */
-    isPressed(key) {
-        return this.keys[key] === true;
+    _isActionLive(action) {
+        const contexts = ACTIONS[action].contexts;
+        if (!contexts || !this.stateMachine) return true;
+        return contexts.some(context => this.stateMachine.isInputLive(context));
+    }
+
+    _isBindingLive(binding) {
+        return this.actionMap.getActions(binding).some(action => this._isActionLive(action));
     }
 
     /**
-     * Get movement input as a normalized vector
-     * @returns {{ x: number, z: number }}
+     * Re-read which actions are held without firing anything (after a rebind or capture)
      */
-    getMovementInput() {
-        // Check controller first
-        if (this.useController) {
-            const stick = this._getLeftStick();
-            if (stick.x !== 0 || stick.z !== 0) {
-                return stick;
+    _resyncActions() {
+        this.heldActions.clear();
+        for (const action of Object.keys(ACTIONS)) {
+            if (this._isHeldNow(action)) {
+                this.heldActions.set(action, { source: null, live: false });
             }
         }
+    }
+
+    /**
+     * Press or release an on-screen touch button
+     * @param {string} action - Action value
+     * @param {boolean} down
+     */
+    setTouchAction(action, down) {
+        if (down === this.touchActions.has(action)) return;
+        
+        if (down) {
+            this.touchActions.add(action);
+            this._setActiveDevice('touch');
+        } else {
+            this.touchActions.delete(action);
+        }
+        this._updateAction(action, 'touch');
+    }
+
+    /**
+     * Move the on-screen joystick
+     * @param {number} x - -1 (left) to 1 (right)
+     * @param {number} y - -1 (up/forward) to 1 (down/back)
+     */
+    setTouchStick(x, y) {
+        this.touchStick = { x, y };
+        if (x !== 0 || y !== 0) this._setActiveDevice('touch');
+    }
+
+    /**
+     * Add a drag on the touch aim area
+     * @param {number} dx - Pixels
+     * @param {number} dy - Pixels
+     */
+    addTouchAim(dx, dy) {
+        this.touchAimDelta.x += dx;
+        this.touchAimDelta.y += dy;
+        this._setActiveDevice('touch');
+    }
+
+    /**
+     * Let go of every touch input (the touch layer was hidden mid-press)
+     */
+    releaseTouch() {
+        this.touchStick = { x: 0, y: 0 };
+        this.touchAimDelta = { x: 0, y: 0 };
+        for (const action of [...this.touchActions]) {
+            this.setTouchAction(action, false);
+        }
+    }
+
+    /**
+     * Hand the next key, mouse button, gamepad button or stick direction to a callback
+     * instead of the game (Escape cancels with null)
+     * @param {Function} callback - (binding|null) => void
+     */
+    captureBinding(callback) {
+        this.captureCallback = callback;
+    }
+
+    /**
+     * Stop waiting for a binding without calling back
+     */
+    cancelCapture() {
+        this.captureCallback = null;
+        this._resyncActions();
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isCapturing() {
+        return this.captureCallback !== null;
+    }
+
+    _finishCapture(binding) {
+        const callback = this.captureCallback;
+        this.captureCallback = null;
+        callback(binding);
+        this._resyncActions();
+    }
+
+    _setActiveDevice(device) {
+        if (this.activeDevice === device) return;
+        this.activeDevice = device;
+        this._emitDeviceChanged();
+    }
+
+    _emitDeviceChanged() {
+        this.eventBus.emit(Events.INPUT_DEVICE_CHANGED, {
+            device: this.activeDevice,
+            controller: this.controller ? this.controller.name : null,
+            family: this.controller ? this.controller.family : null
+        });
+    }
+
+    /**
+     * Button glyphs of the connected controller (Xbox when there isn't one)
+     * @returns {{ name: string, buttons: string[], sticks: string[] }}
+     */
+    getGlyphs() {
+        return getControllerGlyphs(this.controller?.family);
+    }
+
+    /**
+     * Name a binding with the connected controller's glyphs
+     * @param {string} binding
+     * @returns {string}
+     */
+    formatBinding(binding) {
+        return formatBinding(binding, this.getGlyphs());
+    }
+
+    /**
+     * An action's bindings on the device the player is using
+     * @param {string} action - Action value
+     * @returns {string[]}
+     */
+    getDeviceBindings(action) {
+        const onPad = this.activeDevice === 'pad';
+        return this.actionMap.getBindings(action).filter(binding =>
+            (binding.startsWith('pad:') || binding.startsWith('axis:')) === onPad
+        );
+    }
+
+    /**
+     * What to show the player for one or more actions, using the device they're on
+     * (e.g. 'Space' on keyboard, '✕' on a PlayStation pad, 'LS' for all four move directions)
+     * @param {...string} actions - Action values
+     * @returns {string}
+     */
+    getPrompt(...actions) {
+        // First binding per action on the active device; any binding if the device has none
+        let bindings = actions.map(action => this.getDeviceBindings(action)[0]).filter(Boolean);
+        if (bindings.length === 0) {
+            bindings = actions.map(action => this.actionMap.getBindings(action)[0]).filter(Boolean);
+        }
+        if (bindings.length === 0) return 'unbound';
+        
+        // Several directions of one stick read better as just the stick
+        const sticks = new Set(bindings.map(binding => binding.startsWith('axis:') ? parseInt(binding.slice(5)) >> 1 : -1));
+        const stick = [...sticks][0];
+        if (bindings.length > 1 && sticks.size === 1 && stick >= 0 && stick < 2) {
+            return this.getGlyphs().sticks[stick];
+        }
+        
+        return [...new Set(bindings.map(binding => this.formatBinding(binding)))].join(' / ');
+    }
+
+    /**
+     * Check if any binding of an action is down
+     * @param {string} action - Action value
+     * @returns {boolean}
+     */
+    isActionHeld(action) {
+        return this.heldActions.has(action);
+    }
+
+    /**
+     * How far an action is pushed: stick travel past the deadzone, 1 for buttons and keys
+     * @param {string} action - Action value
+     * @returns {number} 0-1
+     */
+    getActionValue(action) {
+        let value = this.touchActions.has(action) ? 1 : this._getTouchStickValue(action);
+        for (const binding of this.actionMap.getBindings(action)) {
+            value = Math.max(value, this._getBindingValue(binding));
+        }
+        return value;
+    }
 
-        // Fallback to keyboard
-        let x = 0;
-        let z = 0;
+    _getTouchStickValue(action) {
+        const { x, y } = this.touchStick;
+        const values = {
+            [Action.MOVE_FORWARD]: -y,
+            [Action.MOVE_BACK]: y,
+            [Action.STRAFE_LEFT]: -x,
+            [Action.STRAFE_RIGHT]: x
+        };
+        return Math.max(0, values[action] || 0);
+    }
 
-        if (this.isPressed(KEYS.FORWARD)) z = 1;
-        if (this.isPressed(KEYS.BACKWARD)) z = -1;
-        if (this.isPressed(KEYS.STRAFE_LEFT)) x = 1;
-        if (this.isPressed(KEYS.STRAFE_RIGHT)) x = -1;
+    _getBindingValue(binding) {
+        if (!binding.startsWith('axis:')) {
+            return this.inputs.has(binding) ? 1 : 0;
+        }
+        if (!this.useController) return 0;
+        
+        const index = parseInt(binding.slice(5));
+        const deadzone = index < 2 ? this.deadzones.left : this.deadzones.right;
+        const value = this._applyDeadzone(this.padAxes[index] || 0, deadzone);
+        return binding.endsWith('-') ? Math.max(0, -value) : Math.max(0, value);
+    }
 
-        // Normalize diagonal movement
+    /**
+     * Get movement input as a normalized vector
+     * @returns {{ x: number, z: number }}
+     */
+    getMovementInput() {
+        let x = this.getActionValue(Action.STRAFE_LEFT) - this.getActionValue(Action.STRAFE_RIGHT);
+        let z = this.getActionValue(Action.MOVE_FORWARD) - this.getActionValue(Action.MOVE_BACK);
+        
+        // Normalize diagonal movement (keys, or a stick pushed into a corner)
         const length = Math.sqrt(x * x + z * z);
-        if (length > 0) {
+        if (length > 1) {
             x /= length;
             z /= length;
         }
@@ -130,45 +552,81 @@ export class InputManager {
      * @returns {{ yaw: number, pitch: number }}
      */
     getAimInput() {
-        // Check controller first
-        if (this.useController) {
-            const stick = this._getRightStick();
-            if (stick.yaw !== 0 || stick.pitch !== 0) {
-                return stick;
-            }
+        const aim = {
+            yaw: this.getActionValue(Action.AIM_LEFT) - this.getActionValue(Action.AIM_RIGHT),
+            pitch: this.getActionValue(Action.AIM_UP) - this.getActionValue(Action.AIM_DOWN)
+        };
+        
+        // Mouse and touch-drag travel since the last call, scaled so the player turns by exactly
+        // that angle (aim input is multiplied by the per-tick aim speed)
+        this._addPixelAim(aim, this.mouseDelta, MOUSE_RADIANS_PER_PIXEL * this.mouseSensitivity);
+        this._addPixelAim(aim, this.touchAimDelta, TOUCH_RADIANS_PER_PIXEL);
+        this.mouseDelta = { x: 0, y: 0 };
+        this.touchAimDelta = { x: 0, y: 0 };
+        
+        if (this.invertAim.yaw) aim.yaw = -aim.yaw;
+        if (this.invertAim.pitch) aim.pitch = -aim.pitch;
+        return aim;
+    }
+
+    _addPixelAim(aim, delta, radiansPerPixel) {
+        aim.yaw -= delta.x * radiansPerPixel / PLAYER.AIM_YAW_SPEED;
+        aim.pitch -= delta.y * radiansPerPixel / PLAYER.AIM_PITCH_SPEED;
+    }
+
+    /**
+     * Set a stick's deadzone
+     * @param {string} stick - 'left' (movement) or 'right' (aim)
+     * @param {number} deadzone - 0-1 of the stick's travel that is ignored
+     */
+    setDeadzone(stick, deadzone) {
+        if (stick in this.deadzones) {
+            this.deadzones[stick] = deadzone;
         }
+    }
 
-        // Fallback to keyboard
-        let yaw = 0;
-        let pitch = 0;
+    /**
+     * Flip an aim axis (stick and keyboard)
+     * @param {string} axis - 'yaw' or 'pitch'
+     * @param {boolean} inverted
+     */
+    setAimInverted(axis, inverted) {
+        if (axis in this.invertAim) {
+            this.invertAim[axis] = inverted;
+        }
+    }
 
-        if (this.isPressed(KEYS.AIM_LEFT)) yaw = 1;
-        if (this.isPressed(KEYS.AIM_RIGHT)) yaw = -1;
-        if (this.isPressed(KEYS.AIM_UP)) pitch = 1;
-        if (this.isPressed(KEYS.AIM_DOWN)) pitch = -1;
+    /**
+     * Turn mouse-look on or off (off hands the pointer straight back)
+     * @param {boolean} enabled
+     */
+    setMouseLook(enabled) {
+        this.mouseLook = enabled;
+        if (!enabled) this._exitPointerLock();
+    }
 
-        return { yaw, pitch };
+    /**
+     * Scale mouse-look turning
+     * @param {number} sensitivity - 1 = MOUSE_RADIANS_PER_PIXEL per pixel
+     */
+    setMouseSensitivity(sensitivity) {
+        this.mouseSensitivity = sensitivity;
     }
 
     /**
-     * Check if spacebar is held
+     * Check if the jump/fly action is held
      * @returns {boolean}
      */
     isJumpHeld() {
-        // Check controller first
-        if (this.useController) {
-            return this._isButtonPressed(0); // A button
-        }
-        // Fallback to keyboard
-        return this.isPressed(KEYS.JUMP_FLY);
+        return this.isActionHeld(Action.JUMP);
     }
 
     /**
-     * Check if descend key is held
+     * Check if descend is held (shares the charge boost binding)
      * @returns {boolean}
      */
     isDescendHeld() {
-        return this.isPressed(KEYS.DESCEND);
+        return this.isActionHeld(Action.CHARGE_BOOST);
     }
 
     /**
@@ -176,24 +634,16 @@ export class InputManager {
      * @returns {boolean}
      */
     isForwardHeld() {
-        // Check controller first
-        if (this.useController) {
-            const stick = this._getLeftStick();
-            return stick.z > 0.1; // Forward on left stick
-        }
-        // Fallback to keyboard
-        return this.isPressed(KEYS.FORWARD);
+        return this.getActionValue(Action.MOVE_FORWARD) > 0.1;
     }
 
     /**
-     * Check if boost key (Shift) is held
-     * Note: For controller, speed boost is now on B button release, not held
+     * Check if the charge boost action (Shift by default) is held
+     * Note: For controller, speed boost is the SPEED_BOOST action on B release, not held
      * @returns {boolean}
      */
     isBoostHeld() {
-        // Controller speed boost is now handled via INPUT_SPEED_BOOST event on B button release
-        // Fallback to keyboard (Shift key)
-        return this.isPressed('shift');
+        return this.isActionHeld(Action.CHARGE_BOOST);
     }
 
     /**
@@ -214,23 +664,21 @@ export class InputManager {
         for (let i = 0; i < gamepads.length; i++) {
             const gamepad = gamepads[i];
             if (gamepad) {
-                // Check if it's an Xbox controller (by mapping string)
-                const isXbox = gamepad.mapping === 'standard' || 
-                              gamepad.id.toLowerCase().includes('xbox') ||
-                              gamepad.id.toLowerCase().includes('microsoft');
+                // Any pad will do - the database knows how to read and label it
+                if (this.gamepadIndex === i) return;
                 
-                if (isXbox || gamepad.mapping === 'standard') {
-                    this.gamepadIndex = i;
-                    this.useController = true;
-                    console.log('Xbox controller connected:', gamepad.id);
-                    return;
-                }
+                this._releasePad();
+                this.gamepadIndex = i;
+                this.useController = true;
+                this.controller = identifyController(gamepad);
+                console.log(`${this.controller.name} controller connected (${gamepad.mapping || 'raw'} mapping):`, gamepad.id);
+                this._emitDeviceChanged();
+                return;
             }
         }
         
         // No controller found
-        this.gamepadIndex = null;
-        this.useController = false;
+        this._releasePad();
     }
 
     /**
@@ -247,103 +695,65 @@ export class InputManager {
     _onGamepadDisconnected(e) {
         console.log('Gamepad disconnected:', e.gamepad.id);
         if (this.gamepadIndex === e.gamepad.index) {
-            this.gamepadIndex = null;
-            this.useController = false;
+            this._releasePad();
+        }
+    }
+
+    /**
+     * Forget the gamepad and let go of everything it was holding
+     */
+    _releasePad() {
+        const hadController = this.controller !== null;
+        this.gamepadIndex = null;
+        this.useController = false;
+        this.controller = null;
+        this.padAxes = [];
+        
+        for (const binding of [...this.inputs]) {
+            if (binding.startsWith('pad:') || binding.startsWith('axis:')) {
+                this._setInput(binding, false, 'pad');
+            }
+        }
+        
+        if (this.activeDevice === 'pad') {
+            this._setActiveDevice('keyboard');
+        } else if (hadController) {
+            this._emitDeviceChanged();
         }
     }
 
     /**
-     * Get current gamepad object
+     * Get current gamepad object (null when none is connected)
+     * @returns {Gamepad|null}
      */
-    _getGamepad() {
+    getGamepad() {
         if (this.gamepadIndex === null) return null;
         const gamepads = navigator.getGamepads();
         return gamepads[this.gamepadIndex] || null;
     }
 
     /**
-     * Poll gamepad state and store previous state for button release detection
+     * Poll gamepad buttons and stick directions into bindings
+     * (in standard-layout order, whatever the pad's own layout is)
      */
     _pollGamepad() {
-        const gamepad = this._getGamepad();
+        const gamepad = this.getGamepad();
         if (!gamepad) {
-            this.useController = false;
-            this.gamepadIndex = null;
+            this._releasePad();
             return;
         }
-
-        // Store previous state
-        this.lastGamepadState = {
-            buttons: this.currentGamepadState.buttons.map(b => b),
-            axes: this.currentGamepadState.axes.map(a => a)
-        };
-
-        // Update current state
-        this.currentGamepadState = {
-            buttons: Array.from(gamepad.buttons).map(b => ({
-                pressed: b.pressed,
-                value: b.value
-            })),
-            axes: Array.from(gamepad.axes)
-        };
-
-        // Check for A button press (for dialogue, jump/flight) and release (for jump)
-        if (!this.lastGamepadState.buttons[0]?.pressed && 
-            this.currentGamepadState.buttons[0]?.pressed) {
-            // A button just pressed
-            const currentTime = Date.now();
-            const timeSinceLastTap = currentTime - this.lastATapTime;
-            
-            // Reset double-tap flag
-            this.wasDoubleTap = false;
-            
-            // Check for double-tap on press
-            if (timeSinceLastTap < this.doubleTapWindow && this.lastATapTime > 0) {
-                // Double-tap detected - emit flight
-                this.eventBus.emit(Events.INPUT_FLIGHT);
-                this.wasDoubleTap = true; // Mark as double-tap so we don't emit jump on release
-                this.lastATapTime = 0; // Reset to prevent triple-tap
-            } else {
-                // Single tap - emit dialogue advance (will also emit jump on release)
-                this.eventBus.emit(Events.INPUT_DIALOGUE_ADVANCE);
-                this.lastATapTime = currentTime;
-            }
-        }
         
-        if (this.lastGamepadState.buttons[0] && 
-            this.lastGamepadState.buttons[0].pressed && 
-            !this.currentGamepadState.buttons[0].pressed) {
-            // A button was just released - emit jump (only if not a double-tap)
-            if (!this.wasDoubleTap) {
-                this.eventBus.emit(Events.INPUT_JUMP);
-            }
-            // Reset flag for next press
-            this.wasDoubleTap = false;
-        }
-
-        // Check for B button release (for speed boost and menu exit)
-        if (this.lastGamepadState.buttons[1] && 
-            this.lastGamepadState.buttons[1].pressed && 
-            !this.currentGamepadState.buttons[1]?.pressed) {
-            // B button was just released - emit speed boost
-            this.eventBus.emit(Events.INPUT_SPEED_BOOST);
-            // Also emit menu exit (will be handled by GameManager if menu is open)
-            this.eventBus.emit(Events.INPUT_MENU_EXIT);
-        }
-
-        // Check for Back button press (menu navigation)
-        if (!this.lastGamepadState.buttons[8]?.pressed && 
-            this.currentGamepadState.buttons[8]?.pressed) {
-            // Back button just pressed - emit menu navigate
-            this.eventBus.emit(Events.INPUT_MENU_NAVIGATE);
-        }
-
-        // Check for Right Stick click (button 9) for board reset
-        if (!this.lastGamepadState.buttons[9]?.pressed && 
-            this.currentGamepadState.buttons[9]?.pressed) {
-            // Right Stick click just pressed - emit board reset
-            this.eventBus.emit(Events.INPUT_RESET_BOARD);
-        }
+        const { buttons, axes } = readGamepad(gamepad, this.controller?.layout);
+        this.padAxes = axes;
+        
+        buttons.forEach((pressed, index) => {
+            this._setInput(`pad:${index}`, pressed, 'pad');
+        });
+        
+        this.padAxes.forEach((value, index) => {
+            this._setInput(`axis:${index}-`, value < -AXIS_PRESS_THRESHOLD, 'pad');
+            this._setInput(`axis:${index}+`, value > AXIS_PRESS_THRESHOLD, 'pad');
+        });
     }
 
     /**
@@ -360,41 +770,6 @@ export class InputManager {
         return sign * normalized;
     }
 
-    /**
-     * Get left stick input (movement)
-     */
-    _getLeftStick() {
-        const gamepad = this._getGamepad();
-        if (!gamepad || !gamepad.axes) return { x: 0, z: 0 };
-
-        const stickX = this._applyDeadzone(-(gamepad.axes[0] || 0), CONTROLLER.DEADZONE_LEFT); // Invert X for correct left/right
-        const stickY = this._applyDeadzone(-(gamepad.axes[1] || 0), CONTROLLER.DEADZONE_LEFT); // Invert Y
-
-        return { x: stickX, z: stickY };
-    }
-
-    /**
-     * Get right stick input (aim)
-     */
-    _getRightStick() {
-        const gamepad = this._getGamepad();
-        if (!gamepad || !gamepad.axes) return { yaw: 0, pitch: 0 };
-
-        const stickX = this._applyDeadzone(-(gamepad.axes[2] || 0), CONTROLLER.DEADZONE_RIGHT); // Invert X for correct left/right
-        const stickY = this._applyDeadzone(-(gamepad.axes[3] || 0), CONTROLLER.DEADZONE_RIGHT); // Invert Y
-
-        return { yaw: stickX, pitch: stickY };
-    }
-
-    /**
-     * Check if button is currently pressed
-     */
-    _isButtonPressed(buttonIndex) {
-        const gamepad = this._getGamepad();
-        if (!gamepad || !gamepad.buttons[buttonIndex]) return false;
-        return gamepad.buttons[buttonIndex].pressed;
-    }
-
     /**
      * Get trick input state
      * @returns {{ spinLeft: boolean, spinRight: boolean, flipForward: boolean, flipBack: boolean, stickDirection: {x: number, z: number} }}
@@ -402,71 +777,38 @@ export class InputManager {
     getTrickInput() {
         const movementInput = this.getMovementInput();
         
-        // Check controller first
-        if (this.useController) {
-            // X button (button 2) for spin, Y button (button 3) for flip
-            const gamepad = this._getGamepad();
-            const xPressed = gamepad && gamepad.buttons[2]?.pressed;
-            const yPressed = gamepad && gamepad.buttons[3]?.pressed;
-            
-            if (!xPressed && !yPressed) {
-                // No trick buttons pressed
-                return {
-                    spinLeft: false,
-                    spinRight: false,
-                    flipForward: false,
-                    flipBack: false,
-                    stickDirection: movementInput
-                };
-            }
-            
-            // Determine direction from left stick
-            // Left stick X: negative = left, positive = right (after our inversion)
-            // Left stick Z: negative = forward, positive = back (after our inversion)
-            let spinLeft = false;
-            let spinRight = false;
-            let flipForward = false;
-            let flipBack = false;
-            
-            if (xPressed) {
-                // Spin direction based on stick X
-                if (movementInput.x < -0.1) {
-                    spinLeft = true;
-                } else if (movementInput.x > 0.1) {
-                    spinRight = true;
-                } else {
-                    // Default to right if stick is neutral
-                    spinRight = true;
-                }
+        // Directional bindings (Q/E/R/F by default)
+        let spinLeft = this.isActionHeld(Action.SPIN_LEFT);
+        let spinRight = this.isActionHeld(Action.SPIN_RIGHT);
+        let flipForward = this.isActionHeld(Action.FLIP_FORWARD);
+        let flipBack = this.isActionHeld(Action.FLIP_BACK);
+        
+        // Spin/flip buttons (X/Y by default) take their direction from the movement stick
+        // Movement X: negative = left, positive = right
+        // Movement Z: negative = forward, positive = back
+        if (this.isActionHeld(Action.TRICK_SPIN)) {
+            if (movementInput.x < -0.1) {
+                spinLeft = true;
+            } else {
+                // Right, or the default if the stick is neutral
+                spinRight = true;
             }
-            
-            if (yPressed) {
-                // Flip direction based on stick Z
-                if (movementInput.z < -0.1) {
-                    flipForward = true;
-                } else if (movementInput.z > 0.1) {
-                    flipBack = true;
-                } else {
-                    // Default to forward if stick is neutral
-                    flipForward = true;
-                }
+        }
+        
+        if (this.isActionHeld(Action.TRICK_FLIP)) {
+            if (movementInput.z > 0.1) {
+                flipBack = true;
+            } else {
+                // Forward, or the default if the stick is neutral
+                flipForward = true;
             }
-            
-            return {
-                spinLeft,
-                spinRight,
-                flipForward,
-                flipBack,
-                stickDirection: movementInput
-            };
         }
         
-        // Fallback to keyboard
         return {
-            spinLeft: this.isPressed('q'),
-            spinRight: this.isPressed('e'),
-            flipForward: this.isPressed('r'),
-            flipBack: this.isPressed('f'),
+            spinLeft,
+            spinRight,
+            flipForward,
+            flipBack,
             stickDirection: movementInput
         };
     }
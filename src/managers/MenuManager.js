@@ -0,0 +1,451 @@
+// MenuManager - Title screen (with save slots), pause menu and the settings screen both open, shown for GameState.MAIN_MENU and GameState.PAUSED
+
+import { Events } from '../core/EventBus.js';
+import { GameState } from '../core/GameStateMachine.js';
+import { Action } from '../core/ActionMap.js';
+
+export class MenuManager {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.stateMachine = null; // Set by GameManager
+        this.saveManager = null; // Set by GameManager
+        this.qualityManager = null; // Set by GameManager
+        this.settingsManager = null; // Set by GameManager
+        this.rebindManager = null; // Set by GameManager
+        this.inputManager = null; // Set by GameManager
+        
+        // Hints that name buttons: { element, prompt } (redrawn for the player's device)
+        this.promptHints = [];
+        
+        // UI
+        this.mainMenuElement = null;
+        this.pauseMenuElement = null;
+        this.slotsElement = null;
+        this.saveNoticeElement = null;
+        this.settingsElement = null;
+        this.settingsPanelsElement = null;
+    }
+
+    /**
+     * Set the game state machine and show/hide the menus with their states
+     */
+    setStateMachine(stateMachine) {
+        this.stateMachine = stateMachine;
+        
+        stateMachine.onEnter(GameState.MAIN_MENU, () => {
+            this._renderSlots();
+            this.mainMenuElement.style.display = 'flex';
+        });
+        stateMachine.onExit(GameState.MAIN_MENU, () => {
+            this.mainMenuElement.style.display = 'none';
+            this.closeSettings();
+        });
+        
+        stateMachine.onEnter(GameState.PAUSED, () => {
+            this.pauseMenuElement.style.display = 'flex';
+        });
+        stateMachine.onExit(GameState.PAUSED, () => {
+            this.pauseMenuElement.style.display = 'none';
+            this.closeSettings();
+        });
+    }
+
+    /**
+     * Set the save manager whose slots the title screen lists
+     */
+    setSaveManager(saveManager) {
+        this.saveManager = saveManager;
+    }
+
+    /**
+     * Set the quality manager whose graphics panel sits on the settings screen
+     */
+    setQualityManager(qualityManager) {
+        this.qualityManager = qualityManager;
+        if (this.settingsPanelsElement) {
+            this.settingsPanelsElement.prepend(qualityManager.createPanel());
+        }
+    }
+
+    /**
+     * Set the settings manager whose camera/audio/controls panel sits on the settings screen
+     */
+    setSettingsManager(settingsManager) {
+        this.settingsManager = settingsManager;
+        if (this.settingsPanelsElement) {
+            this.settingsPanelsElement.appendChild(settingsManager.createPanel());
+        }
+    }
+
+    /**
+     * Set the rebind manager whose key binding panel sits on the settings screen
+     */
+    setRebindManager(rebindManager) {
+        this.rebindManager = rebindManager;
+        if (this.settingsPanelsElement) {
+            this.settingsPanelsElement.appendChild(rebindManager.createPanel());
+        }
+    }
+
+    /**
+     * Set the input manager whose bindings and controller glyphs the hints show
+     */
+    setInputManager(inputManager) {
+        this.inputManager = inputManager;
+        this._refreshHints();
+    }
+
+    /**
+     * Initialize menu UI
+     */
+    init() {
+        this._createUI();
+        this._setupEventListeners();
+    }
+
+    /**
+     * Create the title screen, pause menu and settings screen
+     */
+    _createUI() {
+        const overlayStyle = `
+            position: fixed;
+            inset: 0;
+            display: none;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 20px;
+            background: rgba(5, 5, 10, 0.85);
+            z-index: 1100;
+            font-family: 'Courier New', monospace;
+            color: white;
+        `;
+        
+        this.mainMenuElement = document.createElement('div');
+        this.mainMenuElement.id = 'main-menu';
+        this.mainMenuElement.style.cssText = overlayStyle;
+        this.mainMenuElement.innerHTML = `
+            <h1 style="
+                margin: 0;
+                font-size: 56px;
+                color: #ff6b35;
+                text-shadow: 0 0 20px rgba(255, 107, 53, 0.8);
+                letter-spacing: 4px;
+            ">🍕 PIZZA COURIER</h1>
+            <div style="color: #888; letter-spacing: 2px;">Rico's Neon Slice is open for business</div>
+        `;
+        this.mainMenuElement.appendChild(this._createButton('Ride', () => this.play()));
+        this.mainMenuElement.appendChild(this._createHint('Enter / Ⓐ',
+            (input) => input.getPrompt(Action.MENU_CONFIRM)));
+        this.mainMenuElement.appendChild(this._createButton('Settings', () => this.openSettings()));
+        
+        // Save slots
+        this.saveNoticeElement = document.createElement('div');
+        this.saveNoticeElement.style.cssText = 'display: none; max-width: 480px; color: #ff4444; font-size: 13px; text-align: center;';
+        this.mainMenuElement.appendChild(this.saveNoticeElement);
+        
+        this.slotsElement = document.createElement('div');
+        this.slotsElement.style.cssText = 'display: flex; flex-direction: column; gap: 8px; width: 480px;';
+        this.slotsElement.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this._onSlotAction(button.dataset.action, parseInt(button.dataset.slot));
+            }
+        });
+        this.mainMenuElement.appendChild(this.slotsElement);
+        
+        document.body.appendChild(this.mainMenuElement);
+        
+        this.pauseMenuElement = document.createElement('div');
+        this.pauseMenuElement.id = 'pause-menu';
+        this.pauseMenuElement.style.cssText = overlayStyle;
+        this.pauseMenuElement.innerHTML = `
+            <h2 style="margin: 0; font-size: 36px; color: #ff6b35; letter-spacing: 4px;">PAUSED</h2>
+        `;
+        this.pauseMenuElement.appendChild(this._createButton('Resume', () => this.play()));
+        this.pauseMenuElement.appendChild(this._createButton('Settings', () => this.openSettings()));
+        this.pauseMenuElement.appendChild(this._createButton('Main Menu', () => this.quitToMainMenu()));
+        this.pauseMenuElement.appendChild(this._createHint('P / Esc / Ⓑ to resume',
+            (input) => `${input.getPrompt(Action.PAUSE, Action.MENU_BACK)} to resume`));
+        document.body.appendChild(this.pauseMenuElement);
+        
+        // Settings screen - opens over whichever menu it was picked from
+        this.settingsElement = document.createElement('div');
+        this.settingsElement.id = 'settings-menu';
+        this.settingsElement.style.cssText = overlayStyle + 'z-index: 1101; background: rgba(5, 5, 10, 0.95);';
+        this.settingsElement.innerHTML = `
+            <h2 style="margin: 0; font-size: 36px; color: #ff6b35; letter-spacing: 4px;">SETTINGS</h2>
+        `;
+        
+        this.settingsPanelsElement = document.createElement('div');
+        this.settingsPanelsElement.style.cssText = `
+            display: flex;
+            gap: 16px;
+            align-items: flex-start;
+            flex-wrap: wrap;
+            justify-content: center;
+            max-height: 70vh;
+            overflow-y: auto;
+        `;
+        this.settingsElement.appendChild(this.settingsPanelsElement);
+        this.settingsElement.appendChild(this._createButton('Back', () => this.closeSettings()));
+        this.settingsElement.appendChild(this._createHint('Changes apply immediately · Esc / Ⓑ to go back',
+            (input) => `Changes apply immediately · ${input.getPrompt(Action.MENU_BACK)} to go back`));
+        document.body.appendChild(this.settingsElement);
+    }
+
+    _createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = `
+            width: 260px;
+            padding: 15px;
+            font-size: 18px;
+            font-family: 'Courier New', monospace;
+            background: rgba(255, 107, 53, 0.15);
+            border: 2px solid #ff6b35;
+            border-radius: 8px;
+            color: white;
+            cursor: pointer;
+            text-transform: uppercase;
+            letter-spacing: 2px;
+            transition: all 0.2s;
+        `;
+        button.addEventListener('click', onClick);
+        button.addEventListener('mouseover', () => {
+            button.style.background = 'rgba(255, 107, 53, 0.35)';
+        });
+        button.addEventListener('mouseout', () => {
+            button.style.background = 'rgba(255, 107, 53, 0.15)';
+        });
+        return button;
+    }
+
+    /**
+     * List the save slots with use/export/import/delete actions
+     */
+    _renderSlots() {
+        if (!this.saveManager) return;
+        
+        const actionStyle = `
+            background: transparent;
+            border: 1px solid #666;
+            border-radius: 4px;
+            color: #ccc;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            padding: 3px 8px;
+            cursor: pointer;
+        `;
+        const action = (name, label, slot) =>
+            `<button data-action="${name}" data-slot="${slot}" style="${actionStyle}">${label}</button>`;
+        
+        this.slotsElement.innerHTML = this.saveManager.getSlots().map((info) => {
+            let detail = 'Empty';
+            if (info.status === 'corrupted') {
+                detail = `<span style="color: #ff4444;">Corrupted (${this._escapeHtml(info.error)})</span>`;
+            } else if (info.status === 'ok') {
+                const savedAt = new Date(info.savedAt).toLocaleString();
+                detail = `${this._escapeHtml(info.description || 'New game')}<br><span style="color: #666;">${savedAt}</span>`;
+            }
+            
+            const actions = [
+                info.active ? '' : action('use', 'Use', info.slot),
+                info.status === 'ok' ? action('export', 'Export', info.slot) : '',
+                action('import', 'Import', info.slot),
+                info.status !== 'empty' ? action('delete', 'Delete', info.slot) : ''
+            ].join('');
+            
+            return `
+                <div style="
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    padding: 8px 12px;
+                    background: rgba(255, 255, 255, 0.05);
+                    border: 1px solid ${info.active ? '#ff6b35' : '#333'};
+                    border-radius: 8px;
+                    font-size: 13px;
+                ">
+                    <span style="color: ${info.active ? '#ff6b35' : '#888'}; font-weight: bold;">SLOT ${info.slot}</span>
+                    <span style="flex: 1;">${detail}</span>
+                    ${actions}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Handle a slot button
+     */
+    _onSlotAction(action, slot) {
+        switch (action) {
+            case 'use':
+                // Managers hold live progress - restart so everything loads from the new slot
+                this.saveManager.setActiveSlot(slot);
+                window.location.reload();
+                break;
+            case 'export':
+                this.saveManager.exportSlot(slot);
+                break;
+            case 'import':
+                this._importInto(slot);
+                break;
+            case 'delete':
+                if (!window.confirm(`Delete save slot ${slot}? This can't be undone.`)) return;
+                this.saveManager.deleteSlot(slot);
+                if (slot === this.saveManager.getActiveSlot()) {
+                    window.location.reload();
+                } else {
+                    this._renderSlots();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Pick a save file and store it in a slot
+     */
+    _importInto(slot) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                const result = this.saveManager.importSave(reader.result, slot);
+                if (!result.ok) {
+                    this._showSaveNotice(`Import failed: ${result.error}`);
+                } else if (slot === this.saveManager.getActiveSlot()) {
+                    window.location.reload();
+                } else {
+                    this._showSaveNotice('');
+                    this._renderSlots();
+                }
+            };
+            reader.readAsText(file);
+        });
+        input.click();
+    }
+
+    _escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    _showSaveNotice(text) {
+        this.saveNoticeElement.textContent = text;
+        this.saveNoticeElement.style.display = text ? 'block' : 'none';
+    }
+
+    /**
+     * Small grey hint line
+     * @param {string} text - Shown until an input manager is set
+     * @param {Function} [prompt] - (inputManager) => text naming the player's current buttons
+     */
+    _createHint(text, prompt = null) {
+        const hint = document.createElement('div');
+        hint.textContent = text;
+        hint.style.cssText = 'color: #666; font-size: 12px; letter-spacing: 1px;';
+        if (prompt) {
+            this.promptHints.push({ element: hint, prompt });
+        }
+        return hint;
+    }
+
+    _refreshHints() {
+        if (!this.inputManager) return;
+        for (const { element, prompt } of this.promptHints) {
+            element.textContent = prompt(this.inputManager);
+        }
+    }
+
+    /**
+     * Setup menu action listeners (keyboard and controller come through the action map)
+     */
+    _setupEventListeners() {
+        // Confirm (Enter / A): ride / resume
+        this.eventBus.on(Events.INPUT_ACTION, ({ action }) => {
+            if (action !== Action.MENU_CONFIRM || this.isSettingsOpen()) return;
+            if (this.stateMachine.is(GameState.MAIN_MENU, GameState.PAUSED)) {
+                this.play();
+            }
+        });
+        
+        // Button names follow the device in use and any rebinding
+        this.eventBus.on(Events.INPUT_DEVICE_CHANGED, () => this._refreshHints());
+        this.eventBus.on(Events.INPUT_BINDINGS_CHANGED, () => this._refreshHints());
+        
+        // Tell the player if their save couldn't be read
+        this.eventBus.on(Events.SAVE_CORRUPTED, ({ slot, error }) => {
+            this._showSaveNotice(`Save slot ${slot} was damaged (${error}) and could not be loaded. ` +
+                'A backup copy was kept; the slot starts fresh.');
+        });
+        
+        // Back (Esc / B): out of the settings screen, then the pause menu
+        this.eventBus.on(Events.INPUT_MENU_EXIT, () => {
+            if (this.isSettingsOpen()) {
+                this.closeSettings();
+            } else if (this.stateMachine.is(GameState.PAUSED)) {
+                this.play();
+            }
+        });
+    }
+
+    /**
+     * Leave the title screen or pause menu
+     */
+    play() {
+        this.stateMachine.transition(GameState.PLAYING);
+    }
+
+    /**
+     * Show the settings screen over the current menu
+     */
+    openSettings() {
+        this.settingsElement.style.display = 'flex';
+    }
+
+    /**
+     * Hide the settings screen (back to the menu underneath)
+     */
+    closeSettings() {
+        if (this.settingsElement) {
+            this.settingsElement.style.display = 'none';
+        }
+        if (this.rebindManager) {
+            this.rebindManager.cancelCapture();
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isSettingsOpen() {
+        return !!this.settingsElement && this.settingsElement.style.display !== 'none';
+    }
+
+    /**
+     * Back to the title screen (the run carries on when the player rides again)
+     */
+    quitToMainMenu() {
+        this.stateMachine.transition(GameState.MAIN_MENU);
+    }
+
+    /**
+     * Dispose
+     */
+    dispose() {
+        for (const element of [this.mainMenuElement, this.pauseMenuElement, this.settingsElement]) {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        }
+    }
+}
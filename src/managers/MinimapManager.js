@@ -20,8 +20,10 @@ export class MinimapManager {
             playerDirection: '#00ffff',
             pizzaShop: '#ff4444',
             destination: '#00ff00',
+            otherDestination: '#338833',
             pizza: '#ffaa00',
-            street: '#222233'
+            street: '#222233',
+            route: '#00ffff'
         };
         
         // Buildings cache
@@ -31,8 +33,9 @@ export class MinimapManager {
         this.playerPosition = new THREE.Vector3();
         this.playerRotation = 0;
         this.pizzaShopPosition = new THREE.Vector3();
-        this.destinationPosition = null;
+        this.destinations = []; // { position, isActive } per carried order
         this.pizzaPosition = null;
+        this.route = []; // GPS route points, from the player to the active destination
     }
 
     init() {
@@ -76,10 +79,22 @@ export class MinimapManager {
     }
 
     /**
-     * Set delivery destination
+     * Set the destinations of every carried order
+     * @param {Array<{destination: THREE.Vector3, isActive: boolean}>} orders
      */
-    setDestination(position) {
-        this.destinationPosition = position ? position.clone() : null;
+    setDestinations(orders) {
+        this.destinations = orders.map(order => ({
+            position: order.destination.clone(),
+            isActive: order.isActive
+        }));
+    }
+
+    /**
+     * Set the GPS route to draw
+     * @param {Array<{x: number, z: number}>} points
+     */
+    setRoute(points) {
+        this.route = points;
     }
 
     /**
@@ -126,9 +141,17 @@ export class MinimapManager {
             this._drawPizza(ctx);
         }
         
-        // Draw destination if active
-        if (this.destinationPosition) {
-            this._drawDestination(ctx);
+        // Draw the GPS route under the markers
+        if (this.route.length >= 2) {
+            this._drawRoute(ctx);
+        }
+        
+        // Draw destinations, the active target last so it sits on top
+        for (const destination of this.destinations) {
+            if (!destination.isActive) this._drawDestination(ctx, destination);
+        }
+        for (const destination of this.destinations) {
+            if (destination.isActive) this._drawDestination(ctx, destination);
         }
         
         // Draw player (always on top)
@@ -204,23 +227,54 @@ export class MinimapManager {
         ctx.fill();
     }
 
-    _drawDestination(ctx) {
-        const pos = this.worldToMinimap(this.destinationPosition.x, this.destinationPosition.z);
+    _drawRoute(ctx) {
+        ctx.strokeStyle = this.colors.route;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.8;
+        ctx.shadowColor = this.colors.route;
+        ctx.shadowBlur = 6;
+        
+        ctx.beginPath();
+        this.route.forEach((point, index) => {
+            const pos = this.worldToMinimap(point.x, point.z);
+            if (index === 0) {
+                ctx.moveTo(pos.x, pos.y);
+            } else {
+                ctx.lineTo(pos.x, pos.y);
+            }
+        });
+        ctx.stroke();
+        
+        ctx.globalAlpha = 1;
+        ctx.shadowBlur = 0;
+    }
+
+    _drawDestination(ctx, { position, isActive }) {
+        const pos = this.worldToMinimap(position.x, position.z);
+        const color = isActive ? this.colors.destination : this.colors.otherDestination;
         
-        // Pulsing ring
-        const pulse = Math.sin(Date.now() * 0.004) * 3 + 8;
+        // Pulsing ring (steady and smaller for orders that aren't the target)
+        const pulse = isActive ? Math.sin(Date.now() * 0.004) * 3 + 8 : 6;
         
-        ctx.strokeStyle = this.colors.destination;
+        ctx.strokeStyle = color;
         ctx.lineWidth = 2;
         ctx.beginPath();
         ctx.arc(pos.x, pos.y, pulse, 0, Math.PI * 2);
         ctx.stroke();
         
         // Center dot
-        ctx.fillStyle = this.colors.destination;
+        ctx.fillStyle = color;
         ctx.beginPath();
         ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
         ctx.fill();
+        
+        // Rooftop and balcony drops: how high to fly
+        if (position.y >= 2) {
+            ctx.font = 'bold 9px Courier New';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(`▲${Math.round(position.y)}`, pos.x + pulse + 2, pos.y);
+        }
     }
 
     _drawPlayer(ctx) {
@@ -0,0 +1,281 @@
+// NavigationManager - GPS for the active order: shortest street route (RoadGraph A*), a glowing line on the
+// ground, the next turn for the HUD, and automatic re-routing when the courier leaves the route
+
+import * as THREE from 'three';
+import { Events } from '../core/EventBus.js';
+
+const NAV_CONFIG = {
+    OFF_ROUTE_DISTANCE: 12,  // Further than this from the route (roads are 14 wide) counts as off it
+    OFF_ROUTE_TIME: 0.75,    // ...for this long before re-routing
+    REROUTE_COOLDOWN: 1.5,   // Seconds between re-routes
+    REROUTE_DISPLAY: 1.5,    // Seconds the HUD says "REROUTING"
+    TURN_ANGLE: Math.PI / 6, // Bends sharper than this at a junction are turns
+    OFF_ROAD_LEG: 2,         // Destinations further than this from the road get a last leg straight to them
+    LINE_WIDTH: 1.6,
+    LINE_HEIGHT: 0.12,       // Just above the road markings
+    LINE_COLOR: 0x00ffff
+};
+
+export class NavigationManager {
+    constructor(scene, eventBus) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        
+        this.graph = null;       // Shared with the delivery manager, which prices orders by route
+        this.addressBook = null; // Street names for the turn directions
+        
+        // Current route: corner points from where the courier joined it to the destination
+        this.route = null;
+        this.target = null;        // Destination the route leads to
+        this.segment = 0;          // Route segment the courier is on
+        this.projection = null;    // Courier's closest point on that segment
+        this.offRouteTime = 0;
+        this.rerouteCooldown = 0;
+        this.rerouteDisplay = 0;
+        
+        // Glowing ribbon along the route
+        this.line = null;
+        this.lineMaterial = new THREE.MeshBasicMaterial({
+            color: NAV_CONFIG.LINE_COLOR,
+            transparent: true,
+            opacity: 0.5,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        this.time = 0;
+    }
+
+    /**
+     * Set the road graph to route over (rebuilt with each level); the route is recomputed
+     * @param {import('../systems/RoadGraph.js').RoadGraph} graph
+     */
+    setRoadGraph(graph) {
+        this.graph = graph;
+        this._clearRoute();
+    }
+
+    /**
+     * Set the address book used to name the streets to turn onto
+     */
+    setAddressBook(addressBook) {
+        this.addressBook = addressBook;
+    }
+
+    /**
+     * Follow the courier along the route to the target, re-routing if they stray
+     * @param {number} deltaTime
+     * @param {THREE.Vector3} playerPosition
+     * @param {THREE.Vector3|null} target - Active order's destination (null clears the route)
+     */
+    update(deltaTime, playerPosition, target) {
+        this.time += deltaTime;
+        this.rerouteCooldown = Math.max(0, this.rerouteCooldown - deltaTime);
+        this.rerouteDisplay = Math.max(0, this.rerouteDisplay - deltaTime);
+        
+        if (!target || !this.graph) {
+            this._clearRoute();
+            return;
+        }
+        
+        // New destination (or the active order changed) - route straight away
+        if (!this.target || this.target.distanceTo(target) > 0.5) {
+            this._findRoute(playerPosition, target);
+            return;
+        }
+        
+        // No way there by road (yet) - try again now and then
+        if (!this.route) {
+            if (this.rerouteCooldown <= 0) {
+                this._findRoute(playerPosition, target);
+            }
+            return;
+        }
+        
+        const previousSegment = this.segment;
+        const distance = this._trackProgress(playerPosition);
+        
+        if (distance > NAV_CONFIG.OFF_ROUTE_DISTANCE) {
+            this.offRouteTime += deltaTime;
+            if (this.offRouteTime >= NAV_CONFIG.OFF_ROUTE_TIME && this.rerouteCooldown <= 0) {
+                this._findRoute(playerPosition, target);
+                this.rerouteDisplay = NAV_CONFIG.REROUTE_DISPLAY;
+                this.eventBus.emit(Events.NAVIGATION_REROUTED, { length: this._getRemainingLength() });
+                return;
+            }
+        } else {
+            this.offRouteTime = 0;
+        }
+        
+        // Drop the stretch already ridden
+        if (this.segment !== previousSegment) {
+            this._updateLine();
+        }
+        this.lineMaterial.opacity = 0.4 + Math.sin(this.time * 4) * 0.15;
+    }
+
+    /**
+     * The rest of the route, from the courier's spot on it (minimap)
+     * @returns {Array<{x: number, z: number}>}
+     */
+    getRoute() {
+        if (!this.route) return [];
+        return [this.projection, ...this.route.slice(this.segment + 1)];
+    }
+
+    /**
+     * Next thing the courier has to do: turn at a junction, or arrive
+     * @returns {Object|null} { direction: 'left'|'right'|'arrive', distance, street, rerouting }
+     */
+    getNextTurn() {
+        if (!this.route) return null;
+        
+        const route = this.route;
+        let distance = this._distance(this.projection, route[this.segment + 1]);
+        for (let i = this.segment + 1; i < route.length - 1; i++) {
+            const incoming = { x: route[i].x - route[i - 1].x, z: route[i].z - route[i - 1].z };
+            const outgoing = { x: route[i + 1].x - route[i].x, z: route[i + 1].z - route[i].z };
+            const angle = Math.atan2(
+                incoming.x * outgoing.z - incoming.z * outgoing.x,
+                incoming.x * outgoing.x + incoming.z * outgoing.z
+            );
+            
+            if (route[i].junction && Math.abs(angle) > NAV_CONFIG.TURN_ANGLE) {
+                const length = Math.hypot(outgoing.x, outgoing.z);
+                return {
+                    // Seen from above with +z toward the bottom of the minimap, a clockwise bend is a right turn
+                    direction: angle > 0 ? 'right' : 'left',
+                    distance,
+                    street: this.addressBook
+                        ? this.addressBook.getStreetName(
+                            route[i].x + outgoing.x / length * 5,
+                            route[i].z + outgoing.z / length * 5,
+                            { x: outgoing.x / length, z: outgoing.z / length })
+                        : null,
+                    rerouting: this.rerouteDisplay > 0
+                };
+            }
+            distance += this._distance(route[i], route[i + 1]);
+        }
+        
+        return { direction: 'arrive', distance, street: null, rerouting: this.rerouteDisplay > 0 };
+    }
+
+    _findRoute(playerPosition, target) {
+        this.target = target.clone();
+        this.route = this.graph.findRoute(playerPosition, target);
+        this.segment = 0;
+        this.offRouteTime = 0;
+        this.rerouteCooldown = NAV_CONFIG.REROUTE_COOLDOWN;
+        
+        if (this.route) {
+            // Rooftops, balconies and anything else off the street: last leg straight to it
+            const last = this.route[this.route.length - 1];
+            if (this._distance(last, target) > NAV_CONFIG.OFF_ROAD_LEG) {
+                this.route.push({ x: target.x, z: target.z, junction: false });
+            }
+            this._trackProgress(playerPosition);
+        }
+        this._updateLine();
+    }
+
+    /**
+     * Move the courier's spot along the route (they can skip ahead, never back)
+     * @returns {number} Distance from the route
+     */
+    _trackProgress(playerPosition) {
+        let best = null;
+        for (let i = this.segment; i < this.route.length - 1; i++) {
+            const projection = this._project(this.route[i], this.route[i + 1], playerPosition);
+            if (!best || projection.distance < best.distance) {
+                best = { ...projection, segment: i };
+            }
+        }
+        this.segment = best.segment;
+        this.projection = { x: best.x, z: best.z };
+        return best.distance;
+    }
+
+    _getRemainingLength() {
+        return this.getRoute().reduce((length, point, index, points) =>
+            index === 0 ? 0 : length + this._distance(points[index - 1], point), 0);
+    }
+
+    /**
+     * Rebuild the ribbon from the courier's segment to the end: a flat quad per segment,
+     * stretched half a width at each end so the corners close up
+     */
+    _updateLine() {
+        this._removeLine();
+        if (!this.route) return;
+        
+        const points = this.route.slice(this.segment);
+        const halfWidth = NAV_CONFIG.LINE_WIDTH / 2;
+        const y = NAV_CONFIG.LINE_HEIGHT;
+        const positions = [];
+        
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const length = this._distance(a, b);
+            if (length === 0) continue;
+            
+            const dx = (b.x - a.x) / length * halfWidth;
+            const dz = (b.z - a.z) / length * halfWidth;
+            const corners = [
+                [a.x - dx - dz, a.z - dz + dx],
+                [a.x - dx + dz, a.z - dz - dx],
+                [b.x + dx + dz, b.z + dz - dx],
+                [b.x + dx - dz, b.z + dz + dx]
+            ];
+            for (const index of [0, 1, 2, 0, 2, 3]) {
+                positions.push(corners[index][0], y, corners[index][1]);
+            }
+        }
+        if (positions.length === 0) return;
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        this.line = new THREE.Mesh(geometry, this.lineMaterial);
+        this.line.renderOrder = 1;
+        this.scene.add(this.line);
+    }
+
+    _removeLine() {
+        if (!this.line) return;
+        
+        this.scene.remove(this.line);
+        this.line.geometry.dispose();
+        this.line = null;
+    }
+
+    _clearRoute() {
+        if (!this.target) return;
+        
+        this.route = null;
+        this.target = null;
+        this._removeLine();
+    }
+
+    _project(a, b, position) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const lengthSq = dx * dx + dz * dz;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((position.x - a.x) * dx + (position.z - a.z) * dz) / lengthSq)) : 0;
+        const x = a.x + dx * t;
+        const z = a.z + dz * t;
+        return { x, z, distance: Math.hypot(position.x - x, position.z - z) };
+    }
+
+    _distance(p, q) {
+        return Math.hypot(p.x - q.x, p.z - q.z);
+    }
+
+    /**
+     * Dispose
+     */
+    dispose() {
+        this._removeLine();
+        this.lineMaterial.dispose();
+    }
+}
@@ -25,14 +25,15 @@ const PEDESTRIAN_CONFIG = {
 };
 
 class Pedestrian {
-    constructor(position, direction, speed) {
+    constructor(position, direction, speed, random, bodiless = false) {
+        this.random = random; // Shared seeded RNG (core/Random.js)
         this.speed = speed;
         this.direction = direction; // angle in radians
         this.isStopped = false;
         this.stopTimer = 0;
-        this.walkCycle = Math.random() * Math.PI * 2;
+        this.walkCycle = this.random.next() * Math.PI * 2;
         
-        this.mesh = this._createMesh();
+        this.mesh = this._createMesh(bodiless);
         this.mesh.position.copy(position);
         this.mesh.rotation.y = direction;
         
@@ -46,16 +47,20 @@ class Pedestrian {
         this.collisionRadius = 0.5;
     }
 
-    _createMesh() {
+    /**
+     * @param {boolean} bodiless - Just a transform (headless) - the looks are still rolled so seeded runs match
+     */
+    _createMesh(bodiless) {
         const group = new THREE.Group();
         
         // Random colors
-        const skinColor = PEDESTRIAN_COLORS.skin[Math.floor(Math.random() * PEDESTRIAN_COLORS.skin.length)];
-        const shirtColor = PEDESTRIAN_COLORS.shirt[Math.floor(Math.random() * PEDESTRIAN_COLORS.shirt.length)];
-        const pantsColor = PEDESTRIAN_COLORS.pants[Math.floor(Math.random() * PEDESTRIAN_COLORS.pants.length)];
+        const skinColor = this.random.pick(PEDESTRIAN_COLORS.skin);
+        const shirtColor = this.random.pick(PEDESTRIAN_COLORS.shirt);
+        const pantsColor = this.random.pick(PEDESTRIAN_COLORS.pants);
         
         // Random height variation
-        const heightScale = 0.85 + Math.random() * 0.3;
+        const heightScale = 0.85 + this.random.next() * 0.3;
+        if (bodiless) return group;
         
         // Materials
         const skinMaterial = new THREE.MeshStandardMaterial({ color: skinColor, roughness: 0.8 });
@@ -145,8 +150,8 @@ class Pedestrian {
             if (this.stopTimer <= 0) {
                 this.isStopped = false;
                 // Maybe change direction when starting to walk again
-                if (Math.random() < 0.3) {
-                    this.direction += (Math.random() - 0.5) * Math.PI;
+                if (this.random.chance(0.3)) {
+                    this.direction += (this.random.next() - 0.5) * Math.PI;
                     this.mesh.rotation.y = this.direction;
                 }
             }
@@ -154,17 +159,17 @@ class Pedestrian {
         }
         
         // Random behavior
-        if (Math.random() < PEDESTRIAN_CONFIG.DIRECTION_CHANGE_CHANCE) {
+        if (this.random.chance(PEDESTRIAN_CONFIG.DIRECTION_CHANGE_CHANCE)) {
             // Slight direction change
-            this.direction += (Math.random() - 0.5) * 0.5;
+            this.direction += (this.random.next() - 0.5) * 0.5;
             this.mesh.rotation.y = this.direction;
         }
         
-        if (Math.random() < PEDESTRIAN_CONFIG.STOP_CHANCE) {
+        if (this.random.chance(PEDESTRIAN_CONFIG.STOP_CHANCE)) {
             // Stop walking briefly
             this.isStopped = true;
             this.stopTimer = PEDESTRIAN_CONFIG.STOP_DURATION_MIN + 
-                Math.random() * (PEDESTRIAN_CONFIG.STOP_DURATION_MAX - PEDESTRIAN_CONFIG.STOP_DURATION_MIN);
+                this.random.next() * (PEDESTRIAN_CONFIG.STOP_DURATION_MAX - PEDESTRIAN_CONFIG.STOP_DURATION_MIN);
             return;
         }
         
@@ -211,9 +216,13 @@ class Pedestrian {
 }
 
 export class PedestrianManager {
-    constructor(scene) {
+    constructor(scene, random) {
         this.scene = scene;
+        this.random = random;
         this.pedestrians = [];
+        this.maxPedestrians = PEDESTRIAN_CONFIG.MAX_PEDESTRIANS; // Scaled by quality settings
+        this.drawScale = 1; // Share of DESPAWN_RADIUS pedestrians are drawn within (quality settings)
+        this.bodiless = false; // No meshes, only positions (headless simulation)
         this.spawnTimer = 0;
         this.sidewalkPositions = [];
         
@@ -267,7 +276,7 @@ export class PedestrianManager {
     }
 
     _trySpawnPedestrian(playerPosition) {
-        if (this.pedestrians.length >= PEDESTRIAN_CONFIG.MAX_PEDESTRIANS) return;
+        if (this.pedestrians.length >= this.maxPedestrians) return;
         
         // Find nearby sidewalks
         const nearbySidewalks = this.sidewalkPositions.filter(sw => {
@@ -292,22 +301,22 @@ export class PedestrianManager {
         if (nearbySidewalks.length === 0) return;
         
         // Pick a random sidewalk
-        const sidewalk = nearbySidewalks[Math.floor(Math.random() * nearbySidewalks.length)];
+        const sidewalk = this.random.pick(nearbySidewalks);
         
         // Calculate spawn position on sidewalk
         let spawnPos = new THREE.Vector3();
         let direction;
         
         if (sidewalk.axis === 'x') {
-            const x = sidewalk.minX + Math.random() * (sidewalk.maxX - sidewalk.minX);
+            const x = sidewalk.minX + this.random.next() * (sidewalk.maxX - sidewalk.minX);
             spawnPos.set(x, 0.15, sidewalk.fixedZ);
             // Walk along X axis (east or west)
-            direction = Math.random() > 0.5 ? Math.PI / 2 : -Math.PI / 2;
+            direction = this.random.next() > 0.5 ? Math.PI / 2 : -Math.PI / 2;
         } else {
-            const z = sidewalk.minZ + Math.random() * (sidewalk.maxZ - sidewalk.minZ);
+            const z = sidewalk.minZ + this.random.next() * (sidewalk.maxZ - sidewalk.minZ);
             spawnPos.set(sidewalk.fixedX, 0.15, z);
             // Walk along Z axis (north or south)
-            direction = Math.random() > 0.5 ? 0 : Math.PI;
+            direction = this.random.next() > 0.5 ? 0 : Math.PI;
         }
         
         // Check distance from player (XZ only)
@@ -327,9 +336,9 @@ export class PedestrianManager {
         
         // Create the pedestrian
         const speed = PEDESTRIAN_CONFIG.WALK_SPEED_MIN + 
-            Math.random() * (PEDESTRIAN_CONFIG.WALK_SPEED_MAX - PEDESTRIAN_CONFIG.WALK_SPEED_MIN);
+            this.random.next() * (PEDESTRIAN_CONFIG.WALK_SPEED_MAX - PEDESTRIAN_CONFIG.WALK_SPEED_MIN);
         
-        const pedestrian = new Pedestrian(spawnPos, direction, speed);
+        const pedestrian = new Pedestrian(spawnPos, direction, speed, this.random, this.bodiless);
         this.scene.add(pedestrian.mesh);
         this.pedestrians.push(pedestrian);
     }
@@ -389,10 +398,47 @@ export class PedestrianManager {
         return collisions;
     }
 
+    /**
+     * Spawn pedestrians without bodies from now on - they walk and collide the same, nothing is drawn
+     * @param {boolean} bodiless
+     */
+    setBodiless(bodiless) {
+        this.bodiless = bodiless;
+    }
+
     getPedestrianCount() {
         return this.pedestrians.length;
     }
 
+    /**
+     * Scale the pedestrian cap (quality settings) - a lower cap thins the crowd as people walk out of range
+     * @param {number} density - 1 = PEDESTRIAN_CONFIG.MAX_PEDESTRIANS
+     */
+    setDensity(density) {
+        this.maxPedestrians = Math.max(1, Math.round(PEDESTRIAN_CONFIG.MAX_PEDESTRIANS * density));
+    }
+
+    /**
+     * Scale how far away pedestrians are drawn (quality settings) - render-only, the crowd itself is unchanged
+     * @param {number} scale - 1 = every pedestrian
+     */
+    setDrawScale(scale) {
+        this.drawScale = scale;
+    }
+
+    /**
+     * Hide pedestrians beyond the draw distance (every frame - hidden ones still walk and collide)
+     */
+    updateVisibility(playerPosition) {
+        const drawDistanceSq = Math.pow(PEDESTRIAN_CONFIG.DESPAWN_RADIUS * this.drawScale, 2);
+        for (const ped of this.pedestrians) {
+            const pos = ped.getPosition();
+            const dx = pos.x - playerPosition.x;
+            const dz = pos.z - playerPosition.z;
+            ped.mesh.visible = dx * dx + dz * dz <= drawDistanceSq;
+        }
+    }
+
     dispose() {
         for (const ped of this.pedestrians) {
             this.scene.remove(ped.mesh);
@@ -16,6 +16,7 @@ export class PhysicsManager {
         this.isFlying = false;
         this.wasFlying = false;
         this.isBoosting = false;
+        this.boostTimer = 0;                // Seconds of boost remaining (ticked in update for determinism)
         
         // Charge system (replaces old flight system)
         this.charge = 0;                    // 0 to 1
@@ -29,6 +30,10 @@ export class PhysicsManager {
         this.nearMissChargeBonus = 0.20;    // 20% charge per near miss
         this.nearMissCooldownTime = 1.0;    // 1 second cooldown
         
+        // Collision events (one per bump, not one per tick of contact)
+        this.collisionCooldown = 0;
+        this.collisionCooldownTime = 0.5;
+        
         // Time dilation for juice
         this.timeScale = 1.0;               // Current time scale (1.0 = normal)
         this.targetTimeScale = 1.0;         // Target time scale for smooth transitions
@@ -64,6 +69,9 @@ export class PhysicsManager {
         this.spatialGrid = new Map(); // Map of "x,z" -> array of building indices
         this.buildingCache = [];
         this.cacheBuilt = false;
+        // Buildings in the 3x3 cells around the player, rebuilt only when the player changes cell
+        this.nearbyCell = null; // { x, z }
+        this.nearbyBuildings = [];
         
         // Listen for trick charge rewards
         this.eventBus.on(Events.TRICK_CHARGE_REWARD, (data) => {
@@ -155,6 +163,7 @@ export class PhysicsManager {
             }
         }
         
+        this.nearbyCell = null;
         this.cacheBuilt = true;
     }
 
@@ -193,16 +202,12 @@ export class PhysicsManager {
      */
     useSpeedBoost(aimYaw) {
         this.isBoosting = true;
+        this.boostTimer = 0.3; // Boost ends quickly
         const boostSpeed = PLAYER.MAX_SPEED * 3;
         this.velocity.x = Math.sin(aimYaw) * boostSpeed;
         this.velocity.z = Math.cos(aimYaw) * boostSpeed;
         this.eventBus.emit(Events.CHARGE_BOOST_USED);
         
-        // Boost ends quickly
-        setTimeout(() => {
-            this.isBoosting = false;
-        }, 300);
-        
         return true;
     }
 
@@ -244,15 +249,11 @@ export class PhysicsManager {
         } else {
             // BOOST MODE - Just Shift with charge
             this.isBoosting = true;
+            this.boostTimer = 0.3; // Boost ends quickly
             const boostSpeed = PLAYER.MAX_SPEED * 3;
             this.velocity.x = Math.sin(aimYaw) * boostSpeed;
             this.velocity.z = Math.cos(aimYaw) * boostSpeed;
             this.eventBus.emit(Events.CHARGE_BOOST_USED);
-            
-            // Boost ends quickly
-            setTimeout(() => {
-                this.isBoosting = false;
-            }, 300);
         }
         
         return true;
@@ -269,6 +270,18 @@ export class PhysicsManager {
         if (this.nearMissCooldown > 0) {
             this.nearMissCooldown -= deltaTime;
         }
+        if (this.collisionCooldown > 0) {
+            this.collisionCooldown -= deltaTime;
+        }
+        
+        // ===== BOOST DURATION =====
+        if (this.isBoosting) {
+            this.boostTimer -= deltaTime;
+            if (this.boostTimer <= 0) {
+                this.boostTimer = 0;
+                this.isBoosting = false;
+            }
+        }
         
         // ===== CHARGE SYSTEM =====
         // Charge builds while moving
@@ -394,72 +407,84 @@ export class PhysicsManager {
         const cellX = Math.floor(px / this.gridCellSize);
         const cellZ = Math.floor(pz / this.gridCellSize);
         
-        // Check 3x3 grid of cells around player
-        const checked = new Set();
+        for (const b of this._getNearbyBuildings(cellX, cellZ)) {
+            // Check if player is inside building's XZ bounds
+            const insideX = px > b.minX && px < b.maxX;
+            const insideZ = pz > b.minZ && pz < b.maxZ;
+            
+            if (insideX && insideZ) {
+                // Player is directly above/inside building column
+                if (py <= b.height + 1 && py > 0) {
+                    // Push up onto roof (ceiling collision)
+                    if (this.velocity.y < 0) {
+                        const fallVelocity = -this.velocity.y;
+                        position.y = b.height + 1;
+                        this.velocity.y = 0;
+                        
+                        // Emit landing impact for roof collision
+                        if (fallVelocity > 0.3) {
+                            const impactStrength = Math.min(1, (fallVelocity - 0.3) / 0.7);
+                            this.eventBus.emit(Events.PLAYER_LAND_IMPACT, impactStrength);
+                        }
+                    }
+                }
+                continue;
+            }
+            
+            // Side collision (only if at building height)
+            if (py > b.height + 2) continue;
+            
+            // Find closest point on building to player
+            const closestX = Math.max(b.minX, Math.min(px, b.maxX));
+            const closestZ = Math.max(b.minZ, Math.min(pz, b.maxZ));
+            
+            const collDistX = px - closestX;
+            const collDistZ = pz - closestZ;
+            const collDistSq = collDistX * collDistX + collDistZ * collDistZ;
+            const radiusSq = this.playerRadius * this.playerRadius;
+            
+            if (collDistSq < radiusSq && collDistSq > 0.001) {
+                const collDist = Math.sqrt(collDistSq);
+                const pushFactor = (this.playerRadius - collDist) / collDist;
+                position.x += collDistX * pushFactor;
+                position.z += collDistZ * pushFactor;
+                
+                // Dampen velocity
+                const velDot = this.velocity.x * collDistX + this.velocity.z * collDistZ;
+                if (velDot < 0) {
+                    // Riding into the wall - sliding along it doesn't count
+                    this._emitCollision('building', 0.7);
+                    this.velocity.x *= 0.5;
+                    this.velocity.z *= 0.5;
+                }
+            }
+        }
+    }
+
+    /**
+     * Buildings in a cell and its 8 neighbours, in grid order (cached until the player moves to another cell)
+     */
+    _getNearbyBuildings(cellX, cellZ) {
+        if (this.nearbyCell && this.nearbyCell.x === cellX && this.nearbyCell.z === cellZ) {
+            return this.nearbyBuildings;
+        }
         
+        const seen = new Set();
+        this.nearbyBuildings = [];
         for (let dx = -1; dx <= 1; dx++) {
             for (let dz = -1; dz <= 1; dz++) {
-                const key = `${cellX + dx},${cellZ + dz}`;
-                const indices = this.spatialGrid.get(key);
+                const indices = this.spatialGrid.get(`${cellX + dx},${cellZ + dz}`);
                 if (!indices) continue;
                 
                 for (const i of indices) {
-                    if (checked.has(i)) continue;
-                    checked.add(i);
-                    
-                    const b = this.buildingCache[i];
-                    
-                    // Check if player is inside building's XZ bounds
-                    const insideX = px > b.minX && px < b.maxX;
-                    const insideZ = pz > b.minZ && pz < b.maxZ;
-                    
-                    if (insideX && insideZ) {
-                        // Player is directly above/inside building column
-                        if (py <= b.height + 1 && py > 0) {
-                            // Push up onto roof (ceiling collision)
-                            if (this.velocity.y < 0) {
-                                const fallVelocity = -this.velocity.y;
-                                position.y = b.height + 1;
-                                this.velocity.y = 0;
-                                
-                                // Emit landing impact for roof collision
-                                if (fallVelocity > 0.3) {
-                                    const impactStrength = Math.min(1, (fallVelocity - 0.3) / 0.7);
-                                    this.eventBus.emit(Events.PLAYER_LAND_IMPACT, impactStrength);
-                                }
-                            }
-                        }
-                        continue;
-                    }
-                    
-                    // Side collision (only if at building height)
-                    if (py > b.height + 2) continue;
-                    
-                    // Find closest point on building to player
-                    const closestX = Math.max(b.minX, Math.min(px, b.maxX));
-                    const closestZ = Math.max(b.minZ, Math.min(pz, b.maxZ));
-                    
-                    const collDistX = px - closestX;
-                    const collDistZ = pz - closestZ;
-                    const collDistSq = collDistX * collDistX + collDistZ * collDistZ;
-                    const radiusSq = this.playerRadius * this.playerRadius;
-                    
-                    if (collDistSq < radiusSq && collDistSq > 0.001) {
-                        const collDist = Math.sqrt(collDistSq);
-                        const pushFactor = (this.playerRadius - collDist) / collDist;
-                        position.x += collDistX * pushFactor;
-                        position.z += collDistZ * pushFactor;
-                        
-                        // Dampen velocity
-                        const velDot = this.velocity.x * collDistX + this.velocity.z * collDistZ;
-                        if (velDot < 0) {
-                            this.velocity.x *= 0.5;
-                            this.velocity.z *= 0.5;
-                        }
-                    }
+                    if (seen.has(i)) continue;
+                    seen.add(i);
+                    this.nearbyBuildings.push(this.buildingCache[i]);
                 }
             }
         }
+        this.nearbyCell = { x: cellX, z: cellZ };
+        return this.nearbyBuildings;
     }
 
     _handleCarCollision(position) {
@@ -503,6 +528,7 @@ export class PhysicsManager {
                 const velDot = this.velocity.x * dx + this.velocity.z * dz;
                 if (velDot < 0) {
                     // Hitting the car - bounce back
+                    this._emitCollision('car', 1);
                     this.velocity.x *= -0.3;
                     this.velocity.z *= -0.3;
                 }
@@ -560,6 +586,21 @@ export class PhysicsManager {
         });
     }
 
+    /**
+     * Report a bump (fragile deliveries, replays and rumble listen for it)
+     * @param {string} type - 'building', 'car', 'drone' or 'pedestrian'
+     * @param {number} weight - How hard this kind of obstacle hits, 0-1
+     */
+    _emitCollision(type, weight) {
+        if (this.collisionCooldown > 0) return;
+        this.collisionCooldown = this.collisionCooldownTime;
+        
+        // Faster bumps hit harder
+        const horizontalSpeed = Math.sqrt(this.velocity.x * this.velocity.x + this.velocity.z * this.velocity.z);
+        const intensity = weight * Math.min(1, 0.3 + horizontalSpeed / PLAYER.MAX_SPEED);
+        this.eventBus.emit(Events.PLAYER_COLLISION, { type, intensity });
+    }
+
     _handleDroneCollision(position) {
         if (this.droneCollisions.length === 0) return;
         
@@ -593,6 +634,7 @@ export class PhysicsManager {
                 position.y += dy * pushFactor * 0.8;
                 
                 // Bounce velocity - drones cause more chaotic bounces
+                this._emitCollision('drone', 0.8);
                 this.velocity.x += dx * 0.5;
                 this.velocity.z += dz * 0.5;
                 this.velocity.y += 0.2; // Pop up a little
@@ -630,6 +672,7 @@ export class PhysicsManager {
                 position.z += dz * pushFactor * 0.8;
                 
                 // Slight velocity reduction
+                this._emitCollision('pedestrian', 0.4);
                 this.velocity.x *= 0.9;
                 this.velocity.z *= 0.9;
             }
@@ -0,0 +1,517 @@
+// ProfilerManager - Debug overlay with per-system CPU time, render stats, NPC/particle counts and frame graphs
+
+import { Events } from '../core/EventBus.js';
+
+const PROFILER_CONFIG = {
+    HISTORY_FRAMES: 240,       // Rolling window for graphs and averages (~4s at 60fps)
+    MAX_CAPTURE_FRAMES: 3600,  // Captures stop themselves after ~1 minute
+    RENDER_INTERVAL: 250,      // ms between overlay refreshes
+    GRAPH_WIDTH: 340,
+    GRAPH_HEIGHT: 80,
+    GRAPH_MAX_MS: 50,          // Top of the frame graph
+    BUDGET_MS: 1000 / 60,      // Frame budget line (60fps)
+    EXPORT_FORMAT: 'neon-slice-profile',
+    EXPORT_VERSION: 1
+};
+
+export class ProfilerManager {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.gameManager = null; // Set by GameManager
+        
+        // View / capture state
+        this.isVisible = false;
+        this.isCapturing = false;
+        
+        // Frame being measured, then the rolling window of finished frames
+        this.current = null;
+        this.history = [];
+        this.capture = [];
+        this.captureStartedAt = null;
+        this.lastFrameStart = 0;
+        this.startTime = performance.now();
+        
+        // UI
+        this.element = null;
+        this.statsElement = null;
+        this.graphCanvas = null;
+        this.graphContext = null;
+        this.countsElement = null;
+        this.systemsElement = null;
+        this.recordButton = null;
+        this.exportButton = null;
+        this.lastRender = 0;
+    }
+
+    /**
+     * Set the game manager whose renderer and managers are sampled
+     */
+    setGameManager(gameManager) {
+        this.gameManager = gameManager;
+        
+        // Composer passes render several times a frame - reset the counters ourselves
+        if (gameManager.renderer) {
+            gameManager.renderer.info.autoReset = false;
+        }
+    }
+
+    /**
+     * Initialize the profiler (overlay hidden, nothing measured until shown or recording)
+     */
+    init() {
+        this._createUI();
+        this.eventBus.on(Events.INPUT_PROFILER_TOGGLE, () => this.toggle());
+    }
+
+    /**
+     * Whether frames are currently being measured
+     */
+    get isActive() {
+        return this.isVisible || this.isCapturing;
+    }
+
+    /**
+     * Start measuring a frame (called by GameManager before update)
+     */
+    beginFrame() {
+        const now = performance.now();
+        const frameMs = this.lastFrameStart ? now - this.lastFrameStart : 0;
+        this.lastFrameStart = now;
+        
+        if (this.gameManager && this.gameManager.renderer) {
+            this.gameManager.renderer.info.reset();
+        }
+        
+        this.current = this.isActive
+            ? { time: (now - this.startTime) / 1000, start: now, frameMs, systems: {} }
+            : null;
+    }
+
+    /**
+     * Add CPU time to a system for the current frame (fixed ticks add up)
+     * @param {string} name - System name
+     * @param {number} ms - Milliseconds spent
+     */
+    record(name, ms) {
+        if (!this.current) return;
+        this.current.systems[name] = (this.current.systems[name] || 0) + ms;
+    }
+
+    /**
+     * Finish the frame: sample renderer/NPC/particle stats and keep the result
+     */
+    endFrame() {
+        const frame = this.current;
+        if (!frame) return;
+        this.current = null;
+        
+        frame.cpuMs = performance.now() - frame.start;
+        delete frame.start;
+        Object.assign(frame, this._sampleWorld());
+        
+        this.history.push(frame);
+        if (this.history.length > PROFILER_CONFIG.HISTORY_FRAMES) {
+            this.history.shift();
+        }
+        
+        if (this.isCapturing) {
+            this.capture.push(frame);
+            if (this.capture.length >= PROFILER_CONFIG.MAX_CAPTURE_FRAMES) {
+                this.stopCapture();
+            }
+        }
+        
+        if (this.isVisible && frame.time * 1000 - this.lastRender >= PROFILER_CONFIG.RENDER_INTERVAL) {
+            this.lastRender = frame.time * 1000;
+            this._render();
+        }
+    }
+
+    /**
+     * Draw calls, triangles, live NPCs and particle pool usage right now
+     */
+    _sampleWorld() {
+        const game = this.gameManager;
+        const info = game && game.renderer ? game.renderer.info.render : null;
+        const particles = game && game.effectsManager ? game.effectsManager.getParticlePoolStats() : null;
+        
+        return {
+            drawCalls: info ? info.calls : 0,
+            triangles: info ? info.triangles : 0,
+            npcs: {
+                cars: game && game.trafficManager ? game.trafficManager.getCarCount() : 0,
+                drones: game && game.droneManager ? game.droneManager.getDroneCount() : 0,
+                pedestrians: game && game.pedestrianManager ? game.pedestrianManager.getPedestrianCount() : 0
+            },
+            particles: particles || { active: 0, size: 0, capacity: 0 }
+        };
+    }
+
+    /**
+     * Create the overlay
+     */
+    _createUI() {
+        this.element = document.createElement('div');
+        this.element.id = 'profiler';
+        this.element.style.cssText = `
+            position: fixed;
+            top: 10px;
+            left: 10px;
+            width: 360px;
+            max-height: 80vh;
+            display: none;
+            flex-direction: column;
+            gap: 6px;
+            padding: 10px;
+            background: rgba(0, 0, 0, 0.85);
+            border: 1px solid #00ff88;
+            border-radius: 8px;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            color: #ccc;
+            z-index: 1200;
+        `;
+        
+        const buttonStyle = `
+            background: transparent;
+            border: 1px solid #00ff88;
+            border-radius: 4px;
+            color: #00ff88;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            padding: 2px 6px;
+            cursor: pointer;
+        `;
+        
+        // Header: title + capture controls
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+        
+        const title = document.createElement('span');
+        title.textContent = 'PROFILER';
+        title.style.cssText = 'flex: 1; color: #00ff88; font-weight: bold;';
+        header.appendChild(title);
+        
+        this.recordButton = document.createElement('button');
+        this.recordButton.style.cssText = buttonStyle;
+        this.recordButton.textContent = '● Record';
+        this.recordButton.addEventListener('click', () => {
+            if (this.isCapturing) {
+                this.stopCapture();
+            } else {
+                this.startCapture();
+            }
+        });
+        header.appendChild(this.recordButton);
+        
+        this.exportButton = document.createElement('button');
+        this.exportButton.style.cssText = buttonStyle;
+        this.exportButton.textContent = 'Export';
+        this.exportButton.disabled = true;
+        this.exportButton.style.opacity = '0.4';
+        this.exportButton.addEventListener('click', () => this.exportCapture());
+        header.appendChild(this.exportButton);
+        
+        const closeButton = document.createElement('button');
+        closeButton.style.cssText = buttonStyle;
+        closeButton.textContent = '✕';
+        closeButton.addEventListener('click', () => this.hide());
+        header.appendChild(closeButton);
+        
+        this.element.appendChild(header);
+        
+        // Headline numbers
+        this.statsElement = document.createElement('div');
+        this.statsElement.style.cssText = 'line-height: 1.4;';
+        this.element.appendChild(this.statsElement);
+        
+        // Frame time graph
+        this.graphCanvas = document.createElement('canvas');
+        this.graphCanvas.width = PROFILER_CONFIG.GRAPH_WIDTH;
+        this.graphCanvas.height = PROFILER_CONFIG.GRAPH_HEIGHT;
+        this.graphCanvas.style.cssText = 'background: #111; border: 1px solid #333; border-radius: 4px;';
+        this.graphContext = this.graphCanvas.getContext('2d');
+        this.element.appendChild(this.graphCanvas);
+        
+        // NPCs and particles
+        this.countsElement = document.createElement('div');
+        this.element.appendChild(this.countsElement);
+        
+        // Per-system table
+        this.systemsElement = document.createElement('div');
+        this.systemsElement.style.cssText = `
+            flex: 1;
+            overflow-y: auto;
+            border-top: 1px solid #333;
+            padding-top: 4px;
+        `;
+        this.element.appendChild(this.systemsElement);
+        
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Redraw the overlay from the rolling window
+     */
+    _render() {
+        if (!this.element || !this.isVisible) return;
+        
+        const frames = this.history;
+        const latest = frames[frames.length - 1];
+        if (!latest) return;
+        
+        const frameStats = this._summarize(frames.map(frame => frame.frameMs));
+        const cpuStats = this._summarize(frames.map(frame => frame.cpuMs));
+        const fps = frameStats.avg > 0 ? 1000 / frameStats.avg : 0;
+        
+        const recording = this.isCapturing
+            ? `<span style="color: #ff4444;">● REC ${this.capture.length} frames</span>`
+            : (this.capture.length > 0 ? `<span style="color: #666;">Captured ${this.capture.length} frames</span>` : '');
+        
+        this.statsElement.innerHTML = `
+            <div><span style="color: #00ff88;">${fps.toFixed(0)} fps</span>
+                · frame ${frameStats.avg.toFixed(1)}ms (p95 ${frameStats.p95.toFixed(1)})
+                · cpu ${cpuStats.avg.toFixed(1)}ms</div>
+            <div>${latest.drawCalls} draw calls · ${latest.triangles.toLocaleString()} triangles</div>
+            ${recording ? `<div>${recording}</div>` : ''}
+        `;
+        
+        const { npcs, particles } = latest;
+        const particleColor = particles.size > particles.capacity ? '#ff4444' : '#ccc';
+        this.countsElement.innerHTML = `
+            Cars ${npcs.cars} · Drones ${npcs.drones} · Peds ${npcs.pedestrians}
+            · <span style="color: ${particleColor};">Particles ${particles.active}/${particles.capacity}` +
+            `${particles.size > particles.capacity ? ` (+${particles.size - particles.capacity} overflow)` : ''}</span>
+        `;
+        
+        this._renderSystems(frames);
+        this._drawGraph(frames);
+    }
+
+    /**
+     * Per-system table, most expensive first
+     */
+    _renderSystems(frames) {
+        const names = new Set();
+        for (const frame of frames) {
+            Object.keys(frame.systems).forEach(name => names.add(name));
+        }
+        
+        const rows = [...names].map((name) => {
+            // Systems on a cadence count as 0ms on the frames they skip
+            const stats = this._summarize(frames.map(frame => frame.systems[name] || 0));
+            return { name, stats, last: frames[frames.length - 1].systems[name] || 0 };
+        }).sort((a, b) => b.stats.avg - a.stats.avg);
+        
+        const widest = Math.max(0.001, ...rows.map(row => row.stats.max));
+        
+        this.systemsElement.innerHTML = `
+            <div style="display: flex; color: #666;">
+                <span style="flex: 1;">system</span>
+                <span style="width: 50px; text-align: right;">last</span>
+                <span style="width: 50px; text-align: right;">avg</span>
+                <span style="width: 50px; text-align: right;">max</span>
+            </div>
+        ` + rows.map(({ name, stats, last }) => `
+            <div style="position: relative; display: flex;">
+                <div style="
+                    position: absolute;
+                    left: 0;
+                    top: 0;
+                    bottom: 0;
+                    width: ${(stats.avg / widest) * 100}%;
+                    background: rgba(0, 255, 136, 0.15);
+                "></div>
+                <span style="flex: 1; position: relative;">${name}</span>
+                <span style="width: 50px; text-align: right; position: relative;">${last.toFixed(2)}</span>
+                <span style="width: 50px; text-align: right; position: relative;">${stats.avg.toFixed(2)}</span>
+                <span style="width: 50px; text-align: right; position: relative;">${stats.max.toFixed(2)}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Frame time bars with CPU time on top and budget lines at 60 and 30fps
+     */
+    _drawGraph(frames) {
+        const ctx = this.graphContext;
+        const width = PROFILER_CONFIG.GRAPH_WIDTH;
+        const height = PROFILER_CONFIG.GRAPH_HEIGHT;
+        const barWidth = width / PROFILER_CONFIG.HISTORY_FRAMES;
+        const toY = (ms) => height - (Math.min(ms, PROFILER_CONFIG.GRAPH_MAX_MS) / PROFILER_CONFIG.GRAPH_MAX_MS) * height;
+        
+        ctx.clearRect(0, 0, width, height);
+        
+        const offset = PROFILER_CONFIG.HISTORY_FRAMES - frames.length;
+        frames.forEach((frame, i) => {
+            const x = (offset + i) * barWidth;
+            
+            ctx.fillStyle = frame.frameMs > PROFILER_CONFIG.BUDGET_MS * 2 ? '#ff4444'
+                : frame.frameMs > PROFILER_CONFIG.BUDGET_MS * 1.1 ? '#ffaa00' : '#00aa66';
+            ctx.fillRect(x, toY(frame.frameMs), Math.max(1, barWidth), height - toY(frame.frameMs));
+            
+            ctx.fillStyle = '#00ffff';
+            ctx.fillRect(x, toY(frame.cpuMs), Math.max(1, barWidth), 1);
+        });
+        
+        // Budget lines
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '9px Courier New';
+        for (const [ms, label] of [[PROFILER_CONFIG.BUDGET_MS, '60fps'], [PROFILER_CONFIG.BUDGET_MS * 2, '30fps']]) {
+            const y = Math.round(toY(ms)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            ctx.fillText(label, 2, y - 2);
+        }
+    }
+
+    /**
+     * Average, 95th percentile and max of a list of milliseconds
+     */
+    _summarize(values) {
+        if (values.length === 0) {
+            return { avg: 0, p95: 0, max: 0 };
+        }
+        
+        const sorted = [...values].sort((a, b) => a - b);
+        const total = sorted.reduce((sum, value) => sum + value, 0);
+        return {
+            avg: total / sorted.length,
+            p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+            max: sorted[sorted.length - 1]
+        };
+    }
+
+    /**
+     * Start recording every frame (replaces the previous capture)
+     */
+    startCapture() {
+        this.capture = [];
+        this.captureStartedAt = new Date().toISOString();
+        this.isCapturing = true;
+        this._updateButtons();
+    }
+
+    /**
+     * Stop recording (the capture is kept for export)
+     */
+    stopCapture() {
+        this.isCapturing = false;
+        this._updateButtons();
+        this._render();
+    }
+
+    _updateButtons() {
+        if (!this.recordButton) return;
+        
+        this.recordButton.textContent = this.isCapturing ? '■ Stop' : '● Record';
+        this.recordButton.style.color = this.isCapturing ? '#ff4444' : '#00ff88';
+        
+        const canExport = !this.isCapturing && this.capture.length > 0;
+        this.exportButton.disabled = !canExport;
+        this.exportButton.style.opacity = canExport ? '1' : '0.4';
+    }
+
+    /**
+     * Build the export document for the last capture
+     * @returns {Object|null} Null if nothing has been captured
+     */
+    getCaptureData() {
+        if (this.capture.length === 0) return null;
+        
+        const round = (stats) => ({
+            avg: Math.round(stats.avg * 1000) / 1000,
+            p95: Math.round(stats.p95 * 1000) / 1000,
+            max: Math.round(stats.max * 1000) / 1000
+        });
+        
+        const names = new Set();
+        this.capture.forEach(frame => Object.keys(frame.systems).forEach(name => names.add(name)));
+        const systems = {};
+        for (const name of names) {
+            systems[name] = round(this._summarize(this.capture.map(frame => frame.systems[name] || 0)));
+        }
+        
+        return {
+            format: PROFILER_CONFIG.EXPORT_FORMAT,
+            version: PROFILER_CONFIG.EXPORT_VERSION,
+            recordedAt: this.captureStartedAt,
+            seed: this.gameManager ? this.gameManager.getSeed() : null,
+            frameCount: this.capture.length,
+            summary: {
+                frameMs: round(this._summarize(this.capture.map(frame => frame.frameMs))),
+                cpuMs: round(this._summarize(this.capture.map(frame => frame.cpuMs))),
+                drawCalls: round(this._summarize(this.capture.map(frame => frame.drawCalls))),
+                triangles: round(this._summarize(this.capture.map(frame => frame.triangles))),
+                systems
+            },
+            frames: this.capture
+        };
+    }
+
+    /**
+     * Download the last capture as JSON
+     * @returns {boolean} False if there is nothing to export
+     */
+    exportCapture() {
+        const data = this.getCaptureData();
+        if (!data) return false;
+        
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `neon_slice_profile_${data.recordedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        return true;
+    }
+
+    /**
+     * Show the overlay (starts measuring)
+     */
+    show() {
+        if (!this.element) return;
+        this.isVisible = true;
+        this.element.style.display = 'flex';
+    }
+
+    /**
+     * Hide the overlay (a running capture keeps recording)
+     */
+    hide() {
+        if (!this.element) return;
+        this.isVisible = false;
+        this.element.style.display = 'none';
+        if (!this.isCapturing) {
+            this.history = [];
+        }
+    }
+
+    /**
+     * Toggle the overlay
+     */
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * Dispose
+     */
+    dispose() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
@@ -0,0 +1,495 @@
+// QualityManager - Graphics presets, pinned settings and an adaptive governor that holds a target frame rate
+
+import { Events } from '../core/EventBus.js';
+import { SystemPhase } from '../core/SystemRegistry.js';
+
+const QUALITY_CONFIG = {
+    STORAGE_KEY: 'neonSlice_quality',
+    DEFAULT_TARGET_FPS: 60,
+    TARGET_FPS_OPTIONS: [30, 60, 120],
+    AUTO_START_PRESET: 'high',   // Where 'auto' starts before it has measured anything
+    SAMPLE_WINDOW: 1,            // Seconds of frames averaged per decision
+    SLOW_FACTOR: 1.15,           // Average frame time this far over budget counts as slow
+    DOWNGRADE_AFTER: 2,          // Seconds of slow windows before lowering a setting
+    UPGRADE_AFTER: 10,           // Seconds on budget before trying a higher setting
+    COOLDOWN: 2,                 // Seconds to ignore after a change (shader/shadow rebuild hitches)
+    PROBE_WINDOW: 6,             // A downgrade this soon after an upgrade means the upgrade failed
+    UPGRADE_BACKOFF: 60          // Seconds before retrying a failed upgrade (doubles each time)
+};
+
+// Each setting's values, lowest quality first
+const QUALITY_SETTINGS = {
+    pixelRatio: {
+        label: 'Resolution',
+        values: [0.5, 0.75, 1, 1.5, 2],
+        format: (value) => `${Math.round(value * 100)}%`
+    },
+    shadowMapSize: {
+        label: 'Shadows',
+        values: [0, 512, 1024, 2048, 4096],
+        format: (value) => value === 0 ? 'Off' : `${value}`
+    },
+    motionBlur: {
+        label: 'Motion blur',
+        values: [false, true],
+        format: (value) => value ? 'On' : 'Off'
+    },
+    cullScale: {
+        label: 'Neon distance',
+        values: [0.5, 0.75, 1, 1.25],
+        format: (value) => `${Math.round(value * 100)}%`
+    },
+    npcDensity: {
+        label: 'Crowds',
+        values: [0.25, 0.5, 0.75, 1, 1.25],
+        format: (value) => `${Math.round(value * 100)}%`
+    },
+    crowdDistance: {
+        label: 'Crowd distance',
+        values: [0.4, 0.6, 0.8, 1],
+        format: (value) => `${Math.round(value * 100)}%`
+    }
+};
+
+const QUALITY_PRESETS = {
+    low: { pixelRatio: 0.75, shadowMapSize: 512, motionBlur: false, cullScale: 0.5, npcDensity: 0.5, crowdDistance: 0.6 },
+    medium: { pixelRatio: 1, shadowMapSize: 1024, motionBlur: false, cullScale: 0.75, npcDensity: 0.75, crowdDistance: 0.8 },
+    high: { pixelRatio: 2, shadowMapSize: 4096, motionBlur: false, cullScale: 1, npcDensity: 1, crowdDistance: 1 },
+    ultra: { pixelRatio: 2, shadowMapSize: 4096, motionBlur: true, cullScale: 1.25, npcDensity: 1.25, crowdDistance: 1 }
+};
+
+// 'auto' gives up the least visible settings first, and wins them back in reverse.
+// It thins the crowd through crowdDistance, which only hides far NPCs: the spawn caps (npcDensity) decide
+// how many spawns draw from the seeded Random, so they stay where the preset or a pin put them
+const DOWNGRADE_ORDER = ['motionBlur', 'shadowMapSize', 'cullScale', 'crowdDistance', 'pixelRatio'];
+
+export class QualityManager {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.gameManager = null; // Set by GameManager
+        
+        // 'auto' or a QUALITY_PRESETS key
+        this.preset = 'auto';
+        this.targetFps = QUALITY_CONFIG.DEFAULT_TARGET_FPS;
+        
+        // Setting -> value the governor and presets must leave alone
+        this.pinned = {};
+        
+        // Values currently applied
+        this.settings = { ...QUALITY_PRESETS[QUALITY_CONFIG.AUTO_START_PRESET] };
+        
+        // Governor state
+        this.windowTime = 0;
+        this.windowFrames = 0;
+        this.slowTime = 0;
+        this.steadyTime = 0;
+        this.cooldown = 0;
+        this.clock = 0;
+        this.lastUpgrade = null;       // { key, time }
+        this.blockedUpgrades = new Map(); // key -> { until, backoff }
+        this.lastChange = '';
+        
+        // UI
+        this.panelElement = null;
+    }
+
+    /**
+     * Set the game manager whose renderer and managers the settings drive
+     */
+    setGameManager(gameManager) {
+        this.gameManager = gameManager;
+    }
+
+    /**
+     * Load saved choices, apply them and start governing while the game is on screen
+     */
+    init() {
+        this._load();
+        this._applyPreset();
+        
+        this.gameManager.registerSystem({
+            name: 'quality',
+            phase: SystemPhase.FRAME,
+            update: (deltaTime) => this._govern(deltaTime)
+        });
+    }
+
+    /**
+     * Adaptive governor: average frame time over short windows and step settings down
+     * when over budget, or (after a long steady spell) try stepping one back up
+     */
+    _govern(deltaTime) {
+        if (this.preset !== 'auto') return;
+        
+        this.clock += deltaTime;
+        if (this.cooldown > 0) {
+            this.cooldown -= deltaTime;
+            return;
+        }
+        
+        this.windowTime += deltaTime;
+        this.windowFrames++;
+        if (this.windowTime < QUALITY_CONFIG.SAMPLE_WINDOW) return;
+        
+        const averageMs = (this.windowTime / this.windowFrames) * 1000;
+        const budgetMs = 1000 / this.targetFps;
+        const windowTime = this.windowTime;
+        this.windowTime = 0;
+        this.windowFrames = 0;
+        
+        if (averageMs > budgetMs * QUALITY_CONFIG.SLOW_FACTOR) {
+            this.slowTime += windowTime;
+            this.steadyTime = 0;
+            if (this.slowTime >= QUALITY_CONFIG.DOWNGRADE_AFTER) {
+                this._downgrade(averageMs);
+            }
+        } else {
+            this.steadyTime += windowTime;
+            this.slowTime = 0;
+            if (this.steadyTime >= QUALITY_CONFIG.UPGRADE_AFTER) {
+                this._upgrade();
+            }
+        }
+    }
+
+    _downgrade(averageMs) {
+        // The last upgrade didn't hold - undo it and leave it alone for a while
+        let key = null;
+        if (this.lastUpgrade && this.clock - this.lastUpgrade.time < QUALITY_CONFIG.PROBE_WINDOW &&
+            this._canStep(this.lastUpgrade.key, -1)) {
+            key = this.lastUpgrade.key;
+            const previous = this.blockedUpgrades.get(key);
+            const backoff = previous ? previous.backoff * 2 : QUALITY_CONFIG.UPGRADE_BACKOFF;
+            this.blockedUpgrades.set(key, { until: this.clock + backoff, backoff });
+        } else {
+            key = DOWNGRADE_ORDER.find(name => this._canStep(name, -1)) || null;
+        }
+        this.lastUpgrade = null;
+        
+        if (key) {
+            this._step(key, -1, `lowered ${QUALITY_SETTINGS[key].label} (${averageMs.toFixed(0)}ms frames)`);
+        } else {
+            // Nothing left to give - stop re-checking every window
+            this.slowTime = 0;
+        }
+    }
+
+    _upgrade() {
+        const key = [...DOWNGRADE_ORDER].reverse().find((name) => {
+            const blocked = this.blockedUpgrades.get(name);
+            return this._canStep(name, 1) && !(blocked && blocked.until > this.clock);
+        });
+        
+        if (key) {
+            this.lastUpgrade = { key, time: this.clock };
+            this._step(key, 1, `raised ${QUALITY_SETTINGS[key].label}`);
+        } else {
+            this.steadyTime = 0;
+        }
+    }
+
+    /**
+     * Whether the governor may move a setting (not pinned, not already at the end)
+     */
+    _canStep(key, direction) {
+        return !(key in this.pinned) && this._getNextValue(key, direction) !== undefined;
+    }
+
+    /**
+     * The next value in a direction that actually changes something
+     * (resolution steps above the display's own pixel ratio are skipped)
+     */
+    _getNextValue(key, direction) {
+        const { values } = QUALITY_SETTINGS[key];
+        const current = this.settings[key];
+        
+        for (let i = values.indexOf(current) + direction; i >= 0 && i < values.length; i += direction) {
+            if (key !== 'pixelRatio') return values[i];
+            
+            const devicePixelRatio = window.devicePixelRatio;
+            if (Math.min(values[i], devicePixelRatio) !== Math.min(current, devicePixelRatio)) {
+                return values[i];
+            }
+        }
+        return undefined;
+    }
+
+    _step(key, direction, reason) {
+        this.settings[key] = this._getNextValue(key, direction);
+        this._applySetting(key);
+        
+        this.slowTime = 0;
+        this.steadyTime = 0;
+        this.cooldown = QUALITY_CONFIG.COOLDOWN;
+        this._emitChanged(`Auto: ${reason}`);
+    }
+
+    /**
+     * Push one setting to the renderer/managers
+     */
+    _applySetting(key) {
+        const game = this.gameManager;
+        const value = this.settings[key];
+        
+        switch (key) {
+            case 'pixelRatio':
+                game.setPixelRatio(value);
+                break;
+            case 'shadowMapSize':
+                game.setShadowMapSize(value);
+                break;
+            case 'motionBlur':
+                game.setMotionBlurEnabled(value);
+                break;
+            case 'cullScale':
+                if (game.atmosphereManager) game.atmosphereManager.setCullScale(value);
+                break;
+            case 'npcDensity':
+                if (game.trafficManager) game.trafficManager.setDensity(value);
+                if (game.droneManager) game.droneManager.setDensity(value);
+                if (game.pedestrianManager) game.pedestrianManager.setDensity(value);
+                break;
+            case 'crowdDistance':
+                if (game.trafficManager) game.trafficManager.setDrawScale(value);
+                if (game.droneManager) game.droneManager.setDrawScale(value);
+                if (game.pedestrianManager) game.pedestrianManager.setDrawScale(value);
+                break;
+        }
+    }
+
+    /**
+     * Apply the current preset (or auto's starting point), keeping pinned values
+     */
+    _applyPreset() {
+        const presetName = this.preset === 'auto' ? QUALITY_CONFIG.AUTO_START_PRESET : this.preset;
+        this.settings = { ...QUALITY_PRESETS[presetName], ...this.pinned };
+        Object.keys(QUALITY_SETTINGS).forEach(key => this._applySetting(key));
+        this._resetGovernor();
+    }
+
+    _resetGovernor() {
+        this.windowTime = 0;
+        this.windowFrames = 0;
+        this.slowTime = 0;
+        this.steadyTime = 0;
+        this.cooldown = QUALITY_CONFIG.COOLDOWN;
+        this.lastUpgrade = null;
+        this.blockedUpgrades.clear();
+    }
+
+    /**
+     * Choose a preset ('auto' adapts to the frame rate, the others stay fixed)
+     * @param {string} preset - 'auto', 'low', 'medium', 'high' or 'ultra'
+     */
+    setPreset(preset) {
+        if (preset !== 'auto' && !QUALITY_PRESETS[preset]) {
+            console.warn(`QualityManager: unknown preset "${preset}"`);
+            return;
+        }
+        
+        this.preset = preset;
+        this._applyPreset();
+        this._save();
+        this._emitChanged(`Preset: ${preset}`);
+    }
+
+    /**
+     * Frame rate the 'auto' preset tries to hold
+     * @param {number} fps
+     */
+    setTargetFps(fps) {
+        this.targetFps = fps;
+        this._resetGovernor();
+        this._save();
+        this._emitChanged(`Target: ${fps} fps`);
+    }
+
+    /**
+     * Fix a setting at a value - presets and the governor leave it alone until unpinned
+     * @param {string} key - QUALITY_SETTINGS key
+     * @param {*} value - One of that setting's values
+     */
+    pin(key, value) {
+        if (!QUALITY_SETTINGS[key] || !QUALITY_SETTINGS[key].values.includes(value)) {
+            console.warn(`QualityManager: can't pin ${key} to ${value}`);
+            return;
+        }
+        
+        this.pinned[key] = value;
+        this.settings[key] = value;
+        this._applySetting(key);
+        this._save();
+        this._emitChanged(`Pinned ${QUALITY_SETTINGS[key].label}`);
+    }
+
+    /**
+     * Hand a setting back to the preset / governor
+     * @param {string} key - QUALITY_SETTINGS key
+     */
+    unpin(key) {
+        if (!(key in this.pinned)) return;
+        delete this.pinned[key];
+        
+        // Fixed presets snap back; auto carries on from the current value
+        if (this.preset !== 'auto') {
+            this.settings[key] = QUALITY_PRESETS[this.preset][key];
+            this._applySetting(key);
+        }
+        this._save();
+        this._emitChanged(`Unpinned ${QUALITY_SETTINGS[key].label}`);
+    }
+
+    /**
+     * Pin a setting to its next/previous value (panel arrows)
+     * @param {string} key - QUALITY_SETTINGS key
+     * @param {number} direction - 1 or -1
+     */
+    stepSetting(key, direction) {
+        const { values } = QUALITY_SETTINGS[key];
+        const index = Math.max(0, Math.min(values.length - 1, values.indexOf(this.settings[key]) + direction));
+        this.pin(key, values[index]);
+    }
+
+    /**
+     * @returns {Object} { preset, targetFps, settings, pinned }
+     */
+    getState() {
+        return {
+            preset: this.preset,
+            targetFps: this.targetFps,
+            settings: { ...this.settings },
+            pinned: { ...this.pinned }
+        };
+    }
+
+    _emitChanged(reason) {
+        this.lastChange = reason;
+        this.eventBus.emit(Events.QUALITY_CHANGED, { ...this.getState(), reason });
+        this._renderPanel();
+    }
+
+    /**
+     * Load preset, target and pins (per device, so not part of the save slots)
+     */
+    _load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(QUALITY_CONFIG.STORAGE_KEY) || 'null');
+            if (!saved) return;
+            
+            if (saved.preset === 'auto' || QUALITY_PRESETS[saved.preset]) {
+                this.preset = saved.preset;
+            }
+            if (QUALITY_CONFIG.TARGET_FPS_OPTIONS.includes(saved.targetFps)) {
+                this.targetFps = saved.targetFps;
+            }
+            for (const [key, value] of Object.entries(saved.pinned || {})) {
+                if (QUALITY_SETTINGS[key] && QUALITY_SETTINGS[key].values.includes(value)) {
+                    this.pinned[key] = value;
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load quality settings:', e);
+        }
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(QUALITY_CONFIG.STORAGE_KEY, JSON.stringify({
+                preset: this.preset,
+                targetFps: this.targetFps,
+                pinned: this.pinned
+            }));
+        } catch (e) {
+            console.warn('Could not save quality settings:', e);
+        }
+    }
+
+    /**
+     * Build the graphics panel (presets, target fps, per-setting arrows and pins)
+     * @returns {HTMLElement}
+     */
+    createPanel() {
+        this.panelElement = document.createElement('div');
+        this.panelElement.style.cssText = `
+            width: 360px;
+            padding: 12px;
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid #333;
+            border-radius: 8px;
+            font-size: 12px;
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+        `;
+        this.panelElement.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-quality]');
+            if (!button) return;
+            
+            const { quality, key, value } = button.dataset;
+            if (quality === 'preset') {
+                this.setPreset(value);
+            } else if (quality === 'fps') {
+                this.setTargetFps(parseInt(value));
+            } else if (quality === 'step') {
+                this.stepSetting(key, parseInt(value));
+            } else if (quality === 'pin') {
+                if (key in this.pinned) {
+                    this.unpin(key);
+                } else {
+                    this.pin(key, this.settings[key]);
+                }
+            }
+        });
+        
+        this._renderPanel();
+        return this.panelElement;
+    }
+
+    _renderPanel() {
+        if (!this.panelElement) return;
+        
+        const buttonStyle = (active) => `
+            background: ${active ? 'rgba(255, 107, 53, 0.35)' : 'transparent'};
+            border: 1px solid ${active ? '#ff6b35' : '#666'};
+            border-radius: 4px;
+            color: ${active ? 'white' : '#ccc'};
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            padding: 3px 8px;
+            cursor: pointer;
+        `;
+        
+        const presets = ['auto', ...Object.keys(QUALITY_PRESETS)].map(name =>
+            `<button data-quality="preset" data-value="${name}" style="${buttonStyle(this.preset === name)}">` +
+            `${name.toUpperCase()}</button>`
+        ).join('');
+        
+        const targets = QUALITY_CONFIG.TARGET_FPS_OPTIONS.map(fps =>
+            `<button data-quality="fps" data-value="${fps}" style="${buttonStyle(this.targetFps === fps)}">${fps}</button>`
+        ).join('');
+        
+        const rows = Object.entries(QUALITY_SETTINGS).map(([key, setting]) => {
+            const pinned = key in this.pinned;
+            return `
+                <div style="display: flex; align-items: center; gap: 6px;">
+                    <span style="flex: 1; color: #888;">${setting.label}</span>
+                    <button data-quality="step" data-key="${key}" data-value="-1" style="${buttonStyle(false)}">◀</button>
+                    <span style="width: 48px; text-align: center;">${setting.format(this.settings[key])}</span>
+                    <button data-quality="step" data-key="${key}" data-value="1" style="${buttonStyle(false)}">▶</button>
+                    <button data-quality="pin" data-key="${key}" title="${pinned ? 'Unpin' : 'Pin'}"
+                        style="${buttonStyle(pinned)}">${pinned ? 'PINNED' : 'PIN'}</button>
+                </div>
+            `;
+        }).join('');
+        
+        this.panelElement.innerHTML = `
+            <div style="color: #ff6b35; font-weight: bold; letter-spacing: 2px;">GRAPHICS</div>
+            <div style="display: flex; gap: 4px; flex-wrap: wrap;">${presets}</div>
+            <div style="display: flex; align-items: center; gap: 4px; ${this.preset === 'auto' ? '' : 'opacity: 0.4;'}">
+                <span style="flex: 1; color: #888;">Target FPS</span>${targets}
+            </div>
+            ${rows}
+            <div style="color: #666; font-size: 11px; min-height: 14px;">${this.lastChange}</div>
+        `;
+    }
+}
@@ -0,0 +1,240 @@
+// RebindManager - Key binding panel for the settings screen: profiles, press-to-bind capture and conflict warnings
+
+import { Events } from '../core/EventBus.js';
+import { ACTIONS } from '../core/ActionMap.js';
+
+export class RebindManager {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.inputManager = null; // Set by GameManager
+        
+        // Action waiting for its new binding
+        this.capturingAction = null;
+        this.notice = '';
+        
+        // UI
+        this.panelElement = null;
+    }
+
+    /**
+     * Set the input manager whose action map the panel edits
+     */
+    setInputManager(inputManager) {
+        this.inputManager = inputManager;
+    }
+
+    /**
+     * Initialize (redraws whenever the bindings change, from here or elsewhere)
+     */
+    init() {
+        this.eventBus.on(Events.INPUT_BINDINGS_CHANGED, () => this._renderPanel());
+        
+        // Gamepad chips use the glyphs of whichever controller is connected
+        this.eventBus.on(Events.INPUT_DEVICE_CHANGED, () => this._renderPanel());
+    }
+
+    /**
+     * Wait for the next input and add it to an action
+     * @param {string} action - Action value
+     */
+    startCapture(action) {
+        if (!this.inputManager) return;
+        
+        this.capturingAction = action;
+        this.notice = `Press a key, mouse button or gamepad input for "${ACTIONS[action].label}" (Esc to cancel)`;
+        this._renderPanel();
+        
+        this.inputManager.captureBinding((binding) => {
+            this.capturingAction = null;
+            this.notice = '';
+            
+            if (binding) {
+                const actionMap = this.inputManager.actionMap;
+                if (actionMap.getBindings(action).includes(binding)) {
+                    this.notice = `${this.inputManager.formatBinding(binding)} is already bound to "${ACTIONS[action].label}"`;
+                } else {
+                    const conflicts = actionMap.addBinding(action, binding);
+                    if (conflicts.length > 0) {
+                        this.notice = `⚠ ${this.inputManager.formatBinding(binding)} is also ${this._describe(conflicts)} - both will fire`;
+                    }
+                }
+            }
+            this._renderPanel();
+        });
+    }
+
+    /**
+     * Stop waiting for a binding (e.g. the settings screen closed)
+     */
+    cancelCapture() {
+        if (!this.capturingAction) return;
+        
+        this.inputManager.cancelCapture();
+        this.capturingAction = null;
+        this.notice = '';
+        this._renderPanel();
+    }
+
+    _describe(actions) {
+        return actions.map(action => `"${ACTIONS[action].label}"`).join(' and ');
+    }
+
+    /**
+     * Every binding shared by actions that can be live at the same time
+     * @returns {Array<{binding: string, actions: string[]}>}
+     */
+    getConflicts() {
+        if (!this.inputManager) return [];
+        
+        const actionMap = this.inputManager.actionMap;
+        const conflicts = new Map();
+        for (const action of Object.keys(ACTIONS)) {
+            for (const binding of actionMap.getBindings(action)) {
+                const others = actionMap.getConflicts(action, binding);
+                if (others.length > 0 && !conflicts.has(binding)) {
+                    conflicts.set(binding, [action, ...others]);
+                }
+            }
+        }
+        return [...conflicts].map(([binding, actions]) => ({ binding, actions }));
+    }
+
+    /**
+     * Build the key binding panel
+     * @returns {HTMLElement}
+     */
+    createPanel() {
+        this.panelElement = document.createElement('div');
+        this.panelElement.style.cssText = `
+            width: 420px;
+            padding: 12px;
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid #333;
+            border-radius: 8px;
+            font-size: 12px;
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+        `;
+        this.panelElement.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rebind]');
+            if (!button || !this.inputManager) return;
+            
+            const actionMap = this.inputManager.actionMap;
+            const { rebind, action, binding } = button.dataset;
+            const profiles = actionMap.getProfiles();
+            const profileIndex = profiles.indexOf(actionMap.activeProfile);
+            
+            if (this.capturingAction && rebind !== 'add') {
+                this.cancelCapture();
+            }
+            
+            switch (rebind) {
+                case 'add':
+                    this.startCapture(action);
+                    break;
+                case 'remove':
+                    actionMap.removeBinding(action, binding);
+                    break;
+                case 'profile':
+                    actionMap.setProfile(profiles[(profileIndex + parseInt(button.dataset.value) + profiles.length) % profiles.length]);
+                    break;
+                case 'new':
+                    actionMap.createProfile();
+                    break;
+                case 'delete':
+                    if (window.confirm(`Delete binding profile "${actionMap.activeProfile}"?`)) {
+                        actionMap.deleteProfile();
+                    }
+                    break;
+                case 'reset':
+                    actionMap.resetProfile();
+                    break;
+            }
+        });
+        
+        this._renderPanel();
+        return this.panelElement;
+    }
+
+    _renderPanel() {
+        if (!this.panelElement || !this.inputManager) return;
+        
+        const actionMap = this.inputManager.actionMap;
+        const buttonStyle = (active) => `
+            background: ${active ? 'rgba(255, 107, 53, 0.35)' : 'transparent'};
+            border: 1px solid ${active ? '#ff6b35' : '#666'};
+            border-radius: 4px;
+            color: ${active ? 'white' : '#ccc'};
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            padding: 3px 8px;
+            cursor: pointer;
+        `;
+        const headingStyle = 'color: #ff6b35; font-weight: bold; letter-spacing: 2px;';
+        
+        const conflicts = this.getConflicts();
+        
+        let group = null;
+        const rows = Object.entries(ACTIONS).map(([action, definition]) => {
+            const heading = definition.group !== group
+                ? `<div style="color: #888; font-weight: bold; margin-top: 6px;">${definition.group}</div>`
+                : '';
+            group = definition.group;
+            
+            const chips = actionMap.getBindings(action).map((binding) => {
+                const others = actionMap.getConflicts(action, binding);
+                const clash = others.length > 0;
+                const title = clash ? `Also ${this._describe(others)} - click to remove` : 'Click to remove';
+                return `
+                    <button data-rebind="remove" data-action="${action}" data-binding="${this._escapeHtml(binding)}"
+                        title="${this._escapeHtml(title)}"
+                        style="${buttonStyle(false)} ${clash ? 'border-color: #ff4444; color: #ff4444;' : ''}">
+                        ${this._escapeHtml(this.inputManager.formatBinding(binding))} ×
+                    </button>
+                `;
+            }).join('');
+            
+            const capturing = this.capturingAction === action;
+            return `
+                ${heading}
+                <div style="display: flex; align-items: center; gap: 4px; flex-wrap: wrap;">
+                    <span style="flex: 1; min-width: 140px; color: #888;">${definition.label}</span>
+                    ${chips}
+                    <button data-rebind="add" data-action="${action}" style="${buttonStyle(capturing)}">
+                        ${capturing ? 'PRESS…' : '+'}
+                    </button>
+                </div>
+            `;
+        }).join('');
+        
+        const conflictLines = conflicts.map(({ binding, actions }) =>
+            `<div style="color: #ff4444;">⚠ ${this._escapeHtml(`${this.inputManager.formatBinding(binding)}: ${this._describe(actions)}`)}</div>`
+        ).join('');
+        
+        this.panelElement.innerHTML = `
+            <div style="${headingStyle}">KEY BINDINGS</div>
+            <div style="display: flex; align-items: center; gap: 4px;">
+                <span style="flex: 1; color: #888;">Profile</span>
+                <button data-rebind="profile" data-value="-1" style="${buttonStyle(false)}">◀</button>
+                <span style="min-width: 90px; text-align: center;">${this._escapeHtml(actionMap.activeProfile)}</span>
+                <button data-rebind="profile" data-value="1" style="${buttonStyle(false)}">▶</button>
+                <button data-rebind="new" style="${buttonStyle(false)}">NEW</button>
+                <button data-rebind="delete" style="${buttonStyle(false)}"
+                    ${actionMap.canDeleteProfile() ? '' : 'disabled'}>DELETE</button>
+                <button data-rebind="reset" style="${buttonStyle(false)}">RESET</button>
+            </div>
+            <div style="color: #ff6b35; min-height: 14px;">${this._escapeHtml(this.notice)}</div>
+            ${conflictLines}
+            ${rows}
+        `;
+    }
+
+    _escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
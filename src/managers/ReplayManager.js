@@ -0,0 +1,576 @@
+// ReplayManager - Records delivery runs and plays them back as a raceable ghost
+
+import * as THREE from 'three';
+import { Events } from '../core/EventBus.js';
+import { Ghost } from '../entities/Ghost.js';
+import { SIMULATION } from '../constants.js';
+
+const REPLAY_CONFIG = {
+    FORMAT_VERSION: 1,
+    STORED_FRAME_STRIDE: 2,     // Keep every 2nd tick in storage (playback interpolates)
+    MAX_STORED_GHOSTS: 12,      // Oldest best-ghosts are evicted past this
+    MAX_RECORDING_SECONDS: 300, // Safety cap on in-memory recordings
+    SPEEDS: [0.25, 0.5, 1, 2, 4]
+};
+
+// Events worth keeping in a recording (replayed as REPLAY_EVENT)
+const RECORDED_EVENTS = [
+    Events.PLAYER_AIRBORNE,
+    Events.PLAYER_GROUNDED,
+    Events.PLAYER_LAND_IMPACT,
+    Events.PLAYER_FLIGHT_START,
+    Events.PLAYER_FLIGHT_END,
+    Events.PLAYER_COLLISION,
+    Events.NEAR_MISS,
+    Events.CHARGE_BOOST_USED,
+    Events.TRICK_COMPLETED,
+    Events.TRICK_FAILED,
+    Events.DELIVERY_WARNING
+];
+
+// Frame layout: [x, y, z, aimYaw, aimPitch, boardQx, boardQy, boardQz, boardQw]
+const FRAME_SIZE = 9;
+
+export class ReplayManager {
+    constructor(scene, eventBus) {
+        this.scene = scene;
+        this.eventBus = eventBus;
+        
+        // Recording state
+        this.isRecording = false;
+        this.recording = null;
+        this.recordingTime = 0;
+        this.recordingOrderId = null; // Order the recording follows
+        this.lastRecording = null;
+        
+        // Best ghost per destination (persisted as the "ghosts" save section)
+        this.library = {};
+        this.saveManager = null;
+        
+        // Playback state
+        this.ghost = null;
+        this.playback = null; // { replay, time, speed, isPaused, eventIndex, isRace }
+        
+        // Reusable pose objects
+        this._position = new THREE.Vector3();
+        this._nextPosition = new THREE.Vector3();
+        this._boardRotation = new THREE.Quaternion();
+        this._nextBoardRotation = new THREE.Quaternion();
+        
+        // Controls UI
+        this.controlsElement = null;
+        this.playButton = null;
+        this.scrubber = null;
+        this.timeLabel = null;
+        this.eventLabel = null;
+        this.speedButtons = [];
+    }
+
+    /**
+     * Initialize replay system
+     */
+    init() {
+        this.ghost = new Ghost(this.scene);
+        this._createControlsUI();
+        this._setupEventListeners();
+    }
+
+    /**
+     * Build the ghost visuals once the player has loaded
+     * @param {Player} player
+     */
+    setPlayer(player) {
+        this.ghost.build(player);
+    }
+
+    /**
+     * Register the "ghosts" save section (older recording formats are dropped)
+     */
+    setSaveManager(saveManager) {
+        this.saveManager = saveManager;
+        saveManager.registerSection('ghosts', {
+            version: REPLAY_CONFIG.FORMAT_VERSION,
+            serialize: () => this.library,
+            deserialize: (data) => {
+                this.library = data;
+            },
+            reset: () => {
+                this.library = {};
+            },
+            describe: (data) => `${Object.keys(data).length} ghosts`
+        });
+    }
+
+    /**
+     * Save the best-ghost library
+     */
+    _saveLibrary() {
+        if (this.saveManager) {
+            this.saveManager.requestSave();
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    _setupEventListeners() {
+        this.eventBus.on(Events.DELIVERY_STARTED, (data) => {
+            // With a stack of orders, one run is recorded at a time (the first one picked up)
+            if (this.isRecording) return;
+            this._startRecording(data);
+            
+            // Race the best ghost for this destination if we have one
+            const best = this.library[data.destinationKey];
+            if (best) {
+                this.play(best, { isRace: true });
+            } else {
+                this.stop();
+            }
+        });
+        
+        this.eventBus.on(Events.DELIVERY_COMPLETED, (data) => {
+            if (data.orderId === this.recordingOrderId) this._finishRecording(true, data);
+        });
+        
+        this.eventBus.on(Events.DELIVERY_FAILED, (data) => {
+            if (data.orderId === this.recordingOrderId) this._finishRecording(false, data);
+        });
+        
+        // Key gameplay events are stored with the tick they happened on
+        for (const eventName of RECORDED_EVENTS) {
+            this.eventBus.on(eventName, (data) => {
+                if (!this.isRecording) return;
+                this.recording.events.push({
+                    time: this.recordingTime,
+                    name: eventName,
+                    data: this._toPlainData(data)
+                });
+            });
+        }
+        
+        // Watch the last run (or stop the current replay)
+        this.eventBus.on(Events.INPUT_REPLAY_TOGGLE, () => {
+            if (this.playback) {
+                this.stop();
+            } else if (this.lastRecording) {
+                this.play(this.lastRecording, { isRace: false });
+            }
+        });
+    }
+
+    /**
+     * Strip event payloads down to JSON-safe values
+     */
+    _toPlainData(data) {
+        if (data === undefined || data === null) return null;
+        if (typeof data !== 'object') return data;
+        
+        const plain = {};
+        for (const [key, value] of Object.entries(data)) {
+            if (value === null || ['number', 'string', 'boolean'].includes(typeof value)) {
+                plain[key] = value;
+            }
+        }
+        return plain;
+    }
+
+    /**
+     * Begin recording a delivery run
+     */
+    _startRecording(data) {
+        this.isRecording = true;
+        this.recordingTime = 0;
+        this.recordingOrderId = data.orderId;
+        this.recording = {
+            version: REPLAY_CONFIG.FORMAT_VERSION,
+            destinationKey: data.destinationKey,
+            type: data.type,
+            timeLimit: data.timeLimit,
+            recordedAt: Date.now(),
+            frameInterval: SIMULATION.FIXED_TIMESTEP,
+            duration: 0,
+            completed: false,
+            frames: [],
+            events: []
+        };
+    }
+
+    /**
+     * Stop recording and keep the run if it's a new best for its destination
+     */
+    _finishRecording(completed, data) {
+        if (!this.isRecording) return;
+        
+        this.isRecording = false;
+        this.recording.completed = completed;
+        this.recording.duration = this.recordingTime;
+        this.recording.outcome = completed ? 'completed' : (data.reason || 'failed');
+        this.lastRecording = this.recording;
+        
+        // Finished races hide the ghost
+        if (this.playback?.isRace) {
+            this.stop();
+        }
+        
+        if (completed && this.recording.destinationKey) {
+            const best = this.library[this.recording.destinationKey];
+            if (!best || this.recording.duration < best.duration) {
+                this.library[this.recording.destinationKey] = this._compactRecording(this.recording);
+                this._evictOldGhosts();
+                this._saveLibrary();
+                
+                this.eventBus.emit(Events.GHOST_SAVED, {
+                    destinationKey: this.recording.destinationKey,
+                    duration: this.recording.duration,
+                    previousBest: best ? best.duration : null
+                });
+            }
+        }
+        
+        this.recording = null;
+    }
+
+    /**
+     * Downsample and round a recording for storage
+     */
+    _compactRecording(recording) {
+        const stride = REPLAY_CONFIG.STORED_FRAME_STRIDE;
+        const frames = [];
+        
+        for (let i = 0; i < recording.frames.length; i += stride) {
+            frames.push(recording.frames[i].map(v => Math.round(v * 1000) / 1000));
+        }
+        
+        return {
+            ...recording,
+            frameInterval: recording.frameInterval * stride,
+            frames
+        };
+    }
+
+    /**
+     * Keep the library under the storage cap (oldest recordings go first)
+     */
+    _evictOldGhosts() {
+        const keys = Object.keys(this.library);
+        if (keys.length <= REPLAY_CONFIG.MAX_STORED_GHOSTS) return;
+        
+        keys.sort((a, b) => this.library[a].recordedAt - this.library[b].recordedAt);
+        for (let i = 0; i < keys.length - REPLAY_CONFIG.MAX_STORED_GHOSTS; i++) {
+            delete this.library[keys[i]];
+        }
+    }
+
+    /**
+     * Record one simulation tick and advance playback
+     * @param {number} deltaTime - Tick length in seconds
+     * @param {Object} snapshot - Player state for this tick
+     * @param {THREE.Vector3} snapshot.position
+     * @param {number} snapshot.aimYaw
+     * @param {number} snapshot.aimPitch
+     * @param {THREE.Quaternion} snapshot.boardRotation - From TrickManager.getBoardRotation()
+     */
+    update(deltaTime, snapshot) {
+        if (this.isRecording) {
+            const { position, aimYaw, aimPitch, boardRotation } = snapshot;
+            this.recording.frames.push([
+                position.x, position.y, position.z,
+                aimYaw, aimPitch,
+                boardRotation.x, boardRotation.y, boardRotation.z, boardRotation.w
+            ]);
+            this.recordingTime += deltaTime;
+            
+            if (this.recordingTime > REPLAY_CONFIG.MAX_RECORDING_SECONDS) {
+                this.isRecording = false;
+                this.recording = null;
+            }
+        }
+        
+        if (this.playback) {
+            this._updatePlayback(deltaTime);
+        }
+    }
+
+    /**
+     * Start playing back a recording as a ghost
+     * @param {Object} replay - Recording (live or from the library)
+     * @param {Object} [options]
+     * @param {boolean} [options.isRace] - Races start in sync with the delivery and stop when it ends
+     */
+    play(replay, { isRace = false } = {}) {
+        if (!replay || replay.frames.length === 0) return;
+        
+        this.playback = {
+            replay,
+            time: 0,
+            speed: 1,
+            isPaused: false,
+            eventIndex: 0,
+            isRace
+        };
+        
+        this.ghost.show();
+        this._applyPose(0);
+        this._showControls();
+        
+        this.eventBus.emit(Events.REPLAY_STARTED, {
+            destinationKey: replay.destinationKey,
+            duration: replay.duration,
+            isRace
+        });
+    }
+
+    /**
+     * Stop playback and hide the ghost
+     */
+    stop() {
+        if (!this.playback) return;
+        
+        this.playback = null;
+        this.ghost.hide();
+        this._hideControls();
+        this.eventBus.emit(Events.REPLAY_STOPPED);
+    }
+
+    /**
+     * Pause or resume playback
+     */
+    togglePause() {
+        if (!this.playback) return;
+        this.playback.isPaused = !this.playback.isPaused;
+        this._refreshControls();
+    }
+
+    /**
+     * Set playback speed multiplier
+     * @param {number} speed
+     */
+    setSpeed(speed) {
+        if (!this.playback) return;
+        this.playback.speed = speed;
+        this._refreshControls();
+    }
+
+    /**
+     * Jump to a point in the replay
+     * @param {number} time - Seconds from the start
+     */
+    seek(time) {
+        if (!this.playback) return;
+        
+        const { replay } = this.playback;
+        this.playback.time = Math.max(0, Math.min(replay.duration, time));
+        
+        // Resume event playback from the new position
+        this.playback.eventIndex = replay.events.findIndex(e => e.time > this.playback.time);
+        if (this.playback.eventIndex === -1) {
+            this.playback.eventIndex = replay.events.length;
+        }
+        
+        this._applyPose(this.playback.time);
+        this._refreshControls();
+    }
+
+    /**
+     * Advance playback time, pose the ghost and replay recorded events
+     */
+    _updatePlayback(deltaTime) {
+        const playback = this.playback;
+        const { replay } = playback;
+        
+        if (!playback.isPaused) {
+            playback.time += deltaTime * playback.speed;
+            
+            // Ghost finished its run - hold on the last frame
+            if (playback.time >= replay.duration) {
+                playback.time = replay.duration;
+                playback.isPaused = true;
+            }
+            
+            // Fire events we've passed
+            while (playback.eventIndex < replay.events.length &&
+                   replay.events[playback.eventIndex].time <= playback.time) {
+                const event = replay.events[playback.eventIndex];
+                this.eventBus.emit(Events.REPLAY_EVENT, event);
+                if (this.eventLabel) {
+                    this.eventLabel.textContent = event.name.toUpperCase();
+                }
+                playback.eventIndex++;
+            }
+            
+            this.ghost.update(deltaTime * playback.speed);
+        }
+        
+        this._applyPose(playback.time);
+        this._refreshControls();
+    }
+
+    /**
+     * Pose the ghost at a replay time (interpolating between stored frames)
+     */
+    _applyPose(time) {
+        const { replay } = this.playback;
+        const frames = replay.frames;
+        const exactIndex = Math.min(frames.length - 1, time / replay.frameInterval);
+        const index = Math.floor(exactIndex);
+        const nextIndex = Math.min(frames.length - 1, index + 1);
+        const alpha = exactIndex - index;
+        
+        const frame = frames[index];
+        const next = frames[nextIndex];
+        if (!frame || frame.length < FRAME_SIZE) return;
+        
+        this._position.set(frame[0], frame[1], frame[2]);
+        this._nextPosition.set(next[0], next[1], next[2]);
+        this._position.lerp(this._nextPosition, alpha);
+        
+        this._boardRotation.set(frame[5], frame[6], frame[7], frame[8]);
+        this._nextBoardRotation.set(next[5], next[6], next[7], next[8]);
+        this._boardRotation.slerp(this._nextBoardRotation, alpha);
+        
+        const aimYaw = frame[3] + (next[3] - frame[3]) * alpha;
+        const aimPitch = frame[4] + (next[4] - frame[4]) * alpha;
+        
+        this.ghost.setPose(this._position, aimYaw, aimPitch, this._boardRotation);
+    }
+
+    /**
+     * Create replay controls (pause, scrub, speed)
+     */
+    _createControlsUI() {
+        this.controlsElement = document.createElement('div');
+        this.controlsElement.id = 'replay-controls';
+        this.controlsElement.style.cssText = `
+            position: fixed;
+            bottom: 60px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: none;
+            align-items: center;
+            gap: 10px;
+            padding: 8px 14px;
+            background: rgba(0, 0, 0, 0.75);
+            border: 1px solid #66ccff;
+            border-radius: 8px;
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            color: #66ccff;
+            z-index: 150;
+        `;
+        
+        const buttonStyle = `
+            background: transparent;
+            border: 1px solid #66ccff;
+            border-radius: 4px;
+            color: #66ccff;
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            padding: 2px 6px;
+            cursor: pointer;
+        `;
+        
+        const label = document.createElement('span');
+        label.textContent = 'GHOST';
+        label.style.fontWeight = 'bold';
+        this.controlsElement.appendChild(label);
+        
+        this.playButton = document.createElement('button');
+        this.playButton.style.cssText = buttonStyle;
+        this.playButton.addEventListener('click', () => this.togglePause());
+        this.controlsElement.appendChild(this.playButton);
+        
+        this.scrubber = document.createElement('input');
+        this.scrubber.type = 'range';
+        this.scrubber.min = '0';
+        this.scrubber.step = '0.01';
+        this.scrubber.style.width = '220px';
+        this.scrubber.addEventListener('input', () => this.seek(parseFloat(this.scrubber.value)));
+        this.controlsElement.appendChild(this.scrubber);
+        
+        this.timeLabel = document.createElement('span');
+        this.controlsElement.appendChild(this.timeLabel);
+        
+        for (const speed of REPLAY_CONFIG.SPEEDS) {
+            const button = document.createElement('button');
+            button.style.cssText = buttonStyle;
+            button.textContent = `${speed}x`;
+            button.dataset.speed = String(speed);
+            button.addEventListener('click', () => this.setSpeed(speed));
+            this.controlsElement.appendChild(button);
+            this.speedButtons.push(button);
+        }
+        
+        this.eventLabel = document.createElement('span');
+        this.eventLabel.style.cssText = 'min-width: 120px; color: #888;';
+        this.controlsElement.appendChild(this.eventLabel);
+        
+        const closeButton = document.createElement('button');
+        closeButton.style.cssText = buttonStyle;
+        closeButton.textContent = '✕';
+        closeButton.addEventListener('click', () => this.stop());
+        this.controlsElement.appendChild(closeButton);
+        
+        document.body.appendChild(this.controlsElement);
+    }
+
+    _showControls() {
+        if (!this.controlsElement) return;
+        this.scrubber.max = String(this.playback.replay.duration);
+        this.eventLabel.textContent = this.playback.isRace ? 'RACE' : 'LAST RUN';
+        this.controlsElement.style.display = 'flex';
+        this._refreshControls();
+    }
+
+    _hideControls() {
+        if (this.controlsElement) {
+            this.controlsElement.style.display = 'none';
+        }
+    }
+
+    /**
+     * Sync controls with playback state
+     */
+    _refreshControls() {
+        if (!this.controlsElement || !this.playback) return;
+        
+        const { time, speed, isPaused, replay } = this.playback;
+        this.playButton.textContent = isPaused ? '▶' : '⏸';
+        this.scrubber.value = String(time);
+        this.timeLabel.textContent = `${time.toFixed(1)}s / ${replay.duration.toFixed(1)}s`;
+        
+        for (const button of this.speedButtons) {
+            const isActive = parseFloat(button.dataset.speed) === speed;
+            button.style.background = isActive ? '#66ccff' : 'transparent';
+            button.style.color = isActive ? '#000' : '#66ccff';
+        }
+    }
+
+    /**
+     * Get the stored best ghost for a destination
+     * @param {string} destinationKey
+     * @returns {Object|null}
+     */
+    getBestGhost(destinationKey) {
+        return this.library[destinationKey] || null;
+    }
+
+    /**
+     * Check if a ghost is currently playing
+     */
+    isPlaying() {
+        return this.playback !== null;
+    }
+
+    /**
+     * Dispose
+     */
+    dispose() {
+        this.stop();
+        if (this.ghost) {
+            this.ghost.dispose();
+        }
+        if (this.controlsElement && this.controlsElement.parentNode) {
+            this.controlsElement.parentNode.removeChild(this.controlsElement);
+        }
+    }
+}
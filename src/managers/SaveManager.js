@@ -0,0 +1,505 @@
+// SaveManager - Versioned save slots: managers register sections, the manager stores, migrates and validates them
+
+import { Events } from '../core/EventBus.js';
+
+const SAVE_CONFIG = {
+    FORMAT: 'neon-slice-save',
+    VERSION: 2,
+    SLOT_COUNT: 3,
+    SLOT_KEY_PREFIX: 'neonSlice_save_',    // + slot number
+    INDEX_KEY: 'neonSlice_saveIndex',      // { activeSlot }
+    CORRUPT_SUFFIX: '_corrupt',            // Unreadable slots are moved aside, not overwritten
+    SAVE_DELAY: 1000                       // ms - coalesce bursts of requestSave()
+};
+
+// Keys used before the unified save (read once, migrated into slot 1, then removed)
+const LEGACY_KEYS = {
+    credits: 'neonSlice_credits',
+    upgrades: 'neonSlice_upgrades',
+    level: 'pizza_courier_level'
+};
+
+/**
+ * Save format migrations, keyed by the version they upgrade FROM.
+ * Version 1 is the pre-unified layout: one localStorage key per manager.
+ */
+const SAVE_MIGRATIONS = {
+    1: (save) => {
+        const sections = {};
+        if (save.credits !== null) {
+            sections.economy = { version: 1, data: { totalCredits: parseInt(save.credits) || 0 } };
+        }
+        if (save.upgrades) {
+            sections.upgrades = { version: 1, data: save.upgrades };
+        }
+        if (save.level) {
+            sections.level = { version: save.level.version || 1, data: save.level };
+        }
+        return { format: SAVE_CONFIG.FORMAT, version: 2, savedAt: Date.now(), sections };
+    }
+};
+
+/**
+ * FNV-1a hash of the serialized sections - detects truncated or hand-edited saves
+ * @param {string} text
+ * @returns {string} 8 hex digits
+ */
+function checksum(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Managers own their data; the SaveManager only decides when and where it's written:
+ *
+ *   saveManager.registerSection('economy', {
+ *       version: 1,
+ *       serialize: () => ({ totalCredits: this.totalCredits }),
+ *       deserialize: (data) => { this.totalCredits = data.totalCredits; },
+ *       reset: () => { this.totalCredits = 0; }
+ *   });
+ *   saveManager.requestSave(); // after the data changes
+ *
+ * Optional section hooks: migrate(data, fromVersion) for section schema changes,
+ * describe(data) for a short line in the slot list.
+ */
+export class SaveManager {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        
+        // name -> { version, serialize, deserialize, reset, migrate, describe }
+        this.sections = new Map();
+        
+        this.activeSlot = 1;
+        this.saveTimer = null;
+        
+        this._onBeforeUnload = this._onBeforeUnload.bind(this);
+    }
+
+    /**
+     * Register a manager's section (before load())
+     * @param {string} name - Section key in the save file
+     * @param {Object} section - { version, serialize, deserialize, reset, migrate?, describe? }
+     */
+    registerSection(name, section) {
+        if (this.sections.has(name)) {
+            throw new Error(`SaveManager: section "${name}" is already registered`);
+        }
+        this.sections.set(name, { version: 1, ...section });
+    }
+
+    /**
+     * Migrate legacy keys and load the last used slot
+     */
+    init() {
+        this._migrateLegacyKeys();
+        
+        try {
+            const index = JSON.parse(localStorage.getItem(SAVE_CONFIG.INDEX_KEY));
+            if (index && index.activeSlot >= 1 && index.activeSlot <= SAVE_CONFIG.SLOT_COUNT) {
+                this.activeSlot = index.activeSlot;
+            }
+        } catch (e) {
+            console.warn('Could not read save index:', e);
+        }
+        
+        this.load(this.activeSlot);
+        
+        // Don't lose a pending debounced save when the tab closes
+        window.addEventListener('beforeunload', this._onBeforeUnload);
+    }
+
+    _onBeforeUnload() {
+        if (this.saveTimer) {
+            this.save();
+        }
+    }
+
+    /**
+     * Load a slot into every registered section (empty or corrupted slots reset them)
+     * @param {number} slot
+     * @returns {boolean} False if the slot was corrupted
+     */
+    load(slot) {
+        this.activeSlot = slot;
+        
+        const raw = this._read(slot);
+        if (raw === null) {
+            this._resetSections();
+            this.eventBus.emit(Events.SAVE_LOADED, { slot, empty: true });
+            return true;
+        }
+        
+        const { save, error } = this._parse(raw);
+        if (error) {
+            // Keep the broken data for inspection/export and start this slot fresh
+            console.warn(`Save slot ${slot} is corrupted (${error}) - starting fresh`);
+            this._write(this._getSlotKey(slot) + SAVE_CONFIG.CORRUPT_SUFFIX, raw);
+            localStorage.removeItem(this._getSlotKey(slot));
+            this._resetSections();
+            this.eventBus.emit(Events.SAVE_CORRUPTED, { slot, error });
+            return false;
+        }
+        
+        for (const [name, section] of this.sections) {
+            const stored = save.sections[name];
+            
+            try {
+                const data = stored ? this._migrateSection(name, section, stored) : null;
+                if (data === null) {
+                    section.reset();
+                } else {
+                    section.deserialize(data);
+                }
+            } catch (e) {
+                console.warn(`Could not load save section "${name}":`, e);
+                section.reset();
+            }
+        }
+        
+        this.eventBus.emit(Events.SAVE_LOADED, { slot, empty: false, savedAt: save.savedAt });
+        return true;
+    }
+
+    /**
+     * Bring a stored section up to its registered version
+     * @returns {*} Section data, or null if it can't be used
+     */
+    _migrateSection(name, section, stored) {
+        if (stored.version === section.version) {
+            return stored.data ?? null;
+        }
+        if (stored.version < section.version && section.migrate) {
+            return section.migrate(stored.data, stored.version) ?? null;
+        }
+        
+        console.warn(`Dropping save section "${name}" (v${stored.version}, expected v${section.version})`);
+        return null;
+    }
+
+    _resetSections() {
+        for (const section of this.sections.values()) {
+            section.reset();
+        }
+    }
+
+    /**
+     * Save soon (call whenever section data changes)
+     */
+    requestSave() {
+        if (this.saveTimer) return;
+        
+        this.saveTimer = setTimeout(() => this.save(), SAVE_CONFIG.SAVE_DELAY);
+    }
+
+    /**
+     * Write every section to the active slot now
+     * @returns {boolean} Whether the write succeeded
+     */
+    save() {
+        this._cancelPendingSave();
+        
+        const sections = {};
+        for (const [name, section] of this.sections) {
+            try {
+                sections[name] = { version: section.version, data: section.serialize() };
+            } catch (e) {
+                console.warn(`Could not serialize save section "${name}":`, e);
+            }
+        }
+        
+        const written = this._write(this._getSlotKey(this.activeSlot), this._stringify(sections));
+        if (written) {
+            this.eventBus.emit(Events.SAVE_WRITTEN, { slot: this.activeSlot });
+        }
+        return written;
+    }
+
+    /**
+     * Build the stored envelope (checksum covers the sections)
+     */
+    _stringify(sections, savedAt = Date.now()) {
+        const sectionsJson = JSON.stringify(sections);
+        return JSON.stringify({
+            format: SAVE_CONFIG.FORMAT,
+            version: SAVE_CONFIG.VERSION,
+            savedAt,
+            checksum: checksum(sectionsJson),
+            sections
+        });
+    }
+
+    /**
+     * Validate and migrate raw save text
+     * @returns {{ save?: Object, error?: string }}
+     */
+    _parse(raw) {
+        let save;
+        try {
+            save = JSON.parse(raw);
+        } catch (e) {
+            return { error: 'unreadable JSON' };
+        }
+        
+        if (!save || save.format !== SAVE_CONFIG.FORMAT || typeof save.version !== 'number') {
+            return { error: 'not a save file' };
+        }
+        if (save.version > SAVE_CONFIG.VERSION) {
+            return { error: `made by a newer version (v${save.version})` };
+        }
+        if (!save.sections || typeof save.sections !== 'object') {
+            return { error: 'missing sections' };
+        }
+        for (const [name, stored] of Object.entries(save.sections)) {
+            if (!stored || typeof stored !== 'object' || typeof stored.version !== 'number') {
+                return { error: `malformed ${name} section` };
+            }
+        }
+        if (save.checksum !== checksum(JSON.stringify(save.sections))) {
+            return { error: 'checksum mismatch' };
+        }
+        
+        try {
+            return { save: this._migrate(save) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    }
+
+    /**
+     * Run format migrations up to SAVE_CONFIG.VERSION
+     */
+    _migrate(save) {
+        while (save.version < SAVE_CONFIG.VERSION) {
+            const migration = SAVE_MIGRATIONS[save.version];
+            if (!migration) {
+                throw new Error(`no migration from v${save.version}`);
+            }
+            save = migration(save);
+        }
+        return save;
+    }
+
+    /**
+     * Move pre-unified keys into slot 1 (only when no slots exist yet)
+     */
+    _migrateLegacyKeys() {
+        const legacy = { version: 1 };
+        let found = false;
+        
+        // Each key on its own - one broken key shouldn't cost the player everything else
+        for (const [name, key] of Object.entries(LEGACY_KEYS)) {
+            legacy[name] = null;
+            try {
+                const value = localStorage.getItem(key);
+                found = found || value !== null;
+                legacy[name] = name === 'credits' || value === null ? value : JSON.parse(value);
+            } catch (e) {
+                console.warn(`Could not read legacy save key "${key}" - skipping it:`, e);
+            }
+        }
+        
+        if (!found || this._hasAnySlot()) return;
+        
+        const save = this._migrate(legacy);
+        if (this._write(this._getSlotKey(1), this._stringify(save.sections, save.savedAt))) {
+            for (const key of Object.values(LEGACY_KEYS)) {
+                localStorage.removeItem(key);
+            }
+            console.log('Migrated legacy progress into save slot 1');
+        }
+    }
+
+    _hasAnySlot() {
+        for (let slot = 1; slot <= SAVE_CONFIG.SLOT_COUNT; slot++) {
+            if (this._read(slot) !== null) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Describe every slot for the slot picker
+     * @returns {Array<{ slot: number, status: string, active: boolean, savedAt?: number, error?: string, description?: string }>}
+     *   status is 'empty', 'ok' or 'corrupted'
+     */
+    getSlots() {
+        const slots = [];
+        
+        for (let slot = 1; slot <= SAVE_CONFIG.SLOT_COUNT; slot++) {
+            const info = { slot, status: 'empty', active: slot === this.activeSlot };
+            const raw = this._read(slot);
+            
+            if (raw !== null) {
+                const { save, error } = this._parse(raw);
+                if (error) {
+                    info.status = 'corrupted';
+                    info.error = error;
+                } else {
+                    try {
+                        info.description = this._describe(save);
+                        info.status = 'ok';
+                        info.savedAt = save.savedAt;
+                    } catch (e) {
+                        // Valid envelope, but a section's data isn't what its manager expects
+                        info.status = 'corrupted';
+                        info.error = e.message;
+                    }
+                }
+            }
+            slots.push(info);
+        }
+        
+        return slots;
+    }
+
+    /**
+     * One plain-text line from the sections' describe hooks (imported files can hold anything,
+     * so the result is always a string and the caller still escapes it)
+     * @throws {Error} If a section's data can't be described
+     */
+    _describe(save) {
+        const parts = [];
+        for (const [name, section] of this.sections) {
+            const stored = save.sections[name];
+            if (section.describe && stored && stored.version === section.version) {
+                try {
+                    parts.push(String(section.describe(stored.data) ?? ''));
+                } catch (e) {
+                    throw new Error(`unreadable ${name} data`);
+                }
+            }
+        }
+        return parts.filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Save the current slot and make another one active (the caller restarts the game
+     * so every manager starts clean from the new slot)
+     * @param {number} slot
+     */
+    setActiveSlot(slot) {
+        this.save();
+        this.activeSlot = slot;
+        this._write(SAVE_CONFIG.INDEX_KEY, JSON.stringify({ activeSlot: slot }));
+    }
+
+    /**
+     * @returns {number}
+     */
+    getActiveSlot() {
+        return this.activeSlot;
+    }
+
+    /**
+     * Erase a slot (erasing the active slot should be followed by a restart)
+     * @param {number} slot
+     */
+    deleteSlot(slot) {
+        if (slot === this.activeSlot) {
+            // Don't write the deleted progress straight back
+            this._cancelPendingSave();
+        }
+        localStorage.removeItem(this._getSlotKey(slot));
+    }
+
+    /**
+     * Download a slot as a .json file
+     * @param {number} slot
+     * @returns {boolean} False if the slot is empty
+     */
+    exportSlot(slot) {
+        if (slot === this.activeSlot) {
+            this.save();
+        }
+        
+        const raw = this._read(slot);
+        if (raw === null) return false;
+        
+        const blob = new Blob([raw], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `neon_slice_slot${slot}_${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        return true;
+    }
+
+    /**
+     * Validate an exported save and store it in a slot (importing into the active slot
+     * should be followed by a restart)
+     * @param {string} text - File contents
+     * @param {number} slot - Destination slot
+     * @returns {{ ok: boolean, error?: string }}
+     */
+    importSave(text, slot) {
+        const result = this._parse(text);
+        if (result.error) {
+            return { ok: false, error: result.error };
+        }
+        try {
+            this._describe(result.save);
+        } catch (e) {
+            return { ok: false, error: e.message };
+        }
+        
+        if (slot === this.activeSlot) {
+            // The imported data wins over unsaved progress
+            this._cancelPendingSave();
+        }
+        
+        const { sections, savedAt } = result.save;
+        if (!this._write(this._getSlotKey(slot), this._stringify(sections, savedAt))) {
+            return { ok: false, error: 'storage is full' };
+        }
+        return { ok: true };
+    }
+
+    _cancelPendingSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+    }
+
+    _getSlotKey(slot) {
+        return SAVE_CONFIG.SLOT_KEY_PREFIX + slot;
+    }
+
+    _read(slot) {
+        try {
+            return localStorage.getItem(this._getSlotKey(slot));
+        } catch (e) {
+            console.warn('Could not read save slot:', e);
+            return null;
+        }
+    }
+
+    _write(key, value) {
+        try {
+            localStorage.setItem(key, value);
+            return true;
+        } catch (e) {
+            console.warn('Could not write save data:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Dispose (flushes a pending save)
+     */
+    dispose() {
+        if (this.saveTimer) {
+            this.save();
+        }
+        window.removeEventListener('beforeunload', this._onBeforeUnload);
+    }
+}
@@ -0,0 +1,162 @@
+// ScriptedInputManager - Code-driven stand-in for InputManager (headless simulation, bots)
+
+/**
+ * Exposes the same query API as InputManager, but its state is set by a script
+ * that runs once per simulation tick instead of by keyboard/gamepad events.
+ */
+export class ScriptedInputManager {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        
+        // Never a controller - keyboard code paths (Shift boost etc.) apply
+        this.useController = false;
+        
+        // Held state (same shapes InputManager returns)
+        this.movement = { x: 0, z: 0 };
+        this.aim = { yaw: 0, pitch: 0 };
+        this.jumpHeld = false;
+        this.boostHeld = false;
+        this.trick = {
+            spinLeft: false,
+            spinRight: false,
+            flipForward: false,
+            flipBack: false
+        };
+        
+        // Script: (input, tick) => void, called from update()
+        this.script = null;
+        this.tick = 0;
+    }
+
+    init() {
+        // Nothing to attach - no DOM listeners
+    }
+
+    destroy() {
+        this.script = null;
+    }
+
+    /**
+     * Set the per-tick input script
+     * @param {Function|null} script - (input: ScriptedInputManager, tick: number) => void
+     */
+    setScript(script) {
+        this.script = script;
+    }
+
+    /**
+     * Set movement input (-1 to 1 on each axis, same convention as InputManager)
+     * @param {number} x - Strafe (positive = left)
+     * @param {number} z - Forward/back (positive = forward)
+     */
+    setMovement(x, z) {
+        this.movement.x = Math.max(-1, Math.min(1, x));
+        this.movement.z = Math.max(-1, Math.min(1, z));
+    }
+
+    /**
+     * Set aim input (-1 to 1 on each axis)
+     * @param {number} yaw - Positive = turn left
+     * @param {number} pitch - Positive = aim up
+     */
+    setAim(yaw, pitch = 0) {
+        this.aim.yaw = Math.max(-1, Math.min(1, yaw));
+        this.aim.pitch = Math.max(-1, Math.min(1, pitch));
+    }
+
+    /**
+     * Hold or release the jump/fly button
+     * @param {boolean} held
+     */
+    setJumpHeld(held) {
+        this.jumpHeld = held;
+    }
+
+    /**
+     * Hold or release the boost key
+     * @param {boolean} held
+     */
+    setBoostHeld(held) {
+        this.boostHeld = held;
+    }
+
+    /**
+     * Set trick buttons (omitted keys are released)
+     * @param {{ spinLeft?: boolean, spinRight?: boolean, flipForward?: boolean, flipBack?: boolean }} trick
+     */
+    setTrick(trick = {}) {
+        this.trick.spinLeft = !!trick.spinLeft;
+        this.trick.spinRight = !!trick.spinRight;
+        this.trick.flipForward = !!trick.flipForward;
+        this.trick.flipBack = !!trick.flipBack;
+    }
+
+    /**
+     * Fire a discrete input event (e.g. Events.INPUT_JUMP, Events.INPUT_FLIGHT)
+     * @param {string} event - Input event name
+     */
+    press(event) {
+        this.eventBus.emit(event);
+    }
+
+    /**
+     * Release everything
+     */
+    reset() {
+        this.setMovement(0, 0);
+        this.setAim(0, 0);
+        this.jumpHeld = false;
+        this.boostHeld = false;
+        this.setTrick();
+    }
+
+    /**
+     * Run the script for this tick
+     */
+    update() {
+        this.tick++;
+        if (this.script) {
+            this.script(this, this.tick);
+        }
+    }
+
+    /**
+     * @returns {{ x: number, z: number }}
+     */
+    getMovementInput() {
+        return { x: this.movement.x, z: this.movement.z };
+    }
+
+    /**
+     * @returns {{ yaw: number, pitch: number }}
+     */
+    getAimInput() {
+        return { yaw: this.aim.yaw, pitch: this.aim.pitch };
+    }
+
+    isJumpHeld() {
+        return this.jumpHeld;
+    }
+
+    isDescendHeld() {
+        return false;
+    }
+
+    isForwardHeld() {
+        return this.movement.z > 0.1;
+    }
+
+    isBoostHeld() {
+        return this.boostHeld;
+    }
+
+    /**
+     * @returns {{ spinLeft: boolean, spinRight: boolean, flipForward: boolean, flipBack: boolean, stickDirection: {x: number, z: number} }}
+     */
+    getTrickInput() {
+        return {
+            ...this.trick,
+            stickDirection: this.getMovementInput()
+        };
+    }
+}
@@ -63,7 +63,10 @@ const SECTORS = {
         bounds: { minX: -50, maxX: 50, minZ: -50, maxZ: 50 },
         color: '#ff6b35',
         trafficDensity: 1.0,
-        pedestrianDensity: 1.2
+        pedestrianDensity: 1.2,
+        heat: 1.0,
+        deliveryTime: 1.0,  // Scales delivery clocks to this sector
+        deliveryPay: 1.0    // Scales delivery pay to this sector
     },
     CORPORATE: {
         name: 'Corporate Plaza',
@@ -72,7 +75,10 @@ const SECTORS = {
         color: '#00aaff',
         trafficDensity: 0.8,
         pedestrianDensity: 0.6,
-        droneDensity: 2.0
+        droneDensity: 2.0,
+        heat: 0.8,      // Air-conditioned lobbies spill onto the street
+        deliveryTime: 0.9,  // Lunch meetings don't wait
+        deliveryPay: 1.25
     },
     MARKET: {
         name: 'Market District',
@@ -80,7 +86,10 @@ const SECTORS = {
         bounds: { minX: -150, maxX: -50, minZ: -100, maxZ: 50 },
         color: '#ffaa00',
         trafficDensity: 0.5,
-        pedestrianDensity: 2.0
+        pedestrianDensity: 2.0,
+        heat: 1.6,      // Food stalls, grills and crowds
+        deliveryTime: 1.2,  // Nobody gets through the crowds quickly
+        deliveryPay: 0.9
     },
     RESIDENTIAL: {
         name: 'Residential Towers',
@@ -88,7 +97,10 @@ const SECTORS = {
         bounds: { minX: -100, maxX: 50, minZ: 50, maxZ: 150 },
         color: '#aa88ff',
         trafficDensity: 0.7,
-        pedestrianDensity: 1.0
+        pedestrianDensity: 1.0,
+        heat: 0.9,
+        deliveryTime: 1.1,  // Long climbs to the upper floors
+        deliveryPay: 1.0
     }
 };
 
@@ -405,6 +417,25 @@ export class SectorManager {
         }
     }
 
+    /**
+     * How hot the street is at a position (melts COLD deliveries faster), 1 outside any sector
+     */
+    getHeatAt(position) {
+        const sector = this.getSectorAt(position);
+        return sector?.heat || 1.0;
+    }
+
+    /**
+     * How a delivery to a position is paced and paid: { time, pay } multipliers, 1 outside any sector
+     */
+    getDeliveryModifiers(position) {
+        const sector = this.getSectorAt(position);
+        return {
+            time: sector?.deliveryTime ?? 1.0,
+            pay: sector?.deliveryPay ?? 1.0
+        };
+    }
+
     /**
      * Dispose of sector resources
      */
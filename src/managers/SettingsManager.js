@@ -0,0 +1,326 @@
+// SettingsManager - Player options (camera, audio mix, controls, rumble) that apply live and persist per device
+
+import { Events } from '../core/EventBus.js';
+import { CAMERA, CONTROLLER } from '../constants.js';
+
+const SETTINGS_CONFIG = {
+    STORAGE_KEY: 'neonSlice_settings'
+};
+
+const VOLUME_STEPS = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+const DEADZONE_STEPS = [0.05, 0.1, 0.15, 0.2, 0.25, 0.3];
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+const formatOnOff = (value) => value ? 'On' : 'Off';
+
+/**
+ * Every option, grouped by panel section
+ *   values - What the arrows step through, in order
+ *   apply  - (gameManager, value) pushes it into the manager that owns it
+ */
+const SETTINGS = {
+    fov: {
+        section: 'Camera',
+        label: 'Field of view',
+        values: [50, 55, 60, 65, 70, 75, 80, 90],
+        default: CAMERA.FOV,
+        format: (value) => `${value}°`,
+        apply: (gameManager, value) => gameManager.cameraController?.setFov(value)
+    },
+    cameraDistance: {
+        section: 'Camera',
+        label: 'Distance',
+        values: [2, 2.5, 3, 3.5, 4, 5, 6],
+        default: CAMERA.DISTANCE,
+        format: (value) => `${value}m`,
+        apply: (gameManager, value) => gameManager.cameraController?.setDistance(value)
+    },
+    masterVolume: {
+        section: 'Audio',
+        label: 'Master',
+        values: VOLUME_STEPS,
+        default: 1,
+        format: formatPercent,
+        apply: (gameManager, value) => gameManager.audioManager?.setBusVolume('master', value)
+    },
+    sfxVolume: {
+        section: 'Audio',
+        label: 'Effects',
+        values: VOLUME_STEPS,
+        default: 1,
+        format: formatPercent,
+        apply: (gameManager, value) => gameManager.audioManager?.setBusVolume('sfx', value)
+    },
+    musicVolume: {
+        section: 'Audio',
+        label: 'Music',
+        values: VOLUME_STEPS,
+        default: 1,
+        format: formatPercent,
+        apply: (gameManager, value) => gameManager.audioManager?.setBusVolume('music', value)
+    },
+    ambianceVolume: {
+        section: 'Audio',
+        label: 'Ambiance',
+        values: VOLUME_STEPS,
+        default: 1,
+        format: formatPercent,
+        apply: (gameManager, value) => gameManager.audioManager?.setBusVolume('ambiance', value)
+    },
+    deadzoneLeft: {
+        section: 'Controls',
+        label: 'Move deadzone',
+        values: DEADZONE_STEPS,
+        default: CONTROLLER.DEADZONE_LEFT,
+        format: formatPercent,
+        apply: (gameManager, value) => gameManager.inputManager?.setDeadzone('left', value)
+    },
+    deadzoneRight: {
+        section: 'Controls',
+        label: 'Aim deadzone',
+        values: DEADZONE_STEPS,
+        default: CONTROLLER.DEADZONE_RIGHT,
+        format: formatPercent,
+        apply: (gameManager, value) => gameManager.inputManager?.setDeadzone('right', value)
+    },
+    invertAimX: {
+        section: 'Controls',
+        label: 'Invert aim X',
+        values: [false, true],
+        default: false,
+        format: formatOnOff,
+        apply: (gameManager, value) => gameManager.inputManager?.setAimInverted('yaw', value)
+    },
+    invertAimY: {
+        section: 'Controls',
+        label: 'Invert aim Y',
+        values: [false, true],
+        default: false,
+        format: formatOnOff,
+        apply: (gameManager, value) => gameManager.inputManager?.setAimInverted('pitch', value)
+    },
+    mouseLook: {
+        section: 'Controls',
+        label: 'Mouse look',
+        values: [false, true],
+        default: true,
+        format: formatOnOff,
+        apply: (gameManager, value) => gameManager.inputManager?.setMouseLook(value)
+    },
+    mouseSensitivity: {
+        section: 'Controls',
+        label: 'Mouse sensitivity',
+        values: [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3],
+        default: 1,
+        format: (value) => `${value}×`,
+        apply: (gameManager, value) => gameManager.inputManager?.setMouseSensitivity(value)
+    },
+    rumble: {
+        section: 'Controls',
+        label: 'Controller rumble',
+        values: [false, true],
+        default: true,
+        format: formatOnOff,
+        apply: (gameManager, value) => gameManager.hapticsManager?.setEnabled(value)
+    },
+    rumbleStrength: {
+        section: 'Controls',
+        label: 'Rumble strength',
+        values: [0.25, 0.5, 0.75, 1],
+        default: 1,
+        format: formatPercent,
+        apply: (gameManager, value) => gameManager.hapticsManager?.setStrength(value)
+    }
+};
+
+export class SettingsManager {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.gameManager = null; // Set by GameManager
+        
+        // Key -> current value
+        this.values = Object.fromEntries(
+            Object.entries(SETTINGS).map(([key, setting]) => [key, setting.default])
+        );
+        
+        // UI
+        this.panelElement = null;
+    }
+
+    /**
+     * Set the game manager whose camera, audio and input the settings drive
+     */
+    setGameManager(gameManager) {
+        this.gameManager = gameManager;
+    }
+
+    /**
+     * Load the saved settings and apply all of them
+     */
+    init() {
+        this._load();
+        Object.keys(SETTINGS).forEach(key => this._apply(key));
+    }
+
+    /**
+     * Change a setting, apply it now and remember it
+     * @param {string} key - SETTINGS key
+     * @param {*} value - One of the setting's values
+     * @returns {boolean} False if the key or value isn't valid
+     */
+    set(key, value) {
+        const setting = SETTINGS[key];
+        if (!setting || !setting.values.includes(value)) return false;
+        if (this.values[key] === value) return true;
+        
+        this.values[key] = value;
+        this._apply(key);
+        this._save();
+        this._emitChanged(key);
+        return true;
+    }
+
+    /**
+     * Move a setting one value up or down (clamped at the ends)
+     * @param {string} key - SETTINGS key
+     * @param {number} direction - -1 or 1
+     */
+    step(key, direction) {
+        const setting = SETTINGS[key];
+        if (!setting) return;
+        
+        const index = setting.values.indexOf(this.values[key]);
+        const next = Math.max(0, Math.min(setting.values.length - 1, index + direction));
+        this.set(key, setting.values[next]);
+    }
+
+    /**
+     * @param {string} key - SETTINGS key
+     * @returns {*}
+     */
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Put every setting back to its default
+     */
+    reset() {
+        for (const [key, setting] of Object.entries(SETTINGS)) {
+            this.values[key] = setting.default;
+            this._apply(key);
+        }
+        this._save();
+        this._emitChanged(null);
+    }
+
+    _apply(key) {
+        if (this.gameManager) {
+            SETTINGS[key].apply(this.gameManager, this.values[key]);
+        }
+    }
+
+    _emitChanged(key) {
+        this.eventBus.emit(Events.SETTINGS_CHANGED, { key, settings: { ...this.values } });
+        this._renderPanel();
+    }
+
+    /**
+     * Restore saved values, skipping any a newer/older build doesn't offer
+     */
+    _load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_CONFIG.STORAGE_KEY) || 'null');
+            if (!saved) return;
+            
+            for (const [key, value] of Object.entries(saved)) {
+                if (SETTINGS[key] && SETTINGS[key].values.includes(value)) {
+                    this.values[key] = value;
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load settings:', e);
+        }
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(SETTINGS_CONFIG.STORAGE_KEY, JSON.stringify(this.values));
+        } catch (e) {
+            console.warn('Could not save settings:', e);
+        }
+    }
+
+    /**
+     * Build the camera/audio/controls panel for the settings screen
+     * @returns {HTMLElement}
+     */
+    createPanel() {
+        this.panelElement = document.createElement('div');
+        this.panelElement.style.cssText = `
+            width: 360px;
+            padding: 12px;
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid #333;
+            border-radius: 8px;
+            font-size: 12px;
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+        `;
+        this.panelElement.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-setting]');
+            if (!button) return;
+            
+            if (button.dataset.setting === 'reset') {
+                this.reset();
+            } else {
+                this.step(button.dataset.setting, parseInt(button.dataset.value));
+            }
+        });
+        
+        this._renderPanel();
+        return this.panelElement;
+    }
+
+    _renderPanel() {
+        if (!this.panelElement) return;
+        
+        const buttonStyle = `
+            background: transparent;
+            border: 1px solid #666;
+            border-radius: 4px;
+            color: #ccc;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            padding: 3px 8px;
+            cursor: pointer;
+        `;
+        const headingStyle = 'color: #ff6b35; font-weight: bold; letter-spacing: 2px;';
+        
+        let section = null;
+        const rows = Object.entries(SETTINGS).map(([key, setting]) => {
+            const heading = setting.section !== section
+                ? `<div style="${headingStyle} ${section ? 'margin-top: 6px;' : ''}">${setting.section.toUpperCase()}</div>`
+                : '';
+            section = setting.section;
+            
+            return `
+                ${heading}
+                <div style="display: flex; align-items: center; gap: 6px;">
+                    <span style="flex: 1; color: #888;">${setting.label}</span>
+                    <button data-setting="${key}" data-value="-1" style="${buttonStyle}">◀</button>
+                    <span style="width: 48px; text-align: center;">${setting.format(this.values[key])}</span>
+                    <button data-setting="${key}" data-value="1" style="${buttonStyle}">▶</button>
+                </div>
+            `;
+        }).join('');
+        
+        this.panelElement.innerHTML = `
+            ${rows}
+            <div style="display: flex; justify-content: flex-end; margin-top: 6px;">
+                <button data-setting="reset" style="${buttonStyle}">RESET DEFAULTS</button>
+            </div>
+        `;
+    }
+}
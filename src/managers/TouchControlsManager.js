@@ -0,0 +1,340 @@
+// TouchControlsManager - On-screen joystick, aim drag area and action buttons for phones and tablets, fed into InputManager
+
+import { Events } from '../core/EventBus.js';
+import { InputContext } from '../core/GameStateMachine.js';
+import { Action } from '../core/ActionMap.js';
+
+const TOUCH_CONFIG = {
+    STICK_RADIUS: 55, // px the knob can travel from where the thumb landed
+    STICK_DEADZONE: 0.12 // Fraction of the radius that still counts as centered
+};
+
+// On-screen buttons; ones with an area sit in the cluster under the right thumb
+// (placed by TOUCH_LAYOUT_CSS), the rest in the top right corner
+const TOUCH_BUTTONS = [
+    { label: 'JUMP', action: Action.JUMP, area: 'jump', size: 84 },
+    { label: 'BOOST', action: Action.SPEED_BOOST, area: 'boost', size: 62 },
+    { label: 'FLY', action: Action.FLY, area: 'fly', size: 62 },
+    { label: 'SPIN', action: Action.TRICK_SPIN, area: 'spin', size: 62 },
+    { label: 'FLIP', action: Action.TRICK_FLIP, area: 'flip', size: 62 },
+    { label: 'NEXT', action: Action.NEXT_ORDER, size: 44 },
+    { label: 'SHOP', action: Action.SHOP, size: 44 },
+    { label: '❚❚', action: Action.PAUSE, size: 44 }
+];
+
+// Zone and button placement per orientation (the rest of the styling is inline)
+const TOUCH_LAYOUT_CSS = `
+    #touch-controls .touch-stick-zone { left: 0; bottom: 0; width: 40%; height: 65%; }
+    #touch-controls .touch-aim-zone { right: 0; top: 0; width: 60%; height: 100%; }
+    #touch-controls .touch-cluster {
+        right: 20px; bottom: 20px;
+        grid-template-columns: repeat(3, auto);
+        grid-template-areas: "spin flip fly" ". boost jump";
+    }
+    #touch-controls .touch-corner { right: 20px; top: 70px; }
+    @media (orientation: portrait) {
+        #touch-controls .touch-stick-zone { width: 50%; height: 40%; }
+        #touch-controls .touch-aim-zone { width: 100%; height: 60%; }
+        #touch-controls .touch-cluster {
+            right: 12px; bottom: 12px;
+            grid-template-columns: repeat(2, auto);
+            grid-template-areas: "spin flip" "fly boost" "jump jump";
+        }
+    }
+`;
+
+export class TouchControlsManager {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.inputManager = null; // Set by GameManager
+        this.stateMachine = null; // Set by GameManager
+        
+        // Shown once the player touches the screen, hidden again by a key or gamepad press
+        this.active = false;
+        
+        // Touch identifiers owning the stick and aim areas
+        this.stickTouchId = null;
+        this.stickOrigin = { x: 0, y: 0 };
+        this.aimTouchId = null;
+        this.aimLast = { x: 0, y: 0 };
+        
+        // UI
+        this.element = null;
+        this.stickBaseElement = null;
+        this.stickKnobElement = null;
+        
+        this._onFirstTouch = this._onFirstTouch.bind(this);
+        this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    /**
+     * Set the input manager the touch layer feeds
+     */
+    setInputManager(inputManager) {
+        this.inputManager = inputManager;
+    }
+
+    /**
+     * Set the game state machine (the layer only shows while riding)
+     */
+    setStateMachine(stateMachine) {
+        this.stateMachine = stateMachine;
+    }
+
+    init() {
+        this._createUI();
+        
+        window.addEventListener('touchstart', this._onFirstTouch, { passive: true });
+        window.addEventListener('keydown', this._onKeyDown);
+        this.eventBus.on(Events.STATE_CHANGED, () => this._updateVisibility());
+        this.eventBus.on(Events.INPUT_DEVICE_CHANGED, ({ device }) => {
+            if (device === 'pad') this._setActive(false);
+        });
+    }
+
+    dispose() {
+        window.removeEventListener('touchstart', this._onFirstTouch);
+        window.removeEventListener('keydown', this._onKeyDown);
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+
+    _onFirstTouch() {
+        this._setActive(true);
+    }
+
+    _onKeyDown() {
+        this._setActive(false);
+    }
+
+    _setActive(active) {
+        if (this.active === active) return;
+        this.active = active;
+        this._updateVisibility();
+    }
+
+    /**
+     * Show the layer only for touch players while gameplay input is live
+     */
+    _updateVisibility() {
+        if (!this.element) return;
+        
+        const visible = this.active && (!this.stateMachine || this.stateMachine.isInputLive(InputContext.GAMEPLAY));
+        this.element.style.display = visible ? 'block' : 'none';
+        
+        if (!visible) {
+            // Fingers still down on a hidden layer would never get their touchend
+            this._endStick();
+            this.aimTouchId = null;
+            this.inputManager?.releaseTouch();
+        }
+    }
+
+    /**
+     * Build the joystick area, aim area and buttons
+     */
+    _createUI() {
+        this.element = document.createElement('div');
+        this.element.id = 'touch-controls';
+        this.element.style.cssText = `
+            position: fixed;
+            inset: 0;
+            display: none;
+            z-index: 150;
+            pointer-events: none;
+            user-select: none;
+            -webkit-user-select: none;
+            font-family: 'Courier New', monospace;
+        `;
+        
+        const style = document.createElement('style');
+        style.textContent = TOUCH_LAYOUT_CSS;
+        this.element.appendChild(style);
+        
+        const zoneStyle = 'position: absolute; pointer-events: auto; touch-action: none;';
+        
+        // Aim area first so the stick and buttons sit on top of it
+        const aimZone = document.createElement('div');
+        aimZone.className = 'touch-aim-zone';
+        aimZone.style.cssText = zoneStyle;
+        aimZone.addEventListener('touchstart', (e) => this._onAimStart(e), { passive: false });
+        aimZone.addEventListener('touchmove', (e) => this._onAimMove(e), { passive: false });
+        aimZone.addEventListener('touchend', (e) => this._onAimEnd(e));
+        aimZone.addEventListener('touchcancel', (e) => this._onAimEnd(e));
+        this.element.appendChild(aimZone);
+        
+        const stickZone = document.createElement('div');
+        stickZone.className = 'touch-stick-zone';
+        stickZone.style.cssText = zoneStyle;
+        stickZone.addEventListener('touchstart', (e) => this._onStickStart(e), { passive: false });
+        stickZone.addEventListener('touchmove', (e) => this._onStickMove(e), { passive: false });
+        stickZone.addEventListener('touchend', (e) => this._onStickEnd(e));
+        stickZone.addEventListener('touchcancel', (e) => this._onStickEnd(e));
+        
+        // The stick floats to wherever the thumb lands; it rests in the corner
+        const size = TOUCH_CONFIG.STICK_RADIUS * 2;
+        this.stickBaseElement = document.createElement('div');
+        this.stickBaseElement.style.cssText = `
+            position: absolute;
+            left: 40px;
+            bottom: 40px;
+            width: ${size}px;
+            height: ${size}px;
+            border: 2px solid rgba(255, 107, 53, 0.6);
+            border-radius: 50%;
+            background: rgba(0, 0, 0, 0.25);
+            pointer-events: none;
+        `;
+        this.stickKnobElement = document.createElement('div');
+        this.stickKnobElement.style.cssText = `
+            position: absolute;
+            left: 50%;
+            top: 50%;
+            width: 50px;
+            height: 50px;
+            margin: -25px 0 0 -25px;
+            border-radius: 50%;
+            background: rgba(255, 107, 53, 0.6);
+        `;
+        this.stickBaseElement.appendChild(this.stickKnobElement);
+        stickZone.appendChild(this.stickBaseElement);
+        this.element.appendChild(stickZone);
+        
+        // Button groups
+        const cluster = document.createElement('div');
+        cluster.className = 'touch-cluster';
+        cluster.style.cssText = 'position: absolute; display: grid; gap: 10px; pointer-events: none;';
+        const corner = document.createElement('div');
+        corner.className = 'touch-corner';
+        corner.style.cssText = 'position: absolute; display: flex; gap: 10px; pointer-events: none;';
+        
+        for (const button of TOUCH_BUTTONS) {
+            const element = this._createButton(button);
+            (button.area ? cluster : corner).appendChild(element);
+        }
+        this.element.appendChild(cluster);
+        this.element.appendChild(corner);
+        
+        document.body.appendChild(this.element);
+    }
+
+    _createButton({ label, action, area, size }) {
+        const element = document.createElement('div');
+        element.textContent = label;
+        element.style.cssText = `
+            ${area ? `grid-area: ${area};` : ''}
+            justify-self: center;
+            width: ${size}px;
+            height: ${size}px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            border: 2px solid #ff6b35;
+            border-radius: 50%;
+            background: rgba(255, 107, 53, 0.15);
+            color: white;
+            font-size: ${area ? 13 : 11}px;
+            font-weight: bold;
+            pointer-events: auto;
+            touch-action: none;
+        `;
+        
+        // Each button tracks its own fingers so sliding a second thumb on and off works
+        const touches = new Set();
+        const press = (down) => {
+            element.style.background = down ? 'rgba(255, 107, 53, 0.6)' : 'rgba(255, 107, 53, 0.15)';
+            this.inputManager?.setTouchAction(action, down);
+        };
+        element.addEventListener('touchstart', (e) => {
+            e.preventDefault(); // No emulated mouse click (that would also fire mouse bindings)
+            for (const touch of e.changedTouches) touches.add(touch.identifier);
+            press(true);
+        }, { passive: false });
+        const release = (e) => {
+            for (const touch of e.changedTouches) touches.delete(touch.identifier);
+            if (touches.size === 0) press(false);
+        };
+        element.addEventListener('touchend', release);
+        element.addEventListener('touchcancel', release);
+        
+        return element;
+    }
+
+    _findTouch(e, id) {
+        return Array.from(e.changedTouches).find(touch => touch.identifier === id) || null;
+    }
+
+    _onStickStart(e) {
+        e.preventDefault();
+        if (this.stickTouchId !== null) return;
+        
+        const touch = e.changedTouches[0];
+        this.stickTouchId = touch.identifier;
+        this.stickOrigin = { x: touch.clientX, y: touch.clientY };
+        
+        // Center the base under the thumb
+        const zone = e.currentTarget.getBoundingClientRect();
+        this.stickBaseElement.style.left = `${touch.clientX - zone.left - TOUCH_CONFIG.STICK_RADIUS}px`;
+        this.stickBaseElement.style.bottom = `${zone.bottom - touch.clientY - TOUCH_CONFIG.STICK_RADIUS}px`;
+    }
+
+    _onStickMove(e) {
+        e.preventDefault();
+        const touch = this._findTouch(e, this.stickTouchId);
+        if (!touch) return;
+        
+        let dx = touch.clientX - this.stickOrigin.x;
+        let dy = touch.clientY - this.stickOrigin.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const radius = TOUCH_CONFIG.STICK_RADIUS;
+        if (distance > radius) {
+            dx *= radius / distance;
+            dy *= radius / distance;
+        }
+        this.stickKnobElement.style.transform = `translate(${dx}px, ${dy}px)`;
+        
+        const inDeadzone = distance < radius * TOUCH_CONFIG.STICK_DEADZONE;
+        this.inputManager?.setTouchStick(inDeadzone ? 0 : dx / radius, inDeadzone ? 0 : dy / radius);
+    }
+
+    _onStickEnd(e) {
+        if (this._findTouch(e, this.stickTouchId)) {
+            this._endStick();
+        }
+    }
+
+    _endStick() {
+        this.stickTouchId = null;
+        if (this.stickKnobElement) {
+            this.stickKnobElement.style.transform = '';
+            this.stickBaseElement.style.left = '40px';
+            this.stickBaseElement.style.bottom = '40px';
+        }
+        this.inputManager?.setTouchStick(0, 0);
+    }
+
+    _onAimStart(e) {
+        e.preventDefault();
+        if (this.aimTouchId !== null) return;
+        
+        const touch = e.changedTouches[0];
+        this.aimTouchId = touch.identifier;
+        this.aimLast = { x: touch.clientX, y: touch.clientY };
+    }
+
+    _onAimMove(e) {
+        e.preventDefault();
+        const touch = this._findTouch(e, this.aimTouchId);
+        if (!touch) return;
+        
+        this.inputManager?.addTouchAim(touch.clientX - this.aimLast.x, touch.clientY - this.aimLast.y);
+        this.aimLast = { x: touch.clientX, y: touch.clientY };
+    }
+
+    _onAimEnd(e) {
+        if (this._findTouch(e, this.aimTouchId)) {
+            this.aimTouchId = null;
+        }
+    }
+}
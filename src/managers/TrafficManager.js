@@ -29,12 +29,12 @@ const TRAFFIC_CONFIG = {
 };
 
 class Car {
-    constructor(type, position, direction, speed, roadAxis) {
+    constructor(type, position, direction, speed, roadAxis, bodiless = false) {
         this.type = type;
         this.speed = speed;
         this.direction = direction; // 1 or -1
         this.roadAxis = roadAxis;   // 'x' or 'z'
-        this.mesh = this._createMesh(type);
+        this.mesh = bodiless ? new THREE.Group() : this._createMesh(type);
         this.mesh.position.copy(position);
         
         // Set rotation based on direction and road axis
@@ -180,9 +180,13 @@ class Car {
 }
 
 export class TrafficManager {
-    constructor(scene) {
+    constructor(scene, random) {
         this.scene = scene;
+        this.random = random; // Shared seeded RNG (core/Random.js)
         this.cars = [];
+        this.maxCars = TRAFFIC_CONFIG.MAX_CARS; // Scaled by quality settings
+        this.drawScale = 1; // Share of DESPAWN_RADIUS cars are drawn within (quality settings)
+        this.bodiless = false; // Cars are only a transform (headless simulation)
         this.spawnTimer = 0;
         this.roadPositions = [];
         
@@ -220,17 +224,17 @@ export class TrafficManager {
     }
 
     _getRandomCarType() {
-        return CAR_TYPES[Math.floor(Math.random() * CAR_TYPES.length)];
+        return this.random.pick(CAR_TYPES);
     }
 
     _trySpawnCar(playerPosition) {
-        if (this.cars.length >= TRAFFIC_CONFIG.MAX_CARS) return;
+        if (this.cars.length >= this.maxCars) return;
         
         // Pick a random road
-        const road = this.roadPositions[Math.floor(Math.random() * this.roadPositions.length)];
+        const road = this.random.pick(this.roadPositions);
         
         // Pick a random direction (1 or -1)
-        const direction = Math.random() > 0.5 ? 1 : -1;
+        const direction = this.random.next() > 0.5 ? 1 : -1;
         
         // Pick lane based on direction (right-hand traffic)
         // For X-axis roads: +X direction stays on -Z side, -X direction stays on +Z side
@@ -250,14 +254,14 @@ export class TrafficManager {
         for (let attempt = 0; attempt < 5; attempt++) {
             if (road.axis === 'x') {
                 // Spawn at edge of view range along X
-                const spawnX = playerPosition.x + (Math.random() > 0.5 ? 1 : -1) * 
-                    (TRAFFIC_CONFIG.MIN_SPAWN_DISTANCE + Math.random() * 
+                const spawnX = playerPosition.x + (this.random.next() > 0.5 ? 1 : -1) * 
+                    (TRAFFIC_CONFIG.MIN_SPAWN_DISTANCE + this.random.next() * 
                     (TRAFFIC_CONFIG.SPAWN_RADIUS - TRAFFIC_CONFIG.MIN_SPAWN_DISTANCE));
                 spawnPos.set(spawnX, 0.1, road.fixedCoord + laneOffset);
             } else {
                 // Spawn at edge of view range along Z
-                const spawnZ = playerPosition.z + (Math.random() > 0.5 ? 1 : -1) * 
-                    (TRAFFIC_CONFIG.MIN_SPAWN_DISTANCE + Math.random() * 
+                const spawnZ = playerPosition.z + (this.random.next() > 0.5 ? 1 : -1) * 
+                    (TRAFFIC_CONFIG.MIN_SPAWN_DISTANCE + this.random.next() * 
                     (TRAFFIC_CONFIG.SPAWN_RADIUS - TRAFFIC_CONFIG.MIN_SPAWN_DISTANCE));
                 spawnPos.set(road.fixedCoord + laneOffset, 0.1, spawnZ);
             }
@@ -288,9 +292,9 @@ export class TrafficManager {
         // Create the car
         const carType = this._getRandomCarType();
         const speed = TRAFFIC_CONFIG.SPEED_MIN + 
-            Math.random() * (TRAFFIC_CONFIG.SPEED_MAX - TRAFFIC_CONFIG.SPEED_MIN);
+            this.random.next() * (TRAFFIC_CONFIG.SPEED_MAX - TRAFFIC_CONFIG.SPEED_MIN);
         
-        const car = new Car(carType, spawnPos, direction, speed, road.axis);
+        const car = new Car(carType, spawnPos, direction, speed, road.axis, this.bodiless);
         this.scene.add(car.mesh);
         this.cars.push(car);
     }
@@ -362,6 +366,41 @@ export class TrafficManager {
         return this.cars.length;
     }
 
+    /**
+     * Skip building car models for new spawns (headless runs drive and collide with bare transforms)
+     * @param {boolean} bodiless
+     */
+    setBodiless(bodiless) {
+        this.bodiless = bodiless;
+    }
+
+    /**
+     * Scale how many cars may be on the road (quality settings)
+     * Lowering it only stops new spawns - cars already driving leave by despawning as usual.
+     * @param {number} density - 1 = TRAFFIC_CONFIG.MAX_CARS
+     */
+    setDensity(density) {
+        this.maxCars = Math.max(1, Math.round(TRAFFIC_CONFIG.MAX_CARS * density));
+    }
+
+    /**
+     * Scale how far away cars are drawn (quality settings) - render-only, the traffic itself is unchanged
+     * @param {number} scale - 1 = every car
+     */
+    setDrawScale(scale) {
+        this.drawScale = scale;
+    }
+
+    /**
+     * Hide cars beyond the draw distance (every frame - hidden cars still drive and collide)
+     */
+    updateVisibility(playerPosition) {
+        const drawDistance = TRAFFIC_CONFIG.DESPAWN_RADIUS * this.drawScale;
+        for (const car of this.cars) {
+            car.mesh.visible = car.getPosition().distanceTo(playerPosition) <= drawDistance;
+        }
+    }
+
     dispose() {
         for (const car of this.cars) {
             this.scene.remove(car.mesh);
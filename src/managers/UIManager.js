@@ -1,13 +1,24 @@
-// UIManager - Handles HUD updates (speed, altitude, flight energy, delivery)
+// UIManager - Handles HUD updates (speed, altitude, flight energy, delivery, controls strip)
 
-// Delivery type colors
-const DELIVERY_TYPE_COLORS = {
-    STANDARD: '#00ff00',
-    RUSH: '#ffaa00',
-    FRAGILE: '#ff00ff',
-    HOT: '#ff4444',
-    VIP: '#ffdd00'
-};
+import { Action } from '../core/ActionMap.js';
+
+// Controls strip entries; ones with nothing bound on the player's device are left out
+// (the pad reaches the shop and stats through menu navigation instead).
+// mouseLook entries read "Mouse" on keyboard while mouse-look is on.
+const CONTROLS_INFO = [
+    { label: 'Move', actions: [Action.MOVE_FORWARD, Action.STRAFE_LEFT, Action.MOVE_BACK, Action.STRAFE_RIGHT] },
+    { label: 'Aim', actions: [Action.AIM_UP, Action.AIM_LEFT, Action.AIM_DOWN, Action.AIM_RIGHT], mouseLook: true },
+    { label: 'Jump', actions: [Action.JUMP] },
+    { label: 'Boost/Fly', actions: [Action.CHARGE_BOOST, Action.SPEED_BOOST] },
+    { label: 'Tricks', actions: [Action.TRICK_SPIN, Action.TRICK_FLIP] },
+    { label: 'Next order', actions: [Action.NEXT_ORDER] },
+    { label: 'Upgrades', actions: [Action.SHOP] },
+    { label: 'Stats', actions: [Action.SUMMARY] },
+    { label: 'Shop/Stats', actions: [Action.MENU_NAVIGATE] },
+    { label: 'Ghost', actions: [Action.REPLAY] },
+    { label: 'Pause', actions: [Action.PAUSE] },
+    { label: 'Editor', actions: [Action.EDITOR_TOGGLE] }
+];
 
 export class UIManager {
     constructor() {
@@ -23,6 +34,10 @@ export class UIManager {
         this.deliveryTypeElement = null;
         this.deliveryCreditsElement = null;
         this.pizzaTempElement = null;
+        this.orderListElement = null;
+        this.navigationElement = null;
+        
+        this.controlsInfoElement = null;
     }
 
     init() {
@@ -35,6 +50,7 @@ export class UIManager {
         this.deliveryTimerElement = document.getElementById('delivery-timer');
         this.deliveryStatsElement = document.getElementById('delivery-stats');
         this.pickupPromptElement = document.getElementById('pickup-prompt');
+        this.controlsInfoElement = document.getElementById('controls-info');
         
         // Create delivery type display
         this._createDeliveryTypeUI();
@@ -63,6 +79,18 @@ export class UIManager {
         `;
         deliveryUI.insertBefore(this.deliveryTypeElement, deliveryUI.firstChild);
         
+        // GPS: next turn and how far to it
+        this.navigationElement = document.createElement('div');
+        this.navigationElement.id = 'navigation';
+        this.navigationElement.style.cssText = `
+            display: none;
+            font-size: 13px;
+            color: #00ffff;
+            margin-bottom: 5px;
+            text-shadow: 0 0 6px #00ffff;
+        `;
+        deliveryUI.insertBefore(this.navigationElement, this.deliveryTypeElement.nextSibling);
+        
         // Credits display
         this.deliveryCreditsElement = document.createElement('div');
         this.deliveryCreditsElement.id = 'delivery-credits';
@@ -73,7 +101,7 @@ export class UIManager {
         `;
         deliveryUI.appendChild(this.deliveryCreditsElement);
         
-        // Pizza temperature bar (for HOT deliveries)
+        // Rule gauges for the active order (HOT temperature, COLD chill, CONTRABAND cover)
         this.pizzaTempElement = document.createElement('div');
         this.pizzaTempElement.id = 'pizza-temp';
         this.pizzaTempElement.style.cssText = `
@@ -82,6 +110,17 @@ export class UIManager {
             margin-top: 5px;
         `;
         deliveryUI.appendChild(this.pizzaTempElement);
+        
+        // Carried orders (only shown once there's more than one)
+        this.orderListElement = document.createElement('div');
+        this.orderListElement.id = 'order-list';
+        this.orderListElement.style.cssText = `
+            display: none;
+            font-size: 12px;
+            margin-top: 8px;
+            line-height: 1.5;
+        `;
+        deliveryUI.appendChild(this.orderListElement);
     }
 
     /**
@@ -142,21 +181,26 @@ export class UIManager {
         const { 
             hasActivePizza, 
             timeRemaining, 
+            destination,
             deliveriesCompleted, 
             deliveriesFailed,
             deliveryType,
             deliveryTypeName,
             deliveryDescription,
+            deliveryAddress,
+            deliveryColor,
             rewardMultiplier,
-            pizzaTemperature,
-            isHotDelivery,
+            meters,
+            orders,
+            capacity,
+            courierRating,
             totalCredits
         } = deliveryState;
         
         // Update delivery type badge
         if (this.deliveryTypeElement) {
             if (hasActivePizza && deliveryType) {
-                const color = DELIVERY_TYPE_COLORS[deliveryType] || '#00ff00';
+                const color = deliveryColor || '#00ff00';
                 this.deliveryTypeElement.style.display = 'block';
                 this.deliveryTypeElement.style.backgroundColor = color + '33';
                 this.deliveryTypeElement.style.border = `2px solid ${color}`;
@@ -171,8 +215,10 @@ export class UIManager {
         if (this.deliveryStatusElement) {
             if (hasActivePizza) {
                 const statusText = deliveryDescription || 'DELIVERING...';
-                this.deliveryStatusElement.textContent = statusText;
-                this.deliveryStatusElement.style.color = DELIVERY_TYPE_COLORS[deliveryType] || '#0f0';
+                this.deliveryStatusElement.innerHTML = deliveryAddress
+                    ? `${statusText}<div style="font-size:11px; color:#ccc">TO ${deliveryAddress}${this._formatDropAltitude(destination)}</div>`
+                    : statusText;
+                this.deliveryStatusElement.style.color = deliveryColor || '#0f0';
             } else {
                 this.deliveryStatusElement.textContent = 'AWAITING PICKUP';
                 this.deliveryStatusElement.style.color = '#0ff';
@@ -197,29 +243,38 @@ export class UIManager {
             }
         }
         
-        // Update pizza temperature for HOT deliveries
+        // Gauges for the active order's rules (HOT temperature, tricks landed...)
         if (this.pizzaTempElement) {
-            if (hasActivePizza && isHotDelivery) {
+            if (hasActivePizza && meters && meters.length > 0) {
                 this.pizzaTempElement.style.display = 'block';
-                const tempBarLength = 10;
-                const filledBars = Math.round((pizzaTemperature / 100) * tempBarLength);
-                const emptyBars = tempBarLength - filledBars;
-                const tempBar = '█'.repeat(filledBars) + '░'.repeat(emptyBars);
-                
-                // Color based on temperature
-                let tempColor = '#ff4444';
-                if (pizzaTemperature > 60) tempColor = '#ffaa00';
-                if (pizzaTemperature > 80) tempColor = '#00ff00';
-                
-                this.pizzaTempElement.innerHTML = `TEMP: <span style="color:${tempColor}">${tempBar}</span> ${Math.round(pizzaTemperature)}°`;
+                this.pizzaTempElement.innerHTML = meters.map((meter) => this._formatMeter(meter)).join('<br>');
             } else {
                 this.pizzaTempElement.style.display = 'none';
             }
         }
         
+        // Order stack: type, time left and distance for each, the target marked
+        if (this.orderListElement) {
+            if (orders && orders.length > 1) {
+                this.orderListElement.style.display = 'block';
+                const rows = orders.map((order) => {
+                    const color = order.color || '#00ff00';
+                    const weight = order.isActive ? 'bold' : 'normal';
+                    return `<div style="color:${order.isActive ? color : '#888'}; font-weight:${weight}">` +
+                        `${order.isActive ? '▶ ' : ''}<span style="color:${color}">${order.typeName}</span> ` +
+                        `${order.address ? `${order.address} ` : ''}${Math.ceil(order.timeRemaining)}s ${Math.round(order.distance)}m` +
+                        `${this._formatDropAltitude(order.destination)}</div>`;
+                }).join('');
+                this.orderListElement.innerHTML = `<div style="color:#0ff">ORDERS ${orders.length}/${capacity}</div>${rows}`;
+            } else {
+                this.orderListElement.style.display = 'none';
+            }
+        }
+        
         // Update stats and credits
         if (this.deliveryStatsElement) {
-            this.deliveryStatsElement.textContent = `DELIVERIES: ${deliveriesCompleted} | FAILED: ${deliveriesFailed}`;
+            const rating = courierRating !== null && courierRating !== undefined ? ` | RATING: ${courierRating.toFixed(1)}★` : '';
+            this.deliveryStatsElement.textContent = `DELIVERIES: ${deliveriesCompleted} | FAILED: ${deliveriesFailed}${rating}`;
         }
         
         if (this.deliveryCreditsElement) {
@@ -227,6 +282,76 @@ export class UIManager {
         }
     }
 
+    /**
+     * Show the GPS's next instruction
+     * @param {Object|null} turn - From NavigationManager.getNextTurn (null hides it)
+     */
+    updateNavigation(turn) {
+        if (!this.navigationElement) return;
+        if (!turn) {
+            this.navigationElement.style.display = 'none';
+            return;
+        }
+        
+        const arrows = { left: '↰', right: '↱', arrive: '⚑' };
+        const distance = `${Math.max(0, Math.round(turn.distance / 5) * 5)}m`;
+        const action = turn.direction === 'arrive'
+            ? 'ARRIVE'
+            : `${turn.direction.toUpperCase()}${turn.street ? ` onto ${turn.street}` : ''}`;
+        
+        this.navigationElement.style.display = 'block';
+        this.navigationElement.innerHTML = turn.rerouting
+            ? '<span style="color:#ffaa00">REROUTING...</span>'
+            : `<span style="font-size:20px; vertical-align:middle">${arrows[turn.direction]}</span> ${distance} ${action}`;
+    }
+
+    /**
+     * "TEMP: ███████░░░ 70°" - the bar goes from green to red as the value drops
+     * @param {Object} meter - { label, value 0-100, unit }
+     */
+    _formatMeter({ label, value, unit }) {
+        const barLength = 10;
+        const filledBars = Math.round((value / 100) * barLength);
+        const bar = '█'.repeat(filledBars) + '░'.repeat(barLength - filledBars);
+        
+        let color = '#ff4444';
+        if (value > 60) color = '#ffaa00';
+        if (value > 80) color = '#00ff00';
+        
+        return `${label}: <span style="color:${color}">${bar}</span> ${Math.round(value)}${unit}`;
+    }
+
+    /**
+     * " ▲24m" for drops above the street (rooftops and balconies), nothing for street drops
+     * @param {THREE.Vector3|null} destination
+     */
+    _formatDropAltitude(destination) {
+        if (!destination || destination.y < 2) return '';
+        return ` <span style="color:#00ccff">▲${Math.round(destination.y)}m</span>`;
+    }
+
+    /**
+     * Rewrite the controls strip for the device the player is on (keys, or the pad's own glyphs)
+     * @param {InputManager} inputManager
+     */
+    updateControls(inputManager) {
+        if (!this.controlsInfoElement) return;
+        
+        // The on-screen controls label themselves
+        if (inputManager.activeDevice === 'touch') {
+            this.controlsInfoElement.textContent = 'Left thumb: Move | Drag right side: Aim';
+            return;
+        }
+        
+        this.controlsInfoElement.textContent = CONTROLS_INFO
+            .filter(({ actions }) => actions.some(action => inputManager.getDeviceBindings(action).length > 0))
+            .map(({ label, actions, mouseLook }) => {
+                const mouse = mouseLook && inputManager.mouseLook && inputManager.activeDevice === 'keyboard';
+                return `${mouse ? 'Mouse' : inputManager.getPrompt(...actions)}: ${label}`;
+            })
+            .join(' | ');
+    }
+
     /**
      * Show/hide pickup prompt
      */
@@ -273,4 +398,34 @@ export class UIManager {
         // Remove after animation
         setTimeout(() => popup.remove(), 2000);
     }
+
+    /**
+     * Show the customer's stars, tip and what they thought, under the delivery result
+     * @param {Object} rating - CUSTOMER_RATED payload
+     */
+    showCustomerRating({ stars, tip, reasons }) {
+        const popup = document.createElement('div');
+        popup.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            text-align: center;
+            font-family: 'Courier New', monospace;
+            color: white;
+            text-shadow: 0 0 10px rgba(0, 0, 0, 0.8);
+            z-index: 200;
+            pointer-events: none;
+            transition: opacity 0.5s;
+        `;
+        popup.innerHTML = `
+            <div style="font-size: 32px; color: #ffdd00; letter-spacing: 4px;">${'★'.repeat(stars)}<span style="color: #555">${'★'.repeat(5 - stars)}</span></div>
+            ${tip > 0 ? `<div style="font-size: 18px; color: #ffdd00;">+${tip} TIP</div>` : ''}
+            ${reasons.length > 0 ? `<div style="font-size: 14px; color: #ccc;">"${reasons.join(' ')}"</div>` : ''}
+        `;
+        document.body.appendChild(popup);
+        
+        setTimeout(() => { popup.style.opacity = '0'; }, 2500);
+        setTimeout(() => popup.remove(), 3000);
+    }
 }
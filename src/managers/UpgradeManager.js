@@ -1,6 +1,7 @@
 // UpgradeManager - Handles board upgrades and Rico's shop
 
 import { Events } from '../core/EventBus.js';
+import { GameState } from '../core/GameStateMachine.js';
 
 // Upgrade definitions
 const UPGRADES = {
@@ -10,6 +11,7 @@ const UPGRADES = {
         description: 'Increases maximum flight time',
         icon: '⚡',
         maxTier: 5,
+        mobility: true, // Counts toward the mobility level that tightens delivery clocks
         effects: [
             { tier: 1, value: 3.5, cost: 200, description: '+0.5s flight time' },
             { tier: 2, value: 4.0, cost: 400, description: '+1s flight time' },
@@ -31,6 +33,7 @@ const UPGRADES = {
         description: 'Increases charge collection rate',
         icon: '🔋',
         maxTier: 5,
+        mobility: true,
         effects: [
             { tier: 1, value: 0.12, cost: 150, description: '+20% charge rate' },
             { tier: 2, value: 0.15, cost: 300, description: '+50% charge rate' },
@@ -52,6 +55,7 @@ const UPGRADES = {
         description: 'Increases maximum speed',
         icon: '🚀',
         maxTier: 5,
+        mobility: true,
         effects: [
             { tier: 1, value: 0.60, cost: 250, description: '+10% max speed' },
             { tier: 2, value: 0.70, cost: 500, description: '+27% max speed' },
@@ -65,6 +69,27 @@ const UPGRADES = {
             gameManager.upgradeMultipliers = gameManager.upgradeMultipliers || {};
             gameManager.upgradeMultipliers.maxSpeed = UPGRADES.REPULSORS.effects[tier - 1].value / 0.55;
         }
+    },
+    
+    // Cargo Rack - how many orders can be carried at once (1 without it)
+    CARGO_RACK: {
+        name: 'Cargo Rack',
+        description: 'Carry more orders at once',
+        icon: '📦',
+        maxTier: 5,
+        effects: [
+            { tier: 1, value: 2, cost: 300, description: 'Carry 2 orders' },
+            { tier: 2, value: 3, cost: 700, description: 'Carry 3 orders' },
+            { tier: 3, value: 4, cost: 1400, description: 'Carry 4 orders' },
+            { tier: 4, value: 5, cost: 2500, description: 'Carry 5 orders' },
+            { tier: 5, value: 6, cost: 4500, description: 'Carry 6 orders' }
+        ],
+        applyEffect: (tier, gameManager) => {
+            const effect = UPGRADES.CARGO_RACK.effects[tier - 1];
+            if (gameManager.deliveryManager) {
+                gameManager.deliveryManager.setCarryingCapacity(effect.value);
+            }
+        }
     }
 };
 
@@ -96,20 +121,21 @@ export class UpgradeManager {
         this.eventBus = eventBus;
         this.economyManager = economyManager;
         this.gameManager = null; // Set by GameManager
+        this.stateMachine = null; // Set by GameManager - the shop is open while in GameState.SHOP
         
         // Current upgrade levels
         this.upgradeLevels = {
             CAPACITOR: 0,
             HARVESTER: 0,
-            REPULSORS: 0
+            REPULSORS: 0,
+            CARGO_RACK: 0
         };
         
         // Shop UI
         this.shopElement = null;
-        this.isShopOpen = false;
         
-        // Load saved upgrades
-        this._loadUpgrades();
+        // Upgrade levels are persisted through the save system (none in headless simulation)
+        this.saveManager = null;
     }
 
     /**
@@ -121,37 +147,59 @@ export class UpgradeManager {
         this._applyAllUpgrades();
     }
 
+    /**
+     * Set the game state machine and show/hide the shop with GameState.SHOP
+     */
+    setStateMachine(stateMachine) {
+        this.stateMachine = stateMachine;
+        stateMachine.onEnter(GameState.SHOP, () => this._showShop());
+        stateMachine.onExit(GameState.SHOP, () => this._hideShop());
+    }
+
     /**
      * Initialize upgrade system
      */
     init() {
         this._createShopUI();
-        this._setupEventListeners();
+        // Esc / B close the shop through Events.INPUT_MENU_EXIT (handled by GameManager)
     }
 
     /**
-     * Load saved upgrade levels
+     * Register the "upgrades" save section
      */
-    _loadUpgrades() {
-        try {
-            const saved = localStorage.getItem('neonSlice_upgrades');
-            if (saved) {
-                const parsed = JSON.parse(saved);
-                this.upgradeLevels = { ...this.upgradeLevels, ...parsed };
-            }
-        } catch (e) {
-            console.warn('Could not load upgrades:', e);
-        }
+    setSaveManager(saveManager) {
+        this.saveManager = saveManager;
+        saveManager.registerSection('upgrades', {
+            version: 1,
+            serialize: () => ({ ...this.upgradeLevels }),
+            deserialize: (data) => {
+                this.setUpgradeLevels(data);
+                if (this.gameManager) {
+                    this._applyAllUpgrades();
+                }
+            },
+            reset: () => this.setUpgradeLevels({})
+        });
     }
 
     /**
      * Save upgrade levels
      */
     _saveUpgrades() {
-        try {
-            localStorage.setItem('neonSlice_upgrades', JSON.stringify(this.upgradeLevels));
-        } catch (e) {
-            console.warn('Could not save upgrades:', e);
+        if (this.saveManager) {
+            this.saveManager.requestSave();
+        }
+    }
+
+    /**
+     * Replace upgrade levels without buying or saving them (save loading, headless simulation, balancing)
+     * Missing keys reset to 0. Effects are applied on the next setGameManager()/_applyAllUpgrades().
+     * @param {Object} levels - e.g. { REPULSORS: 2 }
+     */
+    setUpgradeLevels(levels) {
+        for (const key of Object.keys(this.upgradeLevels)) {
+            const maxTier = UPGRADES[key].maxTier;
+            this.upgradeLevels[key] = Math.max(0, Math.min(maxTier, levels[key] || 0));
         }
     }
 
@@ -166,6 +214,26 @@ export class UpgradeManager {
                 UPGRADES[key].applyEffect(level, this.gameManager);
             }
         }
+        this._applyMobilityLevel();
+    }
+
+    /**
+     * Total tiers of the upgrades that get the courier around faster
+     * @returns {number}
+     */
+    getMobilityLevel() {
+        return Object.entries(this.upgradeLevels)
+            .filter(([key]) => UPGRADES[key]?.mobility)
+            .reduce((total, [, level]) => total + level, 0);
+    }
+
+    /**
+     * Let the dispatch board know how quick the courier has become (new offers get tighter clocks)
+     */
+    _applyMobilityLevel() {
+        if (this.gameManager?.dispatchManager) {
+            this.gameManager.dispatchManager.setMobilityLevel(this.getMobilityLevel());
+        }
     }
 
     /**
@@ -197,32 +265,29 @@ export class UpgradeManager {
     }
 
     /**
-     * Setup event listeners
+     * Open the shop - refused mid-dialogue, in the editor or from the pause menu
+     * @returns {boolean} Whether the shop opened
      */
-    _setupEventListeners() {
-        // Close shop on escape
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isShopOpen) {
-                this.closeShop();
-            }
-        });
+    openShop() {
+        return this.stateMachine.transition(GameState.SHOP);
     }
 
     /**
-     * Open the shop
+     * Close the shop and return to play
      */
-    openShop() {
-        this.isShopOpen = true;
+    closeShop() {
+        if (this.isOpen()) {
+            this.stateMachine.transition(GameState.PLAYING);
+        }
+    }
+
+    _showShop() {
         this._renderShop();
         this.shopElement.style.display = 'block';
         this.eventBus.emit('shop:opened');
     }
 
-    /**
-     * Close the shop
-     */
-    closeShop() {
-        this.isShopOpen = false;
+    _hideShop() {
         this.shopElement.style.display = 'none';
         this.eventBus.emit('shop:closed');
     }
@@ -293,6 +358,8 @@ export class UpgradeManager {
                     display: flex;
                     flex-direction: column;
                     gap: 15px;
+                    max-height: 45vh;
+                    overflow-y: auto;
                 ">
                     ${this._renderUpgradeItems()}
                 </div>
@@ -433,6 +500,7 @@ export class UpgradeManager {
         
         if (this.gameManager) {
             upgrade.applyEffect(this.upgradeLevels[key], this.gameManager);
+            this._applyMobilityLevel();
         }
         
         // Show success message
@@ -493,6 +561,22 @@ export class UpgradeManager {
         return options[Math.floor(Math.random() * options.length)];
     }
 
+    /**
+     * Get every upgrade's tiers and costs (for balancing tools)
+     * @returns {Object} key -> { name, maxTier, costs: number[] }
+     */
+    getUpgradeDefinitions() {
+        const definitions = {};
+        for (const [key, upgrade] of Object.entries(UPGRADES)) {
+            definitions[key] = {
+                name: upgrade.name,
+                maxTier: upgrade.maxTier,
+                costs: upgrade.effects.map(effect => effect.cost)
+            };
+        }
+        return definitions;
+    }
+
     /**
      * Get current upgrade levels
      */
@@ -504,7 +588,7 @@ export class UpgradeManager {
      * Check if shop is open
      */
     isOpen() {
-        return this.isShopOpen;
+        return this.stateMachine?.is(GameState.SHOP) || false;
     }
 
     /**
@@ -0,0 +1,362 @@
+// AddressBook - Street addresses for the buildings actually placed: a named address, a door on a reachable face,
+// and rooftop/balcony drops for deliveries that need flight
+
+import * as THREE from 'three';
+import { CITY, WORLD } from '../constants.js';
+
+const ADDRESS_CONFIG = {
+    FACE_SAMPLES: [0, -0.3, 0.3], // Door candidates along a face, as a fraction of its length (boxes only)
+    STEP: 1,                      // World units per step when walking from a door to the street
+    MAX_WALK: 40,                 // Doors further than this from any road are unreachable
+    ROAD_INSET: 3,                // How far onto the road the drop-off point sits
+    CLEARANCE: 1.5,               // Drop-off points and walks keep this far from every building
+    BUCKET_SIZE: 64,              // Spatial buckets for building lookups
+    MAX_DROP_HEIGHT: 32,          // About as high as one charge of flight climbs without upgrades
+    BALCONY_MIN_HEIGHT: 20,       // Buildings shorter than this only get rooftop drops
+    BALCONY_HEIGHT: 0.5,          // Balcony height as a fraction of the building's
+    BALCONY_OFFSET: 1.5           // How far a balcony drop sticks out from the wall
+};
+
+// Grid streets running north-south (constant x), west to east
+const AVENUE_NAMES = [
+    'Wharf', 'Foundry', 'Kettle', 'Lantern', 'Marlow', 'Juniper', 'Rico',
+    'Basil', 'Chrome', 'Orchid', 'Static', 'Cobalt', 'Halcyon'
+];
+
+// Roads drawn in the level editor, in the order they were placed
+const EDITOR_ROAD_NAMES = ['Canal', 'Relay', 'Beacon', 'Signal', 'Overpass', 'Tannery'];
+
+// Outward face normals: east, west, south, north
+const FACES = [
+    { x: 1, z: 0 },
+    { x: -1, z: 0 },
+    { x: 0, z: 1 },
+    { x: 0, z: -1 }
+];
+
+function ordinal(n) {
+    const tens = n % 100;
+    if (tens >= 11 && tens <= 13) return `${n}th`;
+    return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+}
+
+export class AddressBook {
+    constructor() {
+        // One entry per building with a reachable face
+        this.addresses = [];
+        
+        // Working state for build()
+        this.footprints = [];
+        this.buckets = new Map(); // "bx,bz" -> footprints overlapping that bucket
+        this.roads = [];
+    }
+
+    /**
+     * Give every building an address: the door goes on the face with the shortest clear walk
+     * to a road, and the drop-off point sits on that road, clear of every building
+     * @param {Object[]} buildings - Building editor objects (position, scale, rotation)
+     * @param {Object[]} [roads=[]] - Road editor objects drawn on top of the street grid
+     * @param {SectorManager} [sectorManager] - Names each address's sector
+     * @returns {number} How many buildings got an address
+     */
+    build(buildings, roads = [], sectorManager = null) {
+        this.footprints = buildings.map(building => this._getFootprint(building));
+        this.roads = roads
+            .filter(road => road.points && road.points.length >= 2)
+            .map((road, index) => ({
+                points: road.points,
+                halfWidth: (road.width || 12) / 2,
+                name: this._getEditorRoadName(index)
+            }));
+        
+        this.buckets.clear();
+        for (const footprint of this.footprints) {
+            this._forEachBucket(footprint, (key) => {
+                if (!this.buckets.has(key)) this.buckets.set(key, []);
+                this.buckets.get(key).push(footprint);
+            });
+        }
+        
+        this.addresses = [];
+        for (const footprint of this.footprints) {
+            const door = this._findDoor(footprint);
+            if (!door) continue;
+            
+            const sector = sectorManager?.getSectorAt(door.destination);
+            const name = `${door.street.number} ${door.street.name}`;
+            this.addresses.push({
+                id: footprint.building.id,
+                name,
+                number: door.street.number,
+                street: door.street.name,
+                sectorName: sector ? sector.name : 'Outskirts',
+                door: door.position,
+                doorNormal: door.normal,
+                destination: door.destination,
+                ...this._getVerticalDrops(footprint, door),
+                building: footprint.building
+            });
+        }
+        
+        return this.addresses.length;
+    }
+
+    /**
+     * @returns {Object[]} Every address
+     */
+    getAddresses() {
+        return this.addresses;
+    }
+
+    /**
+     * Name of the road at a point running along a direction (for turn-by-turn directions)
+     * @param {number} x
+     * @param {number} z
+     * @param {{x: number, z: number}} direction - Unit vector along the road
+     * @returns {string|null}
+     */
+    getStreetName(x, z, direction) {
+        // _getStreetAt prefers the road running across a door's normal
+        const street = this._getStreetAt(x, z, { x: -direction.z, z: direction.x });
+        return street ? street.name : null;
+    }
+
+    /**
+     * Axis-aligned footprint covering both the drawn building (rotated) and its collision box (unrotated)
+     */
+    _getFootprint(building) {
+        const { position, scale } = building;
+        const rotation = building.rotation || 0;
+        const cos = Math.abs(Math.cos(rotation));
+        const sin = Math.abs(Math.sin(rotation));
+        const halfX = Math.max(scale.x / 2, (cos * scale.x + sin * scale.z) / 2);
+        const halfZ = Math.max(scale.z / 2, (sin * scale.x + cos * scale.z) / 2);
+        
+        return {
+            building,
+            shape: building.shape || building.type,
+            minX: position.x - halfX,
+            maxX: position.x + halfX,
+            minZ: position.z - halfZ,
+            maxZ: position.z + halfZ
+        };
+    }
+
+    /**
+     * Drops above the street: the roof (where the courier lands on it) and a balcony over the door
+     * Drops higher than one charge of flight can reach are left out.
+     * @returns {{rooftop: THREE.Vector3|null, balcony: THREE.Vector3|null}}
+     */
+    _getVerticalDrops(footprint, door) {
+        const { MAX_DROP_HEIGHT, BALCONY_MIN_HEIGHT, BALCONY_HEIGHT, BALCONY_OFFSET } = ADDRESS_CONFIG;
+        const { building } = footprint;
+        const height = building.scale.y;
+        
+        // Cones and wedges have no flat roof to land on
+        const flatRoof = footprint.shape === 'box' || footprint.shape === 'cylinder';
+        const roofY = height + 1; // PhysicsManager puts riders 1 above the roof
+        const rooftop = flatRoof && roofY <= MAX_DROP_HEIGHT
+            ? new THREE.Vector3(building.position.x, roofY, building.position.z)
+            : null;
+        
+        const balcony = height >= BALCONY_MIN_HEIGHT
+            ? new THREE.Vector3(
+                door.position.x + door.normal.x * BALCONY_OFFSET,
+                Math.min(height * BALCONY_HEIGHT, MAX_DROP_HEIGHT),
+                door.position.z + door.normal.z * BALCONY_OFFSET
+            )
+            : null;
+        
+        return { rooftop, balcony };
+    }
+
+    _forEachBucket(footprint, callback) {
+        const size = ADDRESS_CONFIG.BUCKET_SIZE;
+        const margin = ADDRESS_CONFIG.CLEARANCE;
+        for (let bx = Math.floor((footprint.minX - margin) / size); bx <= Math.floor((footprint.maxX + margin) / size); bx++) {
+            for (let bz = Math.floor((footprint.minZ - margin) / size); bz <= Math.floor((footprint.maxZ + margin) / size); bz++) {
+                callback(`${bx},${bz}`);
+            }
+        }
+    }
+
+    /**
+     * Whether a point is inside (or within clearance of) any building
+     */
+    _isBlocked(x, z) {
+        const size = ADDRESS_CONFIG.BUCKET_SIZE;
+        const margin = ADDRESS_CONFIG.CLEARANCE;
+        const bucket = this.buckets.get(`${Math.floor(x / size)},${Math.floor(z / size)}`);
+        if (!bucket) return false;
+        
+        return bucket.some(footprint =>
+            x > footprint.minX - margin && x < footprint.maxX + margin &&
+            z > footprint.minZ - margin && z < footprint.maxZ + margin);
+    }
+
+    /**
+     * Try each face of a building and keep the door with the shortest walk to a road
+     * @returns {{position: THREE.Vector3, normal: Object, destination: THREE.Vector3, street: Object}|null}
+     */
+    _findDoor(footprint) {
+        // Round buildings only get doors mid-face, where the wall actually meets the footprint
+        const samples = footprint.shape === 'box' || footprint.shape === 'wedge' ? ADDRESS_CONFIG.FACE_SAMPLES : [0];
+        let best = null;
+        
+        for (const normal of FACES) {
+            for (const sample of samples) {
+                const door = this._getFacePoint(footprint, normal, sample);
+                const walk = this._walkToRoad(door, normal);
+                if (walk && (!best || walk.length < best.walk.length)) {
+                    best = { door, normal, walk };
+                }
+            }
+        }
+        if (!best) return null;
+        
+        return {
+            position: new THREE.Vector3(best.door.x, 0, best.door.z),
+            normal: best.normal,
+            destination: new THREE.Vector3(best.walk.x, 0, best.walk.z),
+            street: best.walk.street
+        };
+    }
+
+    _getFacePoint(footprint, normal, sample) {
+        const centerX = (footprint.minX + footprint.maxX) / 2;
+        const centerZ = (footprint.minZ + footprint.maxZ) / 2;
+        if (normal.x !== 0) {
+            return {
+                x: normal.x > 0 ? footprint.maxX : footprint.minX,
+                z: centerZ + sample * (footprint.maxZ - footprint.minZ)
+            };
+        }
+        return {
+            x: centerX + sample * (footprint.maxX - footprint.minX),
+            z: normal.z > 0 ? footprint.maxZ : footprint.minZ
+        };
+    }
+
+    /**
+     * Walk straight out of a door until a road is reached, then a little way onto it
+     * The walk fails if it runs into a building, leaves the world or never meets a road.
+     * @returns {{x: number, z: number, length: number, street: Object}|null}
+     */
+    _walkToRoad(door, normal) {
+        const { STEP, MAX_WALK, ROAD_INSET, CLEARANCE } = ADDRESS_CONFIG;
+        
+        for (let distance = CLEARANCE + STEP; distance <= MAX_WALK; distance += STEP) {
+            const x = door.x + normal.x * distance;
+            const z = door.z + normal.z * distance;
+            if (Math.abs(x) > WORLD.BOUNDARY || Math.abs(z) > WORLD.BOUNDARY) return null;
+            if (this._isBlocked(x, z)) return null;
+            
+            const street = this._getStreetAt(x, z, normal);
+            if (!street) continue;
+            
+            // Step onto the road while it stays clear; stop at the last good point
+            let reached = distance;
+            for (let inset = STEP; inset <= ROAD_INSET; inset += STEP) {
+                const insetX = door.x + normal.x * (distance + inset);
+                const insetZ = door.z + normal.z * (distance + inset);
+                if (this._isBlocked(insetX, insetZ) || !this._getStreetAt(insetX, insetZ, normal)) break;
+                reached = distance + inset;
+            }
+            
+            const dropX = door.x + normal.x * reached;
+            const dropZ = door.z + normal.z * reached;
+            return {
+                x: dropX,
+                z: dropZ,
+                length: reached,
+                street: this._getHouseNumber(street, dropX, dropZ, door)
+            };
+        }
+        return null;
+    }
+
+    /**
+     * The road under a point, preferring one running across the walk (a door facing east opens
+     * onto a north-south avenue even where it crosses a street)
+     * @returns {Object|null} { name, along, length, direction } - along is the distance from the road's start
+     */
+    _getStreetAt(x, z, normal) {
+        const cellSize = CITY.BLOCK_SIZE + CITY.STREET_WIDTH;
+        const extent = CITY.GRID_EXTENT + 1;
+        const halfLength = cellSize * extent;
+        const halfWidth = CITY.STREET_WIDTH / 2;
+        const candidates = [];
+        
+        // Grid streets sit halfway between blocks
+        const avenue = Math.round(x / cellSize + 0.5);
+        if (Math.abs(avenue) <= extent && Math.abs(x - (avenue - 0.5) * cellSize) <= halfWidth && Math.abs(z) <= halfLength) {
+            candidates.push({
+                name: `${AVENUE_NAMES[avenue + extent]} Ave`,
+                along: z + halfLength,
+                direction: { x: 0, z: 1 }
+            });
+        }
+        const street = Math.round(z / cellSize + 0.5);
+        if (Math.abs(street) <= extent && Math.abs(z - (street - 0.5) * cellSize) <= halfWidth && Math.abs(x) <= halfLength) {
+            candidates.push({
+                name: `${ordinal(street + extent + 1)} St`,
+                along: x + halfLength,
+                direction: { x: 1, z: 0 }
+            });
+        }
+        
+        // Editor roads (polylines)
+        for (const road of this.roads) {
+            const hit = this._projectOntoRoad(road, x, z);
+            if (hit) candidates.push(hit);
+        }
+        
+        if (candidates.length === 0) return null;
+        return candidates.find(candidate => Math.abs(candidate.direction.x * normal.x + candidate.direction.z * normal.z) < 0.5) ||
+            candidates[0];
+    }
+
+    _projectOntoRoad(road, x, z) {
+        let along = 0;
+        for (let i = 0; i < road.points.length - 1; i++) {
+            const a = road.points[i];
+            const b = road.points[i + 1];
+            const dx = b.x - a.x;
+            const dz = b.z - a.z;
+            const length = Math.hypot(dx, dz);
+            if (length === 0) continue;
+            
+            const t = Math.max(0, Math.min(1, ((x - a.x) * dx + (z - a.z) * dz) / (length * length)));
+            if (Math.hypot(x - (a.x + dx * t), z - (a.z + dz * t)) <= road.halfWidth) {
+                return {
+                    name: road.name,
+                    along: along + t * length,
+                    direction: { x: dx / length, z: dz / length }
+                };
+            }
+            along += length;
+        }
+        return null;
+    }
+
+    /**
+     * Numbers climb a hundred per block from the start of the road, even on one side and odd on the other
+     */
+    _getHouseNumber(street, x, z, door) {
+        const cellSize = CITY.BLOCK_SIZE + CITY.STREET_WIDTH;
+        const block = Math.floor(street.along / cellSize);
+        const withinBlock = Math.floor((street.along % cellSize) / cellSize * 49);
+        
+        // Which side of the road the door is on
+        const side = street.direction.x * (door.z - z) - street.direction.z * (door.x - x);
+        const number = (block + 1) * 100 + withinBlock * 2 + (side > 0 ? 1 : 0);
+        
+        return { name: street.name, number: Math.max(1, number) };
+    }
+
+    _getEditorRoadName(index) {
+        const name = EDITOR_ROAD_NAMES[index % EDITOR_ROAD_NAMES.length];
+        const round = Math.floor(index / EDITOR_ROAD_NAMES.length);
+        return round === 0 ? `${name} Way` : `${name} Way ${round + 1}`;
+    }
+}
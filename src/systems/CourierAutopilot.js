@@ -0,0 +1,203 @@
+// CourierAutopilot - Scripted courier for headless runs: rides the street grid to the pizza, takes street jobs off the dispatch board, then rides to the customer
+
+import { Events } from '../core/EventBus.js';
+import { CITY, PLAYER, SIMULATION } from '../constants.js';
+
+const AUTOPILOT_CONFIG = {
+    WAYPOINT_RADIUS: 4,          // Distance at which a corner counts as reached
+    CORNER_BRAKE_DISTANCE: 10,   // Coast into corners from this far out (turn radius at top speed)
+    CORNER_SPEED: 0.2,           // ...until down to this speed (units per tick)
+    DIRECT_DISTANCE: 20,         // Ride straight at targets this close instead of following streets
+    TURN_THROTTLE_ANGLE: 0.6,    // Stop accelerating while facing further off course than this (radians)
+    STUCK_TIME: 2,               // Seconds without progress before trying the other route
+    STUCK_PROGRESS: 1            // Units of progress that count as "not stuck"
+};
+
+/**
+ * Drives the courier through ScriptedInputManager:
+ *   const autopilot = new CourierAutopilot(gameManager);
+ *   gameManager.inputManager.setScript((input) => autopilot.update(input));
+ *
+ * Routes are Manhattan paths along street centre lines (x-first, or z-first after getting stuck),
+ * so runs measure how long a straightforward ride takes - no flight, boosts or shortcuts.
+ */
+export class CourierAutopilot {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+        
+        // Current route
+        this.target = null;
+        this.waypoints = [];
+        this.zFirst = false;
+        
+        // Stuck detection
+        this.stuckTimer = 0;
+        this.bestDistance = Infinity;
+        
+        // No board to look at - take offers top to bottom
+        gameManager.eventBus.on(Events.DISPATCH_REACHED, () => this._takeOffers());
+    }
+
+    /**
+     * Accept street-level offers in the order they're listed until the rack is full
+     * (it can't fly, so rooftop and balcony jobs are left for the player)
+     */
+    _takeOffers() {
+        const dispatch = this.gameManager.dispatchManager;
+        for (const offer of [...dispatch.getOffers()]) {
+            if (!dispatch.canAcceptOffer()) break;
+            if (offer.type.drop !== 'vertical') {
+                dispatch.acceptOffer(offer.id);
+            }
+        }
+    }
+
+    /**
+     * Set input for this tick
+     * @param {ScriptedInputManager} input
+     */
+    update(input) {
+        const player = this.gameManager.player;
+        const target = this._getTarget();
+        
+        if (!player || !target) {
+            // Nothing to do (pizza respawning) - wait
+            input.reset();
+            this.target = null;
+            return;
+        }
+        
+        const position = player.getPosition();
+        
+        // Waiting at the board with nothing it can take - check again as new offers come in
+        if (this.gameManager.dispatchManager.atDispatch && !this.gameManager.deliveryManager.getActiveOrder()) {
+            this._takeOffers();
+        }
+        
+        // Replan when the goal changes
+        if (!this.target || this.target.x !== target.x || this.target.z !== target.z) {
+            this.target = { x: target.x, z: target.z };
+            this.zFirst = false;
+            this._replan(position);
+        }
+        
+        // Drop corners we've reached (keep the final target)
+        while (this.waypoints.length > 1 &&
+               this._horizontalDistance(position, this.waypoints[0]) < AUTOPILOT_CONFIG.WAYPOINT_RADIUS) {
+            this.waypoints.shift();
+            this.bestDistance = Infinity;
+        }
+        
+        const waypoint = this.waypoints[0];
+        const dx = waypoint.x - position.x;
+        const dz = waypoint.z - position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        
+        // Steer: forward is (sin yaw, cos yaw), positive yaw input turns left
+        const yawError = this._wrapAngle(Math.atan2(dx, dz) - player.aimYaw);
+        input.setAim(yawError / PLAYER.AIM_YAW_SPEED, 0);
+        
+        // Throttle: ease off while turning and coast into corners
+        let throttle = 1;
+        if (Math.abs(yawError) > AUTOPILOT_CONFIG.TURN_THROTTLE_ANGLE) {
+            throttle = 0;
+        } else if (this.waypoints.length > 1 &&
+                   distance < AUTOPILOT_CONFIG.CORNER_BRAKE_DISTANCE &&
+                   this.gameManager.physicsManager.getSpeed() > AUTOPILOT_CONFIG.CORNER_SPEED) {
+            throttle = 0;
+        }
+        input.setMovement(0, throttle);
+        
+        this._checkStuck(input, position, distance);
+    }
+
+    /**
+     * Where the courier should be heading right now
+     * @returns {THREE.Vector3|null}
+     */
+    _getTarget() {
+        const delivery = this.gameManager.deliveryManager;
+        if (!delivery) return null;
+        
+        const order = delivery.getActiveOrder();
+        if (order) {
+            return order.destination;
+        }
+        if (delivery.pizza?.isActive) {
+            return delivery.pizza.group.position;
+        }
+        return null;
+    }
+
+    /**
+     * Build a street route from the courier to the target
+     */
+    _replan(position) {
+        this.stuckTimer = 0;
+        this.bestDistance = Infinity;
+        
+        if (this._horizontalDistance(position, this.target) < AUTOPILOT_CONFIG.DIRECT_DISTANCE) {
+            this.waypoints = [{ x: this.target.x, z: this.target.z }];
+            return;
+        }
+        
+        const cellSize = CITY.BLOCK_SIZE + CITY.STREET_WIDTH;
+        
+        // Streets run between blocks: centre lines at (k + 0.5) * cellSize
+        const streetLine = (value) => (Math.round(value / cellSize - 0.5) + 0.5) * cellSize;
+        
+        const startX = streetLine(position.x);
+        const startZ = streetLine(position.z);
+        const endX = streetLine(this.target.x);
+        const endZ = streetLine(this.target.z);
+        
+        const corner = this.zFirst ? { x: startX, z: endZ } : { x: endX, z: startZ };
+        const route = [
+            { x: startX, z: startZ },
+            corner,
+            { x: endX, z: endZ },
+            { x: this.target.x, z: this.target.z }
+        ];
+        
+        // Skip corners that don't change anything
+        this.waypoints = [];
+        let previous = position;
+        for (const point of route) {
+            if (this._horizontalDistance(previous, point) > AUTOPILOT_CONFIG.WAYPOINT_RADIUS) {
+                this.waypoints.push(point);
+                previous = point;
+            }
+        }
+        if (this.waypoints.length === 0) {
+            this.waypoints.push(route[route.length - 1]);
+        }
+    }
+
+    /**
+     * Hop and try the other route when we stop making progress (blocked by a building or car)
+     */
+    _checkStuck(input, position, distance) {
+        if (distance < this.bestDistance - AUTOPILOT_CONFIG.STUCK_PROGRESS) {
+            this.bestDistance = distance;
+            this.stuckTimer = 0;
+            return;
+        }
+        
+        this.stuckTimer += SIMULATION.FIXED_TIMESTEP;
+        if (this.stuckTimer >= AUTOPILOT_CONFIG.STUCK_TIME) {
+            input.press(Events.INPUT_JUMP);
+            this.zFirst = !this.zFirst;
+            this._replan(position);
+        }
+    }
+
+    _horizontalDistance(a, b) {
+        const dx = a.x - b.x;
+        const dz = a.z - b.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    _wrapAngle(angle) {
+        return Math.atan2(Math.sin(angle), Math.cos(angle));
+    }
+}
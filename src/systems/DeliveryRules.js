@@ -0,0 +1,190 @@
+// DeliveryRules - Reusable requirement predicates that delivery types combine, each with its own warn/fail thresholds
+
+import { Events } from '../core/EventBus.js';
+
+/**
+ * Rule definitions, referenced by name from a delivery type's rules list:
+ *   { rule: 'noCollisions', warnAt: 1, failAt: 2 }
+ * The rest of that entry is the rule's params. Every hook is optional:
+ *   label                            - Short text for the dispatch board
+ *   start(params)                    - Fresh per-order state
+ *   events: { [event]: (state, params, data) => verdict }
+ *   update(state, params, context)   - Every tick; context { deltaTime, speedRatio, altitude, random } plus
+ *                                      lookups rules call only if they need them: isShaded(), heat(),
+ *                                      camerasWatching(), surveillance()
+ *   canDeliver(state, params)        - False holds the order at the door (blocked message explains why)
+ *   meter(state, params)             - { label, value 0-100 (100 is good), unit } for the HUD
+ *   complaint(state, params)         - What the customer grumbles about, or null
+ *   pay(state, params)               - Multiplier on the delivery's pay
+ * A verdict is null or { warning, fail, timePenalty } - fail is the DELIVERY_FAILED reason.
+ */
+export const DELIVERY_RULES = {
+    noCollisions: {
+        label: 'No collisions',
+        start: () => ({ hits: 0 }),
+        events: {
+            [Events.PLAYER_COLLISION]: (state, { warnAt = 1, failAt = 2 }) => {
+                state.hits++;
+                if (state.hits >= failAt) {
+                    return { warning: 'Package damaged!', fail: 'damaged' };
+                }
+                if (state.hits === warnAt) {
+                    return { warning: 'Careful! Package is fragile!' };
+                }
+                return null;
+            }
+        }
+    },
+
+    // Going slower than minSpeed (fraction of top speed) cools the pizza and eats extra time
+    minSpeed: {
+        label: 'Keep moving',
+        start: () => ({ temperature: 100 }),
+        update(state, { minSpeed = 0.1, coolingRate = 5, warnBelow = 30 }, { deltaTime, speedRatio, random }) {
+            if (speedRatio >= minSpeed) {
+                // Reheat slightly when moving fast
+                state.temperature = Math.min(100, state.temperature + 10 * deltaTime);
+                return null;
+            }
+            
+            // Faster cooling when slower
+            const coolingMultiplier = 1 - (speedRatio / minSpeed);
+            state.temperature = Math.max(0, state.temperature - coolingMultiplier * 20 * deltaTime);
+            if (state.temperature <= 0) {
+                return { fail: 'cold' };
+            }
+            
+            return {
+                timePenalty: coolingRate * coolingMultiplier * deltaTime,
+                // Nag now and then, not every tick
+                warning: state.temperature < warnBelow && random.chance(deltaTime * 0.5)
+                    ? 'Pizza is getting cold! Speed up!'
+                    : null
+            };
+        },
+        meter: (state) => ({ label: 'TEMP', value: state.temperature, unit: '°' }),
+        complaint: (state) => state.temperature < 50 ? 'Pizza was cold' : null
+    },
+
+    // Staying above the ceiling for longer than the grace time fails the order
+    maxAltitude: {
+        label: 'Stay low',
+        start: () => ({ above: 0, warned: false }),
+        update(state, { max = 20, warnMargin = 3, grace = 1 }, { deltaTime, altitude }) {
+            if (altitude <= max - warnMargin) {
+                state.above = 0;
+                state.warned = false;
+                return null;
+            }
+            if (altitude > max) {
+                state.above += deltaTime;
+                if (state.above >= grace) {
+                    return { fail: 'altitude' };
+                }
+            }
+            if (!state.warned) {
+                state.warned = true;
+                return { warning: 'Too high! Keep it low!' };
+            }
+            return null;
+        }
+    },
+
+    noFlight: {
+        label: 'No flying',
+        start: () => ({ flights: 0 }),
+        events: {
+            [Events.PLAYER_FLIGHT_START]: (state, { warnAt = 0, failAt = 1 }) => {
+                state.flights++;
+                if (state.flights >= failAt) {
+                    return { warning: 'You flew with it!', fail: 'flew' };
+                }
+                if (state.flights === warnAt) {
+                    return { warning: 'No flying with this one!' };
+                }
+                return null;
+            }
+        }
+    },
+
+    // The order can't be handed over until enough tricks have been landed with it
+    mustTrick: {
+        label: 'Land a trick',
+        start: () => ({ tricks: 0 }),
+        events: {
+            [Events.TRICK_COMPLETED]: (state) => {
+                state.tricks++;
+                return null;
+            }
+        },
+        canDeliver: (state, { count = 1 }) => state.tricks >= count,
+        blocked: 'Land a trick before the drop!',
+        meter: (state, { count = 1 }) => ({ label: 'TRICKS', value: Math.min(100, state.tricks / count * 100), unit: '%' })
+    },
+
+    // Melts in the sun (faster in hot sectors); shade under buildings and cooler air up high bring it back.
+    // Pays less the more it has melted
+    keepCool: {
+        label: 'Keep it cool',
+        start: () => ({ chill: 100, warned: false }),
+        update(state, { meltRate = 5, coolRate = 3, coolAltitude = 25, warnBelow = 30 }, context) {
+            const { deltaTime } = context;
+            if (context.altitude >= coolAltitude || context.isShaded()) {
+                state.chill = Math.min(100, state.chill + coolRate * deltaTime);
+                if (state.chill > warnBelow + 20) {
+                    state.warned = false;
+                }
+                return null;
+            }
+            
+            state.chill = Math.max(0, state.chill - meltRate * context.heat() * deltaTime);
+            if (state.chill <= 0) {
+                return { warning: 'It melted!', fail: 'melted' };
+            }
+            if (state.chill < warnBelow && !state.warned) {
+                state.warned = true;
+                return { warning: "It's melting! Find some shade!" };
+            }
+            return null;
+        },
+        meter: (state) => ({ label: 'CHILL', value: state.chill, unit: '%' }),
+        complaint: (state) => state.chill < 50 ? 'It was half melted' : null,
+        pay: (state) => 0.5 + 0.5 * state.chill / 100
+    },
+
+    // Camera drones that can see the courier raise suspicion (faster where surveillance is heavy);
+    // it fades out of sight, and at 100 the package is confiscated. A run no camera saw pays extra
+    avoidCameras: {
+        label: 'Avoid cameras',
+        start: () => ({ suspicion: 0, spotted: false, everSpotted: false, warned: false }),
+        update(state, { riseRate = 30, fadeRate = 8, warnAt = 60 }, context) {
+            const { deltaTime } = context;
+            const watching = context.camerasWatching();
+            if (watching === 0) {
+                state.suspicion = Math.max(0, state.suspicion - fadeRate * deltaTime);
+                state.spotted = false;
+                if (state.suspicion < warnAt / 2) {
+                    state.warned = false;
+                }
+                return null;
+            }
+            
+            state.suspicion = Math.min(100, state.suspicion + riseRate * watching * context.surveillance() * deltaTime);
+            state.everSpotted = true;
+            if (state.suspicion >= 100) {
+                return { warning: 'Package confiscated!', fail: 'confiscated' };
+            }
+            if (state.suspicion >= warnAt && !state.warned) {
+                state.warned = true;
+                return { warning: "They're onto you! Lose the drone!" };
+            }
+            if (!state.spotted) {
+                state.spotted = true;
+                return { warning: 'Camera drone spotted you!' };
+            }
+            return null;
+        },
+        meter: (state) => ({ label: 'COVER', value: 100 - state.suspicion, unit: '%' }),
+        pay: (state, { cleanBonus = 1.5 }) => state.everSpotted ? 1 : cleanBonus
+    }
+};
@@ -0,0 +1,185 @@
+// DeliveryTypeRegistry - Delivery types as data: pay, timing, unlocks, HUD color and the rules each one combines
+
+import { DELIVERY_RULES } from './DeliveryRules.js';
+
+/**
+ * Built-in delivery types (plain data - the same shape can come from a JSON file via registerAll)
+ *   timeScale        - Scales the clock, which is set from the route length (1 is generous, RUSH is tight)
+ *   rewardMultiplier - Scales the pay
+ *   color            - CSS color for the HUD, board, minimap and marker
+ *   unlock           - { deliveries, weight, minRating }: offered once this many deliveries are done
+ *                      and the courier rating is high enough, picked by weight
+ *   drop             - 'street' (at the door) or 'vertical' (rooftop or balcony)
+ *   pulseSpeed       - How fast the destination ring pulses
+ *   rules            - [{ rule, ...params }] from DeliveryRules
+ * The first type registered is the starter type, the only one offered to a brand new courier.
+ */
+const BUILT_IN_TYPES = {
+    STANDARD: {
+        name: 'Standard',
+        description: 'Regular delivery',
+        timeScale: 1.0,
+        rewardMultiplier: 1.0,
+        color: '#00ff00',
+        unlock: { deliveries: 0, weight: 30 }
+    },
+    RUSH: {
+        name: 'Rush',
+        description: 'Tight deadline!',
+        timeScale: 0.45,
+        rewardMultiplier: 1.5,
+        color: '#ffaa00',
+        pulseSpeed: 0.01,
+        unlock: { deliveries: 2, weight: 25 }
+    },
+    FRAGILE: {
+        name: 'Fragile',
+        description: 'No collisions allowed!',
+        timeScale: 0.85,
+        rewardMultiplier: 2.0,
+        color: '#ff00ff',
+        unlock: { deliveries: 5, weight: 15, minRating: 3.0 },
+        rules: [{ rule: 'noCollisions', warnAt: 1, failAt: 2 }]
+    },
+    HOT: {
+        name: 'Hot',
+        description: 'Keep moving or it cools!',
+        timeScale: 0.75,
+        rewardMultiplier: 1.5,
+        color: '#ff4444',
+        unlock: { deliveries: 3, weight: 20 },
+        rules: [{ rule: 'minSpeed', minSpeed: 0.1, coolingRate: 5, warnBelow: 30 }]
+    },
+    VIP: {
+        name: 'VIP',
+        description: 'High-profile customer',
+        timeScale: 0.6,
+        rewardMultiplier: 2.5,
+        color: '#ffdd00',
+        unlock: { deliveries: 8, weight: 10, minRating: 4.0 }
+    },
+    ROOFTOP: {
+        name: 'Rooftop',
+        description: 'Fly it up to the drop!',
+        timeScale: 0.9,
+        rewardMultiplier: 2.0,
+        color: '#00ccff',
+        drop: 'vertical',
+        unlock: { deliveries: 4, weight: 12, minRating: 3.5 }
+    },
+    COLD: {
+        name: 'Cold',
+        description: 'Gelato! Stay out of the sun!',
+        timeScale: 0.75,
+        rewardMultiplier: 1.75,
+        color: '#bbeeff',
+        unlock: { deliveries: 4, weight: 15 },
+        rules: [{ rule: 'keepCool', meltRate: 5, coolRate: 3, coolAltitude: 25, warnBelow: 30 }]
+    },
+    CONTRABAND: {
+        name: 'Contraband',
+        description: "Don't ask. Keep it off camera.",
+        timeScale: 0.7,
+        rewardMultiplier: 3.0,
+        color: '#9966ff',
+        unlock: { deliveries: 10, weight: 8 },
+        rules: [{ rule: 'avoidCameras', riseRate: 30, fadeRate: 8, warnAt: 60, cleanBonus: 1.5 }]
+    }
+};
+
+export class DeliveryTypeRegistry {
+    constructor() {
+        // key -> normalized type, in registration order
+        this.types = new Map();
+    }
+
+    /**
+     * Add (or replace) a delivery type
+     * @param {string} key - e.g. 'CATERING'
+     * @param {Object} definition - See BUILT_IN_TYPES
+     * @returns {Object} The normalized type
+     */
+    register(key, definition) {
+        const rules = (definition.rules || []).map(({ rule, ...params }) => {
+            if (!DELIVERY_RULES[rule]) {
+                throw new Error(`DeliveryTypeRegistry: type "${key}" uses unknown rule "${rule}"`);
+            }
+            return { rule, params };
+        });
+        
+        const type = Object.freeze({
+            key,
+            name: definition.name || key,
+            description: definition.description || '',
+            timeScale: definition.timeScale ?? 1,
+            rewardMultiplier: definition.rewardMultiplier ?? 1,
+            color: definition.color || '#00ff00',
+            drop: definition.drop || 'street',
+            pulseSpeed: definition.pulseSpeed ?? 0.005,
+            unlock: { deliveries: 0, weight: 10, minRating: 0, ...definition.unlock },
+            rules,
+            ruleLabels: rules.map(({ rule }) => DELIVERY_RULES[rule].label).filter(Boolean)
+        });
+        this.types.set(key, type);
+        return type;
+    }
+
+    /**
+     * Register every type in a { KEY: definition } object (e.g. parsed JSON)
+     * @param {Object} definitions
+     */
+    registerAll(definitions) {
+        for (const [key, definition] of Object.entries(definitions)) {
+            this.register(key, definition);
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Object|null}
+     */
+    get(key) {
+        return this.types.get(key) || null;
+    }
+
+    /**
+     * @returns {Object[]} Every type, in registration order
+     */
+    getAll() {
+        return [...this.types.values()];
+    }
+
+    /**
+     * The type a brand new courier gets (the first one registered)
+     * @returns {Object}
+     */
+    getStarter() {
+        return this.types.values().next().value;
+    }
+
+    /**
+     * CSS color for a type key (unknown keys get the starter's)
+     * @param {string} key
+     * @returns {string}
+     */
+    getColor(key) {
+        return (this.get(key) || this.getStarter()).color;
+    }
+
+    /**
+     * Per-type counters, one fresh object per registered type
+     * @param {Function} createEntry - () => { completed: 0, ... }
+     * @returns {Object} key -> entry
+     */
+    createStats(createEntry) {
+        const stats = {};
+        for (const key of this.types.keys()) {
+            stats[key] = createEntry();
+        }
+        return stats;
+    }
+}
+
+// Shared by the delivery manager, HUD and economy so a new type shows up everywhere at once
+export const deliveryTypes = new DeliveryTypeRegistry();
+deliveryTypes.registerAll(BUILT_IN_TYPES);
@@ -1,75 +1,141 @@
-// InventorySystem - Manages pizza pickups and deliveries (placeholder for future)
+// InventorySystem - The courier's order stack: orders being carried, carrying capacity and the active target
 
 import { Events } from '../core/EventBus.js';
 
 export class InventorySystem {
     constructor(eventBus) {
         this.eventBus = eventBus;
-        this.pizzas = [];
-        this.deliveries = [];
-        this.completedDeliveries = 0;
         
-        // Listen for events
-        this.eventBus.on(Events.PICKUP_PIZZA, (pizza) => this.addPizza(pizza));
-        this.eventBus.on(Events.DELIVERY_COMPLETE, (order) => this.completeDelivery(order));
+        // Orders being carried, oldest first
+        this.orders = [];
+        this.activeOrderId = null;
+        
+        // How many orders fit on the board (Cargo Rack upgrade)
+        this.capacity = 1;
     }
 
     /**
-     * Add a pizza to inventory
-     * @param {Object} pizza - Pizza object
+     * Set how many orders can be carried at once
+     * Orders already carried are kept even if the stack is now over capacity.
+     * @param {number} capacity
      */
-    addPizza(pizza) {
-        this.pizzas.push(pizza);
-        console.log(`Pizza picked up! Total: ${this.pizzas.length}`);
+    setCapacity(capacity) {
+        this.capacity = Math.max(1, capacity);
+        this._emitChanged();
     }
 
     /**
-     * Get current pizza count
+     * Number of orders that can still be picked up
      * @returns {number}
      */
-    getPizzaCount() {
-        return this.pizzas.length;
+    getFreeSlots() {
+        return Math.max(0, this.capacity - this.orders.length);
     }
 
     /**
-     * Add a delivery order
-     * @param {Object} order - Delivery order
+     * Whether any order is being carried
+     * @returns {boolean}
      */
-    addDelivery(order) {
-        this.deliveries.push(order);
+    hasOrders() {
+        return this.orders.length > 0;
     }
 
     /**
-     * Complete a delivery
-     * @param {Object} order - Completed order
+     * Put an order on the stack (it becomes the target if there isn't one yet)
+     * @param {Object} order - Must have a unique id
+     * @returns {boolean} False when the stack is full
      */
-    completeDelivery(order) {
-        const index = this.deliveries.indexOf(order);
-        if (index > -1) {
-            this.deliveries.splice(index, 1);
-            this.completedDeliveries++;
-            console.log(`Delivery complete! Total completed: ${this.completedDeliveries}`);
+    addOrder(order) {
+        if (this.getFreeSlots() === 0) return false;
+        
+        this.orders.push(order);
+        if (this.activeOrderId === null) {
+            this.activeOrderId = order.id;
         }
+        this._emitChanged();
+        return true;
+    }
+
+    /**
+     * Take an order off the stack (delivered or failed)
+     * If it was the target, the most urgent remaining order takes over.
+     * @param {number} id
+     * @returns {Object|null} The removed order
+     */
+    removeOrder(id) {
+        const index = this.orders.findIndex(order => order.id === id);
+        if (index === -1) return null;
         
-        // Remove a pizza from inventory
-        if (this.pizzas.length > 0) {
-            this.pizzas.pop();
+        const [order] = this.orders.splice(index, 1);
+        if (this.activeOrderId === id) {
+            const next = this.orders.reduce((best, candidate) =>
+                !best || candidate.timer < best.timer ? candidate : best, null);
+            this.activeOrderId = next ? next.id : null;
         }
+        this._emitChanged();
+        return order;
     }
 
     /**
-     * Get pending deliveries
-     * @returns {Array}
+     * Drop every order
      */
-    getPendingDeliveries() {
-        return this.deliveries;
+    clear() {
+        this.orders = [];
+        this.activeOrderId = null;
+        this._emitChanged();
     }
 
     /**
-     * Get completed delivery count
-     * @returns {number}
+     * @returns {Object[]} Orders being carried, oldest first
      */
-    getCompletedCount() {
-        return this.completedDeliveries;
+    getOrders() {
+        return this.orders;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Object|null}
+     */
+    getOrder(id) {
+        return this.orders.find(order => order.id === id) || null;
+    }
+
+    /**
+     * The order the courier is heading for (marker, HUD timer, minimap highlight)
+     * @returns {Object|null}
+     */
+    getActiveOrder() {
+        return this.getOrder(this.activeOrderId);
+    }
+
+    /**
+     * Make an order the target
+     * @param {number} id
+     */
+    setActiveOrder(id) {
+        if (id === this.activeOrderId || !this.getOrder(id)) return;
+        
+        this.activeOrderId = id;
+        this._emitChanged();
+    }
+
+    /**
+     * Move the target along the stack, wrapping around
+     * @param {number} [step=1] - 1 for the next order, -1 for the previous one
+     */
+    cycleActiveOrder(step = 1) {
+        if (this.orders.length < 2) return;
+        
+        const index = this.orders.findIndex(order => order.id === this.activeOrderId);
+        const next = (index + step + this.orders.length) % this.orders.length;
+        this.setActiveOrder(this.orders[next].id);
+    }
+
+    _emitChanged() {
+        this.eventBus.emit(Events.INVENTORY_CHANGED, {
+            count: this.orders.length,
+            capacity: this.capacity,
+            activeOrderId: this.activeOrderId
+        });
     }
 }
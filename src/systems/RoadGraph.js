@@ -0,0 +1,263 @@
+// RoadGraph - Street network of the city grid plus editor roads, with A* shortest routes along it
+
+import { CITY } from '../constants.js';
+
+const GRAPH_CONFIG = {
+    SNAP: 0.5,          // Intersections closer than this are the same node
+    EPSILON: 1e-6,
+    ROAD_END_SNAP: 10   // An editor road ending this close to another road joins it
+};
+
+export class RoadGraph {
+    constructor() {
+        this.nodes = [];          // { x, z, edges: [{ to, cost }] }
+        this.edges = [];          // { a, b } node indices, each road stretch once
+        this.nodeIndex = new Map(); // "x,z" (snapped) -> node index
+    }
+
+    /**
+     * Rebuild from the grid streets and the level's editor roads
+     * Every crossing between two roads becomes a junction; editor roads that stop short of
+     * another road are joined to it.
+     * @param {Object[]} [roads=[]] - Road editor objects ({ points: [{x, z}], width })
+     */
+    build(roads = []) {
+        this.nodes = [];
+        this.edges = [];
+        this.nodeIndex.clear();
+        
+        const segments = this._getGridSegments();
+        const roadEnds = [];
+        roads.filter(road => road.points && road.points.length >= 2).forEach((road, roadIndex) => {
+            for (let i = 0; i < road.points.length - 1; i++) {
+                segments.push({ a: road.points[i], b: road.points[i + 1], road: roadIndex });
+            }
+            roadEnds.push({ point: road.points[0], road: roadIndex });
+            roadEnds.push({ point: road.points[road.points.length - 1], road: roadIndex });
+        });
+        
+        // Where each segment gets cut (0-1 along it)
+        const cuts = segments.map(() => [0, 1]);
+        for (let i = 0; i < segments.length; i++) {
+            for (let j = i + 1; j < segments.length; j++) {
+                const hit = this._intersect(segments[i], segments[j]);
+                if (hit) {
+                    cuts[i].push(hit.t);
+                    cuts[j].push(hit.u);
+                }
+            }
+        }
+        
+        // Dead-end editor roads that nearly reach another road get a short link to it
+        const links = [];
+        for (const end of roadEnds) {
+            let best = null;
+            segments.forEach((segment, index) => {
+                if (segment.road === end.road) return;
+                const projection = this._project(segment, end.point.x, end.point.z);
+                if (projection.distance > GRAPH_CONFIG.EPSILON && projection.distance <= GRAPH_CONFIG.ROAD_END_SNAP &&
+                    (!best || projection.distance < best.distance)) {
+                    best = { ...projection, index };
+                }
+            });
+            if (best) {
+                cuts[best.index].push(best.t);
+                links.push([end.point, best]);
+            }
+        }
+        
+        segments.forEach((segment, index) => {
+            const ts = [...new Set(cuts[index])].sort((a, b) => a - b);
+            for (let k = 0; k < ts.length - 1; k++) {
+                this._addEdge(this._pointAt(segment, ts[k]), this._pointAt(segment, ts[k + 1]));
+            }
+        });
+        for (const [from, to] of links) {
+            this._addEdge(from, to);
+        }
+        
+        return this.nodes.length;
+    }
+
+    /**
+     * Shortest route along the roads between two points (each joins the network at its nearest road)
+     * @param {{x: number, z: number}} from
+     * @param {{x: number, z: number}} to
+     * @returns {Array<{x: number, z: number, junction: boolean}>|null} Corner points from start to goal
+     */
+    findRoute(from, to) {
+        const start = this._nearestOnNetwork(from.x, from.z);
+        const goal = this._nearestOnNetwork(to.x, to.z);
+        if (!start || !goal) return null;
+        
+        const startPoint = { x: start.x, z: start.z, junction: false };
+        const goalPoint = { x: goal.x, z: goal.z, junction: false };
+        
+        // Both on the same stretch of road - straight there
+        if (start.edge === goal.edge) {
+            return [startPoint, goalPoint];
+        }
+        
+        // A* over the junctions; the start and goal are temporary nodes on their road stretches
+        const START = this.nodes.length;
+        const GOAL = START + 1;
+        const position = (index) => index === START ? start : index === GOAL ? goal : this.nodes[index];
+        const neighbours = (index) => {
+            if (index === START) {
+                return [start.edge.a, start.edge.b].map(to => ({ to, cost: this._distance(start, this.nodes[to]) }));
+            }
+            const result = [...this.nodes[index].edges];
+            if (index === goal.edge.a || index === goal.edge.b) {
+                result.push({ to: GOAL, cost: this._distance(this.nodes[index], goal) });
+            }
+            return result;
+        };
+        
+        const cost = new Map([[START, 0]]);
+        const cameFrom = new Map();
+        const open = new Set([START]);
+        const estimate = (index) => cost.get(index) + this._distance(position(index), goal);
+        
+        while (open.size > 0) {
+            let current = null;
+            for (const index of open) {
+                if (current === null || estimate(index) < estimate(current)) {
+                    current = index;
+                }
+            }
+            if (current === GOAL) break;
+            open.delete(current);
+            
+            for (const { to, cost: stepCost } of neighbours(current)) {
+                const tentative = cost.get(current) + stepCost;
+                if (!cost.has(to) || tentative < cost.get(to)) {
+                    cost.set(to, tentative);
+                    cameFrom.set(to, current);
+                    open.add(to);
+                }
+            }
+        }
+        if (!cameFrom.has(GOAL)) return null;
+        
+        const route = [goalPoint];
+        for (let index = cameFrom.get(GOAL); index !== START; index = cameFrom.get(index)) {
+            const node = this.nodes[index];
+            route.unshift({ x: node.x, z: node.z, junction: node.edges.length > 2 });
+        }
+        route.unshift(startPoint);
+        return route;
+    }
+
+    /**
+     * Length of a route from findRoute
+     * @param {Array<{x: number, z: number}>} route
+     * @returns {number}
+     */
+    getLength(route) {
+        let length = 0;
+        for (let i = 1; i < route.length; i++) {
+            length += this._distance(route[i - 1], route[i]);
+        }
+        return length;
+    }
+
+    /**
+     * Grid streets (centerlines), each running the full width of the city
+     */
+    _getGridSegments() {
+        const cellSize = CITY.BLOCK_SIZE + CITY.STREET_WIDTH;
+        const extent = CITY.GRID_EXTENT + 1;
+        const halfLength = cellSize * extent;
+        const segments = [];
+        
+        for (let k = -extent; k <= extent; k++) {
+            const line = (k - 0.5) * cellSize;
+            segments.push({ a: { x: line, z: -halfLength }, b: { x: line, z: halfLength }, road: 'grid' });
+            segments.push({ a: { x: -halfLength, z: line }, b: { x: halfLength, z: line }, road: 'grid' });
+        }
+        return segments;
+    }
+
+    /**
+     * Where two segments cross, as fractions along each
+     * @returns {{t: number, u: number}|null}
+     */
+    _intersect(s1, s2) {
+        const rx = s1.b.x - s1.a.x;
+        const rz = s1.b.z - s1.a.z;
+        const sx = s2.b.x - s2.a.x;
+        const sz = s2.b.z - s2.a.z;
+        const denominator = rx * sz - rz * sx;
+        if (Math.abs(denominator) < GRAPH_CONFIG.EPSILON) return null; // Parallel
+        
+        const qx = s2.a.x - s1.a.x;
+        const qz = s2.a.z - s1.a.z;
+        const t = (qx * sz - qz * sx) / denominator;
+        const u = (qx * rz - qz * rx) / denominator;
+        const { EPSILON } = GRAPH_CONFIG;
+        if (t < -EPSILON || t > 1 + EPSILON || u < -EPSILON || u > 1 + EPSILON) return null;
+        
+        return { t: Math.max(0, Math.min(1, t)), u: Math.max(0, Math.min(1, u)) };
+    }
+
+    /**
+     * Closest point on a segment
+     * @returns {{x: number, z: number, t: number, distance: number}}
+     */
+    _project(segment, x, z) {
+        const dx = segment.b.x - segment.a.x;
+        const dz = segment.b.z - segment.a.z;
+        const lengthSq = dx * dx + dz * dz;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - segment.a.x) * dx + (z - segment.a.z) * dz) / lengthSq)) : 0;
+        const px = segment.a.x + dx * t;
+        const pz = segment.a.z + dz * t;
+        return { x: px, z: pz, t, distance: Math.hypot(x - px, z - pz) };
+    }
+
+    /**
+     * Closest point on any road stretch
+     * @returns {{x: number, z: number, edge: Object}|null}
+     */
+    _nearestOnNetwork(x, z) {
+        let best = null;
+        for (const edge of this.edges) {
+            const projection = this._project({ a: this.nodes[edge.a], b: this.nodes[edge.b] }, x, z);
+            if (!best || projection.distance < best.distance) {
+                best = { ...projection, edge };
+            }
+        }
+        return best;
+    }
+
+    _pointAt(segment, t) {
+        return {
+            x: segment.a.x + (segment.b.x - segment.a.x) * t,
+            z: segment.a.z + (segment.b.z - segment.a.z) * t
+        };
+    }
+
+    _getNode(point) {
+        const { SNAP } = GRAPH_CONFIG;
+        const key = `${Math.round(point.x / SNAP)},${Math.round(point.z / SNAP)}`;
+        if (!this.nodeIndex.has(key)) {
+            this.nodeIndex.set(key, this.nodes.length);
+            this.nodes.push({ x: point.x, z: point.z, edges: [] });
+        }
+        return this.nodeIndex.get(key);
+    }
+
+    _addEdge(from, to) {
+        const a = this._getNode(from);
+        const b = this._getNode(to);
+        if (a === b || this.nodes[a].edges.some(edge => edge.to === b)) return;
+        
+        const cost = this._distance(this.nodes[a], this.nodes[b]);
+        this.nodes[a].edges.push({ to: b, cost });
+        this.nodes[b].edges.push({ to: a, cost });
+        this.edges.push({ a, b });
+    }
+
+    _distance(p, q) {
+        return Math.hypot(p.x - q.x, p.z - q.z);
+    }
+}
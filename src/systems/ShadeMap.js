@@ -0,0 +1,72 @@
+// ShadeMap - Which spots the buildings of the current level keep out of the sun (COLD deliveries melt in sunlight)
+
+import * as THREE from 'three';
+import { SKY } from '../constants.js';
+
+const SHADE_CONFIG = {
+    BUCKET_SIZE: 32,  // Spatial buckets for building lookups
+    STEP: 2           // World units between samples along the ray to the sun
+};
+
+// Unit vector toward the sun (the direction light arrives from, reversed)
+const SUN_DIRECTION = new THREE.Vector3(SKY.SUN_POSITION.x, SKY.SUN_POSITION.y, SKY.SUN_POSITION.z).normalize();
+
+export class ShadeMap {
+    constructor() {
+        this.boxes = [];
+        this.buckets = new Map(); // "bx,bz" -> boxes overlapping that bucket
+        this.maxHeight = 0;
+    }
+
+    /**
+     * Index the buildings' boxes (the same axis-aligned boxes physics collides with)
+     * @param {Object[]} buildings - Objects with position and scale
+     */
+    build(buildings) {
+        const size = SHADE_CONFIG.BUCKET_SIZE;
+        this.buckets.clear();
+        this.maxHeight = 0;
+        
+        this.boxes = buildings.map(({ position, scale }) => ({
+            minX: position.x - scale.x / 2,
+            maxX: position.x + scale.x / 2,
+            minZ: position.z - scale.z / 2,
+            maxZ: position.z + scale.z / 2,
+            top: position.y + scale.y // Buildings stand on position.y
+        }));
+        
+        for (const box of this.boxes) {
+            this.maxHeight = Math.max(this.maxHeight, box.top);
+            for (let bx = Math.floor(box.minX / size); bx <= Math.floor(box.maxX / size); bx++) {
+                for (let bz = Math.floor(box.minZ / size); bz <= Math.floor(box.maxZ / size); bz++) {
+                    const key = `${bx},${bz}`;
+                    if (!this.buckets.has(key)) this.buckets.set(key, []);
+                    this.buckets.get(key).push(box);
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether a building stands between a point and the sun
+     * @param {THREE.Vector3} position
+     * @returns {boolean}
+     */
+    isShaded(position) {
+        const { STEP, BUCKET_SIZE } = SHADE_CONFIG;
+        
+        // Walk toward the sun until the ray clears the tallest building
+        for (let t = STEP; position.y + SUN_DIRECTION.y * t <= this.maxHeight; t += STEP) {
+            const x = position.x + SUN_DIRECTION.x * t;
+            const y = position.y + SUN_DIRECTION.y * t;
+            const z = position.z + SUN_DIRECTION.z * t;
+            const bucket = this.buckets.get(`${Math.floor(x / BUCKET_SIZE)},${Math.floor(z / BUCKET_SIZE)}`);
+            
+            if (bucket && bucket.some(box => y < box.top &&
+                x > box.minX && x < box.maxX && z > box.minZ && z < box.maxZ)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
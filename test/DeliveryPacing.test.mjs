@@ -0,0 +1,104 @@
+// DeliveryPacing - Clocks and pay from the street route between Rico's and the destination
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { EventBus } from '../src/core/EventBus.js';
+import { Random } from '../src/core/Random.js';
+import { DeliveryManager } from '../src/managers/DeliveryManager.js';
+import { DispatchManager } from '../src/managers/DispatchManager.js';
+import { deliveryTypes } from '../src/systems/DeliveryTypeRegistry.js';
+
+const STANDARD = deliveryTypes.get('STANDARD');
+const RUSH = deliveryTypes.get('RUSH');
+
+/**
+ * A dispatch board over a DeliveryManager with Rico's at the origin and, unless left out, the bare
+ * street grid (no buildings)
+ */
+function createDispatchManager({ streets = true } = {}) {
+    const eventBus = new EventBus();
+    const random = new Random(1);
+    const deliveryManager = new DeliveryManager(new THREE.Scene(), eventBus, random);
+    if (streets) {
+        deliveryManager.setCityLayout([], []);
+    }
+    
+    const dispatchManager = new DispatchManager(eventBus, random);
+    dispatchManager.setDeliveryManager(deliveryManager);
+    return dispatchManager;
+}
+
+// The floor no type's clock goes below: an unupgraded ride with some slack
+const fairFloor = ({ routeLength }, climb = 0) => (routeLength / 14 + climb / 4) * 1.25 + 8;
+
+test('the route follows the streets, and falls back to a straight line without any', () => {
+    const destination = new THREE.Vector3(200, 0, 100);
+    const dispatchManager = createDispatchManager({ streets: false });
+    const straight = dispatchManager._getPacing(STANDARD, destination);
+    assert.equal(straight.routeLength, Math.hypot(200, 100));
+    
+    dispatchManager.deliveryManager.setCityLayout([], []);
+    const streets = dispatchManager._getPacing(STANDARD, destination);
+    assert.ok(streets.routeLength > straight.routeLength);
+});
+
+test('time limits are whole multiples of five seconds', () => {
+    const dispatchManager = createDispatchManager();
+    for (const [x, z] of [[60, 0], [200, 100], [-150, 310], [330, -330]]) {
+        for (const type of [STANDARD, RUSH]) {
+            assert.equal(dispatchManager._getPacing(type, new THREE.Vector3(x, 0, z)).timeLimit % 5, 0);
+        }
+    }
+});
+
+test('RUSH is tighter than STANDARD but never below a fair ride', () => {
+    const dispatchManager = createDispatchManager();
+    for (const [x, z] of [[200, 100], [330, -330]]) {
+        const destination = new THREE.Vector3(x, 0, z);
+        const standard = dispatchManager._getPacing(STANDARD, destination);
+        const rush = dispatchManager._getPacing(RUSH, destination);
+        
+        assert.ok(rush.timeLimit < standard.timeLimit);
+        assert.ok(rush.timeLimit >= fairFloor(rush));
+    }
+});
+
+test('movement upgrades tighten the clock down to the fair floor of an unupgraded ride', () => {
+    const dispatchManager = createDispatchManager();
+    const destination = new THREE.Vector3(330, 0, -330);
+    const before = dispatchManager._getPacing(STANDARD, destination);
+    
+    dispatchManager.setMobilityLevel(100);
+    const after = dispatchManager._getPacing(STANDARD, destination);
+    assert.ok(after.timeLimit < before.timeLimit);
+    assert.ok(dispatchManager._getPacing(RUSH, destination).timeLimit >= fairFloor(after));
+});
+
+test('climbs to rooftop drops add time', () => {
+    const dispatchManager = createDispatchManager();
+    const street = dispatchManager._getPacing(STANDARD, new THREE.Vector3(200, 0, 100));
+    const rooftop = dispatchManager._getPacing(STANDARD, new THREE.Vector3(200, 60, 100));
+    
+    assert.equal(rooftop.routeLength, street.routeLength);
+    assert.ok(rooftop.timeLimit > street.timeLimit);
+});
+
+test('pay grows with the route', () => {
+    const dispatchManager = createDispatchManager();
+    const near = dispatchManager._getPacing(STANDARD, new THREE.Vector3(60, 0, 0));
+    const far = dispatchManager._getPacing(STANDARD, new THREE.Vector3(330, 0, -330));
+    
+    assert.equal(near.basePay, 40 + near.routeLength * 0.2);
+    assert.ok(far.basePay > near.basePay);
+    assert.ok(far.timeLimit > near.timeLimit);
+});
+
+test('credits are base pay plus a time bonus, times the multiplier', () => {
+    const deliveryManager = new DeliveryManager(new THREE.Scene(), new EventBus(), new Random(1));
+    
+    assert.equal(deliveryManager.calculateCredits(0, 60, 100, 1), 100);
+    assert.equal(deliveryManager.calculateCredits(30, 60, 100, 1), 125);
+    assert.equal(deliveryManager.calculateCredits(60, 60, 100, 1), 150);
+    assert.equal(deliveryManager.calculateCredits(30, 60, 100, 1.5), 187);
+});
@@ -0,0 +1,118 @@
+// DeliveryRules - Each rule's thresholds, meters and pay on its own, outside the DeliveryManager
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Events } from '../src/core/EventBus.js';
+import { Random } from '../src/core/Random.js';
+import { DELIVERY_RULES } from '../src/systems/DeliveryRules.js';
+
+/**
+ * Tick context with quiet defaults; tests override what their rule reads
+ */
+function context(overrides = {}) {
+    return {
+        deltaTime: 1,
+        speedRatio: 1,
+        altitude: 0,
+        random: new Random(1),
+        isShaded: () => false,
+        heat: () => 1,
+        camerasWatching: () => 0,
+        surveillance: () => 1,
+        ...overrides
+    };
+}
+
+test('noCollisions warns at warnAt and fails at failAt', () => {
+    const { start, events } = DELIVERY_RULES.noCollisions;
+    const onHit = events[Events.PLAYER_COLLISION];
+    const params = { warnAt: 1, failAt: 3 };
+    const state = start(params);
+    
+    assert.equal(onHit(state, params).warning, 'Careful! Package is fragile!');
+    assert.equal(onHit(state, params), null);
+    assert.equal(onHit(state, params).fail, 'damaged');
+});
+
+test('minSpeed cools below the minimum, costs time and fails when cold', () => {
+    const { start, update, complaint } = DELIVERY_RULES.minSpeed;
+    const params = { minSpeed: 0.5, coolingRate: 4 };
+    const state = start(params);
+    
+    assert.equal(update(state, params, context({ speedRatio: 0.8 })), null);
+    assert.equal(state.temperature, 100);
+    
+    // Standing still: full cooling rate
+    const verdict = update(state, params, context({ speedRatio: 0 }));
+    assert.equal(state.temperature, 80);
+    assert.equal(verdict.timePenalty, 4);
+    assert.equal(complaint(state, params), null);
+    
+    update(state, params, context({ speedRatio: 0, deltaTime: 2 }));
+    assert.equal(complaint(state, params), 'Pizza was cold');
+    assert.equal(update(state, params, context({ speedRatio: 0, deltaTime: 5 })).fail, 'cold');
+});
+
+test('maxAltitude warns once near the ceiling and fails after the grace time above it', () => {
+    const { start, update } = DELIVERY_RULES.maxAltitude;
+    const params = { max: 20, warnMargin: 3, grace: 1 };
+    const state = start(params);
+    
+    assert.equal(update(state, params, context({ altitude: 18, deltaTime: 0.5 })).warning, 'Too high! Keep it low!');
+    assert.equal(update(state, params, context({ altitude: 21, deltaTime: 0.5 })), null);
+    assert.equal(update(state, params, context({ altitude: 21, deltaTime: 0.5 })).fail, 'altitude');
+});
+
+test('noFlight fails on the first flight by default', () => {
+    const { start, events } = DELIVERY_RULES.noFlight;
+    const state = start({});
+    
+    assert.equal(events[Events.PLAYER_FLIGHT_START](state, {}).fail, 'flew');
+});
+
+test('mustTrick holds the order until enough tricks have landed', () => {
+    const { start, events, canDeliver, meter } = DELIVERY_RULES.mustTrick;
+    const params = { count: 2 };
+    const state = start(params);
+    
+    assert.equal(canDeliver(state, params), false);
+    events[Events.TRICK_COMPLETED](state, params);
+    assert.equal(meter(state, params).value, 50);
+    assert.equal(canDeliver(state, params), false);
+    events[Events.TRICK_COMPLETED](state, params);
+    assert.equal(canDeliver(state, params), true);
+});
+
+test('keepCool melts in the sun, recovers in shade and pays by what is left', () => {
+    const { start, update, pay } = DELIVERY_RULES.keepCool;
+    const params = { meltRate: 10, coolRate: 5 };
+    const state = start(params);
+    
+    update(state, params, context({ deltaTime: 3, heat: () => 2 }));
+    assert.equal(state.chill, 40);
+    assert.equal(pay(state, params), 0.7);
+    
+    update(state, params, context({ deltaTime: 2, isShaded: () => true }));
+    assert.equal(state.chill, 50);
+    
+    assert.equal(update(state, params, context({ deltaTime: 10 })).fail, 'melted');
+    assert.equal(pay(state, params), 0.5);
+});
+
+test('avoidCameras raises suspicion in view, fades it out of view and pays a bonus for clean runs', () => {
+    const { start, update, pay } = DELIVERY_RULES.avoidCameras;
+    const params = { riseRate: 30, fadeRate: 10 };
+    
+    const clean = start(params);
+    update(clean, params, context());
+    assert.equal(pay(clean, params), 1.5);
+    
+    const state = start(params);
+    assert.equal(update(state, params, context({ camerasWatching: () => 1 })).warning, 'Camera drone spotted you!');
+    assert.equal(state.suspicion, 30);
+    update(state, params, context());
+    assert.equal(state.suspicion, 20);
+    assert.equal(pay(state, params), 1);
+    
+    assert.equal(update(state, params, context({ camerasWatching: () => 2, surveillance: () => 2 })).fail, 'confiscated');
+});
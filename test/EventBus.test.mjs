@@ -0,0 +1,90 @@
+// EventBus - Wildcards, priorities, once/off and handler error isolation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus, EventPriority } from '../src/core/EventBus.js';
+
+test('exact listeners get the payload', () => {
+    const bus = new EventBus();
+    const calls = [];
+    bus.on('delivery:started', (data) => calls.push(data));
+    bus.emit('delivery:started', { id: 1 });
+    
+    assert.deepEqual(calls, [{ id: 1 }]);
+});
+
+test('namespace wildcards match the namespace (nested too) and get the event name first', () => {
+    const bus = new EventBus();
+    const calls = [];
+    bus.on('delivery:*', (event, data) => calls.push([event, data]));
+    
+    bus.emit('delivery:started', 1);
+    bus.emit('delivery:warning:cold', 2);
+    bus.emit('player:jump', 3);
+    
+    assert.deepEqual(calls, [['delivery:started', 1], ['delivery:warning:cold', 2]]);
+});
+
+test('"*" matches every event', () => {
+    const bus = new EventBus();
+    const events = [];
+    bus.on('*', (event) => events.push(event));
+    bus.emit('a:b');
+    bus.emit('plain');
+    
+    assert.deepEqual(events, ['a:b', 'plain']);
+});
+
+test('higher priorities run first, equal priorities in subscription order', () => {
+    const bus = new EventBus();
+    const order = [];
+    bus.on('tick', () => order.push('normal-1'));
+    bus.on('tick', () => order.push('low'), { priority: EventPriority.LOW });
+    bus.on('*', () => order.push('wildcard-high'), { priority: EventPriority.HIGH });
+    bus.on('tick', () => order.push('normal-2'));
+    bus.emit('tick');
+    
+    assert.deepEqual(order, ['wildcard-high', 'normal-1', 'normal-2', 'low']);
+});
+
+test('once fires a single time, and off/unsubscribe remove listeners', () => {
+    const bus = new EventBus();
+    let once = 0;
+    let kept = 0;
+    bus.once('ping', () => once++);
+    const unsubscribe = bus.on('ping', () => kept++);
+    
+    bus.emit('ping');
+    bus.emit('ping');
+    unsubscribe();
+    bus.emit('ping');
+    
+    assert.equal(once, 1);
+    assert.equal(kept, 2);
+    assert.equal(bus.hasListeners('ping'), false);
+});
+
+test('a throwing handler is skipped and the rest still run', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const bus = new EventBus();
+    const calls = [];
+    bus.on('boom', () => { throw new Error('bad handler'); });
+    bus.on('boom', () => calls.push('after'));
+    bus.emit('boom');
+    
+    assert.deepEqual(calls, ['after']);
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('clear removes one pattern or everything', () => {
+    const bus = new EventBus();
+    bus.on('a', () => {});
+    bus.on('b:*', () => {});
+    
+    bus.clear('b:*');
+    assert.equal(bus.hasListeners('b:x'), false);
+    assert.equal(bus.hasListeners('a'), true);
+    
+    bus.clear();
+    assert.equal(bus.hasListeners('a'), false);
+});
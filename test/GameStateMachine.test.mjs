@@ -0,0 +1,93 @@
+// GameStateMachine - Transition rules, hooks and queued transitions
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus, Events } from '../src/core/EventBus.js';
+import { GameStateMachine, GameState, GameSystem, InputContext } from '../src/core/GameStateMachine.js';
+
+function createMachine() {
+    const eventBus = new EventBus();
+    return { eventBus, machine: new GameStateMachine(eventBus) };
+}
+
+test('allowed transitions run exit hooks, enter hooks, then STATE_CHANGED', () => {
+    const { eventBus, machine } = createMachine();
+    const calls = [];
+    machine.onExit(GameState.BOOT, (data, to) => calls.push(`exit boot -> ${to}`));
+    machine.onEnter(GameState.PLAYING, (data, from) => calls.push(`enter playing from ${from} (${data})`));
+    eventBus.on(Events.STATE_CHANGED, ({ from, to }) => calls.push(`changed ${from} -> ${to}`));
+    
+    assert.equal(machine.transition(GameState.PLAYING, 'go'), true);
+    assert.deepEqual(calls, [
+        'exit boot -> playing',
+        'enter playing from boot (go)',
+        'changed boot -> playing'
+    ]);
+    assert.equal(machine.getState(), GameState.PLAYING);
+    assert.equal(machine.previousState, GameState.BOOT);
+});
+
+test('refused transitions keep the state and emit STATE_DENIED', () => {
+    const { eventBus, machine } = createMachine();
+    const denied = [];
+    eventBus.on(Events.STATE_DENIED, (data) => denied.push(data));
+    machine.transition(GameState.PLAYING);
+    machine.transition(GameState.DIALOGUE);
+    
+    // No shopping mid-dialogue
+    assert.equal(machine.canTransition(GameState.SHOP), false);
+    assert.equal(machine.transition(GameState.SHOP), false);
+    assert.equal(machine.getState(), GameState.DIALOGUE);
+    assert.deepEqual(denied, [{ from: GameState.DIALOGUE, to: GameState.SHOP }]);
+});
+
+test('transitions requested from a hook are queued until the current one finishes', () => {
+    const { machine } = createMachine();
+    const order = [];
+    machine.onEnter(GameState.PLAYING, () => {
+        order.push('enter playing');
+        if (machine.previousState === GameState.BOOT) {
+            machine.transition(GameState.PAUSED);
+            order.push(`still ${machine.getState()}`);
+        }
+    });
+    machine.onEnter(GameState.PAUSED, () => order.push('enter paused'));
+    machine.transition(GameState.PLAYING);
+    
+    assert.deepEqual(order, ['enter playing', 'still playing', 'enter paused']);
+    assert.equal(machine.getState(), GameState.PAUSED);
+});
+
+test('each state decides which systems, inputs and HUD are live', () => {
+    const { machine } = createMachine();
+    machine.transition(GameState.PLAYING);
+    assert.equal(machine.isSystemActive(GameSystem.SIMULATION), true);
+    assert.equal(machine.isInputLive(InputContext.GAMEPLAY), true);
+    assert.equal(machine.isHudVisible(), true);
+    
+    machine.transition(GameState.PAUSED);
+    assert.equal(machine.isSystemActive(GameSystem.SIMULATION), false);
+    assert.equal(machine.isInputLive(InputContext.MENU), true);
+    assert.equal(machine.isHudVisible(), false);
+    assert.equal(machine.is(GameState.PAUSED, GameState.SHOP), true);
+});
+
+test('a throwing hook is logged and the transition still completes', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { machine } = createMachine();
+    machine.onEnter(GameState.PLAYING, () => { throw new Error('bad hook'); });
+    
+    assert.equal(machine.transition(GameState.PLAYING), true);
+    assert.equal(machine.getState(), GameState.PLAYING);
+});
+
+test('hooks for unknown states are rejected, and unregistering works', () => {
+    const { machine } = createMachine();
+    assert.throws(() => machine.onEnter('nowhere', () => {}), /unknown state/);
+    
+    let entered = 0;
+    const unregister = machine.onEnter(GameState.PLAYING, () => entered++);
+    unregister();
+    machine.transition(GameState.PLAYING);
+    assert.equal(entered, 0);
+});
@@ -0,0 +1,49 @@
+// PhysicsManager - Bumps into buildings report a collision like any other obstacle
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { EventBus, Events } from '../src/core/EventBus.js';
+import { PhysicsManager } from '../src/managers/PhysicsManager.js';
+
+/**
+ * Physics with one 10x10 building at the origin; collisions land in `collisions`
+ */
+function createPhysics() {
+    const eventBus = new EventBus();
+    const collisions = [];
+    eventBus.on(Events.PLAYER_COLLISION, (data) => collisions.push(data));
+    
+    const physicsManager = new PhysicsManager(eventBus);
+    physicsManager.setBuildings([{ position: { x: 0, y: 0, z: 0 }, scale: { x: 10, y: 20, z: 10 } }]);
+    return { physicsManager, collisions };
+}
+
+test('riding into a wall emits a building collision and slows the courier', () => {
+    const { physicsManager, collisions } = createPhysics();
+    physicsManager.velocity.set(-0.5, 0, 0);
+    physicsManager._handleBuildingCollision(new THREE.Vector3(5.5, 1, 0));
+    
+    assert.equal(collisions.length, 1);
+    assert.equal(collisions[0].type, 'building');
+    assert.ok(collisions[0].intensity > 0 && collisions[0].intensity <= 0.7);
+    assert.equal(physicsManager.velocity.x, -0.25);
+});
+
+test('sliding along a wall is not a collision', () => {
+    const { physicsManager, collisions } = createPhysics();
+    physicsManager.velocity.set(0, 0, 0.5);
+    physicsManager._handleBuildingCollision(new THREE.Vector3(5.5, 1, 0));
+    
+    assert.equal(collisions.length, 0);
+});
+
+test('repeated wall hits inside the cooldown count once', () => {
+    const { physicsManager, collisions } = createPhysics();
+    for (let i = 0; i < 3; i++) {
+        physicsManager.velocity.set(-0.5, 0, 0);
+        physicsManager._handleBuildingCollision(new THREE.Vector3(5.5, 1, 0));
+    }
+    
+    assert.equal(collisions.length, 1);
+});
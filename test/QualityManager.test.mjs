@@ -0,0 +1,77 @@
+// QualityManager - The adaptive governor trades visuals for frame rate without touching the seeded simulation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../src/core/EventBus.js';
+import { QualityManager } from '../src/managers/QualityManager.js';
+
+globalThis.window = { devicePixelRatio: 2 };
+
+/**
+ * Game manager stand-in that records what the quality settings push into it
+ */
+function createGame() {
+    const calls = [];
+    const npcManager = (name) => ({
+        setDensity: (value) => calls.push([`${name}.setDensity`, value]),
+        setDrawScale: (value) => calls.push([`${name}.setDrawScale`, value])
+    });
+    return {
+        calls,
+        setPixelRatio: (value) => calls.push(['setPixelRatio', value]),
+        setShadowMapSize: (value) => calls.push(['setShadowMapSize', value]),
+        setMotionBlurEnabled: (value) => calls.push(['setMotionBlurEnabled', value]),
+        atmosphereManager: { setCullScale: (value) => calls.push(['setCullScale', value]) },
+        trafficManager: npcManager('traffic'),
+        droneManager: npcManager('drones'),
+        pedestrianManager: npcManager('pedestrians')
+    };
+}
+
+test('downgrading all the way hides distant NPCs but never changes the spawn caps', () => {
+    const game = createGame();
+    const qualityManager = new QualityManager(new EventBus());
+    qualityManager.setGameManager(game);
+    qualityManager._applyPreset();
+    game.calls.length = 0;
+    
+    for (let i = 0; i < 50; i++) {
+        qualityManager._downgrade(40);
+    }
+    
+    assert.equal(qualityManager.getState().settings.npcDensity, 1);
+    assert.equal(qualityManager.getState().settings.crowdDistance, 0.4);
+    assert.equal(game.calls.some(([name]) => name.endsWith('.setDensity')), false);
+    assert.deepEqual(game.calls.filter(([name]) => name === 'traffic.setDrawScale').map(([, value]) => value), [0.8, 0.6, 0.4]);
+});
+
+test('upgrading wins crowd distance back, still without touching the spawn caps', () => {
+    const game = createGame();
+    const qualityManager = new QualityManager(new EventBus());
+    qualityManager.setGameManager(game);
+    qualityManager._applyPreset();
+    for (let i = 0; i < 50; i++) {
+        qualityManager._downgrade(40);
+    }
+    game.calls.length = 0;
+    
+    for (let i = 0; i < 50; i++) {
+        qualityManager._upgrade();
+    }
+    
+    assert.equal(qualityManager.getState().settings.crowdDistance, 1);
+    assert.equal(game.calls.some(([name]) => name.endsWith('.setDensity')), false);
+});
+
+test('presets and pins still set the spawn caps', () => {
+    const game = createGame();
+    const qualityManager = new QualityManager(new EventBus());
+    qualityManager.setGameManager(game);
+    qualityManager._save = () => {};
+    
+    qualityManager.setPreset('low');
+    assert.ok(game.calls.some(([name, value]) => name === 'pedestrians.setDensity' && value === 0.5));
+    
+    qualityManager.pin('npcDensity', 0.25);
+    assert.ok(game.calls.some(([name, value]) => name === 'traffic.setDensity' && value === 0.25));
+});
@@ -0,0 +1,59 @@
+// Random - Seeded RNG: the same seed always gives the same sequence
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Random } from '../src/core/Random.js';
+
+const sequence = (random, count) => Array.from({ length: count }, () => random.next());
+
+test('the same seed gives the same sequence', () => {
+    assert.deepEqual(sequence(new Random(1234), 20), sequence(new Random(1234), 20));
+});
+
+test('different seeds give different sequences', () => {
+    assert.notDeepEqual(sequence(new Random(1), 5), sequence(new Random(2), 5));
+});
+
+test('setSeed restarts the sequence', () => {
+    const random = new Random(99);
+    const first = sequence(random, 10);
+    random.setSeed(99);
+    
+    assert.deepEqual(sequence(random, 10), first);
+    assert.equal(random.getSeed(), 99);
+});
+
+test('getState/setState snapshot and resume mid-sequence', () => {
+    const random = new Random(7);
+    sequence(random, 3);
+    const state = random.getState();
+    const expected = sequence(random, 5);
+    random.setState(state);
+    
+    assert.deepEqual(sequence(random, 5), expected);
+});
+
+test('next, range, int, pick and chance stay in bounds', () => {
+    const random = new Random(5);
+    const items = ['a', 'b', 'c'];
+    
+    for (let i = 0; i < 1000; i++) {
+        const value = random.next();
+        assert.ok(value >= 0 && value < 1);
+        
+        const ranged = random.range(-3, 4);
+        assert.ok(ranged >= -3 && ranged < 4);
+        
+        const integer = random.int(6);
+        assert.ok(Number.isInteger(integer) && integer >= 0 && integer < 6);
+        
+        assert.ok(items.includes(random.pick(items)));
+    }
+    assert.equal(random.chance(0), false);
+    assert.equal(random.chance(1), true);
+});
+
+test('seeds are 32-bit', () => {
+    assert.equal(new Random(2 ** 32 + 5).getSeed(), 5);
+    assert.equal(new Random(-1).getSeed(), 0xffffffff);
+});
@@ -0,0 +1,62 @@
+// RoadGraph - A* routes along the grid streets and editor roads
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoadGraph } from '../src/systems/RoadGraph.js';
+
+// Grid street centerlines sit at (k - 0.5) * 64: ..., -32, 32, 96, 160, ...
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+test('an empty graph has no routes', () => {
+    assert.equal(new RoadGraph().findRoute({ x: 0, z: 0 }, { x: 100, z: 100 }), null);
+});
+
+test('two points on the same stretch of road route straight there', () => {
+    const graph = new RoadGraph();
+    graph.build();
+    const route = graph.findRoute({ x: 32, z: 0 }, { x: 32, z: 10 });
+    
+    assert.deepEqual(route, [{ x: 32, z: 0, junction: false }, { x: 32, z: 10, junction: false }]);
+});
+
+test('grid routes follow the streets and take the shortest way round the blocks', () => {
+    const graph = new RoadGraph();
+    assert.ok(graph.build() > 0);
+    
+    // Off-road points join at their nearest street
+    const route = graph.findRoute({ x: 30, z: 0 }, { x: 100, z: 70 });
+    assert.deepEqual(route[0], { x: 32, z: 0, junction: false });
+    assert.deepEqual(route[route.length - 1], { x: 96, z: 70, junction: false });
+    close(graph.getLength(route), 64 + 70);
+    
+    for (let i = 1; i < route.length; i++) {
+        const axisAligned = route[i].x === route[i - 1].x || route[i].z === route[i - 1].z;
+        assert.ok(axisAligned, 'grid routes only turn at junctions');
+    }
+    assert.ok(route.slice(1, -1).every(point => point.junction));
+});
+
+test('editor roads cross the grid at new junctions and can be shortcuts', () => {
+    const graph = new RoadGraph();
+    graph.build([{ points: [{ x: 32, z: 32 }, { x: 224, z: 224 }], width: 8 }]);
+    const route = graph.findRoute({ x: 32, z: 32 }, { x: 224, z: 224 });
+    
+    close(graph.getLength(route), 192 * Math.SQRT2);
+});
+
+test('a dead-end editor road that stops short of a street is joined to it', () => {
+    const graph = new RoadGraph();
+    graph.build([{ points: [{ x: 37, z: 10 }, { x: 60, z: 10 }], width: 8 }]);
+    const route = graph.findRoute({ x: 32, z: -20 }, { x: 60, z: 10 });
+    
+    assert.deepEqual(route.map(({ x, z }) => [x, z]), [[32, -20], [32, 10], [37, 10], [60, 10]]);
+    close(graph.getLength(route), 30 + 5 + 23);
+});
+
+test('roads with fewer than two points are ignored', () => {
+    const graph = new RoadGraph();
+    const gridNodes = graph.build();
+    
+    assert.equal(graph.build([{ points: [{ x: 0, z: 0 }] }, { width: 8 }]), gridNodes);
+});
@@ -0,0 +1,171 @@
+// SaveManager - Legacy key migration, checksums, import validation and the slot list
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../src/core/EventBus.js';
+import { SaveManager } from '../src/managers/SaveManager.js';
+
+// Just enough browser for the SaveManager: a Map-backed localStorage and a window for beforeunload
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+globalThis.window = { addEventListener() {}, removeEventListener() {} };
+
+beforeEach((t) => {
+    globalThis.localStorage = new MemoryStorage();
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+/**
+ * A SaveManager with economy, upgrades and ghosts sections; loaded data lands in `state`
+ */
+function createSaveManager() {
+    const state = { economy: null, upgrades: null, ghosts: null };
+    const saveManager = new SaveManager(new EventBus());
+    
+    saveManager.registerSection('economy', {
+        version: 1,
+        serialize: () => state.economy,
+        deserialize: (data) => { state.economy = data; },
+        reset: () => { state.economy = { totalCredits: 0 }; },
+        describe: (data) => `${data.totalCredits} credits`
+    });
+    saveManager.registerSection('upgrades', {
+        version: 1,
+        serialize: () => state.upgrades,
+        deserialize: (data) => { state.upgrades = data; },
+        reset: () => { state.upgrades = {}; }
+    });
+    saveManager.registerSection('ghosts', {
+        version: 1,
+        serialize: () => state.ghosts,
+        deserialize: (data) => { state.ghosts = data; },
+        reset: () => { state.ghosts = {}; },
+        describe: (data) => `${Object.keys(data).length} ghosts`
+    });
+    
+    return { saveManager, state };
+}
+
+test('legacy keys migrate into slot 1 and are removed', () => {
+    localStorage.setItem('neonSlice_credits', '500');
+    localStorage.setItem('neonSlice_upgrades', JSON.stringify({ REPULSORS: 2 }));
+    const { saveManager, state } = createSaveManager();
+    saveManager.init();
+    
+    assert.deepEqual(state.economy, { totalCredits: 500 });
+    assert.deepEqual(state.upgrades, { REPULSORS: 2 });
+    assert.deepEqual(state.ghosts, {});
+    assert.equal(localStorage.getItem('neonSlice_credits'), null);
+    assert.equal(localStorage.getItem('neonSlice_upgrades'), null);
+    assert.notEqual(localStorage.getItem('neonSlice_save_1'), null);
+});
+
+test('a broken legacy key is skipped without losing the others', () => {
+    localStorage.setItem('neonSlice_credits', '500');
+    localStorage.setItem('neonSlice_upgrades', '{not json');
+    const { saveManager, state } = createSaveManager();
+    saveManager.init();
+    
+    assert.deepEqual(state.economy, { totalCredits: 500 });
+    assert.deepEqual(state.upgrades, {});
+    assert.equal(console.warn.mock.calls.some(({ arguments: args }) => /neonSlice_upgrades/.test(args[0])), true);
+});
+
+test('legacy keys never overwrite existing slots', () => {
+    const { saveManager } = createSaveManager();
+    const existing = saveManager._stringify({ economy: { version: 1, data: { totalCredits: 9 } } });
+    localStorage.setItem('neonSlice_save_2', existing);
+    localStorage.setItem('neonSlice_credits', '500');
+    saveManager.init();
+    
+    assert.equal(localStorage.getItem('neonSlice_save_1'), null);
+    assert.equal(localStorage.getItem('neonSlice_credits'), '500');
+});
+
+test('save and load round-trip through the active slot', () => {
+    const { saveManager, state } = createSaveManager();
+    saveManager.init();
+    state.economy = { totalCredits: 120 };
+    state.ghosts = { a: [] };
+    assert.equal(saveManager.save(), true);
+    
+    const reloaded = createSaveManager();
+    reloaded.saveManager.init();
+    assert.deepEqual(reloaded.state.economy, { totalCredits: 120 });
+    assert.deepEqual(reloaded.state.ghosts, { a: [] });
+});
+
+test('a checksum mismatch marks the slot corrupted and moves it aside on load', () => {
+    const { saveManager, state } = createSaveManager();
+    const raw = saveManager._stringify({ economy: { version: 1, data: { totalCredits: 10 } } });
+    const edited = raw.replace('"totalCredits":10', '"totalCredits":99999');
+    localStorage.setItem('neonSlice_save_1', edited);
+    
+    const [slot] = saveManager.getSlots();
+    assert.equal(slot.status, 'corrupted');
+    assert.equal(slot.error, 'checksum mismatch');
+    
+    assert.equal(saveManager.load(1), false);
+    assert.deepEqual(state.economy, { totalCredits: 0 });
+    assert.equal(localStorage.getItem('neonSlice_save_1'), null);
+    assert.equal(localStorage.getItem('neonSlice_save_1_corrupt'), edited);
+});
+
+test('imports are validated before they reach a slot', () => {
+    const { saveManager } = createSaveManager();
+    const valid = saveManager._stringify({ economy: { version: 1, data: { totalCredits: 5 } } });
+    const newer = JSON.stringify({ ...JSON.parse(valid), version: 99 });
+    const malformed = saveManager._stringify({ economy: 'lots' });
+    
+    assert.deepEqual(saveManager.importSave('{', 2), { ok: false, error: 'unreadable JSON' });
+    assert.deepEqual(saveManager.importSave('{"format":"other"}', 2), { ok: false, error: 'not a save file' });
+    assert.deepEqual(saveManager.importSave(newer, 2), { ok: false, error: 'made by a newer version (v99)' });
+    assert.deepEqual(saveManager.importSave(malformed, 2), { ok: false, error: 'malformed economy section' });
+    assert.equal(localStorage.getItem('neonSlice_save_2'), null);
+    
+    assert.deepEqual(saveManager.importSave(valid, 2), { ok: true });
+    assert.notEqual(localStorage.getItem('neonSlice_save_2'), null);
+});
+
+test('imports whose data the describe hooks can\'t read are rejected', () => {
+    const { saveManager } = createSaveManager();
+    const forged = saveManager._stringify({ ghosts: { version: 1, data: null } });
+    
+    assert.deepEqual(saveManager.importSave(forged, 2), { ok: false, error: 'unreadable ghosts data' });
+    assert.equal(localStorage.getItem('neonSlice_save_2'), null);
+});
+
+test('the slot list shows stored slots that can\'t be described as corrupted', () => {
+    const { saveManager } = createSaveManager();
+    localStorage.setItem('neonSlice_save_1', saveManager._stringify({ economy: { version: 1, data: { totalCredits: 7 } } }));
+    localStorage.setItem('neonSlice_save_3', saveManager._stringify({ ghosts: { version: 1, data: null } }));
+    const [first, second, third] = saveManager.getSlots();
+    
+    assert.equal(first.status, 'ok');
+    assert.equal(first.description, '7 credits');
+    assert.equal(second.status, 'empty');
+    assert.equal(third.status, 'corrupted');
+    assert.equal(third.error, 'unreadable ghosts data');
+});
+
+test('describe output is always a string', () => {
+    const { saveManager } = createSaveManager();
+    saveManager.sections.get('economy').describe = (data) => data.totalCredits;
+    localStorage.setItem('neonSlice_save_1', saveManager._stringify({ economy: { version: 1, data: { totalCredits: 7 } } }));
+    
+    assert.equal(saveManager.getSlots()[0].description, '7');
+});
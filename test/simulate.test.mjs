@@ -0,0 +1,61 @@
+// simulate - Same seed, same run: the headless balancing runner must be reproducible
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/simulate.mjs', import.meta.url));
+
+/**
+ * Run the simulate script and return its --json report without the wall-clock timings
+ */
+function simulate(...args) {
+    const output = execFileSync(process.execPath, [
+        '--disable-warning=MODULE_TYPELESS_PACKAGE_JSON', SCRIPT, '--json', ...args
+    ], { encoding: 'utf8', timeout: 120000 });
+    const report = JSON.parse(output);
+    for (const result of [...report.runs, report.total]) {
+        delete result.wallSeconds;
+    }
+    return report;
+}
+
+test('the same seed gives an identical report', () => {
+    const first = simulate('--deliveries', '15', '--seed', '42');
+    const second = simulate('--deliveries', '15', '--seed', '42');
+    
+    assert.equal(first.total.completed + first.total.failed, 15);
+    assert.deepEqual(second, first);
+});
+
+test('a different seed gives a different run', () => {
+    const first = simulate('--deliveries', '5', '--seed', '1');
+    const second = simulate('--deliveries', '5', '--seed', '2');
+    
+    assert.notDeepEqual(second.runs[0].byType, first.runs[0].byType);
+});
+
+test('--help prints the usage instead of failing', () => {
+    const output = execFileSync(process.execPath, [
+        '--disable-warning=MODULE_TYPELESS_PACKAGE_JSON', SCRIPT, '--help'
+    ], { encoding: 'utf8' });
+    
+    assert.match(output, /^Usage: npm run simulate/);
+});
+
+test('an invalid --seed exits with the usage instead of running seed 0', () => {
+    for (const seed of ['abc', '1.5', '4294967296']) {
+        assert.throws(() => execFileSync(process.execPath, [
+            '--disable-warning=MODULE_TYPELESS_PACKAGE_JSON', SCRIPT, '--seed', seed
+        ], { encoding: 'utf8', stdio: 'pipe' }), (e) => e.status === 1 && /Invalid --seed/.test(e.stderr));
+    }
+});
+
+test('the text report names the seed so a random run can be replayed', () => {
+    const output = execFileSync(process.execPath, [
+        '--disable-warning=MODULE_TYPELESS_PACKAGE_JSON', SCRIPT, '--deliveries', '2', '--runs', '2', '--seed', '7'
+    ], { encoding: 'utf8', timeout: 120000 });
+    
+    assert.match(output, /2 run\(s\), seeds 7-8 - replay with --seed 7/);
+});